@@ -38,9 +38,12 @@ namespace MedicalScribeR.Core.Agents
             
             try
             {
-                // Salva o chunk no banco
+                // Salva o chunk no banco (chunks recebidos pelo hub já chegam gravados)
                 chunk.SessionId = sessionId;
-                await _repository.SaveChunkAsync(chunk);
+                if (chunk.ChunkId == Guid.Empty)
+                {
+                    await _repository.SaveChunkAsync(chunk);
+                }
 
                 // Atualiza estatísticas da sessão
                 await UpdateSessionStats(sessionId, (double)chunk.Confidence);
@@ -34,6 +34,13 @@ namespace MedicalScribeR.Core.Agents
                 return false;
             }
 
+            // Falas atribuídas a outro participante (ex.: paciente citando uma receita antiga) não geram prescrição
+            var speakerRole = context.CurrentChunk.SpeakerRole;
+            if (!string.IsNullOrEmpty(speakerRole) && speakerRole != SpeakerRoles.Unknown && speakerRole != SpeakerRoles.Physician)
+            {
+                return false;
+            }
+
             // Ativa se a intenção de prescrever for alta o suficiente
             bool hasPrescriptionIntent = context.Config.TriggeringIntentions.Contains(context.Intentions.TopIntent.Category) &&
                                          context.Intentions.TopIntent.Confidence >= context.Config.ConfidenceThreshold;
@@ -61,6 +68,7 @@ namespace MedicalScribeR.Core.Agents
                     Se alguma informação estiver faltando, indique com ""[INFORMAÇÃO FALTANTE]"".
 
                     ---
+                    Falante: {context.CurrentChunk.SpeakerRole ?? context.CurrentChunk.Speaker ?? "Não identificado"}
                     Transcrição: ""{context.CurrentChunk.Text}""
                     Entidades Relevantes: {string.Join(", ", medicationEntities)}
                     ---
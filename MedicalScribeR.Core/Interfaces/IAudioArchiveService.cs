@@ -0,0 +1,37 @@
+using MedicalScribeR.Core.Models;
+
+namespace MedicalScribeR.Core.Interfaces
+{
+    /// <summary>
+    /// Interface para arquivamento do áudio bruto das sessões
+    /// </summary>
+    public interface IAudioArchiveService
+    {
+        /// <summary>
+        /// Se há armazenamento configurado para o áudio
+        /// </summary>
+        bool IsEnabled { get; }
+
+        /// <summary>
+        /// Grava (ou substitui, pelo índice) um segmento da sessão
+        /// </summary>
+        Task<AudioSegment> SaveSegmentAsync(AudioSegment segment, Stream content, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Lista os segmentos arquivados da sessão, em ordem de índice
+        /// </summary>
+        Task<IReadOnlyList<AudioSegment>> GetSegmentsAsync(string sessionId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Abre um segmento para leitura; null quando não existe
+        /// </summary>
+        Task<(AudioSegment Segment, Stream Content)?> OpenSegmentAsync(string sessionId, int segmentIndex, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Remove os segmentos arquivados antes do limite de retenção. Vale a data em que o
+        /// armazenamento recebeu o segmento, não a data de gravação informada pelo cliente.
+        /// </summary>
+        /// <returns>Quantidade de segmentos removidos</returns>
+        Task<int> DeleteSegmentsArchivedBeforeAsync(DateTime cutoff, CancellationToken cancellationToken = default);
+    }
+}
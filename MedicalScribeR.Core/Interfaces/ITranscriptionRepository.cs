@@ -10,8 +10,14 @@ namespace MedicalScribeR.Core.Interfaces
         Task<bool> DeleteSessionAsync(string sessionId);
         
         Task<TranscriptionChunk> SaveChunkAsync(TranscriptionChunk chunk);
+        Task<TranscriptionChunk?> GetChunkByClientIdAsync(string sessionId, string clientChunkId);
+        Task<List<int>> GetChunkSequenceNumbersAsync(string sessionId);
         Task<List<TranscriptionChunk>> GetChunksBySessionAsync(string sessionId);
         Task<IEnumerable<TranscriptionChunk>> GetSessionChunksAsync(string sessionId);
+        Task<TranscriptionChunk?> UpdateChunkTextAsync(string sessionId, int sequenceNumber, string correctedText);
+        Task<TranscriptionChunk?> MarkChunkReviewedAsync(string sessionId, int sequenceNumber, string? correctedText);
+        Task<int> GetPendingReviewCountAsync(string sessionId);
+        Task<bool> DeleteChunkAsync(string sessionId, int sequenceNumber);
         
         Task<GeneratedDocument> SaveDocumentAsync(GeneratedDocument document);
         Task<GeneratedDocument> UpdateDocumentAsync(GeneratedDocument document);
@@ -27,5 +33,14 @@ namespace MedicalScribeR.Core.Interfaces
         Task<List<ProcessingLog>> GetProcessingLogsBySessionAsync(string sessionId);
         
         Task<List<TranscriptionSession>> GetUserSessionsAsync(string userId, int skip = 0, int take = 50);
+        
+        Task<List<string>> GetPersonalTermsAsync(string userId);
+        Task<bool> AddPersonalTermAsync(string userId, string term);
+        Task<bool> RemovePersonalTermAsync(string userId, string term);
+        Task<List<VoiceCommand>> GetVoiceCommandsAsync(string userId);
+        Task<List<VoiceCommand>> SaveVoiceCommandsAsync(string userId, IReadOnlyList<VoiceCommand> commands);
+
+        Task<List<RedFlagAlert>> SaveRedFlagAlertsAsync(IReadOnlyList<RedFlagAlert> alerts);
+        Task<List<RedFlagAlert>> GetRedFlagAlertsBySessionAsync(string sessionId);
     }
 }
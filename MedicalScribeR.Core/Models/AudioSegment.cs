@@ -0,0 +1,40 @@
+using System;
+
+namespace MedicalScribeR.Core.Models
+{
+    /// <summary>
+    /// Segmento do áudio bruto de uma sessão (Opus gravado no navegador), arquivado para
+    /// contestações, retranscrição e auditoria
+    /// </summary>
+    public class AudioSegment
+    {
+        public string SessionId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Posição do segmento na gravação, a partir de 0
+        /// </summary>
+        public int SegmentIndex { get; set; }
+
+        public string ContentType { get; set; } = string.Empty;
+
+        public long SizeBytes { get; set; }
+
+        /// <summary>
+        /// Início do segmento na linha do tempo da sessão (ms desde o início, pausas incluídas),
+        /// a mesma dos offsets dos chunks de transcrição
+        /// </summary>
+        public long OffsetMs { get; set; }
+
+        public long DurationMs { get; set; }
+
+        /// <summary>
+        /// Quando o navegador gravou o segmento, como informado pelo cliente; só informativo
+        /// </summary>
+        public DateTime RecordedAt { get; set; }
+
+        /// <summary>
+        /// Quando o armazenamento recebeu o segmento; a retenção conta a partir daqui
+        /// </summary>
+        public DateTime UploadedAt { get; set; }
+    }
+}
@@ -80,4 +80,29 @@ namespace MedicalScribeR.Core.Configuration
         public bool EnableRealTimeProcessing { get; set; } = true;
         public int MaxSessionDurationMinutes { get; set; } = 120;
     }
+
+    /// <summary>
+    /// Configuraes do arquivamento do udio bruto das sesses (Azure Blob Storage)
+    /// </summary>
+    public class AudioArchiveOptions
+    {
+        public const string ConfigurationSection = "AudioArchive";
+
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// Connection string da conta de armazenamento; sem ela usa ServiceUri com a identidade gerenciada
+        /// </summary>
+        public string ConnectionString { get; set; } = string.Empty;
+        public string ServiceUri { get; set; } = string.Empty;
+        public string ContainerName { get; set; } = "session-audio";
+
+        /// <summary>
+        /// Tempo de guarda do udio, contado do arquivamento de cada segmento (criao do blob)
+        /// </summary>
+        public int RetentionDays { get; set; } = 1825;
+        public int RetentionSweepIntervalHours { get; set; } = 6;
+        public long MaxSegmentBytes { get; set; } = 10 * 1024 * 1024;
+        public string[] AllowedContentTypes { get; set; } = { "audio/webm", "audio/ogg" };
+    }
 }
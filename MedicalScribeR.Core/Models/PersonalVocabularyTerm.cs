@@ -0,0 +1,22 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace MedicalScribeR.Core.Models
+{
+    /// <summary>
+    /// Termo do vocabulário pessoal de um profissional, enviado ao reconhecimento de fala junto com a lista de frases
+    /// </summary>
+    public class PersonalVocabularyTerm
+    {
+        [Key]
+        public Guid TermId { get; set; }
+        
+        [Required]
+        public string UserId { get; set; } = string.Empty;
+        
+        [Required]
+        public string Term { get; set; } = string.Empty;
+        
+        public DateTime CreatedAt { get; set; }
+    }
+}
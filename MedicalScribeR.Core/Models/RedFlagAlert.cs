@@ -0,0 +1,39 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace MedicalScribeR.Core.Models
+{
+    /// <summary>
+    /// Sinal de alarme (red flag) relatado em um trecho da sessão, guardado como registro de auditoria
+    /// </summary>
+    public class RedFlagAlert
+    {
+        [Key]
+        public Guid AlertId { get; set; }
+        
+        [Required]
+        public string SessionId { get; set; } = string.Empty;
+        
+        public int SequenceNumber { get; set; }
+        
+        /// <summary>
+        /// Identificador do sinal (ex.: "chest-pain")
+        /// </summary>
+        [Required]
+        public string FlagId { get; set; } = string.Empty;
+        
+        public string? Label { get; set; }
+        
+        public string? Severity { get; set; }
+        
+        /// <summary>
+        /// Termo encontrado no trecho; o texto do trecho não é guardado aqui
+        /// </summary>
+        public string? Term { get; set; }
+        
+        [Required]
+        public string ReportedBy { get; set; } = string.Empty;
+        
+        public DateTime DetectedAt { get; set; }
+    }
+}
@@ -0,0 +1,25 @@
+using System;
+using System.Collections.Generic;
+
+namespace MedicalScribeR.Core.Models
+{
+    /// <summary>
+    /// Papéis aceitos na atribuição de falantes, compartilhados pelo hub e pelos agentes
+    /// </summary>
+    public static class SpeakerRoles
+    {
+        public const string Physician = "Médico";
+        public const string Patient = "Paciente";
+        public const string Companion = "Acompanhante";
+
+        /// <summary>
+        /// Falante ainda não atribuído a um participante
+        /// </summary>
+        public const string Unknown = "Desconhecido";
+
+        public static readonly IReadOnlySet<string> All = new HashSet<string>(StringComparer.Ordinal)
+        {
+            Physician, Patient, Companion, Unknown
+        };
+    }
+}
@@ -14,14 +14,39 @@ namespace MedicalScribeR.Core.Models
         // Propriedade de convenincia para compatibilidade
         public Guid Id => ChunkId;
         
+        /// <summary>
+        /// ID gerado pelo cliente; reenvios do mesmo chunk so reconhecidos por ele e no gravados de novo
+        /// </summary>
+        public string? ClientChunkId { get; set; }
+        
         [Required]
         public string SessionId { get; set; } = string.Empty;
         
         [Required]
         public string Text { get; set; } = string.Empty;
         
+        /// <summary>
+        /// Texto como foi ditado, antes da normalizao clnica (doses, unidades, sinais vitais); mantido para auditoria
+        /// </summary>
+        public string? RawText { get; set; }
+        
         public string? Speaker { get; set; }
         
+        /// <summary>
+        /// ID estvel do falante atribudo pela diarizao (ex.: "Guest-1")
+        /// </summary>
+        public string? SpeakerId { get; set; }
+        
+        /// <summary>
+        /// Papel atribudo ao falante pelo usurio (Mdico, Paciente, Acompanhante)
+        /// </summary>
+        public string? SpeakerRole { get; set; }
+        
+        /// <summary>
+        /// Confiana mdia do reconhecimento das falas deste falante
+        /// </summary>
+        public decimal? SpeakerConfidence { get; set; }
+        
         public decimal Confidence { get; set; }
         
         [Required]
@@ -29,6 +54,38 @@ namespace MedicalScribeR.Core.Models
         
         public int SequenceNumber { get; set; }
         
+        /// <summary>
+        /// Incio da fala em milissegundos desde o incio da sesso
+        /// </summary>
+        public long? OffsetMs { get; set; }
+        
+        /// <summary>
+        /// Durao da fala em milissegundos
+        /// </summary>
+        public long? DurationMs { get; set; }
+        
+        /// <summary>
+        /// Texto reconhecido antes da correo manual pelo profissional
+        /// </summary>
+        public string? OriginalText { get; set; }
+        
+        public bool IsCorrected { get; set; }
+        
+        /// <summary>
+        /// Trecho (ou palavra dele) abaixo do limite de confiana; precisa ser revisado antes da aprovao dos documentos
+        /// </summary>
+        public bool NeedsReview { get; set; }
+        
+        /// <summary>
+        /// Quando o profissional confirmou o trecho na fila de reviso
+        /// </summary>
+        public DateTime? ReviewedAt { get; set; }
+        
+        /// <summary>
+        /// Seo do atendimento ditada por comando de voz (ex.: "exame fsico")
+        /// </summary>
+        public string? Section { get; set; }
+        
         public bool IsProcessed { get; set; }
         
         public string? Language { get; set; }
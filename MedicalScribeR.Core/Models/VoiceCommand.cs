@@ -0,0 +1,31 @@
+using System;
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+
+namespace MedicalScribeR.Core.Models
+{
+    /// <summary>
+    /// Comando de voz personalizado de um profissional: as frases que disparam uma ação do cliente
+    /// (pause, stop, mark, delete-last, section)
+    /// </summary>
+    public class VoiceCommand
+    {
+        [Key]
+        public Guid CommandId { get; set; }
+        
+        [Required]
+        public string UserId { get; set; } = string.Empty;
+        
+        [Required]
+        public string Action { get; set; } = string.Empty;
+        
+        public List<string> Phrases { get; set; } = new();
+        
+        /// <summary>
+        /// Ordem do comando na lista salva pelo usuário
+        /// </summary>
+        public int Position { get; set; }
+        
+        public DateTime UpdatedAt { get; set; }
+    }
+}
@@ -0,0 +1,41 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Infrastructure;
+
+namespace MedicalScribeR.Infrastructure.Data
+{
+    /// <summary>
+    /// Bancos criados por EnsureCreated, antes das migrations, não têm __EFMigrationsHistory e o Migrate()
+    /// tentaria recriar tabelas existentes. Registra como aplicadas as migrations cujo esquema o banco já tem.
+    /// </summary>
+    public static class LegacySchemaBaseline
+    {
+        private const string Sql = @"
+IF OBJECT_ID(N'[__EFMigrationsHistory]') IS NULL AND OBJECT_ID(N'[TranscriptionSessions]') IS NOT NULL
+BEGIN
+    CREATE TABLE [__EFMigrationsHistory] (
+        [MigrationId] nvarchar(150) NOT NULL,
+        [ProductVersion] nvarchar(32) NOT NULL,
+        CONSTRAINT [PK___EFMigrationsHistory] PRIMARY KEY ([MigrationId])
+    );
+
+    INSERT INTO [__EFMigrationsHistory] ([MigrationId], [ProductVersion])
+    VALUES (N'20261019110000_InitialCreate', N'9.0.7');
+
+    IF COL_LENGTH(N'[TranscriptionChunks]', N'ClientChunkId') IS NOT NULL
+        INSERT INTO [__EFMigrationsHistory] ([MigrationId], [ProductVersion])
+        VALUES (N'20261019120000_AddChunkDeliveryAndReviewColumns', N'9.0.7');
+
+    IF OBJECT_ID(N'[PersonalVocabularyTerms]') IS NOT NULL
+        INSERT INTO [__EFMigrationsHistory] ([MigrationId], [ProductVersion])
+        VALUES (N'20261019130000_AddVocabularyTables', N'9.0.7');
+END";
+
+        /// <summary>
+        /// Sem efeito em banco vazio ou que já tem histórico de migrations
+        /// </summary>
+        public static void Apply(DatabaseFacade database)
+        {
+            database.ExecuteSqlRaw(Sql);
+        }
+    }
+}
@@ -8,6 +8,8 @@ namespace MedicalScribeR.Infrastructure.Data
     /// </summary>
     public class MedicalScribeDbContext : DbContext
     {
+        private static readonly DateTime SeedDate = new DateTime(2025, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+
         public MedicalScribeDbContext(DbContextOptions<MedicalScribeDbContext> options) : base(options)
         {
         }
@@ -36,6 +38,15 @@ namespace MedicalScribeR.Infrastructure.Data
         // Logs de auditoria
         public DbSet<AuditLog> AuditLogs { get; set; }
 
+        // Vocabulrio pessoal dos profissionais
+        public DbSet<PersonalVocabularyTerm> PersonalVocabularyTerms { get; set; }
+
+        // Comandos de voz personalizados
+        public DbSet<VoiceCommand> VoiceCommands { get; set; }
+
+        // Sinais de alarme relatados nas sesses
+        public DbSet<RedFlagAlert> RedFlagAlerts { get; set; }
+
         protected override void OnModelCreating(ModelBuilder modelBuilder)
         {
             base.OnModelCreating(modelBuilder);
@@ -62,8 +73,13 @@ namespace MedicalScribeR.Infrastructure.Data
                 entity.HasKey(e => e.ChunkId);
                 entity.Property(e => e.ChunkId).HasDefaultValueSql("NEWID()");
                 entity.Property(e => e.SessionId).HasMaxLength(100).IsRequired();
+                entity.Property(e => e.ClientChunkId).HasMaxLength(100);
                 entity.Property(e => e.Text).IsRequired();
                 entity.Property(e => e.Speaker).HasMaxLength(100);
+                entity.Property(e => e.SpeakerId).HasMaxLength(50);
+                entity.Property(e => e.SpeakerRole).HasMaxLength(50);
+                entity.Property(e => e.SpeakerConfidence).HasColumnType("decimal(5,4)");
+                entity.Property(e => e.Section).HasMaxLength(100);
                 entity.Property(e => e.Confidence).HasColumnType("decimal(5,4)").HasConversion(v => (double)v, v => (decimal)v);
                 entity.Property(e => e.Timestamp).IsRequired();
 
@@ -74,6 +90,10 @@ namespace MedicalScribeR.Infrastructure.Data
 
                 entity.HasIndex(e => e.SessionId);
                 entity.HasIndex(e => e.Timestamp);
+                entity.HasIndex(e => new { e.SessionId, e.SequenceNumber });
+                entity.HasIndex(e => new { e.SessionId, e.ClientChunkId })
+                      .IsUnique()
+                      .HasFilter("[ClientChunkId] IS NOT NULL");
             });
 
             // Configurao da GeneratedDocument
@@ -200,7 +220,53 @@ namespace MedicalScribeR.Infrastructure.Data
                 entity.HasIndex(e => e.Timestamp);
             });
 
-            // Dados iniciais para AgentConfigurations
+            // Configurao da PersonalVocabularyTerm
+            modelBuilder.Entity<PersonalVocabularyTerm>(entity =>
+            {
+                entity.HasKey(e => e.TermId);
+                entity.Property(e => e.TermId).HasDefaultValueSql("NEWID()");
+                entity.Property(e => e.UserId).HasMaxLength(100).IsRequired();
+                entity.Property(e => e.Term).HasMaxLength(100).IsRequired();
+                entity.Property(e => e.CreatedAt).IsRequired();
+
+                entity.HasIndex(e => new { e.UserId, e.Term }).IsUnique();
+            });
+
+            // Configurao da VoiceCommand
+            modelBuilder.Entity<VoiceCommand>(entity =>
+            {
+                entity.HasKey(e => e.CommandId);
+                entity.Property(e => e.CommandId).HasDefaultValueSql("NEWID()");
+                entity.Property(e => e.UserId).HasMaxLength(100).IsRequired();
+                entity.Property(e => e.Action).HasMaxLength(50).IsRequired();
+                entity.Property(e => e.Phrases).IsRequired();
+                entity.Property(e => e.UpdatedAt).IsRequired();
+
+                entity.HasIndex(e => e.UserId);
+            });
+
+            // Configurao da RedFlagAlert
+            modelBuilder.Entity<RedFlagAlert>(entity =>
+            {
+                entity.HasKey(e => e.AlertId);
+                entity.Property(e => e.AlertId).HasDefaultValueSql("NEWID()");
+                entity.Property(e => e.SessionId).HasMaxLength(100).IsRequired();
+                entity.Property(e => e.FlagId).HasMaxLength(100).IsRequired();
+                entity.Property(e => e.Label).HasMaxLength(200);
+                entity.Property(e => e.Severity).HasMaxLength(50);
+                entity.Property(e => e.Term).HasMaxLength(200);
+                entity.Property(e => e.ReportedBy).HasMaxLength(100).IsRequired();
+                entity.Property(e => e.DetectedAt).IsRequired();
+
+                entity.HasOne<TranscriptionSession>()
+                      .WithMany()
+                      .HasForeignKey(e => e.SessionId)
+                      .OnDelete(DeleteBehavior.Cascade);
+
+                entity.HasIndex(e => e.SessionId);
+            });
+
+            // Dados iniciais para AgentConfigurations (data fixa para o modelo no mudar a cada execuo)
             modelBuilder.Entity<AgentConfiguration>().HasData(
                 new AgentConfiguration
                 {
@@ -209,7 +275,7 @@ namespace MedicalScribeR.Infrastructure.Data
                     ConfidenceThreshold = 0.8,
                     TriggeringIntentions = "Summarize,Conclusion,Review",
                     Prompt = "Gere um resumo conciso da consulta mdica em portugus brasileiro:",
-                    LastUpdated = DateTime.UtcNow
+                    LastUpdated = SeedDate
                 },
                 new AgentConfiguration
                 {
@@ -218,7 +284,7 @@ namespace MedicalScribeR.Infrastructure.Data
                     ConfidenceThreshold = 0.8,
                     TriggeringIntentions = "Prescription,Medication,Treatment",
                     Prompt = "Extraia e estruture as prescries mdicas mencionadas:",
-                    LastUpdated = DateTime.UtcNow
+                    LastUpdated = SeedDate
                 },
                 new AgentConfiguration
                 {
@@ -227,7 +293,7 @@ namespace MedicalScribeR.Infrastructure.Data
                     ConfidenceThreshold = 0.8,
                     TriggeringIntentions = "Diagnosis,Condition,Assessment",
                     Prompt = "Identifique e organize os diagnsticos ou suspeitas diagnsticas:",
-                    LastUpdated = DateTime.UtcNow
+                    LastUpdated = SeedDate
                 },
                 new AgentConfiguration
                 {
@@ -236,7 +302,7 @@ namespace MedicalScribeR.Infrastructure.Data
                     ConfidenceThreshold = 0.8,
                     TriggeringIntentions = "FollowUp,NextSteps,Return",
                     Prompt = "Identifique aes de follow-up e prximos passos:",
-                    LastUpdated = DateTime.UtcNow
+                    LastUpdated = SeedDate
                 }
             );
         }
@@ -0,0 +1,363 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace MedicalScribeR.Infrastructure.Migrations
+{
+    /// <summary>
+    /// Esquema de partida, igual ao que EnsureCreated criava antes das migrations:
+    /// sessões, chunks, documentos, ações, entidades, logs, auditoria e a configuração dos agentes.
+    /// </summary>
+    public partial class InitialCreate : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "AgentConfigurations",
+                columns: table => new
+                {
+                    AgentName = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    ConfidenceThreshold = table.Column<double>(type: "float", nullable: false),
+                    Configuration = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    IsAsync = table.Column<bool>(type: "bit", nullable: false),
+                    IsEnabled = table.Column<bool>(type: "bit", nullable: false),
+                    LastUpdated = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    Priority = table.Column<int>(type: "int", nullable: false),
+                    Prompt = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    RequiredEntities = table.Column<string>(type: "nvarchar(max)", nullable: false),
+                    TriggeringIntentions = table.Column<string>(type: "nvarchar(max)", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_AgentConfigurations", x => x.AgentName);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "AuditLogs",
+                columns: table => new
+                {
+                    LogId = table.Column<Guid>(type: "uniqueidentifier", nullable: false, defaultValueSql: "NEWID()"),
+                    Action = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    Details = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    EntityId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: true),
+                    EntityType = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: true),
+                    IpAddress = table.Column<string>(type: "nvarchar(45)", maxLength: 45, nullable: true),
+                    SessionId = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    Timestamp = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    UserAgent = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    UserId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_AuditLogs", x => x.LogId);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "TranscriptionSessions",
+                columns: table => new
+                {
+                    SessionId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    AudioDurationSeconds = table.Column<int>(type: "int", nullable: true),
+                    CompletedAt = table.Column<DateTime>(type: "datetime2", nullable: true),
+                    ConsultationType = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    Department = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    EndedAt = table.Column<DateTime>(type: "datetime2", nullable: true),
+                    Notes = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    PatientId = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    PatientName = table.Column<string>(type: "nvarchar(200)", maxLength: 200, nullable: false),
+                    StartedAt = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    Status = table.Column<int>(type: "int", maxLength: 50, nullable: false),
+                    TotalChunks = table.Column<int>(type: "int", nullable: false),
+                    TotalDocuments = table.Column<int>(type: "int", nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    UserId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_TranscriptionSessions", x => x.SessionId);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "ActionItems",
+                columns: table => new
+                {
+                    ActionId = table.Column<Guid>(type: "uniqueidentifier", nullable: false, defaultValueSql: "NEWID()"),
+                    AssignedTo = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    CompletedAt = table.Column<DateTime>(type: "datetime2", nullable: true),
+                    CreatedAt = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    Description = table.Column<string>(type: "nvarchar(max)", nullable: false),
+                    DueDate = table.Column<DateTime>(type: "datetime2", nullable: true),
+                    IsCompleted = table.Column<bool>(type: "bit", nullable: false, defaultValue: false),
+                    Notes = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    Priority = table.Column<string>(type: "nvarchar(20)", maxLength: 20, nullable: false),
+                    SessionId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    Status = table.Column<int>(type: "int", nullable: false),
+                    Title = table.Column<string>(type: "nvarchar(max)", nullable: false),
+                    Type = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_ActionItems", x => x.ActionId);
+                    table.ForeignKey(
+                        name: "FK_ActionItems_TranscriptionSessions_SessionId",
+                        column: x => x.SessionId,
+                        principalTable: "TranscriptionSessions",
+                        principalColumn: "SessionId",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "GeneratedDocuments",
+                columns: table => new
+                {
+                    DocumentId = table.Column<Guid>(type: "uniqueidentifier", nullable: false, defaultValueSql: "NEWID()"),
+                    ApprovedAt = table.Column<DateTime>(type: "datetime2", nullable: true),
+                    ApprovedBy = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    ConfidenceScore = table.Column<decimal>(type: "decimal(18,2)", nullable: false),
+                    Content = table.Column<string>(type: "nvarchar(max)", nullable: false),
+                    CreatedAt = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    GeneratedBy = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    IsApproved = table.Column<bool>(type: "bit", nullable: false, defaultValue: false),
+                    Metadata = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    ReviewedAt = table.Column<DateTime>(type: "datetime2", nullable: true),
+                    ReviewedBy = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    SessionId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    Status = table.Column<int>(type: "int", nullable: false),
+                    Type = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    ValidationStatus = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    Version = table.Column<string>(type: "nvarchar(max)", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_GeneratedDocuments", x => x.DocumentId);
+                    table.ForeignKey(
+                        name: "FK_GeneratedDocuments_TranscriptionSessions_SessionId",
+                        column: x => x.SessionId,
+                        principalTable: "TranscriptionSessions",
+                        principalColumn: "SessionId",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "HealthcareEntities",
+                columns: table => new
+                {
+                    EntityId = table.Column<Guid>(type: "uniqueidentifier", nullable: false, defaultValueSql: "NEWID()"),
+                    Category = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    ConfidenceScore = table.Column<double>(type: "decimal(5,4)", nullable: false),
+                    ExtractedAt = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    Length = table.Column<int>(type: "int", nullable: false),
+                    Links = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    NormalizedText = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    Offset = table.Column<int>(type: "int", nullable: false),
+                    SessionId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    SubCategory = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: true),
+                    Text = table.Column<string>(type: "nvarchar(max)", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_HealthcareEntities", x => x.EntityId);
+                    table.ForeignKey(
+                        name: "FK_HealthcareEntities_TranscriptionSessions_SessionId",
+                        column: x => x.SessionId,
+                        principalTable: "TranscriptionSessions",
+                        principalColumn: "SessionId",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "ProcessingLogs",
+                columns: table => new
+                {
+                    LogId = table.Column<Guid>(type: "uniqueidentifier", nullable: false, defaultValueSql: "NEWID()"),
+                    Action = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    AgentName = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    Details = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    Duration = table.Column<TimeSpan>(type: "time", nullable: false),
+                    ErrorMessage = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    InputData = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    IsSuccess = table.Column<bool>(type: "bit", nullable: false),
+                    OutputData = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    SessionId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    Timestamp = table.Column<DateTime>(type: "datetime2", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_ProcessingLogs", x => x.LogId);
+                    table.ForeignKey(
+                        name: "FK_ProcessingLogs_TranscriptionSessions_SessionId",
+                        column: x => x.SessionId,
+                        principalTable: "TranscriptionSessions",
+                        principalColumn: "SessionId",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "TranscriptionChunks",
+                columns: table => new
+                {
+                    ChunkId = table.Column<Guid>(type: "uniqueidentifier", nullable: false, defaultValueSql: "NEWID()"),
+                    Confidence = table.Column<double>(type: "decimal(5,4)", nullable: false),
+                    IsProcessed = table.Column<bool>(type: "bit", nullable: false),
+                    Language = table.Column<string>(type: "nvarchar(max)", nullable: true),
+                    SequenceNumber = table.Column<int>(type: "int", nullable: false),
+                    SessionId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    Speaker = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: true),
+                    Text = table.Column<string>(type: "nvarchar(max)", nullable: false),
+                    Timestamp = table.Column<DateTime>(type: "datetime2", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_TranscriptionChunks", x => x.ChunkId);
+                    table.ForeignKey(
+                        name: "FK_TranscriptionChunks_TranscriptionSessions_SessionId",
+                        column: x => x.SessionId,
+                        principalTable: "TranscriptionSessions",
+                        principalColumn: "SessionId",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.InsertData(
+                table: "AgentConfigurations",
+                columns: new[] { "AgentName", "ConfidenceThreshold", "Configuration", "IsAsync", "IsEnabled", "LastUpdated", "Priority", "Prompt", "RequiredEntities", "TriggeringIntentions" },
+                values: new object[,]
+                {
+                    { "SummaryAgent", 0.80000000000000004, null, true, true, new DateTime(2025, 1, 1, 0, 0, 0, 0, DateTimeKind.Utc), 0, "Gere um resumo conciso da consulta médica em português brasileiro:", "[]", "Summarize,Conclusion,Review" },
+                    { "PrescriptionAgent", 0.80000000000000004, null, true, true, new DateTime(2025, 1, 1, 0, 0, 0, 0, DateTimeKind.Utc), 0, "Extraia e estruture as prescrições médicas mencionadas:", "[]", "Prescription,Medication,Treatment" },
+                    { "DiagnosisAgent", 0.80000000000000004, null, true, true, new DateTime(2025, 1, 1, 0, 0, 0, 0, DateTimeKind.Utc), 0, "Identifique e organize os diagnósticos ou suspeitas diagnósticas:", "[]", "Diagnosis,Condition,Assessment" },
+                    { "FollowUpAgent", 0.80000000000000004, null, true, true, new DateTime(2025, 1, 1, 0, 0, 0, 0, DateTimeKind.Utc), 0, "Identifique ações de follow-up e próximos passos:", "[]", "FollowUp,NextSteps,Return" }
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_ActionItems_IsCompleted",
+                table: "ActionItems",
+                column: "IsCompleted");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_ActionItems_Priority",
+                table: "ActionItems",
+                column: "Priority");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_ActionItems_SessionId",
+                table: "ActionItems",
+                column: "SessionId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AuditLogs_Action",
+                table: "AuditLogs",
+                column: "Action");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AuditLogs_Timestamp",
+                table: "AuditLogs",
+                column: "Timestamp");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AuditLogs_UserId",
+                table: "AuditLogs",
+                column: "UserId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_GeneratedDocuments_CreatedAt",
+                table: "GeneratedDocuments",
+                column: "CreatedAt");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_GeneratedDocuments_SessionId",
+                table: "GeneratedDocuments",
+                column: "SessionId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_GeneratedDocuments_Type",
+                table: "GeneratedDocuments",
+                column: "Type");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_HealthcareEntities_Category",
+                table: "HealthcareEntities",
+                column: "Category");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_HealthcareEntities_SessionId",
+                table: "HealthcareEntities",
+                column: "SessionId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_ProcessingLogs_AgentName",
+                table: "ProcessingLogs",
+                column: "AgentName");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_ProcessingLogs_IsSuccess",
+                table: "ProcessingLogs",
+                column: "IsSuccess");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_ProcessingLogs_SessionId",
+                table: "ProcessingLogs",
+                column: "SessionId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_ProcessingLogs_Timestamp",
+                table: "ProcessingLogs",
+                column: "Timestamp");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TranscriptionChunks_SessionId",
+                table: "TranscriptionChunks",
+                column: "SessionId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TranscriptionChunks_Timestamp",
+                table: "TranscriptionChunks",
+                column: "Timestamp");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TranscriptionSessions_StartedAt",
+                table: "TranscriptionSessions",
+                column: "StartedAt");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TranscriptionSessions_Status",
+                table: "TranscriptionSessions",
+                column: "Status");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TranscriptionSessions_UserId",
+                table: "TranscriptionSessions",
+                column: "UserId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "ActionItems");
+
+            migrationBuilder.DropTable(
+                name: "AgentConfigurations");
+
+            migrationBuilder.DropTable(
+                name: "AuditLogs");
+
+            migrationBuilder.DropTable(
+                name: "GeneratedDocuments");
+
+            migrationBuilder.DropTable(
+                name: "HealthcareEntities");
+
+            migrationBuilder.DropTable(
+                name: "ProcessingLogs");
+
+            migrationBuilder.DropTable(
+                name: "TranscriptionChunks");
+
+            migrationBuilder.DropTable(
+                name: "TranscriptionSessions");
+        }
+    }
+}
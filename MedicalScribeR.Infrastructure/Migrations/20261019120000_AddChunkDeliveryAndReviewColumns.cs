@@ -0,0 +1,168 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace MedicalScribeR.Infrastructure.Migrations
+{
+    /// <summary>
+    /// Colunas de TranscriptionChunk para entrega confirmada (ClientChunkId), falantes, normalização,
+    /// correção e revisão, e o índice único (SessionId, ClientChunkId) que impede gravar um reenvio duas vezes.
+    /// </summary>
+    public partial class AddChunkDeliveryAndReviewColumns : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "ClientChunkId",
+                table: "TranscriptionChunks",
+                type: "nvarchar(100)",
+                maxLength: 100,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "RawText",
+                table: "TranscriptionChunks",
+                type: "nvarchar(max)",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "SpeakerId",
+                table: "TranscriptionChunks",
+                type: "nvarchar(50)",
+                maxLength: 50,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "SpeakerRole",
+                table: "TranscriptionChunks",
+                type: "nvarchar(50)",
+                maxLength: 50,
+                nullable: true);
+
+            migrationBuilder.AddColumn<decimal>(
+                name: "SpeakerConfidence",
+                table: "TranscriptionChunks",
+                type: "decimal(5,4)",
+                nullable: true);
+
+            migrationBuilder.AddColumn<long>(
+                name: "OffsetMs",
+                table: "TranscriptionChunks",
+                type: "bigint",
+                nullable: true);
+
+            migrationBuilder.AddColumn<long>(
+                name: "DurationMs",
+                table: "TranscriptionChunks",
+                type: "bigint",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "OriginalText",
+                table: "TranscriptionChunks",
+                type: "nvarchar(max)",
+                nullable: true);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "IsCorrected",
+                table: "TranscriptionChunks",
+                type: "bit",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "NeedsReview",
+                table: "TranscriptionChunks",
+                type: "bit",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.AddColumn<DateTime>(
+                name: "ReviewedAt",
+                table: "TranscriptionChunks",
+                type: "datetime2",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "Section",
+                table: "TranscriptionChunks",
+                type: "nvarchar(100)",
+                maxLength: 100,
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TranscriptionChunks_SessionId_SequenceNumber",
+                table: "TranscriptionChunks",
+                columns: new[] { "SessionId", "SequenceNumber" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_TranscriptionChunks_SessionId_ClientChunkId",
+                table: "TranscriptionChunks",
+                columns: new[] { "SessionId", "ClientChunkId" },
+                unique: true,
+                filter: "[ClientChunkId] IS NOT NULL");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropIndex(
+                name: "IX_TranscriptionChunks_SessionId_ClientChunkId",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropIndex(
+                name: "IX_TranscriptionChunks_SessionId_SequenceNumber",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "ClientChunkId",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "RawText",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "SpeakerId",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "SpeakerRole",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "SpeakerConfidence",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "OffsetMs",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "DurationMs",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "OriginalText",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "IsCorrected",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "NeedsReview",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "ReviewedAt",
+                table: "TranscriptionChunks");
+
+            migrationBuilder.DropColumn(
+                name: "Section",
+                table: "TranscriptionChunks");
+        }
+    }
+}
@@ -0,0 +1,68 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace MedicalScribeR.Infrastructure.Migrations
+{
+    /// <summary>
+    /// Vocabulário pessoal e comandos de voz dos profissionais, antes guardados só no cache distribuído.
+    /// </summary>
+    public partial class AddVocabularyTables : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "PersonalVocabularyTerms",
+                columns: table => new
+                {
+                    TermId = table.Column<Guid>(type: "uniqueidentifier", nullable: false, defaultValueSql: "NEWID()"),
+                    UserId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    Term = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    CreatedAt = table.Column<DateTime>(type: "datetime2", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_PersonalVocabularyTerms", x => x.TermId);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "VoiceCommands",
+                columns: table => new
+                {
+                    CommandId = table.Column<Guid>(type: "uniqueidentifier", nullable: false, defaultValueSql: "NEWID()"),
+                    UserId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    Action = table.Column<string>(type: "nvarchar(50)", maxLength: 50, nullable: false),
+                    Phrases = table.Column<string>(type: "nvarchar(max)", nullable: false),
+                    Position = table.Column<int>(type: "int", nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "datetime2", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_VoiceCommands", x => x.CommandId);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_PersonalVocabularyTerms_UserId_Term",
+                table: "PersonalVocabularyTerms",
+                columns: new[] { "UserId", "Term" },
+                unique: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_VoiceCommands_UserId",
+                table: "VoiceCommands",
+                column: "UserId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "PersonalVocabularyTerms");
+
+            migrationBuilder.DropTable(
+                name: "VoiceCommands");
+        }
+    }
+}
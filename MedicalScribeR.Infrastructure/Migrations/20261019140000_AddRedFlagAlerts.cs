@@ -0,0 +1,54 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace MedicalScribeR.Infrastructure.Migrations
+{
+    /// <summary>
+    /// Sinais de alarme relatados nas sessões, antes guardados só no cache distribuído por 4 horas.
+    /// </summary>
+    public partial class AddRedFlagAlerts : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "RedFlagAlerts",
+                columns: table => new
+                {
+                    AlertId = table.Column<Guid>(type: "uniqueidentifier", nullable: false, defaultValueSql: "NEWID()"),
+                    SessionId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    SequenceNumber = table.Column<int>(type: "int", nullable: false),
+                    FlagId = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    Label = table.Column<string>(type: "nvarchar(200)", maxLength: 200, nullable: true),
+                    Severity = table.Column<string>(type: "nvarchar(50)", maxLength: 50, nullable: true),
+                    Term = table.Column<string>(type: "nvarchar(200)", maxLength: 200, nullable: true),
+                    ReportedBy = table.Column<string>(type: "nvarchar(100)", maxLength: 100, nullable: false),
+                    DetectedAt = table.Column<DateTime>(type: "datetime2", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_RedFlagAlerts", x => x.AlertId);
+                    table.ForeignKey(
+                        name: "FK_RedFlagAlerts_TranscriptionSessions_SessionId",
+                        column: x => x.SessionId,
+                        principalTable: "TranscriptionSessions",
+                        principalColumn: "SessionId",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_RedFlagAlerts_SessionId",
+                table: "RedFlagAlerts",
+                column: "SessionId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "RedFlagAlerts");
+        }
+    }
+}
@@ -193,11 +193,198 @@ namespace MedicalScribeR.Infrastructure.Repositories
             }
             catch (Exception ex)
             {
+                // Um chunk rejeitado (ex.: ID do cliente repetido) não pode ficar pendente no contexto
+                _context.Entry(chunk).State = EntityState.Detached;
+
                 _logger.LogError(ex, "Erro ao salvar chunk de transcrição: {SessionId}", chunk.SessionId);
                 throw;
             }
         }
 
+        /// <summary>
+        /// Busca um chunk pelo ID gerado no cliente, usado para reconhecer reenvios.
+        /// </summary>
+        public async Task<TranscriptionChunk?> GetChunkByClientIdAsync(string sessionId, string clientChunkId)
+        {
+            if (string.IsNullOrWhiteSpace(sessionId))
+                throw new ArgumentException("SessionId não pode ser vazio", nameof(sessionId));
+
+            if (string.IsNullOrWhiteSpace(clientChunkId))
+                throw new ArgumentException("ID do chunk não pode ser vazio", nameof(clientChunkId));
+
+            try
+            {
+                return await _context.TranscriptionChunks
+                    .AsNoTracking()
+                    .FirstOrDefaultAsync(c => c.SessionId == sessionId && c.ClientChunkId == clientChunkId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao buscar chunk {ClientChunkId} da sessão: {SessionId}", clientChunkId, sessionId);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Lista os números de sequência gravados de uma sessão, em ordem, para detectar lacunas.
+        /// </summary>
+        public async Task<List<int>> GetChunkSequenceNumbersAsync(string sessionId)
+        {
+            if (string.IsNullOrWhiteSpace(sessionId))
+                throw new ArgumentException("SessionId não pode ser vazio", nameof(sessionId));
+
+            try
+            {
+                return await _context.TranscriptionChunks
+                    .AsNoTracking()
+                    .Where(c => c.SessionId == sessionId)
+                    .Select(c => c.SequenceNumber)
+                    .OrderBy(sequenceNumber => sequenceNumber)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao buscar sequência de chunks da sessão: {SessionId}", sessionId);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Substitui o texto de um chunk corrigido pelo profissional, preservando o texto reconhecido original.
+        /// </summary>
+        public async Task<TranscriptionChunk?> UpdateChunkTextAsync(string sessionId, int sequenceNumber, string correctedText)
+        {
+            if (string.IsNullOrWhiteSpace(sessionId))
+                throw new ArgumentException("SessionId não pode ser vazio", nameof(sessionId));
+
+            if (string.IsNullOrWhiteSpace(correctedText))
+                throw new ArgumentException("Texto corrigido não pode ser vazio", nameof(correctedText));
+
+            try
+            {
+                _logger.LogDebug("Corrigindo chunk: {SessionId} - Sequence {SequenceNumber}", sessionId, sequenceNumber);
+
+                var chunk = await _context.TranscriptionChunks
+                    .FirstOrDefaultAsync(c => c.SessionId == sessionId && c.SequenceNumber == sequenceNumber);
+
+                if (chunk == null)
+                {
+                    return null;
+                }
+
+                // Correções sucessivas mantêm o texto do reconhecimento
+                chunk.OriginalText ??= chunk.Text;
+                chunk.Text = correctedText;
+                chunk.IsCorrected = true;
+
+                await _context.SaveChangesAsync();
+
+                _logger.LogInformation("Chunk corrigido: {SessionId} - Sequence {SequenceNumber}", sessionId, sequenceNumber);
+
+                return chunk;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao corrigir chunk: {SessionId} - Sequence {SequenceNumber}", sessionId, sequenceNumber);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Confirma um chunk da fila de revisão de baixa confiança, aplicando a correção quando houver.
+        /// </summary>
+        public async Task<TranscriptionChunk?> MarkChunkReviewedAsync(string sessionId, int sequenceNumber, string? correctedText)
+        {
+            if (string.IsNullOrWhiteSpace(sessionId))
+                throw new ArgumentException("SessionId não pode ser vazio", nameof(sessionId));
+
+            try
+            {
+                var chunk = await _context.TranscriptionChunks
+                    .FirstOrDefaultAsync(c => c.SessionId == sessionId && c.SequenceNumber == sequenceNumber);
+
+                if (chunk == null)
+                {
+                    return null;
+                }
+
+                if (!string.IsNullOrWhiteSpace(correctedText) && correctedText != chunk.Text)
+                {
+                    chunk.OriginalText ??= chunk.Text;
+                    chunk.Text = correctedText;
+                    chunk.IsCorrected = true;
+                }
+
+                chunk.ReviewedAt ??= DateTime.UtcNow;
+
+                await _context.SaveChangesAsync();
+
+                _logger.LogInformation("Chunk revisado: {SessionId} - Sequence {SequenceNumber}", sessionId, sequenceNumber);
+
+                return chunk;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao revisar chunk: {SessionId} - Sequence {SequenceNumber}", sessionId, sequenceNumber);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Conta os chunks de baixa confiança ainda não confirmados pelo profissional.
+        /// </summary>
+        public async Task<int> GetPendingReviewCountAsync(string sessionId)
+        {
+            if (string.IsNullOrWhiteSpace(sessionId))
+                throw new ArgumentException("SessionId não pode ser vazio", nameof(sessionId));
+
+            try
+            {
+                return await _context.TranscriptionChunks
+                    .AsNoTracking()
+                    .CountAsync(c => c.SessionId == sessionId && c.NeedsReview && c.ReviewedAt == null);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao contar chunks pendentes de revisão da sessão: {SessionId}", sessionId);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Remove um chunk descartado pelo profissional (ex.: comando "apagar última frase").
+        /// </summary>
+        public async Task<bool> DeleteChunkAsync(string sessionId, int sequenceNumber)
+        {
+            if (string.IsNullOrWhiteSpace(sessionId))
+                throw new ArgumentException("SessionId não pode ser vazio", nameof(sessionId));
+
+            try
+            {
+                _logger.LogDebug("Removendo chunk: {SessionId} - Sequence {SequenceNumber}", sessionId, sequenceNumber);
+
+                var chunk = await _context.TranscriptionChunks
+                    .FirstOrDefaultAsync(c => c.SessionId == sessionId && c.SequenceNumber == sequenceNumber);
+
+                if (chunk == null)
+                {
+                    _logger.LogWarning("Tentativa de remover chunk inexistente: {SessionId} - Sequence {SequenceNumber}", sessionId, sequenceNumber);
+                    return false;
+                }
+
+                _context.TranscriptionChunks.Remove(chunk);
+                await _context.SaveChangesAsync();
+
+                _logger.LogInformation("Chunk removido: {SessionId} - Sequence {SequenceNumber}", sessionId, sequenceNumber);
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao remover chunk: {SessionId} - Sequence {SequenceNumber}", sessionId, sequenceNumber);
+                throw;
+            }
+        }
+
         /// <summary>
         /// Recupera todos os chunks de uma sessão de transcrição (método alternativo).
         /// </summary>
@@ -542,6 +729,228 @@ namespace MedicalScribeR.Infrastructure.Repositories
 
         #endregion
 
+        #region Vocabulary Management
+
+        /// <summary>
+        /// Recupera o vocabulário pessoal do usuário, na ordem em que os termos foram adicionados.
+        /// </summary>
+        public async Task<List<string>> GetPersonalTermsAsync(string userId)
+        {
+            if (string.IsNullOrWhiteSpace(userId))
+                throw new ArgumentException("UserId não pode ser vazio", nameof(userId));
+
+            try
+            {
+                return await _context.PersonalVocabularyTerms
+                    .AsNoTracking()
+                    .Where(t => t.UserId == userId)
+                    .OrderBy(t => t.CreatedAt)
+                    .Select(t => t.Term)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao buscar vocabulário pessoal do usuário: {UserId}", userId);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Adiciona um termo ao vocabulário pessoal; false quando o usuário já tem o termo (sem diferenciar maiúsculas).
+        /// </summary>
+        public async Task<bool> AddPersonalTermAsync(string userId, string term)
+        {
+            if (string.IsNullOrWhiteSpace(userId))
+                throw new ArgumentException("UserId não pode ser vazio", nameof(userId));
+
+            if (string.IsNullOrWhiteSpace(term))
+                throw new ArgumentException("Termo não pode ser vazio", nameof(term));
+
+            var entry = new PersonalVocabularyTerm
+            {
+                UserId = userId,
+                Term = term,
+                CreatedAt = DateTime.UtcNow
+            };
+
+            try
+            {
+                var normalizedTerm = term.ToLower();
+                if (await _context.PersonalVocabularyTerms.AnyAsync(t => t.UserId == userId && t.Term.ToLower() == normalizedTerm))
+                {
+                    return false;
+                }
+
+                _context.PersonalVocabularyTerms.Add(entry);
+                await _context.SaveChangesAsync();
+
+                return true;
+            }
+            catch (Exception ex)
+            {
+                // Termo rejeitado (ex.: adicionado ao mesmo tempo em outra aba) não pode ficar pendente no contexto
+                _context.Entry(entry).State = EntityState.Detached;
+
+                _logger.LogError(ex, "Erro ao adicionar termo pessoal do usuário: {UserId}", userId);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Remove um termo do vocabulário pessoal (sem diferenciar maiúsculas); false quando não existe.
+        /// </summary>
+        public async Task<bool> RemovePersonalTermAsync(string userId, string term)
+        {
+            if (string.IsNullOrWhiteSpace(userId))
+                throw new ArgumentException("UserId não pode ser vazio", nameof(userId));
+
+            if (string.IsNullOrWhiteSpace(term))
+                throw new ArgumentException("Termo não pode ser vazio", nameof(term));
+
+            try
+            {
+                var normalizedTerm = term.ToLower();
+                var entries = await _context.PersonalVocabularyTerms
+                    .Where(t => t.UserId == userId && t.Term.ToLower() == normalizedTerm)
+                    .ToListAsync();
+
+                if (entries.Count == 0)
+                {
+                    return false;
+                }
+
+                _context.PersonalVocabularyTerms.RemoveRange(entries);
+                await _context.SaveChangesAsync();
+
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao remover termo pessoal do usuário: {UserId}", userId);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Recupera os comandos de voz personalizados do usuário, na ordem em que foram salvos.
+        /// </summary>
+        public async Task<List<VoiceCommand>> GetVoiceCommandsAsync(string userId)
+        {
+            if (string.IsNullOrWhiteSpace(userId))
+                throw new ArgumentException("UserId não pode ser vazio", nameof(userId));
+
+            try
+            {
+                return await _context.VoiceCommands
+                    .AsNoTracking()
+                    .Where(c => c.UserId == userId)
+                    .OrderBy(c => c.Position)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao buscar comandos de voz do usuário: {UserId}", userId);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Substitui os comandos de voz personalizados do usuário numa única gravação.
+        /// </summary>
+        public async Task<List<VoiceCommand>> SaveVoiceCommandsAsync(string userId, IReadOnlyList<VoiceCommand> commands)
+        {
+            if (string.IsNullOrWhiteSpace(userId))
+                throw new ArgumentException("UserId não pode ser vazio", nameof(userId));
+
+            if (commands == null)
+                throw new ArgumentNullException(nameof(commands));
+
+            try
+            {
+                var existing = await _context.VoiceCommands
+                    .Where(c => c.UserId == userId)
+                    .ToListAsync();
+                _context.VoiceCommands.RemoveRange(existing);
+
+                var now = DateTime.UtcNow;
+                for (var i = 0; i < commands.Count; i++)
+                {
+                    commands[i].UserId = userId;
+                    commands[i].Position = i;
+                    commands[i].UpdatedAt = now;
+                }
+                _context.VoiceCommands.AddRange(commands);
+
+                await _context.SaveChangesAsync();
+
+                _logger.LogInformation("Comandos de voz salvos para o usuário {UserId}: {Count}", userId, commands.Count);
+
+                return commands.ToList();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao salvar comandos de voz do usuário: {UserId}", userId);
+                throw;
+            }
+        }
+
+        #endregion
+
+        #region Red Flag Management
+
+        /// <summary>
+        /// Grava os sinais de alarme relatados num trecho. Cada relato é uma linha nova, então relatos simultâneos não se sobrescrevem.
+        /// </summary>
+        public async Task<List<RedFlagAlert>> SaveRedFlagAlertsAsync(IReadOnlyList<RedFlagAlert> alerts)
+        {
+            if (alerts == null)
+                throw new ArgumentNullException(nameof(alerts));
+
+            try
+            {
+                _context.RedFlagAlerts.AddRange(alerts);
+                await _context.SaveChangesAsync();
+
+                return alerts.ToList();
+            }
+            catch (Exception ex)
+            {
+                foreach (var alert in alerts)
+                {
+                    _context.Entry(alert).State = EntityState.Detached;
+                }
+
+                _logger.LogError(ex, "Erro ao salvar sinais de alarme da sessão: {SessionId}", alerts.FirstOrDefault()?.SessionId);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Recupera os sinais de alarme de uma sessão, na ordem em que foram relatados.
+        /// </summary>
+        public async Task<List<RedFlagAlert>> GetRedFlagAlertsBySessionAsync(string sessionId)
+        {
+            if (string.IsNullOrWhiteSpace(sessionId))
+                throw new ArgumentException("SessionId não pode ser vazio", nameof(sessionId));
+
+            try
+            {
+                return await _context.RedFlagAlerts
+                    .AsNoTracking()
+                    .Where(a => a.SessionId == sessionId)
+                    .OrderBy(a => a.DetectedAt)
+                    .ThenBy(a => a.SequenceNumber)
+                    .ToListAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao buscar sinais de alarme da sessão: {SessionId}", sessionId);
+                throw;
+            }
+        }
+
+        #endregion
+
         #region Private Helper Methods
 
         /// <summary>
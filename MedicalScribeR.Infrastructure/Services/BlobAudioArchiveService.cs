@@ -0,0 +1,242 @@
+using Azure;
+using Azure.Identity;
+using Azure.Storage.Blobs;
+using Azure.Storage.Blobs.Models;
+using MedicalScribeR.Core.Configuration;
+using MedicalScribeR.Core.Interfaces;
+using MedicalScribeR.Core.Models;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using System.Globalization;
+
+namespace MedicalScribeR.Infrastructure.Services
+{
+    /// <summary>
+    /// Arquiva os segmentos de áudio das sessões no Azure Blob Storage.
+    /// Cada segmento é um blob "{sessionId}/{índice}"; offsets e datas ficam nos metadados do blob.
+    /// </summary>
+    public class BlobAudioArchiveService : IAudioArchiveService
+    {
+        private const string OffsetMetadataKey = "offsetms";
+        private const string DurationMetadataKey = "durationms";
+        private const string RecordedAtMetadataKey = "recordedat";
+
+        private readonly AudioArchiveOptions _options;
+        private readonly ILogger<BlobAudioArchiveService> _logger;
+        private readonly BlobContainerClient? _container;
+        private readonly SemaphoreSlim _containerLock = new(1, 1);
+        private bool _containerReady;
+
+        public BlobAudioArchiveService(IOptions<AudioArchiveOptions> options, ILogger<BlobAudioArchiveService> logger)
+        {
+            _options = options?.Value ?? throw new ArgumentNullException(nameof(options));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+
+            if (!_options.Enabled)
+            {
+                _logger.LogInformation("Arquivamento de áudio desabilitado por configuração");
+                return;
+            }
+
+            if (IsConfigured(_options.ConnectionString))
+            {
+                _container = new BlobContainerClient(_options.ConnectionString, _options.ContainerName);
+            }
+            else if (IsConfigured(_options.ServiceUri))
+            {
+                var containerUri = new Uri($"{_options.ServiceUri.TrimEnd('/')}/{_options.ContainerName}");
+                _container = new BlobContainerClient(containerUri, new DefaultAzureCredential());
+            }
+            else
+            {
+                _logger.LogWarning("Arquivamento de áudio sem armazenamento configurado (AudioArchive:ConnectionString ou AudioArchive:ServiceUri)");
+            }
+        }
+
+        public bool IsEnabled => _container != null;
+
+        public async Task<AudioSegment> SaveSegmentAsync(AudioSegment segment, Stream content, CancellationToken cancellationToken = default)
+        {
+            if (segment == null)
+                throw new ArgumentNullException(nameof(segment));
+            if (content == null)
+                throw new ArgumentNullException(nameof(content));
+
+            var container = await GetContainerAsync(cancellationToken);
+            var blob = container.GetBlobClient(GetBlobName(segment.SessionId, segment.SegmentIndex));
+
+            segment.UploadedAt = DateTime.UtcNow;
+
+            // Reenvios do mesmo índice (upload interrompido, retentativa) substituem o blob
+            await blob.UploadAsync(content, new BlobUploadOptions
+            {
+                HttpHeaders = new BlobHttpHeaders { ContentType = segment.ContentType },
+                Metadata = new Dictionary<string, string>
+                {
+                    [OffsetMetadataKey] = segment.OffsetMs.ToString(CultureInfo.InvariantCulture),
+                    [DurationMetadataKey] = segment.DurationMs.ToString(CultureInfo.InvariantCulture),
+                    [RecordedAtMetadataKey] = segment.RecordedAt.ToString("O", CultureInfo.InvariantCulture)
+                }
+            }, cancellationToken);
+
+            _logger.LogInformation("Segmento de áudio {SegmentIndex} da sessão {SessionId} arquivado ({SizeBytes} bytes)",
+                segment.SegmentIndex, segment.SessionId, segment.SizeBytes);
+
+            return segment;
+        }
+
+        public async Task<IReadOnlyList<AudioSegment>> GetSegmentsAsync(string sessionId, CancellationToken cancellationToken = default)
+        {
+            var container = await GetContainerAsync(cancellationToken);
+            var segments = new List<AudioSegment>();
+
+            await foreach (var item in container.GetBlobsAsync(BlobTraits.Metadata, BlobStates.None, GetSessionPrefix(sessionId), cancellationToken))
+            {
+                if (TryParseSegmentIndex(item.Name, out var segmentIndex))
+                {
+                    segments.Add(ToSegment(sessionId, segmentIndex, item.Properties.ContentType, item.Properties.ContentLength ?? 0,
+                        item.Metadata, item.Properties.CreatedOn));
+                }
+            }
+
+            return segments.OrderBy(s => s.SegmentIndex).ToList();
+        }
+
+        public async Task<(AudioSegment Segment, Stream Content)?> OpenSegmentAsync(string sessionId, int segmentIndex, CancellationToken cancellationToken = default)
+        {
+            var container = await GetContainerAsync(cancellationToken);
+            var blob = container.GetBlobClient(GetBlobName(sessionId, segmentIndex));
+
+            try
+            {
+                var response = await blob.DownloadStreamingAsync(cancellationToken: cancellationToken);
+                var details = response.Value.Details;
+
+                var segment = ToSegment(sessionId, segmentIndex, details.ContentType, details.ContentLength,
+                    details.Metadata, details.CreatedOn);
+
+                return (segment, response.Value.Content);
+            }
+            catch (RequestFailedException ex) when (ex.Status == 404)
+            {
+                return null;
+            }
+        }
+
+        public async Task<int> DeleteSegmentsArchivedBeforeAsync(DateTime cutoff, CancellationToken cancellationToken = default)
+        {
+            var container = await GetContainerAsync(cancellationToken);
+            var deleted = 0;
+
+            // A data de criação do blob é do armazenamento; "recordedat" vem do cliente e não decide a exclusão
+            await foreach (var item in container.GetBlobsAsync(BlobTraits.None, BlobStates.None, null, cancellationToken))
+            {
+                var createdOn = item.Properties.CreatedOn;
+                if (createdOn == null || createdOn.Value.UtcDateTime >= cutoff)
+                    continue;
+
+                // Blobs sob retenção legal ou política de imutabilidade recusam a exclusão
+                try
+                {
+                    if (await container.DeleteBlobIfExistsAsync(item.Name, cancellationToken: cancellationToken))
+                    {
+                        deleted++;
+                    }
+                }
+                catch (RequestFailedException ex) when (ex.Status == 409)
+                {
+                    _logger.LogWarning("Segmento de áudio {BlobName} protegido contra exclusão: {Reason}", item.Name, ex.ErrorCode);
+                }
+            }
+
+            if (deleted > 0)
+            {
+                _logger.LogInformation("{Count} segmento(s) de áudio arquivados antes de {Cutoff:O} removidos pela retenção", deleted, cutoff);
+            }
+
+            return deleted;
+        }
+
+        private async Task<BlobContainerClient> GetContainerAsync(CancellationToken cancellationToken)
+        {
+            if (_container == null)
+                throw new InvalidOperationException("Arquivamento de áudio não configurado");
+
+            if (_containerReady)
+                return _container;
+
+            await _containerLock.WaitAsync(cancellationToken);
+            try
+            {
+                if (!_containerReady)
+                {
+                    await _container.CreateIfNotExistsAsync(PublicAccessType.None, cancellationToken: cancellationToken);
+                    _containerReady = true;
+                }
+            }
+            finally
+            {
+                _containerLock.Release();
+            }
+
+            return _container;
+        }
+
+        private static bool IsConfigured(string value)
+        {
+            // Valores "#{...}#" são substituídos no pipeline de deploy
+            return !string.IsNullOrWhiteSpace(value) && !value.StartsWith("#{");
+        }
+
+        private static string GetSessionPrefix(string sessionId)
+        {
+            return $"{Uri.EscapeDataString(sessionId)}/";
+        }
+
+        private static string GetBlobName(string sessionId, int segmentIndex)
+        {
+            return $"{GetSessionPrefix(sessionId)}{segmentIndex.ToString("D6", CultureInfo.InvariantCulture)}";
+        }
+
+        private static bool TryParseSegmentIndex(string blobName, out int segmentIndex)
+        {
+            var name = blobName[(blobName.LastIndexOf('/') + 1)..];
+            return int.TryParse(name, NumberStyles.None, CultureInfo.InvariantCulture, out segmentIndex);
+        }
+
+        private static AudioSegment ToSegment(string sessionId, int segmentIndex, string? contentType, long sizeBytes,
+            IDictionary<string, string>? metadata, DateTimeOffset? createdOn)
+        {
+            return new AudioSegment
+            {
+                SessionId = sessionId,
+                SegmentIndex = segmentIndex,
+                ContentType = contentType ?? "application/octet-stream",
+                SizeBytes = sizeBytes,
+                OffsetMs = ParseLong(metadata, OffsetMetadataKey),
+                DurationMs = ParseLong(metadata, DurationMetadataKey),
+                RecordedAt = ParseRecordedAt(metadata, createdOn),
+                UploadedAt = createdOn?.UtcDateTime ?? DateTime.MinValue
+            };
+        }
+
+        private static long ParseLong(IDictionary<string, string>? metadata, string key)
+        {
+            return metadata != null && metadata.TryGetValue(key, out var value) &&
+                long.TryParse(value, NumberStyles.Integer, CultureInfo.InvariantCulture, out var result)
+                ? result
+                : 0;
+        }
+
+        private static DateTime ParseRecordedAt(IDictionary<string, string>? metadata, DateTimeOffset? createdOn)
+        {
+            if (metadata != null && metadata.TryGetValue(RecordedAtMetadataKey, out var value) &&
+                DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.RoundtripKind, out var recordedAt))
+            {
+                return recordedAt.ToUniversalTime();
+            }
+
+            return createdOn?.UtcDateTime ?? DateTime.MinValue;
+        }
+    }
+}
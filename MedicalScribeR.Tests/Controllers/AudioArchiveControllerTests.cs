@@ -0,0 +1,134 @@
+using Xunit;
+using FluentAssertions;
+using Moq;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using MedicalScribeR.Core.Configuration;
+using MedicalScribeR.Core.Interfaces;
+using MedicalScribeR.Core.Models;
+using MedicalScribeR.Web.Controllers;
+using System.Security.Claims;
+
+namespace MedicalScribeR.Tests.Controllers
+{
+    public class AudioArchiveControllerTests
+    {
+        private const string OwnerId = "user-1";
+        private const string SessionId = "session-1";
+
+        private readonly Mock<ITranscriptionRepository> _mockRepository;
+        private readonly Mock<IAudioArchiveService> _mockArchive;
+
+        public AudioArchiveControllerTests()
+        {
+            _mockRepository = new Mock<ITranscriptionRepository>();
+            _mockRepository.Setup(x => x.GetSessionAsync(SessionId))
+                           .ReturnsAsync(new TranscriptionSession { SessionId = SessionId, UserId = OwnerId });
+
+            _mockArchive = new Mock<IAudioArchiveService>();
+            _mockArchive.Setup(x => x.IsEnabled).Returns(true);
+            _mockArchive.Setup(x => x.SaveSegmentAsync(It.IsAny<AudioSegment>(), It.IsAny<Stream>(), It.IsAny<CancellationToken>()))
+                        .ReturnsAsync((AudioSegment segment, Stream _, CancellationToken _) => segment);
+            _mockArchive.Setup(x => x.GetSegmentsAsync(SessionId, It.IsAny<CancellationToken>()))
+                        .ReturnsAsync(new List<AudioSegment>());
+        }
+
+        [Fact]
+        public async Task UploadSegment_SessionOfAnotherUser_ShouldForbidWithoutSaving()
+        {
+            // Arrange
+            var controller = CreateController("user-2", audio: new byte[] { 1, 2, 3 });
+
+            // Act
+            var result = await controller.UploadSegment(SessionId, 0, 0, 1000, null, CancellationToken.None);
+
+            // Assert
+            result.Should().BeOfType<ForbidResult>();
+            _mockArchive.Verify(x => x.SaveSegmentAsync(It.IsAny<AudioSegment>(), It.IsAny<Stream>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task UploadSegment_UnknownSession_ShouldReturnNotFound()
+        {
+            // Arrange
+            var controller = CreateController(OwnerId, audio: new byte[] { 1, 2, 3 });
+
+            // Act
+            var result = await controller.UploadSegment("session-unknown", 0, 0, 1000, null, CancellationToken.None);
+
+            // Assert
+            result.Should().BeOfType<NotFoundObjectResult>();
+            _mockArchive.Verify(x => x.SaveSegmentAsync(It.IsAny<AudioSegment>(), It.IsAny<Stream>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task UploadSegment_Owner_ShouldSaveSegment()
+        {
+            // Arrange
+            var controller = CreateController(OwnerId, audio: new byte[] { 1, 2, 3 });
+
+            // Act
+            var result = await controller.UploadSegment(SessionId, 2, 90000, 45000, null, CancellationToken.None);
+
+            // Assert
+            result.Should().BeOfType<OkObjectResult>();
+            _mockArchive.Verify(x => x.SaveSegmentAsync(
+                It.Is<AudioSegment>(s => s.SessionId == SessionId && s.SegmentIndex == 2 && s.OffsetMs == 90000 && s.SizeBytes == 3),
+                It.IsAny<Stream>(), It.IsAny<CancellationToken>()), Times.Once);
+        }
+
+        [Fact]
+        public async Task GetSegments_SessionOfAnotherUser_ShouldForbid()
+        {
+            // Arrange
+            var controller = CreateController("user-2");
+
+            // Act
+            var result = await controller.GetSegments(SessionId, CancellationToken.None);
+
+            // Assert
+            result.Should().BeOfType<ForbidResult>();
+            _mockArchive.Verify(x => x.GetSegmentsAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task DownloadSegment_SessionOfAnotherUser_ShouldForbidWithoutOpeningAudio()
+        {
+            // Arrange
+            var controller = CreateController("user-2");
+
+            // Act
+            var result = await controller.DownloadSegment(SessionId, 0, CancellationToken.None);
+
+            // Assert
+            result.Should().BeOfType<ForbidResult>();
+            _mockArchive.Verify(x => x.OpenSegmentAsync(It.IsAny<string>(), It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        private AudioArchiveController CreateController(string userId, byte[]? audio = null)
+        {
+            var httpContext = new DefaultHttpContext
+            {
+                User = new ClaimsPrincipal(new ClaimsIdentity(new[] { new Claim(ClaimTypes.NameIdentifier, userId) }, "Test"))
+            };
+
+            if (audio != null)
+            {
+                httpContext.Request.ContentType = "audio/webm;codecs=opus";
+                httpContext.Request.ContentLength = audio.Length;
+                httpContext.Request.Body = new MemoryStream(audio);
+            }
+
+            return new AudioArchiveController(
+                _mockRepository.Object,
+                _mockArchive.Object,
+                Options.Create(new AudioArchiveOptions()),
+                NullLogger<AudioArchiveController>.Instance)
+            {
+                ControllerContext = new ControllerContext { HttpContext = httpContext }
+            };
+        }
+    }
+}
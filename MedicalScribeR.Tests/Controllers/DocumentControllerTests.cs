@@ -0,0 +1,92 @@
+using Xunit;
+using FluentAssertions;
+using Moq;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging.Abstractions;
+using MedicalScribeR.Core.Interfaces;
+using MedicalScribeR.Core.Models;
+using MedicalScribeR.Web.Controllers;
+using System.Security.Claims;
+
+namespace MedicalScribeR.Tests.Controllers
+{
+    public class DocumentControllerTests
+    {
+        private const string UserId = "user-1";
+        private const string SessionId = "session-1";
+
+        private readonly Mock<ITranscriptionRepository> _mockRepository;
+        private readonly GeneratedDocument _document;
+        private readonly DocumentController _controller;
+
+        public DocumentControllerTests()
+        {
+            _document = new GeneratedDocument { DocumentId = Guid.NewGuid(), SessionId = SessionId, Type = "Resumo da Consulta" };
+
+            _mockRepository = new Mock<ITranscriptionRepository>();
+            _mockRepository.Setup(x => x.GetDocumentsBySessionAsync(It.IsAny<string>()))
+                           .ReturnsAsync(new List<GeneratedDocument> { _document });
+            _mockRepository.Setup(x => x.GetSessionAsync(SessionId))
+                           .ReturnsAsync(new TranscriptionSession { SessionId = SessionId, UserId = UserId });
+
+            _controller = new DocumentController(_mockRepository.Object, new Mock<IPdfGenerationService>().Object, NullLogger<DocumentController>.Instance)
+            {
+                ControllerContext = CreateControllerContext(UserId)
+            };
+        }
+
+        [Fact]
+        public async Task ApproveDocument_WithPendingReviews_ShouldReturnConflict()
+        {
+            // Arrange
+            _mockRepository.Setup(x => x.GetPendingReviewCountAsync(SessionId)).ReturnsAsync(2);
+
+            // Act
+            var result = await _controller.ApproveDocument(_document.DocumentId);
+
+            // Assert
+            var conflict = result.Should().BeOfType<ConflictObjectResult>().Subject;
+            conflict.StatusCode.Should().Be(409);
+            conflict.Value!.GetType().GetProperty("pendingReviews")!.GetValue(conflict.Value).Should().Be(2);
+            _document.IsApproved.Should().BeFalse();
+            _mockRepository.Verify(x => x.UpdateDocumentAsync(It.IsAny<GeneratedDocument>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ApproveDocument_WithoutPendingReviews_ShouldApprove()
+        {
+            // Arrange
+            _mockRepository.Setup(x => x.GetPendingReviewCountAsync(SessionId)).ReturnsAsync(0);
+
+            // Act
+            var result = await _controller.ApproveDocument(_document.DocumentId);
+
+            // Assert
+            result.Should().BeOfType<OkObjectResult>();
+            _mockRepository.Verify(x => x.UpdateDocumentAsync(It.Is<GeneratedDocument>(d =>
+                d.IsApproved && d.Status == DocumentStatus.Approved && d.ApprovedBy == UserId)), Times.Once);
+        }
+
+        [Fact]
+        public async Task ApproveDocument_SessionOfAnotherUser_ShouldForbidBeforeCheckingReviews()
+        {
+            // Arrange
+            _controller.ControllerContext = CreateControllerContext("user-2");
+
+            // Act
+            var result = await _controller.ApproveDocument(_document.DocumentId);
+
+            // Assert
+            result.Should().BeOfType<ForbidResult>();
+            _mockRepository.Verify(x => x.GetPendingReviewCountAsync(It.IsAny<string>()), Times.Never);
+            _mockRepository.Verify(x => x.UpdateDocumentAsync(It.IsAny<GeneratedDocument>()), Times.Never);
+        }
+
+        private static ControllerContext CreateControllerContext(string userId)
+        {
+            var user = new ClaimsPrincipal(new ClaimsIdentity(new[] { new Claim(ClaimTypes.NameIdentifier, userId) }, "Test"));
+            return new ControllerContext { HttpContext = new DefaultHttpContext { User = user } };
+        }
+    }
+}
@@ -0,0 +1,131 @@
+using Xunit;
+using FluentAssertions;
+using Moq;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging.Abstractions;
+using MedicalScribeR.Core.Interfaces;
+using MedicalScribeR.Core.Models;
+using MedicalScribeR.Web.Controllers;
+using System.Net;
+using System.Net.Http.Headers;
+using System.Security.Claims;
+
+namespace MedicalScribeR.Tests.Controllers
+{
+    public class WhisperControllerTests
+    {
+        private const string OwnerId = "user-1";
+        private const string SessionId = "session-1";
+
+        private readonly Mock<ITranscriptionRepository> _mockRepository;
+        private readonly Mock<IHttpClientFactory> _mockHttpClientFactory;
+        private readonly IConfiguration _configuration;
+
+        public WhisperControllerTests()
+        {
+            _mockRepository = new Mock<ITranscriptionRepository>();
+            _mockRepository.Setup(x => x.GetSessionAsync(SessionId))
+                           .ReturnsAsync(new TranscriptionSession { SessionId = SessionId, UserId = OwnerId });
+
+            _mockHttpClientFactory = new Mock<IHttpClientFactory>();
+
+            _configuration = new ConfigurationBuilder()
+                .AddInMemoryCollection(new Dictionary<string, string?>
+                {
+                    ["Azure:Whisper:Endpoint"] = "https://whisper.test",
+                    ["Azure:Whisper:ApiKey"] = "test-key"
+                })
+                .Build();
+        }
+
+        [Fact]
+        public async Task Transcribe_SessionOfAnotherUser_ShouldForbidWithoutCallingWhisper()
+        {
+            // Arrange
+            var controller = CreateController("user-2");
+
+            // Act
+            var result = await controller.Transcribe(SessionId, CreateAudioFile(), null, null, null, null, null, CancellationToken.None);
+
+            // Assert
+            result.Should().BeOfType<ForbidResult>();
+            _mockHttpClientFactory.Verify(x => x.CreateClient(It.IsAny<string>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task Transcribe_UnknownSession_ShouldReturnNotFoundWithoutCallingWhisper()
+        {
+            // Arrange
+            var controller = CreateController(OwnerId);
+
+            // Act
+            var result = await controller.Transcribe("session-unknown", CreateAudioFile(), null, null, null, null, null, CancellationToken.None);
+
+            // Assert
+            result.Should().BeOfType<NotFoundObjectResult>();
+            _mockHttpClientFactory.Verify(x => x.CreateClient(It.IsAny<string>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task Transcribe_WhisperUnavailable_ShouldForwardStatusAndRetryAfter()
+        {
+            // Arrange
+            var upstream = new HttpResponseMessage(HttpStatusCode.ServiceUnavailable);
+            upstream.Headers.RetryAfter = new RetryConditionHeaderValue(TimeSpan.FromSeconds(30));
+            _mockHttpClientFactory.Setup(x => x.CreateClient(It.IsAny<string>()))
+                                  .Returns(new HttpClient(new StubHandler(upstream)));
+            var controller = CreateController(OwnerId);
+
+            // Act
+            var result = await controller.Transcribe(SessionId, CreateAudioFile(), "pt", null, null, null, null, CancellationToken.None);
+
+            // Assert
+            result.Should().BeOfType<ObjectResult>().Which.StatusCode.Should().Be(503);
+            controller.Response.Headers.RetryAfter.ToString().Should().Be("30");
+        }
+
+        private WhisperController CreateController(string userId)
+        {
+            var user = new ClaimsPrincipal(new ClaimsIdentity(new[] { new Claim(ClaimTypes.NameIdentifier, userId) }, "Test"));
+
+            return new WhisperController(
+                _mockRepository.Object,
+                _configuration,
+                _mockHttpClientFactory.Object,
+                NullLogger<WhisperController>.Instance)
+            {
+                ControllerContext = new ControllerContext { HttpContext = new DefaultHttpContext { User = user } }
+            };
+        }
+
+        private static IFormFile CreateAudioFile()
+        {
+            var audio = new byte[] { 1, 2, 3 };
+            return new FormFile(new MemoryStream(audio), 0, audio.Length, "file", "audio.webm")
+            {
+                Headers = new HeaderDictionary(),
+                ContentType = "audio/webm;codecs=opus"
+            };
+        }
+
+        /// <summary>
+        /// Devolve sempre a mesma resposta no lugar do Whisper
+        /// </summary>
+        private class StubHandler : HttpMessageHandler
+        {
+            private readonly HttpResponseMessage _response;
+
+            public StubHandler(HttpResponseMessage response)
+            {
+                _response = response;
+            }
+
+            protected override Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+            {
+                return Task.FromResult(_response);
+            }
+        }
+    }
+}
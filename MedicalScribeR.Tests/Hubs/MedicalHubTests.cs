@@ -0,0 +1,267 @@
+using Xunit;
+using FluentAssertions;
+using Moq;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Caching.Distributed;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using MedicalScribeR.Core.Agents;
+using MedicalScribeR.Core.Configuration;
+using MedicalScribeR.Core.Interfaces;
+using MedicalScribeR.Core.Models;
+using MedicalScribeR.Web.Hubs;
+using System.Security.Claims;
+
+namespace MedicalScribeR.Tests.Hubs
+{
+    public class MedicalHubTests
+    {
+        private const string UserId = "user-1";
+        private const string SessionId = "session-1";
+
+        private readonly Mock<ITranscriptionRepository> _mockRepository;
+        private readonly Mock<ISingleClientProxy> _mockCaller;
+        private readonly List<(string Method, object? Payload)> _callerMessages = new();
+        private readonly MedicalHub _hub;
+
+        public MedicalHubTests()
+        {
+            _mockRepository = new Mock<ITranscriptionRepository>();
+            _mockRepository.Setup(x => x.GetChunkSequenceNumbersAsync(SessionId))
+                           .ReturnsAsync(new List<int>());
+            _mockRepository.Setup(x => x.GetSessionAsync(SessionId))
+                           .ReturnsAsync(new TranscriptionSession { SessionId = SessionId, UserId = UserId });
+
+            _mockCaller = new Mock<ISingleClientProxy>();
+            _mockCaller.Setup(x => x.SendCoreAsync(It.IsAny<string>(), It.IsAny<object?[]>(), It.IsAny<CancellationToken>()))
+                       .Callback<string, object?[], CancellationToken>((method, args, _) => _callerMessages.Add((method, args.FirstOrDefault())))
+                       .Returns(Task.CompletedTask);
+
+            var mockClients = new Mock<IHubCallerClients>();
+            mockClients.Setup(x => x.Caller).Returns(_mockCaller.Object);
+            mockClients.Setup(x => x.Group(It.IsAny<string>())).Returns(new Mock<IClientProxy>().Object);
+
+            var mockContext = new Mock<HubCallerContext>();
+            mockContext.Setup(x => x.ConnectionId).Returns("connection-1");
+            mockContext.Setup(x => x.User).Returns(new ClaimsPrincipal(new ClaimsIdentity(new[] { new Claim(ClaimTypes.NameIdentifier, UserId) }, "Test")));
+
+            // O orquestrador roda em segundo plano depois do ack; sem agentes ele não afeta o protocolo
+            var orchestrator = new OrchestratorAgent(
+                new Mock<IAzureAIService>().Object,
+                Array.Empty<ISpecializedAgent>(),
+                new AgentConfigLoader(),
+                _mockRepository.Object,
+                NullLogger<OrchestratorAgent>.Instance);
+
+            var cache = new MemoryDistributedCache(Options.Create(new MemoryDistributedCacheOptions()));
+
+            _hub = new MedicalHub(orchestrator, _mockRepository.Object, cache, NullLogger<MedicalHub>.Instance)
+            {
+                Clients = mockClients.Object,
+                Context = mockContext.Object
+            };
+        }
+
+        [Fact]
+        public async Task ProcessTranscriptionChunk_NewChunk_ShouldPersistBeforeAckPersisted()
+        {
+            // Arrange
+            var chunk = CreateChunk("client-0", 0);
+            var savedBeforeAck = false;
+            _mockRepository.Setup(x => x.SaveChunkAsync(It.IsAny<TranscriptionChunk>()))
+                           .Callback(() => savedBeforeAck = !_callerMessages.Any(m => m.Method == "TranscriptionChunkAck"))
+                           .ReturnsAsync((TranscriptionChunk saved) => Saved(saved));
+
+            // Act
+            await _hub.ProcessTranscriptionChunk(SessionId, chunk);
+
+            // Assert
+            savedBeforeAck.Should().BeTrue();
+            var ack = SingleAck();
+            Property(ack, "Status").Should().Be("persisted");
+            Property(ack, "ChunkId").Should().Be("client-0");
+            Property(ack, "SequenceNumber").Should().Be(0);
+            _mockRepository.Verify(x => x.SaveChunkAsync(It.Is<TranscriptionChunk>(c => c.SessionId == SessionId)), Times.Once);
+        }
+
+        [Fact]
+        public async Task ProcessTranscriptionChunk_ResentChunk_ShouldAckDuplicateWithoutSaving()
+        {
+            // Arrange
+            _mockRepository.Setup(x => x.GetChunkByClientIdAsync(SessionId, "client-3"))
+                           .ReturnsAsync(new TranscriptionChunk { SessionId = SessionId, ClientChunkId = "client-3", SequenceNumber = 3 });
+
+            // Act
+            await _hub.ProcessTranscriptionChunk(SessionId, CreateChunk("client-3", 7));
+
+            // Assert
+            var ack = SingleAck();
+            Property(ack, "Status").Should().Be("duplicate");
+            Property(ack, "SequenceNumber").Should().Be(3);
+            _mockRepository.Verify(x => x.SaveChunkAsync(It.IsAny<TranscriptionChunk>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ProcessTranscriptionChunk_ConcurrentResendRejectedOnSave_ShouldAckDuplicate()
+        {
+            // Arrange: outro reenvio gravou o chunk entre a verificação e a gravação (índice único)
+            _mockRepository.SetupSequence(x => x.GetChunkByClientIdAsync(SessionId, "client-1"))
+                           .ReturnsAsync((TranscriptionChunk?)null)
+                           .ReturnsAsync(new TranscriptionChunk { SessionId = SessionId, ClientChunkId = "client-1", SequenceNumber = 1 });
+            _mockRepository.Setup(x => x.SaveChunkAsync(It.IsAny<TranscriptionChunk>()))
+                           .ThrowsAsync(new InvalidOperationException("IX_TranscriptionChunks_SessionId_ClientChunkId"));
+
+            // Act
+            await _hub.ProcessTranscriptionChunk(SessionId, CreateChunk("client-1", 1));
+
+            // Assert
+            Property(SingleAck(), "Status").Should().Be("duplicate");
+            _callerMessages.Should().NotContain(m => m.Method == "Error");
+        }
+
+        [Fact]
+        public async Task ProcessTranscriptionChunk_SaveFails_ShouldNotAckSoClientRetries()
+        {
+            // Arrange
+            _mockRepository.Setup(x => x.SaveChunkAsync(It.IsAny<TranscriptionChunk>()))
+                           .ThrowsAsync(new TimeoutException("banco indisponível"));
+
+            // Act
+            await _hub.ProcessTranscriptionChunk(SessionId, CreateChunk("client-2", 2));
+
+            // Assert
+            _callerMessages.Should().NotContain(m => m.Method == "TranscriptionChunkAck");
+            _callerMessages.Should().Contain(m => m.Method == "Error");
+        }
+
+        [Fact]
+        public async Task ProcessTranscriptionChunk_SessionOfAnotherUser_ShouldAckRejectedWithoutLookingUpChunks()
+        {
+            // Arrange
+            _mockRepository.Setup(x => x.GetSessionAsync("session-2"))
+                           .ReturnsAsync(new TranscriptionSession { SessionId = "session-2", UserId = "user-2" });
+
+            // Act
+            await _hub.ProcessTranscriptionChunk("session-2", CreateChunk("client-0", 0));
+
+            // Assert
+            Property(SingleAck(), "Status").Should().Be("rejected");
+            _mockRepository.Verify(x => x.GetChunkByClientIdAsync(It.IsAny<string>(), It.IsAny<string>()), Times.Never);
+            _mockRepository.Verify(x => x.SaveChunkAsync(It.IsAny<TranscriptionChunk>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ProcessTranscriptionChunk_EmptyText_ShouldAckRejected()
+        {
+            // Arrange
+            var chunk = CreateChunk("client-4", 4);
+            chunk.Text = "   ";
+
+            // Act
+            await _hub.ProcessTranscriptionChunk(SessionId, chunk);
+
+            // Assert
+            Property(SingleAck(), "Status").Should().Be("rejected");
+            _mockRepository.Verify(x => x.SaveChunkAsync(It.IsAny<TranscriptionChunk>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ProcessTranscriptionChunk_SequenceGap_ShouldReportMissingSequenceNumbers()
+        {
+            // Arrange
+            _mockRepository.Setup(x => x.SaveChunkAsync(It.IsAny<TranscriptionChunk>())).ReturnsAsync((TranscriptionChunk saved) => Saved(saved));
+            _mockRepository.Setup(x => x.GetChunkSequenceNumbersAsync(SessionId))
+                           .ReturnsAsync(new List<int> { 0, 1, 4 });
+
+            // Act
+            await _hub.ProcessTranscriptionChunk(SessionId, CreateChunk("client-4", 4));
+
+            // Assert
+            var gap = _callerMessages.Single(m => m.Method == "TranscriptionGapDetected").Payload;
+            ((IEnumerable<int>)Property(gap, "MissingSequenceNumbers")!).Should().Equal(2, 3);
+            Property(gap, "LastSequenceNumber").Should().Be(4);
+        }
+
+        [Fact]
+        public async Task ProcessTranscriptionChunk_GapReportedAsUnrecoverable_ShouldNotReportIt()
+        {
+            // Arrange
+            _mockRepository.Setup(x => x.SaveChunkAsync(It.IsAny<TranscriptionChunk>())).ReturnsAsync((TranscriptionChunk saved) => Saved(saved));
+            _mockRepository.Setup(x => x.GetChunkSequenceNumbersAsync(SessionId))
+                           .ReturnsAsync(new List<int> { 0, 1, 4 });
+            await _hub.ReportUnrecoverableChunks(SessionId, new[] { 2, 3 });
+
+            // Act
+            await _hub.ProcessTranscriptionChunk(SessionId, CreateChunk("client-4", 4));
+
+            // Assert
+            _callerMessages.Should().NotContain(m => m.Method == "TranscriptionGapDetected");
+            Property(SingleAck(), "Status").Should().Be("persisted");
+        }
+
+        [Fact]
+        public async Task ProcessTranscriptionChunk_NoGap_ShouldNotReportGap()
+        {
+            // Arrange
+            _mockRepository.Setup(x => x.SaveChunkAsync(It.IsAny<TranscriptionChunk>())).ReturnsAsync((TranscriptionChunk saved) => Saved(saved));
+            _mockRepository.Setup(x => x.GetChunkSequenceNumbersAsync(SessionId))
+                           .ReturnsAsync(new List<int> { 0, 1, 2 });
+
+            // Act
+            await _hub.ProcessTranscriptionChunk(SessionId, CreateChunk("client-2", 2));
+
+            // Assert
+            _callerMessages.Should().NotContain(m => m.Method == "TranscriptionGapDetected");
+        }
+
+        [Fact]
+        public async Task ReportRedFlags_ShouldPersistAlertsThroughRepository()
+        {
+            // Arrange
+            var flags = new List<RedFlagReport> { new RedFlagReport { Id = "chest-pain", Term = "dor no peito", Severity = "high" } };
+
+            // Act
+            await _hub.ReportRedFlags(SessionId, 5, flags);
+
+            // Assert
+            _mockRepository.Verify(x => x.SaveRedFlagAlertsAsync(It.Is<IReadOnlyList<RedFlagAlert>>(alerts =>
+                alerts.Count == 1 &&
+                alerts[0].SessionId == SessionId &&
+                alerts[0].SequenceNumber == 5 &&
+                alerts[0].FlagId == "chest-pain" &&
+                alerts[0].ReportedBy == UserId)), Times.Once);
+            _callerMessages.Should().NotContain(m => m.Method == "Error");
+        }
+
+        private static TranscriptionChunk CreateChunk(string clientChunkId, int sequenceNumber)
+        {
+            return new TranscriptionChunk
+            {
+                ClientChunkId = clientChunkId,
+                SequenceNumber = sequenceNumber,
+                Text = "Paciente relata dor torácica",
+                Confidence = 0.9m
+            };
+        }
+
+        /// <summary>
+        /// Simula a gravação: o banco atribui o ChunkId
+        /// </summary>
+        private static TranscriptionChunk Saved(TranscriptionChunk chunk)
+        {
+            chunk.ChunkId = Guid.NewGuid();
+            return chunk;
+        }
+
+        private object? SingleAck()
+        {
+            return _callerMessages.Single(m => m.Method == "TranscriptionChunkAck").Payload;
+        }
+
+        private static object? Property(object? payload, string name)
+        {
+            return payload?.GetType().GetProperty(name)?.GetValue(payload);
+        }
+    }
+}
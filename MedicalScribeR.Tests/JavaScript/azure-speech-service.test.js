@@ -0,0 +1,181 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./browser-scripts');
+
+// Sem window/document: o serviço recebe o ambiente do navegador pelas opções
+let hubCalls = [];
+
+class FakeHubConnection {
+    constructor() {
+        this.state = 'Connected';
+        this.handlers = {};
+    }
+    on(eventName, handler) { this.handlers[eventName] = handler; }
+    onreconnecting() {}
+    onreconnected() {}
+    onclose() {}
+    async start() {}
+    async stop() {}
+    async invoke(method, ...args) {
+        hubCalls.push({ method, args });
+        return null;
+    }
+}
+
+globalThis.signalR = {
+    HubConnectionState: { Connected: 'Connected' },
+    HttpTransportType: { WebSockets: 1, ServerSentEvents: 2 },
+    LogLevel: { Information: 2 },
+    JsonHubProtocol: class {},
+    HubConnectionBuilder: class {
+        withUrl() { return this; }
+        withAutomaticReconnect() { return this; }
+        withHubProtocol() { return this; }
+        configureLogging() { return this; }
+        build() { return new FakeHubConnection(); }
+    }
+};
+
+globalThis.SpeechSDK = {
+    ResultReason: { NoMatch: 0, RecognizedSpeech: 3 },
+    PropertyId: { SpeechServiceResponse_JsonResult: 'SpeechServiceResponse_JsonResult' }
+};
+
+globalThis.fetch = async () => ({
+    ok: true,
+    json: async () => ({ phrases: [], personalTerms: ['losartana'], commands: [] })
+});
+
+const { AzureSpeechService, SpeechRenderer, SERVICE_STATES } = loadBrowserScripts(
+    ['chunk-delivery.js', 'session-audio.js', 'red-flags.js', 'audio-archive.js', 'speech-renderer.js', 'azure-speech.js'],
+    ['AzureSpeechService', 'SpeechRenderer', 'SERVICE_STATES']
+);
+
+/**
+ * Renderer que só registra o que o serviço pediu para mostrar
+ */
+class RecordingRenderer extends SpeechRenderer {
+    constructor() {
+        super();
+        this.notifications = [];
+        this.chunks = [];
+    }
+    updateStatus() {}
+    showNotification(message, type) { this.notifications.push({ message, type }); }
+    addTranscriptionChunk(chunk) { this.chunks.push(chunk); }
+}
+
+function createEnvironment() {
+    const listeners = [];
+    return {
+        listeners,
+        window: {
+            AudioContext: class {},
+            addEventListener: (eventName) => listeners.push(eventName),
+            removeEventListener() {}
+        },
+        navigator: {
+            mediaDevices: {
+                getUserMedia: async () => ({ getTracks: () => [] }),
+                getSupportedConstraints: () => ({ echoCancellation: true }),
+                enumerateDevices: async () => [],
+                addEventListener() {},
+                removeEventListener() {}
+            }
+        }
+    };
+}
+
+function waitForEvent(service, eventName) {
+    return new Promise(resolve => service.on(eventName, resolve));
+}
+
+describe('AzureSpeechService', () => {
+    let service;
+    let renderer;
+
+    beforeEach(() => {
+        hubCalls = [];
+        renderer = new RecordingRenderer();
+    });
+
+    afterEach(() => {
+        service?.dispose();
+        service = null;
+    });
+
+    it('initialize_WithInjectedEnvironment_ShouldReachReadyWithoutDom', async () => {
+        // Arrange
+        const environment = createEnvironment();
+
+        // Act
+        service = new AzureSpeechService({ renderer, window: environment.window, navigator: environment.navigator });
+        await waitForEvent(service, 'ready');
+
+        // Assert
+        assert.equal(service.state, SERVICE_STATES.READY);
+        assert.ok(environment.listeners.includes('beforeunload'));
+    });
+
+    it('initialize_NavigatorWithoutMediaDevices_ShouldFailAndNotifyRenderer', async () => {
+        // Arrange
+        const environment = createEnvironment();
+
+        // Act
+        service = new AzureSpeechService({ renderer, window: environment.window, navigator: {} });
+        await waitForEvent(service, 'error');
+
+        // Assert
+        assert.equal(service.state, SERVICE_STATES.ERROR);
+        assert.ok(renderer.notifications.some(notification => notification.type === 'danger'));
+    });
+
+    it('onRecognized_RecognizedSpeech_ShouldRenderChunkAndSendItToHub', async () => {
+        // Arrange
+        const environment = createEnvironment();
+        service = new AzureSpeechService({ renderer, window: environment.window, navigator: environment.navigator });
+        await waitForEvent(service, 'ready');
+        service._currentSessionId = 'session-1';
+        const json = JSON.stringify({ NBest: [{ Confidence: 0.92, Display: 'paciente com dor torácica', Words: [] }] });
+
+        // Act
+        await service._onRecognized({
+            result: {
+                reason: SpeechSDK.ResultReason.RecognizedSpeech,
+                text: 'paciente com dor torácica',
+                offset: 0,
+                duration: 20000000,
+                properties: { getProperty: () => json }
+            }
+        });
+        await service._chunkPipeline;
+
+        // Assert
+        assert.deepEqual(renderer.chunks.map(chunk => chunk.text), ['paciente com dor torácica']);
+        const sent = hubCalls.filter(call => call.method === 'ProcessTranscriptionChunk');
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].args[0], 'session-1');
+    });
+
+    it('selectAudioInputDevice_WithInjectedStorage_ShouldPersistChoiceInStorage', async () => {
+        // Arrange
+        const environment = createEnvironment();
+        const values = new Map();
+        const storage = {
+            getItem: (key) => values.get(key) ?? null,
+            setItem: (key, value) => values.set(key, value),
+            removeItem: (key) => values.delete(key)
+        };
+        service = new AzureSpeechService({ renderer, window: environment.window, navigator: environment.navigator, storage });
+        await waitForEvent(service, 'ready');
+
+        // Act
+        await service.selectAudioInputDevice('mic-2');
+
+        // Assert
+        assert.deepEqual([...values.values()], ['mic-2']);
+        assert.equal(service._getPreferredDeviceId(), 'mic-2');
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * Carrega os scripts de wwwroot/js no Node para os testes (node --test MedicalScribeR.Tests/JavaScript)
+ * Os scripts rodam como no navegador: em ordem, no mesmo escopo global, com as classes e constantes
+ * declaradas no topo visíveis umas para as outras. Objetos do navegador (window, document, SpeechSDK,
+ * signalR...) são os que o teste definir em globalThis antes de carregar.
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', '..', 'MedicalScribeR.Web', 'wwwroot', 'js');
+
+/**
+ * @param {Array<string>} scripts - Arquivos de wwwroot/js, em ordem de dependência
+ * @param {Array<string>} names - Classes e constantes declaradas pelos scripts que o teste usa
+ * @returns {Object} names -> valor
+ */
+function loadBrowserScripts(scripts, names) {
+    for (const script of scripts) {
+        const filename = path.join(SCRIPTS_DIR, script);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+
+    return vm.runInThisContext(`({ ${names.join(', ')} })`);
+}
+
+module.exports = { loadBrowserScripts };
@@ -0,0 +1,36 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./browser-scripts');
+
+globalThis.window = globalThis;
+const { ClinicalTextNormalizer } = loadBrowserScripts(['clinical-normalizer.js'], ['ClinicalTextNormalizer']);
+
+describe('ClinicalTextNormalizer', () => {
+    const normalizer = new ClinicalTextNormalizer();
+
+    it('normalize_NumberAndHalfBeforeUnit_ShouldWriteDecimalDose', () => {
+        // Act
+        const result = normalizer.normalize('dois e meio miligramas');
+
+        // Assert
+        assert.equal(result.text, '2,5 mg');
+    });
+
+    it('normalize_TemperatureWithHalf_ShouldWriteDecimalTemperature', () => {
+        // Act
+        const result = normalizer.normalize('temperatura trinta e sete e meio graus');
+
+        // Assert
+        assert.equal(result.text, 'temperatura 37,5 °C');
+    });
+
+    it('normalize_StandaloneHalfBeforeCountedWord_ShouldWriteFraction', () => {
+        // Act
+        const result = normalizer.normalize('tomar um comprimido e meio comprimido de oito em oito horas');
+
+        // Assert
+        assert.equal(result.text, 'tomar 1 comprimido e 1/2 comprimido de 8/8h');
+    });
+});
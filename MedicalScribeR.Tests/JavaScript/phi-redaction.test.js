@@ -0,0 +1,56 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./browser-scripts');
+
+globalThis.window = globalThis;
+const { PhiRedactor, REDACTION_DESTINATIONS } = loadBrowserScripts(
+    ['phi-redaction.js'],
+    ['PhiRedactor', 'REDACTION_DESTINATIONS']
+);
+
+describe('PhiRedactor', () => {
+    let redactor;
+
+    beforeEach(() => {
+        redactor = new PhiRedactor();
+    });
+
+    it('redactText_DoseWithEightDigits_ShouldKeepDose', () => {
+        // Act
+        const result = redactor.redactText('Prescrevo 1200 1300 mg ao dia', REDACTION_DESTINATIONS.HEALTH_BOT);
+
+        // Assert
+        assert.equal(result, 'Prescrevo 1200 1300 mg ao dia');
+    });
+
+    it('redactText_YearsAfterLabValue_ShouldKeepYearsAndSpacing', () => {
+        // Act
+        const result = redactor.redactText('Glicemia 2019 2020 sem alteração', REDACTION_DESTINATIONS.HEALTH_BOT);
+
+        // Assert
+        assert.equal(result, 'Glicemia 2019 2020 sem alteração');
+    });
+
+    it('redactText_PhoneShapedNumbers_ShouldMaskPhone', () => {
+        // Act
+        const results = [
+            '(11) 3456-7890',
+            '+55 11 3456 7890',
+            'ligar em 11 98765 4321',
+            'recado 3456-7890'
+        ].map(text => redactor.redactText(text, REDACTION_DESTINATIONS.HEALTH_BOT));
+
+        // Assert
+        assert.deepEqual(results, ['[TELEFONE]', '[TELEFONE]', 'ligar em [TELEFONE]', 'recado [TELEFONE]']);
+    });
+
+    it('redactText_EightDigitsAfterKeyword_ShouldMaskPhone', () => {
+        // Act
+        const result = redactor.redactText('telefone de contato 3456 7890', REDACTION_DESTINATIONS.HEALTH_BOT);
+
+        // Assert
+        assert.equal(result, 'telefone de contato [TELEFONE]');
+    });
+});
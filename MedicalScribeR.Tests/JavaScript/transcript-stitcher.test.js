@@ -0,0 +1,229 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./browser-scripts');
+
+globalThis.window = globalThis;
+const { TranscriptStitcher } = loadBrowserScripts(['whisper-windows.js'], ['TranscriptStitcher']);
+
+/**
+ * Palavras no formato do Whisper (s desde o início da janela), uma a cada 0,5 s a partir de startSeconds
+ */
+function words(text, startSeconds) {
+    return text.split(' ').map((word, i) => ({
+        word,
+        start: startSeconds + i * 0.5,
+        end: startSeconds + i * 0.5 + 0.4
+    }));
+}
+
+function texts(result) {
+    return result.segments.map(segment => segment.text);
+}
+
+describe('TranscriptStitcher', () => {
+    let stitcher;
+
+    beforeEach(() => {
+        stitcher = new TranscriptStitcher();
+    });
+
+    it('stitch_FirstWindow_ShouldKeepWholeTranscription', () => {
+        // Arrange
+        const transcription = {
+            text: 'o paciente relata dor',
+            segments: [{ start: 0, end: 2, text: 'o paciente relata dor' }],
+            words: words('o paciente relata dor', 0)
+        };
+
+        // Act
+        const result = stitcher.stitch({ startMs: 0, endMs: 45000 }, transcription);
+
+        // Assert
+        assert.equal(result.text, 'o paciente relata dor');
+        assert.equal(result.segments[0].words.length, 4);
+        assert.equal(result.words.length, 4);
+    });
+
+    it('stitch_WordsRepeatedInOverlap_ShouldDropRepeatedHead', () => {
+        // Arrange: janela 1 termina em 45 s; janela 2 começa em 42 s e repete "no peito há três dias"
+        stitcher.stitch({ startMs: 0, endMs: 45000 }, {
+            text: 'o paciente relata dor no peito há três dias',
+            segments: [{ start: 40, end: 45, text: 'o paciente relata dor no peito há três dias' }],
+            words: words('o paciente relata dor no peito há três dias', 40)
+        });
+
+        // Act
+        const result = stitcher.stitch({ startMs: 42000, endMs: 90000 }, {
+            text: 'peito há três dias. Sem febre',
+            segments: [
+                { start: 0.3, end: 1.5, text: 'peito há três dias.' },
+                { start: 2.3, end: 4, text: 'Sem febre' }
+            ],
+            words: words('peito há três dias. Sem febre', 0.3)
+        });
+
+        // Assert
+        assert.deepEqual(texts(result), ['Sem febre']);
+        assert.equal(result.text, 'Sem febre');
+        assert.deepEqual(result.words.map(word => word.word), ['Sem', 'febre']);
+        assert.deepEqual(result.segments[0].words.map(word => word.word), ['Sem', 'febre']);
+    });
+
+    it('stitch_OverlapDiffersInAccentsAndPunctuation_ShouldStillMatch', () => {
+        // Arrange
+        stitcher.stitch({ startMs: 0, endMs: 45000 }, {
+            text: 'então tome o remédio',
+            segments: [{ start: 42, end: 44, text: 'então tome o remédio' }],
+            words: words('então tome o remédio', 42)
+        });
+
+        // Act
+        const result = stitcher.stitch({ startMs: 42000, endMs: 90000 }, {
+            text: 'Entao, tome o remedio. Volte amanhã',
+            segments: [
+                { start: 0, end: 2, text: 'Entao, tome o remedio.' },
+                { start: 2, end: 3, text: 'Volte amanhã' }
+            ],
+            words: words('Entao, tome o remedio. Volte amanhã', 0)
+        });
+
+        // Assert
+        assert.deepEqual(texts(result), ['Volte amanhã']);
+    });
+
+    it('stitch_OverlapEndsMidSegment_ShouldTrimSegmentText', () => {
+        // Arrange
+        stitcher.stitch({ startMs: 0, endMs: 45000 }, {
+            text: 'sente falta de ar',
+            segments: [{ start: 43, end: 45, text: 'sente falta de ar' }],
+            words: words('sente falta de ar', 43)
+        });
+
+        // Act
+        const result = stitcher.stitch({ startMs: 42000, endMs: 90000 }, {
+            text: 'falta de ar ao subir escadas',
+            segments: [{ start: 1, end: 4, text: 'falta de ar ao subir escadas' }],
+            words: words('falta de ar ao subir escadas', 1)
+        });
+
+        // Assert
+        assert.deepEqual(texts(result), ['ao subir escadas']);
+        assert.equal(result.segments[0].start, 2.5);
+    });
+
+    it('stitch_SegmentsWithoutWords_ShouldMatchOnSegmentText', () => {
+        // Arrange
+        stitcher.stitch({ startMs: 0, endMs: 45000 }, {
+            text: 'tome o remédio duas vezes',
+            segments: [{ start: 40, end: 45, text: 'tome o remédio duas vezes' }]
+        });
+
+        // Act
+        const result = stitcher.stitch({ startMs: 42000, endMs: 90000 }, {
+            text: 'duas vezes ao dia. Volte em um mês',
+            segments: [
+                { start: 0, end: 3, text: 'duas vezes ao dia.' },
+                { start: 3, end: 5, text: 'Volte em um mês' }
+            ]
+        });
+
+        // Assert
+        assert.deepEqual(texts(result), ['ao dia.', 'Volte em um mês']);
+    });
+
+    it('stitch_OverlapTranscribedDifferently_ShouldFallBackToTimestamps', () => {
+        // Arrange: a janela anterior transcreveu até 44,9 s
+        stitcher.stitch({ startMs: 0, endMs: 45000 }, {
+            text: 'pressão doze por oito',
+            segments: [{ start: 43, end: 45, text: 'pressão doze por oito' }],
+            words: words('pressão doze por oito', 43)
+        });
+
+        // Act: mesma fala com outras palavras; fica só o que está depois de 44,9 s da sessão (meio da palavra)
+        const result = stitcher.stitch({ startMs: 42000, endMs: 90000 }, {
+            text: 'pa 12 x 8 sem edema',
+            segments: [{ start: 1, end: 4, text: 'pa 12 x 8 sem edema' }],
+            words: words('pa 12 x 8 sem edema', 1)
+        });
+
+        // Assert
+        assert.deepEqual(texts(result), ['sem edema']);
+    });
+
+    it('stitch_WindowWithoutOverlap_ShouldKeepEverything', () => {
+        // Arrange
+        stitcher.stitch({ startMs: 0, endMs: 45000 }, {
+            text: 'dor de cabeça',
+            segments: [{ start: 40, end: 42, text: 'dor de cabeça' }],
+            words: words('dor de cabeça', 40)
+        });
+
+        // Act
+        const result = stitcher.stitch({ startMs: 45000, endMs: 90000 }, {
+            text: 'dor de cabeça forte',
+            segments: [{ start: 0, end: 2, text: 'dor de cabeça forte' }],
+            words: words('dor de cabeça forte', 0)
+        });
+
+        // Assert
+        assert.deepEqual(texts(result), ['dor de cabeça forte']);
+    });
+
+    it('stitch_AfterReset_ShouldNotCompareWithPreviousRecording', () => {
+        // Arrange
+        stitcher.stitch({ startMs: 0, endMs: 45000 }, {
+            text: 'sem alergias conhecidas',
+            segments: [{ start: 43, end: 45, text: 'sem alergias conhecidas' }],
+            words: words('sem alergias conhecidas', 43)
+        });
+        stitcher.reset();
+
+        // Act
+        const result = stitcher.stitch({ startMs: 42000, endMs: 90000 }, {
+            text: 'sem alergias conhecidas',
+            segments: [{ start: 0, end: 2, text: 'sem alergias conhecidas' }],
+            words: words('sem alergias conhecidas', 0)
+        });
+
+        // Assert
+        assert.deepEqual(texts(result), ['sem alergias conhecidas']);
+    });
+
+    it('stitch_TextOnlyResponse_ShouldDropRepeatedWords', () => {
+        // Arrange
+        stitcher.stitch({ startMs: 0, endMs: 45000 }, { text: 'retorno em duas semanas' });
+
+        // Act
+        const result = stitcher.stitch({ startMs: 42000, endMs: 90000 }, { text: 'duas semanas com exames' });
+
+        // Assert
+        assert.equal(result.text, 'com exames');
+    });
+
+    it('stitch_WindowEntirelyRepeated_ShouldKeepPreviousTailForNextWindow', () => {
+        // Arrange
+        stitcher.stitch({ startMs: 0, endMs: 45000 }, {
+            text: 'tosse seca há uma semana',
+            segments: [{ start: 42, end: 45, text: 'tosse seca há uma semana' }],
+            words: words('tosse seca há uma semana', 42)
+        });
+        const repeated = stitcher.stitch({ startMs: 42000, endMs: 46000 }, {
+            text: 'há uma semana',
+            segments: [{ start: 1, end: 3, text: 'há uma semana' }],
+            words: words('há uma semana', 1)
+        });
+
+        // Act
+        const result = stitcher.stitch({ startMs: 43000, endMs: 90000 }, {
+            text: 'uma semana e febre',
+            segments: [{ start: 1, end: 3, text: 'uma semana e febre' }],
+            words: words('uma semana e febre', 1)
+        });
+
+        // Assert
+        assert.deepEqual(texts(repeated), []);
+        assert.deepEqual(texts(result), ['e febre']);
+    });
+});
@@ -0,0 +1,182 @@
+using Xunit;
+using FluentAssertions;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging.Abstractions;
+using MedicalScribeR.Core.Models;
+using MedicalScribeR.Infrastructure.Data;
+using MedicalScribeR.Infrastructure.Repositories;
+
+namespace MedicalScribeR.Tests.Repositories
+{
+    public class TranscriptionRepositoryTests : IDisposable
+    {
+        private const string SessionId = "session-1";
+        private const string UserId = "user-1";
+
+        private readonly MedicalScribeDbContext _context;
+        private readonly TranscriptionRepository _repository;
+
+        public TranscriptionRepositoryTests()
+        {
+            var options = new DbContextOptionsBuilder<MedicalScribeDbContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .Options;
+
+            _context = new MedicalScribeDbContext(options);
+            _repository = new TranscriptionRepository(_context, NullLogger<TranscriptionRepository>.Instance);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+        }
+
+        [Fact]
+        public async Task GetChunkByClientIdAsync_SavedChunk_ShouldFindItBySessionAndClientId()
+        {
+            // Arrange
+            await _repository.SaveChunkAsync(CreateChunk(0, "client-0"));
+
+            // Act
+            var found = await _repository.GetChunkByClientIdAsync(SessionId, "client-0");
+            var otherSession = await _repository.GetChunkByClientIdAsync("session-2", "client-0");
+
+            // Assert
+            found.Should().NotBeNull();
+            found!.SequenceNumber.Should().Be(0);
+            otherSession.Should().BeNull();
+        }
+
+        [Fact]
+        public async Task UpdateChunkTextAsync_SuccessiveCorrections_ShouldKeepRecognizedText()
+        {
+            // Arrange
+            await _repository.SaveChunkAsync(CreateChunk(1, "client-1", "paciente com dispinéia"));
+
+            // Act
+            await _repository.UpdateChunkTextAsync(SessionId, 1, "paciente com dispneia");
+            var updated = await _repository.UpdateChunkTextAsync(SessionId, 1, "paciente com dispneia aos esforços");
+
+            // Assert
+            updated!.Text.Should().Be("paciente com dispneia aos esforços");
+            updated.OriginalText.Should().Be("paciente com dispinéia");
+            updated.IsCorrected.Should().BeTrue();
+        }
+
+        [Fact]
+        public async Task GetPendingReviewCountAsync_ShouldCountOnlyChunksNotYetReviewed()
+        {
+            // Arrange
+            await _repository.SaveChunkAsync(CreateChunk(0, "client-0", needsReview: true));
+            await _repository.SaveChunkAsync(CreateChunk(1, "client-1", needsReview: true));
+            await _repository.SaveChunkAsync(CreateChunk(2, "client-2"));
+
+            // Act
+            await _repository.MarkChunkReviewedAsync(SessionId, 0, null);
+            var pending = await _repository.GetPendingReviewCountAsync(SessionId);
+
+            // Assert
+            pending.Should().Be(1);
+        }
+
+        [Fact]
+        public async Task MarkChunkReviewedAsync_WithCorrection_ShouldApplyTextAndKeepOriginal()
+        {
+            // Arrange
+            await _repository.SaveChunkAsync(CreateChunk(0, "client-0", "losartana 50 mg", needsReview: true));
+
+            // Act
+            var reviewed = await _repository.MarkChunkReviewedAsync(SessionId, 0, "losartana 25 mg");
+
+            // Assert
+            reviewed!.ReviewedAt.Should().NotBeNull();
+            reviewed.Text.Should().Be("losartana 25 mg");
+            reviewed.OriginalText.Should().Be("losartana 50 mg");
+        }
+
+        [Fact]
+        public async Task DeleteChunkAsync_ShouldRemoveChunkAndReportMissingOnes()
+        {
+            // Arrange
+            await _repository.SaveChunkAsync(CreateChunk(0, "client-0"));
+
+            // Act
+            var removed = await _repository.DeleteChunkAsync(SessionId, 0);
+            var missing = await _repository.DeleteChunkAsync(SessionId, 0);
+
+            // Assert
+            removed.Should().BeTrue();
+            missing.Should().BeFalse();
+            (await _repository.GetChunkSequenceNumbersAsync(SessionId)).Should().BeEmpty();
+        }
+
+        [Fact]
+        public async Task AddPersonalTermAsync_SameTermDifferentCase_ShouldNotDuplicate()
+        {
+            // Act
+            var added = await _repository.AddPersonalTermAsync(UserId, "Losartana");
+            var duplicate = await _repository.AddPersonalTermAsync(UserId, "losartana");
+            var otherUser = await _repository.AddPersonalTermAsync("user-2", "losartana");
+
+            // Assert
+            added.Should().BeTrue();
+            duplicate.Should().BeFalse();
+            otherUser.Should().BeTrue();
+            (await _repository.GetPersonalTermsAsync(UserId)).Should().Equal("Losartana");
+        }
+
+        [Fact]
+        public async Task SaveVoiceCommandsAsync_ShouldReplacePreviousCommandsInOrder()
+        {
+            // Arrange
+            await _repository.SaveVoiceCommandsAsync(UserId, new List<VoiceCommand>
+            {
+                new VoiceCommand { Action = "pause", Phrases = new List<string> { "pausar" } }
+            });
+
+            // Act
+            await _repository.SaveVoiceCommandsAsync(UserId, new List<VoiceCommand>
+            {
+                new VoiceCommand { Action = "mark", Phrases = new List<string> { "marcar" } },
+                new VoiceCommand { Action = "delete-last", Phrases = new List<string> { "apagar última frase" } }
+            });
+            var commands = await _repository.GetVoiceCommandsAsync(UserId);
+
+            // Assert
+            commands.Select(c => c.Action).Should().Equal("mark", "delete-last");
+            commands.Select(c => c.Position).Should().Equal(0, 1);
+        }
+
+        [Fact]
+        public async Task SaveRedFlagAlertsAsync_ReportsFromTwoConnections_ShouldKeepBoth()
+        {
+            // Act
+            await _repository.SaveRedFlagAlertsAsync(new List<RedFlagAlert>
+            {
+                new RedFlagAlert { SessionId = SessionId, SequenceNumber = 3, FlagId = "chest-pain", ReportedBy = UserId, DetectedAt = DateTime.UtcNow }
+            });
+            await _repository.SaveRedFlagAlertsAsync(new List<RedFlagAlert>
+            {
+                new RedFlagAlert { SessionId = SessionId, SequenceNumber = 4, FlagId = "suicidal-ideation", ReportedBy = UserId, DetectedAt = DateTime.UtcNow.AddSeconds(1) }
+            });
+            var alerts = await _repository.GetRedFlagAlertsBySessionAsync(SessionId);
+
+            // Assert
+            alerts.Select(a => a.FlagId).Should().Equal("chest-pain", "suicidal-ideation");
+            (await _repository.GetRedFlagAlertsBySessionAsync("session-2")).Should().BeEmpty();
+        }
+
+        private static TranscriptionChunk CreateChunk(int sequenceNumber, string clientChunkId, string text = "Paciente relata dor torácica", bool needsReview = false)
+        {
+            return new TranscriptionChunk
+            {
+                SessionId = SessionId,
+                ClientChunkId = clientChunkId,
+                SequenceNumber = sequenceNumber,
+                Text = text,
+                Confidence = needsReview ? 0.4m : 0.9m,
+                NeedsReview = needsReview
+            };
+        }
+    }
+}
@@ -0,0 +1,77 @@
+using Xunit;
+using FluentAssertions;
+using Moq;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using MedicalScribeR.Core.Configuration;
+using MedicalScribeR.Core.Interfaces;
+using MedicalScribeR.Web.Services;
+
+namespace MedicalScribeR.Tests.Services
+{
+    public class AudioRetentionServiceTests
+    {
+        private readonly Mock<IAudioArchiveService> _mockArchive;
+
+        public AudioRetentionServiceTests()
+        {
+            _mockArchive = new Mock<IAudioArchiveService>();
+            _mockArchive.Setup(x => x.IsEnabled).Returns(true);
+            _mockArchive.Setup(x => x.DeleteSegmentsArchivedBeforeAsync(It.IsAny<DateTime>(), It.IsAny<CancellationToken>()))
+                        .ReturnsAsync(0);
+        }
+
+        [Fact]
+        public async Task ExecuteAsync_RetentionConfigured_ShouldDeleteSegmentsArchivedBeforeCutoff()
+        {
+            // Arrange
+            DateTime? cutoff = null;
+            _mockArchive.Setup(x => x.DeleteSegmentsArchivedBeforeAsync(It.IsAny<DateTime>(), It.IsAny<CancellationToken>()))
+                        .Callback<DateTime, CancellationToken>((value, _) => cutoff = value)
+                        .ReturnsAsync(1);
+            var service = CreateService(new AudioArchiveOptions { RetentionDays = 30 });
+
+            // Act
+            await service.StartAsync(CancellationToken.None);
+            await service.StopAsync(CancellationToken.None);
+
+            // Assert
+            cutoff.Should().NotBeNull();
+            cutoff!.Value.Should().BeCloseTo(DateTime.UtcNow.AddDays(-30), TimeSpan.FromMinutes(1));
+        }
+
+        [Fact]
+        public async Task ExecuteAsync_ArchiveDisabled_ShouldNotDeleteAnything()
+        {
+            // Arrange
+            _mockArchive.Setup(x => x.IsEnabled).Returns(false);
+            var service = CreateService(new AudioArchiveOptions { RetentionDays = 30 });
+
+            // Act
+            await service.StartAsync(CancellationToken.None);
+            await service.StopAsync(CancellationToken.None);
+
+            // Assert
+            _mockArchive.Verify(x => x.DeleteSegmentsArchivedBeforeAsync(It.IsAny<DateTime>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [Fact]
+        public async Task ExecuteAsync_WithoutRetentionDays_ShouldNotDeleteAnything()
+        {
+            // Arrange
+            var service = CreateService(new AudioArchiveOptions { RetentionDays = 0 });
+
+            // Act
+            await service.StartAsync(CancellationToken.None);
+            await service.StopAsync(CancellationToken.None);
+
+            // Assert
+            _mockArchive.Verify(x => x.DeleteSegmentsArchivedBeforeAsync(It.IsAny<DateTime>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        private AudioRetentionService CreateService(AudioArchiveOptions options)
+        {
+            return new AudioRetentionService(_mockArchive.Object, Options.Create(options), NullLogger<AudioRetentionService>.Instance);
+        }
+    }
+}
@@ -0,0 +1,238 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using System.Security.Claims;
+using MedicalScribeR.Core.Configuration;
+using MedicalScribeR.Core.Interfaces;
+using MedicalScribeR.Core.Models;
+
+namespace MedicalScribeR.Web.Controllers
+{
+    /// <summary>
+    /// Recebe e devolve o áudio bruto das sessões, gravado no navegador em segmentos Opus
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    [Authorize]
+    public class AudioArchiveController : ControllerBase
+    {
+        private readonly ITranscriptionRepository _repository;
+        private readonly IAudioArchiveService _archive;
+        private readonly AudioArchiveOptions _options;
+        private readonly ILogger<AudioArchiveController> _logger;
+
+        public AudioArchiveController(
+            ITranscriptionRepository repository,
+            IAudioArchiveService archive,
+            IOptions<AudioArchiveOptions> options,
+            ILogger<AudioArchiveController> logger)
+        {
+            _repository = repository;
+            _archive = archive;
+            _options = options.Value;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Grava um segmento da sessão. O corpo é o áudio; reenviar o mesmo índice substitui o segmento.
+        /// </summary>
+        [HttpPut("{sessionId}/segments/{segmentIndex:int}")]
+        public async Task<IActionResult> UploadSegment(
+            string sessionId,
+            int segmentIndex,
+            [FromQuery] long offsetMs,
+            [FromQuery] long durationMs,
+            [FromQuery] DateTime? recordedAt,
+            CancellationToken cancellationToken)
+        {
+            try
+            {
+                if (!_archive.IsEnabled)
+                {
+                    return StatusCode(503, new { error = "Arquivamento de áudio não configurado" });
+                }
+
+                if (segmentIndex < 0 || offsetMs < 0 || durationMs < 0)
+                {
+                    return BadRequest(new { error = "Índice, offset e duração do segmento não podem ser negativos" });
+                }
+
+                // "audio/webm;codecs=opus" -> "audio/webm"
+                var contentType = Request.ContentType ?? string.Empty;
+                var mediaType = contentType.Split(';')[0].Trim().ToLowerInvariant();
+                if (!_options.AllowedContentTypes.Contains(mediaType, StringComparer.OrdinalIgnoreCase))
+                {
+                    return StatusCode(415, new { error = $"Formato de áudio não aceito: {mediaType}" });
+                }
+
+                if (Request.ContentLength > _options.MaxSegmentBytes)
+                {
+                    return StatusCode(413, new { error = "Segmento de áudio excede o tamanho máximo", maxBytes = _options.MaxSegmentBytes });
+                }
+
+                var access = await CheckSessionAccessAsync(sessionId);
+                if (access != null)
+                {
+                    return access;
+                }
+
+                // Sem Content-Length (envio em partes) o limite é verificado depois da leitura
+                using var buffer = new MemoryStream();
+                await Request.Body.CopyToAsync(buffer, cancellationToken);
+
+                if (buffer.Length == 0)
+                {
+                    return BadRequest(new { error = "Segmento de áudio vazio" });
+                }
+
+                if (buffer.Length > _options.MaxSegmentBytes)
+                {
+                    return StatusCode(413, new { error = "Segmento de áudio excede o tamanho máximo", maxBytes = _options.MaxSegmentBytes });
+                }
+
+                buffer.Position = 0;
+
+                var segment = await _archive.SaveSegmentAsync(new AudioSegment
+                {
+                    SessionId = sessionId,
+                    SegmentIndex = segmentIndex,
+                    ContentType = contentType,
+                    SizeBytes = buffer.Length,
+                    OffsetMs = offsetMs,
+                    DurationMs = durationMs,
+                    // Informativo: a retenção conta da criação do blob, não desta data enviada pelo cliente
+                    RecordedAt = recordedAt?.ToUniversalTime() ?? DateTime.UtcNow
+                }, buffer, cancellationToken);
+
+                return Ok(segment);
+            }
+            catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+            {
+                // Cliente cancelou o envio; ele tenta de novo
+                return StatusCode(499);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao arquivar segmento {SegmentIndex} de áudio da sessão {SessionId}", segmentIndex, sessionId);
+                return StatusCode(500, new { error = "Erro interno do servidor" });
+            }
+        }
+
+        /// <summary>
+        /// Lista os segmentos arquivados da sessão
+        /// </summary>
+        [HttpGet("{sessionId}/segments")]
+        public async Task<IActionResult> GetSegments(string sessionId, CancellationToken cancellationToken)
+        {
+            try
+            {
+                if (!_archive.IsEnabled)
+                {
+                    return StatusCode(503, new { error = "Arquivamento de áudio não configurado" });
+                }
+
+                var access = await CheckSessionAccessAsync(sessionId);
+                if (access != null)
+                {
+                    return access;
+                }
+
+                var segments = await _archive.GetSegmentsAsync(sessionId, cancellationToken);
+
+                return Ok(new
+                {
+                    SessionId = sessionId,
+                    Segments = segments,
+                    TotalBytes = segments.Sum(s => s.SizeBytes),
+                    TotalDurationMs = segments.Sum(s => s.DurationMs)
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao listar áudio arquivado da sessão {SessionId}", sessionId);
+                return StatusCode(500, new { error = "Erro interno do servidor" });
+            }
+        }
+
+        /// <summary>
+        /// Baixa um segmento arquivado
+        /// </summary>
+        [HttpGet("{sessionId}/segments/{segmentIndex:int}")]
+        public async Task<IActionResult> DownloadSegment(string sessionId, int segmentIndex, CancellationToken cancellationToken)
+        {
+            try
+            {
+                if (!_archive.IsEnabled)
+                {
+                    return StatusCode(503, new { error = "Arquivamento de áudio não configurado" });
+                }
+
+                var access = await CheckSessionAccessAsync(sessionId);
+                if (access != null)
+                {
+                    return access;
+                }
+
+                var result = await _archive.OpenSegmentAsync(sessionId, segmentIndex, cancellationToken);
+                if (result == null)
+                {
+                    return NotFound(new { error = "Segmento de áudio não encontrado" });
+                }
+
+                var (segment, content) = result.Value;
+                var extension = segment.ContentType.StartsWith("audio/ogg", StringComparison.OrdinalIgnoreCase) ? "ogg" : "webm";
+
+                _logger.LogInformation("Segmento {SegmentIndex} de áudio da sessão {SessionId} baixado pelo usuário {UserId}",
+                    segmentIndex, sessionId, GetUserId());
+
+                return File(content, segment.ContentType, $"{sessionId}_{segmentIndex:D6}.{extension}", enableRangeProcessing: true);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao baixar segmento {SegmentIndex} de áudio da sessão {SessionId}", segmentIndex, sessionId);
+                return StatusCode(500, new { error = "Erro interno do servidor" });
+            }
+        }
+
+        #region Helper Methods
+
+        /// <summary>
+        /// Resultado de erro quando a sessão não existe ou é de outro usuário; null quando o acesso é permitido
+        /// </summary>
+        private async Task<IActionResult?> CheckSessionAccessAsync(string sessionId)
+        {
+            var userId = GetUserId();
+            var session = await _repository.GetSessionAsync(sessionId);
+
+            if (session == null)
+            {
+                return NotFound(new { error = "Sessão não encontrada" });
+            }
+
+            if (session.UserId != userId)
+            {
+                return Forbid();
+            }
+
+            return null;
+        }
+
+        private string GetUserId()
+        {
+            var userId = User?.FindFirst(ClaimTypes.NameIdentifier)?.Value
+                ?? User?.FindFirst("sub")?.Value
+                ?? User?.FindFirst("oid")?.Value;
+
+            if (string.IsNullOrEmpty(userId))
+            {
+                _logger.LogError("Não foi possível obter ID do usuário dos claims");
+                throw new UnauthorizedAccessException("Usuário não autenticado ou ID não encontrado");
+            }
+
+            return userId;
+        }
+
+        #endregion
+    }
+}
@@ -155,6 +155,13 @@ namespace MedicalScribeR.Web.Controllers
                     return Forbid();
                 }
 
+                // Trechos de baixa confiança precisam ser confirmados antes de o documento valer como final
+                var pendingReviews = await _repository.GetPendingReviewCountAsync(document.SessionId);
+                if (pendingReviews > 0)
+                {
+                    return Conflict(new { error = $"{pendingReviews} trecho(s) de baixa confiança aguardando revisão", pendingReviews });
+                }
+
                 document.Status = DocumentStatus.Approved;
                 document.UpdatedAt = DateTime.UtcNow;
                 document.IsApproved = true;
@@ -52,42 +52,7 @@ namespace MedicalScribeR.Web.Controllers
             }
         }
 
-        [HttpGet("whisper-config")]
-        public IActionResult GetWhisperConfig()
-        {
-            try
-            {
-                var userId = GetUserId();
-                _logger.LogInformation("User {UserId} requesting Whisper configuration", userId);
-
-                var whisperEndpoint = _configuration["Azure:Whisper:Endpoint"];
-                var whisperApiKey = _configuration["Azure:Whisper:ApiKey"];
-                var whisperDeployment = _configuration["Azure:Whisper:DeploymentName"];
-
-                if (string.IsNullOrEmpty(whisperEndpoint) || string.IsNullOrEmpty(whisperApiKey))
-                {
-                    return BadRequest(new { 
-                        error = "Whisper configuration missing",
-                        details = "Whisper endpoint or API key not configured"
-                    });
-                }
-
-                return Ok(new {
-                    endpoint = whisperEndpoint,
-                    apiKey = whisperApiKey,
-                    deploymentName = whisperDeployment ?? "whisper",
-                    success = true
-                });
-            }
-            catch (Exception ex)
-            {
-                _logger.LogError(ex, "Error getting Whisper configuration for user {UserId}", GetUserId());
-                return StatusCode(500, new { 
-                    error = "Internal server error",
-                    message = ex.Message
-                });
-            }
-        }
+        // A chave do Whisper não sai do servidor: o áudio é transcrito via WhisperController (/api/whisper)
 
         [HttpGet]
         public async Task<IActionResult> GetToken()
@@ -0,0 +1,405 @@
+using MedicalScribeR.Core.Interfaces;
+using MedicalScribeR.Core.Models;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Caching.Distributed;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using System.Security.Claims;
+using System.Text.Json;
+
+namespace MedicalScribeR.Web.Controllers
+{
+    /// <summary>
+    /// Controller de vocabulário para o reconhecimento de fala.
+    /// Fornece a lista de frases por tipo de consulta, os termos pessoais e os comandos de voz de cada profissional,
+    /// além dos sinais de alarme (red flags) configurados para o tipo de consulta.
+    /// Termos e comandos ficam no banco; o cache distribuído só acelera a leitura.
+    /// </summary>
+    [Authorize]
+    [ApiController]
+    [Route("api/[controller]")]
+    public class VocabularyController : ControllerBase
+    {
+        private const string DefaultConsultationType = "consulta-geral";
+        private const int MaxTermLength = 100;
+        private const int MaxPersonalTerms = 500;
+        private const int MaxVoiceCommands = 50;
+        private static readonly TimeSpan CacheDuration = TimeSpan.FromMinutes(30);
+
+        // Ações executadas pelo cliente; frases são livres
+        private static readonly HashSet<string> VoiceCommandActions = new(StringComparer.Ordinal)
+        {
+            "pause", "stop", "mark", "delete-last", "section"
+        };
+
+        // Termos clínicos comuns a todas as consultas
+        private static readonly string[] BasePhrases =
+        {
+            "dor", "medicamento", "prescrição", "diagnóstico", "sintoma",
+            "anamnese", "exame físico", "posologia", "comprimido", "miligramas",
+            "dipirona", "paracetamol", "ibuprofeno", "amoxicilina", "omeprazol",
+            "losartana", "metformina", "hipertensão arterial", "diabetes mellitus"
+        };
+
+        private static readonly Dictionary<string, string[]> ConsultationPhrases = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["consulta-geral"] = new[]
+            {
+                "queixa principal", "história da doença atual", "antecedentes pessoais",
+                "antecedentes familiares", "hábitos de vida", "alergia medicamentosa",
+                "hemograma", "glicemia de jejum", "colesterol total"
+            },
+            ["retorno"] = new[]
+            {
+                "evolução", "adesão ao tratamento", "efeito colateral", "resultado de exame",
+                "ajuste de dose", "manter conduta", "suspender medicação", "hemoglobina glicada"
+            },
+            ["emergencia"] = new[]
+            {
+                "dor torácica", "dispneia", "síncope", "saturação", "pressão arterial",
+                "frequência cardíaca", "glasgow", "eletrocardiograma", "troponina",
+                "soro fisiológico", "adrenalina", "intubação orotraqueal"
+            },
+            ["saude-mental"] = new[]
+            {
+                "humor deprimido", "anedonia", "ansiedade", "insônia", "ideação suicida", "plano suicida",
+                "tentativa de suicídio", "autolesão", "alucinação", "delírio", "sertralina", "fluoxetina",
+                "escitalopram", "quetiapina", "risperidona", "carbonato de lítio", "clonazepam"
+            }
+        };
+
+        private readonly ITranscriptionRepository _repository;
+        private readonly IDistributedCache _cache;
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<VocabularyController> _logger;
+
+        public VocabularyController(
+            ITranscriptionRepository repository,
+            IDistributedCache cache,
+            IConfiguration configuration,
+            ILogger<VocabularyController> logger)
+        {
+            _repository = repository ?? throw new ArgumentNullException(nameof(repository));
+            _cache = cache ?? throw new ArgumentNullException(nameof(cache));
+            _configuration = configuration ?? throw new ArgumentNullException(nameof(configuration));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Retorna a lista de frases do tipo de consulta somada aos termos pessoais do usuário.
+        /// Frases adicionais podem ser configuradas em Azure:Speech:PhraseLists:{tipo};
+        /// sinais de alarme que complementam o léxico do cliente, em Clinical:RedFlags.
+        /// </summary>
+        [HttpGet("{consultationType}")]
+        public async Task<ActionResult<PhraseListResponse>> GetPhraseList(string consultationType)
+        {
+            try
+            {
+                var userId = GetUserId();
+                var type = NormalizeConsultationType(consultationType);
+
+                if (!ConsultationPhrases.TryGetValue(type, out var typePhrases))
+                {
+                    _logger.LogWarning("Tipo de consulta desconhecido {ConsultationType}, usando {Default}", consultationType, DefaultConsultationType);
+                    type = DefaultConsultationType;
+                    typePhrases = ConsultationPhrases[type];
+                }
+
+                var configuredPhrases = _configuration
+                    .GetSection($"Azure:Speech:PhraseLists:{type}")
+                    .Get<string[]>() ?? Array.Empty<string>();
+
+                var personalTerms = await GetPersonalTermsAsync(userId);
+
+                var phrases = BasePhrases
+                    .Concat(typePhrases)
+                    .Concat(configuredPhrases)
+                    .Concat(personalTerms)
+                    .Distinct(StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+
+                // Entradas sem tipos de consulta valem para todos
+                var redFlags = (_configuration.GetSection("Clinical:RedFlags").Get<List<RedFlagDefinition>>() ?? new List<RedFlagDefinition>())
+                    .Where(flag => flag.ConsultationTypes.Count == 0 || flag.ConsultationTypes.Contains(type, StringComparer.OrdinalIgnoreCase))
+                    .ToList();
+
+                return Ok(new PhraseListResponse
+                {
+                    ConsultationType = type,
+                    Phrases = phrases,
+                    PersonalTerms = personalTerms,
+                    RedFlags = redFlags
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao montar lista de frases para {ConsultationType}", consultationType);
+                return StatusCode(500, new { error = "Erro interno do servidor" });
+            }
+        }
+
+        /// <summary>
+        /// Retorna os comandos de voz personalizados do usuário (lista vazia usa os comandos padrão do cliente)
+        /// </summary>
+        [HttpGet("commands")]
+        public async Task<ActionResult<List<VoiceCommandDefinition>>> GetVoiceCommands()
+        {
+            try
+            {
+                return Ok(await GetVoiceCommandDefinitionsAsync(GetUserId()));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao buscar comandos de voz");
+                return StatusCode(500, new { error = "Erro interno do servidor" });
+            }
+        }
+
+        /// <summary>
+        /// Substitui os comandos de voz personalizados do usuário
+        /// </summary>
+        [HttpPut("commands")]
+        public async Task<ActionResult<List<VoiceCommandDefinition>>> SaveVoiceCommands([FromBody] List<VoiceCommandDefinition> commands)
+        {
+            try
+            {
+                if (commands == null || commands.Count > MaxVoiceCommands)
+                {
+                    return BadRequest(new { error = $"Informe até {MaxVoiceCommands} comandos" });
+                }
+
+                foreach (var command in commands)
+                {
+                    command.Phrases = command.Phrases
+                        .Select(phrase => phrase?.Trim() ?? string.Empty)
+                        .Where(phrase => phrase.Length > 0 && phrase.Length <= MaxTermLength)
+                        .Distinct(StringComparer.OrdinalIgnoreCase)
+                        .ToList();
+
+                    if (!VoiceCommandActions.Contains(command.Action) || command.Phrases.Count == 0)
+                    {
+                        return BadRequest(new { error = $"Comando inválido: {command.Action}" });
+                    }
+                }
+
+                var userId = GetUserId();
+                await _repository.SaveVoiceCommandsAsync(userId, commands.Select(ToVoiceCommand).ToList());
+                await InvalidateCacheAsync(VoiceCommandsCacheKey(userId));
+
+                _logger.LogInformation("Comandos de voz atualizados para usuário {UserId}: {Count}", userId, commands.Count);
+
+                return Ok(commands);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao salvar comandos de voz");
+                return StatusCode(500, new { error = "Erro interno do servidor" });
+            }
+        }
+
+        /// <summary>
+        /// Adiciona um termo ao vocabulário pessoal do usuário
+        /// </summary>
+        [HttpPost("personal")]
+        public async Task<ActionResult<List<string>>> AddPersonalTerm([FromBody] PersonalTermRequest request)
+        {
+            try
+            {
+                var term = request.Term?.Trim();
+
+                if (string.IsNullOrEmpty(term) || term.Length > MaxTermLength)
+                {
+                    return BadRequest(new { error = $"Termo deve ter entre 1 e {MaxTermLength} caracteres" });
+                }
+
+                var userId = GetUserId();
+                var terms = await GetPersonalTermsAsync(userId);
+
+                if (!terms.Contains(term, StringComparer.OrdinalIgnoreCase))
+                {
+                    if (terms.Count >= MaxPersonalTerms)
+                    {
+                        return BadRequest(new { error = $"Limite de {MaxPersonalTerms} termos pessoais atingido" });
+                    }
+
+                    await _repository.AddPersonalTermAsync(userId, term);
+                    await InvalidateCacheAsync(PersonalTermsCacheKey(userId));
+                    terms.Add(term);
+                    _logger.LogInformation("Termo pessoal adicionado para usuário {UserId}", userId);
+                }
+
+                return Ok(terms);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao adicionar termo pessoal");
+                return StatusCode(500, new { error = "Erro interno do servidor" });
+            }
+        }
+
+        /// <summary>
+        /// Remove um termo do vocabulário pessoal do usuário
+        /// </summary>
+        [HttpDelete("personal/{term}")]
+        public async Task<ActionResult<List<string>>> RemovePersonalTerm(string term)
+        {
+            try
+            {
+                var userId = GetUserId();
+                var terms = await GetPersonalTermsAsync(userId);
+
+                if (terms.RemoveAll(t => string.Equals(t, term, StringComparison.OrdinalIgnoreCase)) == 0)
+                {
+                    return NotFound(new { error = "Termo não encontrado" });
+                }
+
+                await _repository.RemovePersonalTermAsync(userId, term);
+                await InvalidateCacheAsync(PersonalTermsCacheKey(userId));
+                _logger.LogInformation("Termo pessoal removido para usuário {UserId}", userId);
+
+                return Ok(terms);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao remover termo pessoal");
+                return StatusCode(500, new { error = "Erro interno do servidor" });
+            }
+        }
+
+        #region Helper Methods
+
+        private static string PersonalTermsCacheKey(string userId) => $"vocabulary:personal:{userId}";
+
+        private static string VoiceCommandsCacheKey(string userId) => $"vocabulary:commands:{userId}";
+
+        private Task<List<string>> GetPersonalTermsAsync(string userId)
+        {
+            return ReadThroughAsync(PersonalTermsCacheKey(userId), () => _repository.GetPersonalTermsAsync(userId));
+        }
+
+        private Task<List<VoiceCommandDefinition>> GetVoiceCommandDefinitionsAsync(string userId)
+        {
+            return ReadThroughAsync(VoiceCommandsCacheKey(userId), async () =>
+                (await _repository.GetVoiceCommandsAsync(userId)).Select(ToDefinition).ToList());
+        }
+
+        /// <summary>
+        /// Lê do cache; na falta (ou com o cache fora do ar) lê do banco e preenche o cache
+        /// </summary>
+        private async Task<T> ReadThroughAsync<T>(string key, Func<Task<T>> load) where T : class
+        {
+            try
+            {
+                var json = await _cache.GetStringAsync(key);
+                var cached = json != null ? JsonSerializer.Deserialize<T>(json) : null;
+                if (cached != null)
+                {
+                    return cached;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Cache indisponível ao ler {CacheKey}; usando o banco", key);
+            }
+
+            var value = await load();
+
+            try
+            {
+                await _cache.SetStringAsync(key, JsonSerializer.Serialize(value),
+                    new DistributedCacheEntryOptions { AbsoluteExpirationRelativeToNow = CacheDuration });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Cache indisponível ao gravar {CacheKey}", key);
+            }
+
+            return value;
+        }
+
+        private async Task InvalidateCacheAsync(string key)
+        {
+            try
+            {
+                await _cache.RemoveAsync(key);
+            }
+            catch (Exception ex)
+            {
+                // Sem remover, a leitura fica desatualizada até CacheDuration
+                _logger.LogWarning(ex, "Cache indisponível ao invalidar {CacheKey}", key);
+            }
+        }
+
+        private static VoiceCommand ToVoiceCommand(VoiceCommandDefinition definition)
+        {
+            return new VoiceCommand { Action = definition.Action, Phrases = definition.Phrases.ToList() };
+        }
+
+        private static VoiceCommandDefinition ToDefinition(VoiceCommand command)
+        {
+            return new VoiceCommandDefinition { Action = command.Action, Phrases = command.Phrases.ToList() };
+        }
+
+        /// <summary>
+        /// Aceita tanto o valor do seletor ("consulta-geral") quanto o rótulo ("Consulta Geral")
+        /// </summary>
+        private static string NormalizeConsultationType(string? consultationType)
+        {
+            if (string.IsNullOrWhiteSpace(consultationType))
+            {
+                return DefaultConsultationType;
+            }
+
+            return consultationType.Trim().ToLowerInvariant()
+                .Replace(' ', '-')
+                .Replace("ê", "e")
+                .Replace("ú", "u");
+        }
+
+        private string GetUserId()
+        {
+            return User?.FindFirst(ClaimTypes.NameIdentifier)?.Value
+                ?? User?.FindFirst("sub")?.Value
+                ?? User?.FindFirst("oid")?.Value
+                ?? throw new UnauthorizedAccessException("Usuário não autenticado");
+        }
+
+        #endregion
+    }
+
+    #region DTOs
+
+    public class PhraseListResponse
+    {
+        public string ConsultationType { get; set; } = string.Empty;
+        public List<string> Phrases { get; set; } = new();
+        public List<string> PersonalTerms { get; set; } = new();
+        public List<RedFlagDefinition> RedFlags { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Entrada do léxico de sinais de alarme; o mesmo Id de uma entrada padrão do cliente a substitui
+    /// </summary>
+    public class RedFlagDefinition
+    {
+        public string Id { get; set; } = string.Empty;
+        public string Label { get; set; } = string.Empty;
+        public string Severity { get; set; } = "high";
+        public List<string> Terms { get; set; } = new();
+        public List<string> ConsultationTypes { get; set; } = new();
+    }
+
+    public class PersonalTermRequest
+    {
+        public string? Term { get; set; }
+    }
+
+    public class VoiceCommandDefinition
+    {
+        public string Action { get; set; } = string.Empty;
+        public List<string> Phrases { get; set; } = new();
+    }
+
+    #endregion
+}
@@ -0,0 +1,269 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using System.Globalization;
+using System.Net;
+using System.Net.Http.Headers;
+using System.Security.Claims;
+using MedicalScribeR.Core.Interfaces;
+
+namespace MedicalScribeR.Web.Controllers
+{
+    /// <summary>
+    /// Encaminha o áudio das sessões ao Whisper (Azure OpenAI). A chave da API fica só no servidor.
+    /// </summary>
+    [ApiController]
+    [Route("api/whisper")]
+    [Authorize]
+    public class WhisperController : ControllerBase
+    {
+        /// <summary>
+        /// Limite de arquivo da API de transcrição
+        /// </summary>
+        private const long MaxAudioBytes = 25 * 1024 * 1024;
+
+        private const string ApiVersion = "2024-06-01";
+
+        private static readonly string[] AllowedContentTypes =
+        {
+            "audio/webm", "audio/ogg", "audio/wav", "audio/x-wav", "audio/mpeg", "audio/mp4", "audio/x-m4a"
+        };
+
+        private static readonly string[] AllowedResponseFormats = { "json", "verbose_json", "text", "srt", "vtt" };
+
+        private static readonly string[] AllowedGranularities = { "word", "segment" };
+
+        private readonly ITranscriptionRepository _repository;
+        private readonly IConfiguration _configuration;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly ILogger<WhisperController> _logger;
+        private readonly TimeSpan _requestTimeout = TimeSpan.FromMinutes(5);
+
+        public WhisperController(
+            ITranscriptionRepository repository,
+            IConfiguration configuration,
+            IHttpClientFactory httpClientFactory,
+            ILogger<WhisperController> logger)
+        {
+            _repository = repository ?? throw new ArgumentNullException(nameof(repository));
+            _configuration = configuration ?? throw new ArgumentNullException(nameof(configuration));
+            _httpClientFactory = httpClientFactory ?? throw new ArgumentNullException(nameof(httpClientFactory));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Transcreve um trecho de áudio da sessão. O corpo é multipart como o da API do Whisper
+        /// (file, language, prompt, temperature, response_format, timestamp_granularities[]);
+        /// modelo e chave são definidos aqui. A resposta do Whisper é devolvida como chega.
+        /// </summary>
+        [HttpPost("{sessionId}/transcriptions")]
+        [RequestSizeLimit(MaxAudioBytes + 1024 * 1024)]
+        [RequestFormLimits(MultipartBodyLengthLimit = MaxAudioBytes + 1024 * 1024)]
+        public async Task<IActionResult> Transcribe(
+            string sessionId,
+            IFormFile file,
+            [FromForm] string? language,
+            [FromForm] string? prompt,
+            [FromForm] float? temperature,
+            [FromForm(Name = "response_format")] string? responseFormat,
+            [FromForm(Name = "timestamp_granularities[]")] string[]? timestampGranularities,
+            CancellationToken cancellationToken)
+        {
+            try
+            {
+                var endpoint = _configuration["Azure:Whisper:Endpoint"];
+                var apiKey = _configuration["Azure:Whisper:ApiKey"];
+                var deploymentName = _configuration["Azure:Whisper:DeploymentName"] ?? "whisper";
+
+                if (string.IsNullOrEmpty(endpoint) || string.IsNullOrEmpty(apiKey))
+                {
+                    _logger.LogError("Endpoint ou chave do Whisper não configurados (Azure:Whisper)");
+                    return StatusCode(503, new { error = "Transcrição Whisper não configurada" });
+                }
+
+                if (file == null || file.Length == 0)
+                {
+                    return BadRequest(new { error = "Arquivo de áudio ausente ou vazio" });
+                }
+
+                if (file.Length > MaxAudioBytes)
+                {
+                    return StatusCode(413, new { error = "Áudio excede o tamanho máximo", maxBytes = MaxAudioBytes });
+                }
+
+                // "audio/webm;codecs=opus" -> "audio/webm"
+                var mediaType = (file.ContentType ?? string.Empty).Split(';')[0].Trim().ToLowerInvariant();
+                if (!AllowedContentTypes.Contains(mediaType))
+                {
+                    return StatusCode(415, new { error = $"Formato de áudio não aceito: {mediaType}" });
+                }
+
+                responseFormat ??= "verbose_json";
+                if (!AllowedResponseFormats.Contains(responseFormat))
+                {
+                    return BadRequest(new { error = $"Formato de resposta não aceito: {responseFormat}" });
+                }
+
+                var access = await CheckSessionAccessAsync(sessionId);
+                if (access != null)
+                {
+                    return access;
+                }
+
+                using var content = new MultipartFormDataContent();
+                var fileContent = new StreamContent(file.OpenReadStream());
+                fileContent.Headers.ContentType = MediaTypeHeaderValue.Parse(file.ContentType!);
+                content.Add(fileContent, "file", string.IsNullOrEmpty(file.FileName) ? "audio.webm" : file.FileName);
+                content.Add(new StringContent(deploymentName), "model");
+                content.Add(new StringContent(responseFormat), "response_format");
+
+                if (!string.IsNullOrWhiteSpace(language))
+                    content.Add(new StringContent(language), "language");
+                if (!string.IsNullOrWhiteSpace(prompt))
+                    content.Add(new StringContent(prompt), "prompt");
+                if (temperature.HasValue)
+                    content.Add(new StringContent(temperature.Value.ToString(System.Globalization.CultureInfo.InvariantCulture)), "temperature");
+
+                foreach (var granularity in (timestampGranularities ?? Array.Empty<string>()).Intersect(AllowedGranularities))
+                {
+                    content.Add(new StringContent(granularity), "timestamp_granularities[]");
+                }
+
+                var url = $"{endpoint.TrimEnd('/')}/openai/deployments/{deploymentName}/audio/transcriptions?api-version={ApiVersion}";
+
+                using var httpClient = _httpClientFactory.CreateClient();
+                httpClient.Timeout = _requestTimeout;
+
+                using var request = new HttpRequestMessage(HttpMethod.Post, url) { Content = content };
+                request.Headers.Add("api-key", apiKey);
+
+                using var response = await httpClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+
+                if (!response.IsSuccessStatusCode)
+                {
+                    var errorContent = await response.Content.ReadAsStringAsync(cancellationToken);
+                    _logger.LogWarning("Whisper recusou o áudio da sessão {SessionId}: {StatusCode} - {ErrorContent}",
+                        sessionId, response.StatusCode, errorContent);
+
+                    return UpstreamError(response);
+                }
+
+                _logger.LogInformation("Áudio da sessão {SessionId} transcrito pelo Whisper ({SizeBytes} bytes) para o usuário {UserId}",
+                    sessionId, file.Length, GetUserId());
+
+                // Resultado repassado em streaming, sem montar a transcrição em memória
+                Response.StatusCode = StatusCodes.Status200OK;
+                Response.ContentType = response.Content.Headers.ContentType?.ToString() ?? "application/json";
+
+                await using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+                await stream.CopyToAsync(Response.Body, cancellationToken);
+
+                return new EmptyResult();
+            }
+            catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+            {
+                // Cliente cancelou o envio; ele tenta de novo
+                return StatusCode(499);
+            }
+            catch (TaskCanceledException ex)
+            {
+                _logger.LogWarning(ex, "Tempo esgotado transcrevendo o áudio da sessão {SessionId}", sessionId);
+                return StatusCode(504, new { error = "Tempo esgotado aguardando a transcrição" });
+            }
+            catch (HttpRequestException ex)
+            {
+                _logger.LogError(ex, "Whisper inacessível para a sessão {SessionId}", sessionId);
+                return StatusCode(502, new { error = "Serviço de transcrição indisponível" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao transcrever áudio da sessão {SessionId}", sessionId);
+                return StatusCode(500, new { error = "Erro interno do servidor" });
+            }
+        }
+
+        #region Helper Methods
+
+        /// <summary>
+        /// Erro do Whisper para o navegador: limite de requisições, indisponibilidade temporária e áudio inválido
+        /// seguem como vieram, com o Retry-After (segundos ou data), e o cliente decide se tenta de novo; o resto vira 502
+        /// </summary>
+        private IActionResult UpstreamError(HttpResponseMessage response)
+        {
+            switch (response.StatusCode)
+            {
+                case HttpStatusCode.TooManyRequests:
+                    ForwardRetryAfter(response);
+                    return StatusCode(429, new { error = "Limite de transcrições atingido, tente novamente em instantes" });
+
+                case HttpStatusCode.ServiceUnavailable:
+                    ForwardRetryAfter(response);
+                    return StatusCode(503, new { error = "Serviço de transcrição temporariamente indisponível" });
+
+                case HttpStatusCode.BadRequest:
+                    return BadRequest(new { error = "Áudio recusado pelo serviço de transcrição" });
+
+                case HttpStatusCode.RequestEntityTooLarge:
+                    return StatusCode(413, new { error = "Áudio excede o tamanho máximo", maxBytes = MaxAudioBytes });
+
+                default:
+                    return StatusCode(502, new { error = "Falha no serviço de transcrição", upstreamStatus = (int)response.StatusCode });
+            }
+        }
+
+        /// <summary>
+        /// Copia o Retry-After do Whisper na forma em que veio: segundos ou data HTTP
+        /// </summary>
+        private void ForwardRetryAfter(HttpResponseMessage response)
+        {
+            var retryAfter = response.Headers.RetryAfter;
+            if (retryAfter?.Delta is TimeSpan delay)
+            {
+                Response.Headers.RetryAfter = ((int)Math.Ceiling(delay.TotalSeconds)).ToString();
+            }
+            else if (retryAfter?.Date is DateTimeOffset date)
+            {
+                Response.Headers.RetryAfter = date.ToString("r", CultureInfo.InvariantCulture);
+            }
+        }
+
+        /// <summary>
+        /// Resultado de erro quando a sessão não existe ou é de outro usuário; null quando o acesso é permitido
+        /// </summary>
+        private async Task<IActionResult?> CheckSessionAccessAsync(string sessionId)
+        {
+            var userId = GetUserId();
+            var session = await _repository.GetSessionAsync(sessionId);
+
+            if (session == null)
+            {
+                return NotFound(new { error = "Sessão não encontrada" });
+            }
+
+            if (session.UserId != userId)
+            {
+                return Forbid();
+            }
+
+            return null;
+        }
+
+        private string GetUserId()
+        {
+            var userId = User?.FindFirst(ClaimTypes.NameIdentifier)?.Value
+                ?? User?.FindFirst("sub")?.Value
+                ?? User?.FindFirst("oid")?.Value;
+
+            if (string.IsNullOrEmpty(userId))
+            {
+                _logger.LogError("Não foi possível obter ID do usuário dos claims");
+                throw new UnauthorizedAccessException("Usuário não autenticado ou ID não encontrado");
+            }
+
+            return userId;
+        }
+
+        #endregion
+    }
+}
@@ -29,6 +29,12 @@ namespace MedicalScribeR.Web.Hubs
         // Mapeia SessionId -> Set<ConnectionId> para broadcasting eficiente
         private static readonly ConcurrentDictionary<string, HashSet<string>> _sessionConnections = new();
 
+        // Confirmação de chunks: gravado agora, já gravado antes (reenvio) ou recusado sem nova tentativa
+        private const string ChunkAckPersisted = "persisted";
+        private const string ChunkAckDuplicate = "duplicate";
+        private const string ChunkAckRejected = "rejected";
+        private const int MaxReportedGaps = 100;
+
         public MedicalHub(
             OrchestratorAgent orchestrator,
             ITranscriptionRepository repository,
@@ -69,6 +75,19 @@ namespace MedicalScribeR.Web.Hubs
                     await _repository.CreateSessionAsync(newSession);
                     _logger.LogInformation("Nova sess�o criada: {SessionId}", sessionId);
                 }
+                else if (existingSession.UserId != userId)
+                {
+                    await Clients.Caller.SendAsync("Error", "Sessão não encontrada ou acesso negado");
+                    return;
+                }
+                else if (existingSession.Status == SessionStatus.Disconnected)
+                {
+                    // Sessão retomada após recarregar a página ou queda do navegador
+                    existingSession.Status = SessionStatus.Active;
+                    existingSession.UpdatedAt = DateTime.UtcNow;
+                    await _repository.UpdateSessionAsync(existingSession);
+                    _logger.LogInformation("Sessão {SessionId} retomada pelo usuário {UserId}", sessionId, userId);
+                }
 
                 // Adicionar conex�o ao grupo da sess�o
                 await Groups.AddToGroupAsync(Context.ConnectionId, sessionId);
@@ -165,6 +184,126 @@ namespace MedicalScribeR.Web.Hubs
             }
         }
 
+        /// <summary>
+        /// Pausa uma sessão de transcrição sem encerrá-la, registrando o início da lacuna
+        /// </summary>
+        public async Task PauseTranscription(string sessionId, int lastSequenceNumber, string? reason = null)
+        {
+            try
+            {
+                var userId = GetUserId();
+
+                var session = await _repository.GetSessionAsync(sessionId);
+                if (session == null || session.UserId != userId)
+                {
+                    await Clients.Caller.SendAsync("Error", "Sessão não encontrada ou acesso negado");
+                    return;
+                }
+
+                var pausedAt = DateTime.UtcNow;
+
+                session.Status = SessionStatus.Paused;
+                session.UpdatedAt = pausedAt;
+                await _repository.UpdateSessionAsync(session);
+
+                var pauseData = new SessionPauseInfo
+                {
+                    PausedAt = pausedAt,
+                    LastSequenceNumber = lastSequenceNumber,
+                    Reason = reason
+                };
+
+                await _cache.SetStringAsync(
+                    $"session_pause_{sessionId}",
+                    JsonSerializer.Serialize(pauseData),
+                    new DistributedCacheEntryOptions { SlidingExpiration = TimeSpan.FromHours(4) }
+                );
+
+                await _repository.SaveProcessingLogAsync(new ProcessingLog
+                {
+                    SessionId = sessionId,
+                    AgentName = nameof(MedicalHub),
+                    Action = "Paused",
+                    Details = $"LastSequenceNumber: {lastSequenceNumber}",
+                    InputData = reason,
+                    IsSuccess = true,
+                    Timestamp = pausedAt
+                });
+
+                // Agentes e demais clientes do grupo ficam sabendo da lacuna na transcrição
+                await Clients.Group(sessionId).SendAsync("SessionPaused", new
+                {
+                    SessionId = sessionId,
+                    PausedAt = pausedAt,
+                    LastSequenceNumber = lastSequenceNumber,
+                    Reason = reason
+                });
+
+                _logger.LogInformation("Sessão {SessionId} pausada após o chunk {SequenceNumber}", sessionId, lastSequenceNumber);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao pausar sessão {SessionId}", sessionId);
+                await Clients.Caller.SendAsync("Error", $"Erro ao pausar sessão: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Retoma uma sessão pausada, registrando a duração da lacuna
+        /// </summary>
+        public async Task ResumeTranscription(string sessionId)
+        {
+            try
+            {
+                var userId = GetUserId();
+
+                var session = await _repository.GetSessionAsync(sessionId);
+                if (session == null || session.UserId != userId)
+                {
+                    await Clients.Caller.SendAsync("Error", "Sessão não encontrada ou acesso negado");
+                    return;
+                }
+
+                var resumedAt = DateTime.UtcNow;
+                var pauseJson = await _cache.GetStringAsync($"session_pause_{sessionId}");
+                var pauseData = pauseJson != null ? JsonSerializer.Deserialize<SessionPauseInfo>(pauseJson) : null;
+                var gap = pauseData != null ? resumedAt - pauseData.PausedAt : TimeSpan.Zero;
+
+                session.Status = SessionStatus.Active;
+                session.UpdatedAt = resumedAt;
+                await _repository.UpdateSessionAsync(session);
+
+                await _cache.RemoveAsync($"session_pause_{sessionId}");
+
+                await _repository.SaveProcessingLogAsync(new ProcessingLog
+                {
+                    SessionId = sessionId,
+                    AgentName = nameof(MedicalHub),
+                    Action = "Resumed",
+                    Details = $"LastSequenceNumber: {pauseData?.LastSequenceNumber}",
+                    Duration = gap,
+                    IsSuccess = true,
+                    Timestamp = resumedAt
+                });
+
+                await Clients.Group(sessionId).SendAsync("SessionResumed", new
+                {
+                    SessionId = sessionId,
+                    PausedAt = pauseData?.PausedAt,
+                    ResumedAt = resumedAt,
+                    LastSequenceNumber = pauseData?.LastSequenceNumber,
+                    GapSeconds = gap.TotalSeconds
+                });
+
+                _logger.LogInformation("Sessão {SessionId} retomada após {GapSeconds}s", sessionId, gap.TotalSeconds);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao retomar sessão {SessionId}", sessionId);
+                await Clients.Caller.SendAsync("Error", $"Erro ao retomar sessão: {ex.Message}");
+            }
+        }
+
         /// <summary>
         /// Processa um chunk de transcri��o e ativa agentes conforme necess�rio
         /// </summary>
@@ -175,10 +314,35 @@ namespace MedicalScribeR.Web.Hubs
                 if (chunk == null || string.IsNullOrWhiteSpace(chunk.Text))
                 {
                     _logger.LogWarning("Chunk inv�lido recebido para sess�o {SessionId}", sessionId);
+
+                    if (chunk != null)
+                    {
+                        await SendChunkAckAsync(sessionId, chunk.ClientChunkId, chunk.SequenceNumber, ChunkAckRejected);
+                    }
                     return;
                 }
 
                 var userId = GetUserId();
+
+                // Antes de qualquer consulta aos chunks: nem gravar nem revelar IDs de sessão de outro usuário
+                var session = await _repository.GetSessionAsync(sessionId);
+                if (session == null || session.UserId != userId)
+                {
+                    _logger.LogWarning("Chunk recusado: sessão {SessionId} não encontrada ou de outro usuário", sessionId);
+                    await SendChunkAckAsync(sessionId, chunk.ClientChunkId, chunk.SequenceNumber, ChunkAckRejected);
+                    return;
+                }
+
+                // Reenvio de um chunk já gravado: confirmar de novo sem reprocessar
+                if (!string.IsNullOrEmpty(chunk.ClientChunkId))
+                {
+                    var existing = await _repository.GetChunkByClientIdAsync(sessionId, chunk.ClientChunkId);
+                    if (existing != null)
+                    {
+                        await SendChunkAckAsync(sessionId, chunk.ClientChunkId, existing.SequenceNumber, ChunkAckDuplicate);
+                        return;
+                    }
+                }
                 
                 _logger.LogDebug("Processando chunk para sess�o {SessionId}: {ChunkLength} caracteres", 
                     sessionId, chunk.Text.Length);
@@ -187,14 +351,42 @@ namespace MedicalScribeR.Web.Hubs
                 chunk.SessionId = sessionId;
                 chunk.Timestamp = DateTime.UtcNow;
 
+                // Aplicar papel atribuído ao falante quando o cliente ainda não o conhece
+                if (!string.IsNullOrEmpty(chunk.SpeakerId) &&
+                    (string.IsNullOrEmpty(chunk.SpeakerRole) || chunk.SpeakerRole == SpeakerRoles.Unknown))
+                {
+                    var speakerRoles = await GetSpeakerRolesAsync(sessionId);
+                    if (speakerRoles.TryGetValue(chunk.SpeakerId, out var assignedRole))
+                    {
+                        chunk.SpeakerRole = assignedRole;
+                        chunk.Speaker = assignedRole;
+                    }
+                }
+
+                // Gravar antes de confirmar: o cliente só descarta o chunk depois do ack
+                if (!await PersistChunkAsync(sessionId, chunk))
+                {
+                    await SendChunkAckAsync(sessionId, chunk.ClientChunkId, chunk.SequenceNumber, ChunkAckDuplicate);
+                    return;
+                }
+
+                await SendChunkAckAsync(sessionId, chunk.ClientChunkId, chunk.SequenceNumber, ChunkAckPersisted);
+                await ReportSequenceGapsAsync(sessionId);
+
                 // Notificar imediatamente a UI sobre a nova transcri��o
                 var transcriptionUpdate = new
                 {
                     ChunkId = chunk.Id,
+                    ClientChunkId = chunk.ClientChunkId,
                     SessionId = sessionId,
                     Text = chunk.Text,
                     Speaker = chunk.Speaker,
+                    SpeakerId = chunk.SpeakerId,
+                    SpeakerRole = chunk.SpeakerRole,
+                    SpeakerConfidence = chunk.SpeakerConfidence,
                     Confidence = chunk.Confidence,
+                    OffsetMs = chunk.OffsetMs,
+                    DurationMs = chunk.DurationMs,
                     Timestamp = chunk.Timestamp
                 };
 
@@ -292,6 +484,290 @@ namespace MedicalScribeR.Web.Hubs
             }
         }
 
+        /// <summary>
+        /// Atribui um papel (Médico, Paciente, Acompanhante) a um falante identificado pela diarização
+        /// </summary>
+        public async Task AssignSpeakerRole(string sessionId, string speakerId, string role)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(speakerId) || !SpeakerRoles.All.Contains(role))
+                {
+                    await Clients.Caller.SendAsync("Error", "Falante ou papel inválido");
+                    return;
+                }
+
+                var userId = GetUserId();
+
+                var session = await _repository.GetSessionAsync(sessionId);
+                if (session == null || session.UserId != userId)
+                {
+                    await Clients.Caller.SendAsync("Error", "Sessão não encontrada ou acesso negado");
+                    return;
+                }
+
+                var speakerRoles = await GetSpeakerRolesAsync(sessionId);
+                speakerRoles[speakerId] = role;
+
+                await _cache.SetStringAsync(
+                    $"speaker_roles_{sessionId}",
+                    JsonSerializer.Serialize(speakerRoles),
+                    new DistributedCacheEntryOptions { SlidingExpiration = TimeSpan.FromHours(4) }
+                );
+
+                await Clients.Group(sessionId).SendAsync("SpeakerRoleAssigned", new
+                {
+                    SessionId = sessionId,
+                    SpeakerId = speakerId,
+                    Role = role,
+                    AssignedBy = userId,
+                    AssignedAt = DateTime.UtcNow
+                });
+
+                _logger.LogInformation("Falante {SpeakerId} da sessão {SessionId} marcado como {Role}", speakerId, sessionId, role);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao atribuir papel ao falante na sessão {SessionId}", sessionId);
+                await Clients.Caller.SendAsync("Error", $"Erro ao atribuir papel ao falante: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Registra a correção manual de um trecho (ex.: troca por uma alternativa do reconhecimento)
+        /// </summary>
+        public async Task CorrectTranscriptionChunk(string sessionId, int sequenceNumber, string correctedText)
+        {
+            try
+            {
+                correctedText = correctedText?.Trim() ?? string.Empty;
+                if (correctedText.Length == 0)
+                {
+                    await Clients.Caller.SendAsync("Error", "Texto corrigido inválido");
+                    return;
+                }
+
+                var userId = GetUserId();
+
+                var session = await _repository.GetSessionAsync(sessionId);
+                if (session == null || session.UserId != userId)
+                {
+                    await Clients.Caller.SendAsync("Error", "Sessão não encontrada ou acesso negado");
+                    return;
+                }
+
+                var chunk = await _repository.UpdateChunkTextAsync(sessionId, sequenceNumber, correctedText);
+                if (chunk == null)
+                {
+                    await Clients.Caller.SendAsync("Error", "Trecho de transcrição não encontrado");
+                    return;
+                }
+
+                await Clients.Group(sessionId).SendAsync("TranscriptionCorrected", new
+                {
+                    SessionId = sessionId,
+                    SequenceNumber = sequenceNumber,
+                    Text = chunk.Text,
+                    OriginalText = chunk.OriginalText,
+                    CorrectedBy = userId,
+                    CorrectedAt = DateTime.UtcNow
+                });
+
+                _logger.LogInformation("Trecho {SequenceNumber} da sessão {SessionId} corrigido", sequenceNumber, sessionId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao corrigir trecho da sessão {SessionId}", sessionId);
+                await Clients.Caller.SendAsync("Error", $"Erro ao corrigir transcrição: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Confirma um trecho da fila de revisão de baixa confiança, com o texto corrigido quando o profissional o alterou.
+        /// Documentos da sessão só podem ser aprovados sem trechos pendentes de revisão.
+        /// </summary>
+        public async Task ConfirmTranscriptionReview(string sessionId, int sequenceNumber, string? correctedText = null)
+        {
+            try
+            {
+                correctedText = string.IsNullOrWhiteSpace(correctedText) ? null : correctedText.Trim();
+
+                var userId = GetUserId();
+
+                var session = await _repository.GetSessionAsync(sessionId);
+                if (session == null || session.UserId != userId)
+                {
+                    await Clients.Caller.SendAsync("Error", "Sessão não encontrada ou acesso negado");
+                    return;
+                }
+
+                var chunk = await _repository.MarkChunkReviewedAsync(sessionId, sequenceNumber, correctedText);
+                if (chunk == null)
+                {
+                    await Clients.Caller.SendAsync("Error", "Trecho de transcrição não encontrado");
+                    return;
+                }
+
+                await Clients.Group(sessionId).SendAsync("TranscriptionReviewed", new
+                {
+                    SessionId = sessionId,
+                    SequenceNumber = sequenceNumber,
+                    Text = chunk.Text,
+                    OriginalText = chunk.OriginalText,
+                    IsCorrected = chunk.IsCorrected,
+                    ReviewedBy = userId,
+                    ReviewedAt = chunk.ReviewedAt,
+                    PendingReviews = await _repository.GetPendingReviewCountAsync(sessionId)
+                });
+
+                _logger.LogInformation("Trecho {SequenceNumber} da sessão {SessionId} revisado", sequenceNumber, sessionId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao revisar trecho da sessão {SessionId}", sessionId);
+                await Clients.Caller.SendAsync("Error", $"Erro ao confirmar revisão: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Registra sinais de alarme (red flags) detectados no cliente e avisa todas as conexões da sessão.
+        /// Só o identificador do sinal e o termo encontrado chegam ao hub; o texto do trecho não é reenviado.
+        /// </summary>
+        public async Task ReportRedFlags(string sessionId, int sequenceNumber, List<RedFlagReport> flags)
+        {
+            try
+            {
+                if (flags == null || flags.Count == 0 || flags.Any(flag => string.IsNullOrWhiteSpace(flag.Id)))
+                {
+                    await Clients.Caller.SendAsync("Error", "Sinais de alarme inválidos");
+                    return;
+                }
+
+                var userId = GetUserId();
+
+                var session = await _repository.GetSessionAsync(sessionId);
+                if (session == null || session.UserId != userId)
+                {
+                    await Clients.Caller.SendAsync("Error", "Sessão não encontrada ou acesso negado");
+                    return;
+                }
+
+                var detectedAt = DateTime.UtcNow;
+                foreach (var flag in flags)
+                {
+                    flag.SequenceNumber = sequenceNumber;
+                    flag.DetectedAt = detectedAt;
+                }
+
+                // Gravar antes de avisar: o alerta fica no banco como registro de auditoria
+                await _repository.SaveRedFlagAlertsAsync(flags.Select(flag => new RedFlagAlert
+                {
+                    SessionId = sessionId,
+                    SequenceNumber = sequenceNumber,
+                    FlagId = flag.Id,
+                    Label = flag.Label,
+                    Severity = flag.Severity,
+                    Term = flag.Term,
+                    ReportedBy = userId,
+                    DetectedAt = detectedAt
+                }).ToList());
+
+                _logger.LogWarning("Sinais de alarme na sessão {SessionId}, trecho {SequenceNumber}: {Flags}",
+                    sessionId, sequenceNumber, string.Join(", ", flags.Select(flag => flag.Id)));
+
+                await Clients.Group(sessionId).SendAsync("RedFlagDetected", new
+                {
+                    SessionId = sessionId,
+                    SequenceNumber = sequenceNumber,
+                    Flags = flags,
+                    ConsultationType = session.ConsultationType,
+                    ReportedBy = userId,
+                    DetectedAt = detectedAt
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao registrar sinais de alarme da sessão {SessionId}", sessionId);
+                await Clients.Caller.SendAsync("Error", $"Erro ao registrar sinais de alarme: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Remove um trecho descartado por comando de voz ("apagar última frase")
+        /// </summary>
+        public async Task DeleteTranscriptionChunk(string sessionId, int sequenceNumber)
+        {
+            try
+            {
+                var userId = GetUserId();
+
+                var session = await _repository.GetSessionAsync(sessionId);
+                if (session == null || session.UserId != userId)
+                {
+                    await Clients.Caller.SendAsync("Error", "Sessão não encontrada ou acesso negado");
+                    return;
+                }
+
+                if (!await _repository.DeleteChunkAsync(sessionId, sequenceNumber))
+                {
+                    await Clients.Caller.SendAsync("Error", "Trecho de transcrição não encontrado");
+                    return;
+                }
+
+                // Trecho removido de propósito não é lacuna
+                await AddSkippedSequencesAsync(sessionId, new[] { sequenceNumber });
+
+                await Clients.Group(sessionId).SendAsync("TranscriptionChunkDeleted", new
+                {
+                    SessionId = sessionId,
+                    SequenceNumber = sequenceNumber,
+                    DeletedBy = userId,
+                    DeletedAt = DateTime.UtcNow
+                });
+
+                _logger.LogInformation("Trecho {SequenceNumber} da sessão {SessionId} removido", sequenceNumber, sessionId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao remover trecho da sessão {SessionId}", sessionId);
+                await Clients.Caller.SendAsync("Error", $"Erro ao remover transcrição: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Registra trechos que o cliente não consegue reenviar (ex.: perdidos ao fechar a página),
+        /// para que deixem de ser cobrados como lacuna. A perda fica registrada no log da sessão.
+        /// </summary>
+        public async Task ReportUnrecoverableChunks(string sessionId, int[] sequenceNumbers)
+        {
+            try
+            {
+                if (sequenceNumbers == null || sequenceNumbers.Length == 0)
+                {
+                    return;
+                }
+
+                var userId = GetUserId();
+
+                var session = await _repository.GetSessionAsync(sessionId);
+                if (session == null || session.UserId != userId)
+                {
+                    await Clients.Caller.SendAsync("Error", "Sessão não encontrada ou acesso negado");
+                    return;
+                }
+
+                await AddSkippedSequencesAsync(sessionId, sequenceNumbers);
+
+                _logger.LogWarning("Trechos {SequenceNumbers} da sessão {SessionId} perdidos pelo cliente",
+                    string.Join(",", sequenceNumbers), sessionId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Erro ao registrar trechos perdidos da sessão {SessionId}", sessionId);
+                await Clients.Caller.SendAsync("Error", $"Erro ao registrar trechos perdidos: {ex.Message}");
+            }
+        }
+
         /// <summary>
         /// Recupera o hist�rico de uma sess�o
         /// </summary>
@@ -377,6 +853,7 @@ namespace MedicalScribeR.Web.Hubs
                 {
                     SessionData = sessionDataJson != null ? JsonSerializer.Deserialize<object>(sessionDataJson) : null,
                     LatestTranscription = latestTranscriptionJson != null ? JsonSerializer.Deserialize<object>(latestTranscriptionJson) : null,
+                    RedFlags = await GetRedFlagsAsync(sessionId),
                     CacheRetrievedAt = DateTime.UtcNow
                 };
 
@@ -447,6 +924,134 @@ namespace MedicalScribeR.Web.Hubs
             await base.OnDisconnectedAsync(exception);
         }
 
+        /// <summary>
+        /// Grava o chunk. Retorna false se um reenvio concorrente com o mesmo ID do cliente já o gravou.
+        /// </summary>
+        private async Task<bool> PersistChunkAsync(string sessionId, TranscriptionChunk chunk)
+        {
+            try
+            {
+                await _repository.SaveChunkAsync(chunk);
+                return true;
+            }
+            catch (Exception) when (!string.IsNullOrEmpty(chunk.ClientChunkId))
+            {
+                if (await _repository.GetChunkByClientIdAsync(sessionId, chunk.ClientChunkId) != null)
+                {
+                    return false;
+                }
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Confirma ao remetente o recebimento do chunk, ecoando seu ID e número de sequência
+        /// </summary>
+        private Task SendChunkAckAsync(string sessionId, string? clientChunkId, int sequenceNumber, string status)
+        {
+            return Clients.Caller.SendAsync("TranscriptionChunkAck", new
+            {
+                SessionId = sessionId,
+                ChunkId = clientChunkId,
+                SequenceNumber = sequenceNumber,
+                Status = status,
+                Timestamp = DateTime.UtcNow
+            });
+        }
+
+        /// <summary>
+        /// Informa ao remetente os números de sequência abaixo do último gravado que não chegaram,
+        /// desconsiderando os removidos ou declarados perdidos
+        /// </summary>
+        private async Task ReportSequenceGapsAsync(string sessionId)
+        {
+            var persisted = await _repository.GetChunkSequenceNumbersAsync(sessionId);
+            if (persisted.Count == 0)
+            {
+                return;
+            }
+
+            var lastSequenceNumber = persisted[^1];
+            if (persisted.Count == lastSequenceNumber + 1)
+            {
+                return;
+            }
+
+            var present = new HashSet<int>(persisted);
+            present.UnionWith(await GetSkippedSequencesAsync(sessionId));
+
+            var missing = Enumerable.Range(0, lastSequenceNumber)
+                .Where(sequenceNumber => !present.Contains(sequenceNumber))
+                .Take(MaxReportedGaps)
+                .ToList();
+
+            if (missing.Count == 0)
+            {
+                return;
+            }
+
+            _logger.LogWarning("Lacuna na sessão {SessionId}: {Count} trechos ausentes antes de {LastSequenceNumber}",
+                sessionId, missing.Count, lastSequenceNumber);
+
+            await Clients.Caller.SendAsync("TranscriptionGapDetected", new
+            {
+                SessionId = sessionId,
+                MissingSequenceNumbers = missing,
+                LastSequenceNumber = lastSequenceNumber,
+                DetectedAt = DateTime.UtcNow
+            });
+        }
+
+        /// <summary>
+        /// Números de sequência que não devem ser cobrados como lacuna
+        /// </summary>
+        private async Task<HashSet<int>> GetSkippedSequencesAsync(string sessionId)
+        {
+            var json = await _cache.GetStringAsync($"skipped_sequences_{sessionId}");
+            return json != null
+                ? JsonSerializer.Deserialize<HashSet<int>>(json) ?? new HashSet<int>()
+                : new HashSet<int>();
+        }
+
+        private async Task AddSkippedSequencesAsync(string sessionId, IEnumerable<int> sequenceNumbers)
+        {
+            var skipped = await GetSkippedSequencesAsync(sessionId);
+            skipped.UnionWith(sequenceNumbers);
+
+            await _cache.SetStringAsync(
+                $"skipped_sequences_{sessionId}",
+                JsonSerializer.Serialize(skipped),
+                new DistributedCacheEntryOptions { SlidingExpiration = TimeSpan.FromHours(4) });
+        }
+
+        /// <summary>
+        /// Recupera os sinais de alarme gravados da sessão
+        /// </summary>
+        private async Task<List<RedFlagReport>> GetRedFlagsAsync(string sessionId)
+        {
+            var alerts = await _repository.GetRedFlagAlertsBySessionAsync(sessionId);
+            return alerts.Select(alert => new RedFlagReport
+            {
+                Id = alert.FlagId,
+                Label = alert.Label,
+                Severity = alert.Severity,
+                Term = alert.Term,
+                SequenceNumber = alert.SequenceNumber,
+                DetectedAt = alert.DetectedAt
+            }).ToList();
+        }
+
+        /// <summary>
+        /// Recupera os papéis atribuídos aos falantes da sessão
+        /// </summary>
+        private async Task<Dictionary<string, string>> GetSpeakerRolesAsync(string sessionId)
+        {
+            var json = await _cache.GetStringAsync($"speaker_roles_{sessionId}");
+            return json != null
+                ? JsonSerializer.Deserialize<Dictionary<string, string>>(json) ?? new Dictionary<string, string>()
+                : new Dictionary<string, string>();
+        }
+
         /// <summary>
         /// Obt�m o ID do usu�rio autenticado
         /// </summary>
@@ -458,4 +1063,27 @@ namespace MedicalScribeR.Web.Hubs
                 ?? throw new UnauthorizedAccessException("Usu�rio n�o autenticado");
         }
     }
+
+    /// <summary>
+    /// Dados da pausa em andamento de uma sessão, mantidos em cache até a retomada
+    /// </summary>
+    public class SessionPauseInfo
+    {
+        public DateTime PausedAt { get; set; }
+        public int LastSequenceNumber { get; set; }
+        public string? Reason { get; set; }
+    }
+
+    /// <summary>
+    /// Sinal de alarme detectado em um trecho da transcrição (ex.: "chest-pain" por "dor no peito")
+    /// </summary>
+    public class RedFlagReport
+    {
+        public string Id { get; set; } = string.Empty;
+        public string? Label { get; set; }
+        public string? Severity { get; set; }
+        public string? Term { get; set; }
+        public int SequenceNumber { get; set; }
+        public DateTime DetectedAt { get; set; }
+    }
 }
\ No newline at end of file
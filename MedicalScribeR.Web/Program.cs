@@ -222,12 +222,16 @@ builder.Services.Configure<AzureAIServiceOptions>(
     builder.Configuration.GetSection("AzureAI"));
 builder.Services.Configure<SpeechServiceOptions>(
     builder.Configuration.GetSection("AzureSpeech"));
+builder.Services.Configure<AudioArchiveOptions>(
+    builder.Configuration.GetSection(AudioArchiveOptions.ConfigurationSection));
 
 // 5. Registrar serviços de infraestrutura
 builder.Services.AddScoped<ITranscriptionRepository, TranscriptionRepository>();
 builder.Services.AddSingleton<IAzureAIService, MedicalScribeR.Core.Services.AzureAIService>();
 builder.Services.AddSingleton<AgentConfigLoader>();
 builder.Services.AddSingleton<IPdfGenerationService, PdfGenerationService>();
+builder.Services.AddSingleton<IAudioArchiveService, BlobAudioArchiveService>();
+builder.Services.AddHostedService<MedicalScribeR.Web.Services.AudioRetentionService>();
 builder.Services.AddScoped<AzureMLService>();
 
 // 5a. Registrar serviços avançados de Healthcare AI - FUNDAMENTAIS
@@ -439,20 +443,14 @@ app.MapGet("/health", () => Results.Ok(new {
     version = "1.0.0"
 }));
 
-// Garantir que o banco de dados seja criado
+// Criar ou atualizar o banco pelas migrations, em todos os ambientes
 using (var scope = app.Services.CreateScope())
 {
     try
     {
         var context = scope.ServiceProvider.GetRequiredService<MedicalScribeDbContext>();
-        if (app.Environment.IsDevelopment())
-        {
-            context.Database.EnsureCreated();
-        }
-        else
-        {
-            context.Database.Migrate();
-        }
+        LegacySchemaBaseline.Apply(context.Database);
+        context.Database.Migrate();
     }
     catch (Exception ex)
     {
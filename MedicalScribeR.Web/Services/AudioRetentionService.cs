@@ -0,0 +1,64 @@
+using MedicalScribeR.Core.Configuration;
+using MedicalScribeR.Core.Interfaces;
+using Microsoft.Extensions.Options;
+
+namespace MedicalScribeR.Web.Services
+{
+    /// <summary>
+    /// Aplica periodicamente a retenção do áudio arquivado: remove segmentos arquivados
+    /// há mais de AudioArchive:RetentionDays
+    /// </summary>
+    public class AudioRetentionService : BackgroundService
+    {
+        private readonly IAudioArchiveService _archive;
+        private readonly AudioArchiveOptions _options;
+        private readonly ILogger<AudioRetentionService> _logger;
+
+        public AudioRetentionService(
+            IAudioArchiveService archive,
+            IOptions<AudioArchiveOptions> options,
+            ILogger<AudioRetentionService> logger)
+        {
+            _archive = archive ?? throw new ArgumentNullException(nameof(archive));
+            _options = options?.Value ?? throw new ArgumentNullException(nameof(options));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            if (!_archive.IsEnabled || _options.RetentionDays <= 0)
+            {
+                _logger.LogInformation("Retenção de áudio inativa (arquivamento desabilitado ou sem prazo configurado)");
+                return;
+            }
+
+            var interval = TimeSpan.FromHours(Math.Max(1, _options.RetentionSweepIntervalHours));
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    var cutoff = DateTime.UtcNow.AddDays(-_options.RetentionDays);
+                    await _archive.DeleteSegmentsArchivedBeforeAsync(cutoff, stoppingToken);
+                }
+                catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+                {
+                    break;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Erro ao aplicar a retenção do áudio arquivado");
+                }
+
+                try
+                {
+                    await Task.Delay(interval, stoppingToken);
+                }
+                catch (OperationCanceledException)
+                {
+                    break;
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,606 @@
+/**
+ * Arquivamento do áudio bruto das sessões para MedicalScribeR
+ * Grava o MediaStream da sessão em segmentos Opus independentes (cada um decodificável sozinho),
+ * guarda-os no IndexedDB e os envia para /api/audioarchive/{sessionId}/segments/{índice}.
+ * Segmentos enviados saem do navegador; os não enviados são reenviados com intervalo crescente,
+ * inclusive depois de recarregar a página, até o prazo de retenção local.
+ *
+ * Usado por AzureSpeechService e MedicalTranscription quando o arquivamento de áudio está ligado.
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+const AUDIO_ARCHIVE_CONFIG = Object.freeze({
+    ENDPOINT: '/api/audioarchive',
+    SEGMENT_MS: 10000,
+    AUDIO_BITS_PER_SECOND: 32000,
+    MIME_TYPES: ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus'],
+    UPLOAD_TIMEOUT_MS: 60000,
+    RETRY_INTERVALS_MS: [2000, 5000, 15000, 30000, 60000],
+    // Áudio de paciente não fica indefinidamente no navegador, mesmo sem envio
+    LOCAL_RETENTION_MS: 72 * 60 * 60 * 1000
+});
+
+/**
+ * Configuração do banco IndexedDB dos segmentos
+ * @readonly
+ */
+const AUDIO_ARCHIVE_DB = Object.freeze({
+    NAME: 'MedicalScribeR.AudioArchive',
+    VERSION: 1,
+    SEGMENT_STORE: 'segments'
+});
+
+// Respostas que não mudam com nova tentativa
+const PERMANENT_UPLOAD_FAILURES = new Set([400, 403, 404, 413, 415]);
+
+/**
+ * Segmentos gravados aguardando envio. Persiste em IndexedDB (chave: "sessionId:índice")
+ * e cai para memória quando indisponível.
+ */
+class AudioSegmentStore {
+    constructor() {
+        this._dbPromise = null;
+        this._memoryStore = new Map();
+    }
+
+    /**
+     * @param {Object} record - { id, sessionId, segmentIndex, blob, ... }
+     * @returns {Promise<void>}
+     */
+    async put(record) {
+        const db = await this._open();
+
+        if (!db) {
+            this._memoryStore.set(record.id, record);
+            return;
+        }
+
+        await this._run(db, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const db = await this._open();
+
+        if (!db) {
+            this._memoryStore.delete(id);
+            return;
+        }
+
+        await this._run(db, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Segmentos guardados, em ordem de gravação
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAll() {
+        const db = await this._open();
+        const records = db
+            ? await this._run(db, 'readonly', store => store.getAll())
+            : Array.from(this._memoryStore.values());
+
+        return records.sort((a, b) => a.createdAt - b.createdAt || a.segmentIndex - b.segmentIndex);
+    }
+
+    _open() {
+        if (this._dbPromise) {
+            return this._dbPromise;
+        }
+
+        this._dbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = window.indexedDB.open(AUDIO_ARCHIVE_DB.NAME, AUDIO_ARCHIVE_DB.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(AUDIO_ARCHIVE_DB.SEGMENT_STORE)) {
+                    db.createObjectStore(AUDIO_ARCHIVE_DB.SEGMENT_STORE, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[AudioSegmentStore] IndexedDB unavailable, using memory store:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this._dbPromise;
+    }
+
+    _run(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(AUDIO_ARCHIVE_DB.SEGMENT_STORE, mode);
+            const request = operation(transaction.objectStore(AUDIO_ARCHIVE_DB.SEGMENT_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Grava e arquiva o áudio de uma sessão. Um MediaRecorder por segmento: pausar, trocar de microfone
+ * ou atingir a duração do segmento fecham o segmento atual.
+ */
+class SessionAudioRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {function(): number} [options.getOffsetMs] - Posição atual na linha do tempo da sessão;
+     *        sem ela conta a partir de start()
+     * @param {function(string, Object): void} [options.onEvent] - Recebe 'audio-segment-recorded',
+     *        'audio-upload-progress', 'audio-segment-uploaded', 'audio-upload-failed' e 'audio-segments-expired'
+     * @param {string} [options.endpoint]
+     * @param {number} [options.segmentMs]
+     * @param {Array<number>} [options.retryIntervalsMs]
+     * @param {number} [options.localRetentionMs]
+     */
+    constructor(options = {}) {
+        this._getOffsetMs = options.getOffsetMs || (() => Date.now() - this._startedAt);
+        this._onEvent = options.onEvent || (() => {});
+        this._endpoint = options.endpoint || AUDIO_ARCHIVE_CONFIG.ENDPOINT;
+        this._segmentMs = options.segmentMs || AUDIO_ARCHIVE_CONFIG.SEGMENT_MS;
+        this._retryIntervalsMs = options.retryIntervalsMs || AUDIO_ARCHIVE_CONFIG.RETRY_INTERVALS_MS;
+        this._localRetentionMs = options.localRetentionMs || AUDIO_ARCHIVE_CONFIG.LOCAL_RETENTION_MS;
+        this._store = new AudioSegmentStore();
+
+        this._mimeType = SessionAudioRecorder.supportedMimeType();
+        this._stream = null;
+        this._sessionId = null;
+        this._startedAt = 0;
+        this._nextIndex = 0;
+        this._paused = false;
+
+        // Segmento em gravação: { recorder, index, offsetMs, startedAt, recordedAt, parts, timer, finished }
+        this._segment = null;
+
+        this._uploading = null;
+        this._retryTimer = null;
+        this._retryAttempts = 0;
+        this._uploadedCount = 0;
+        this._onlineHandler = () => this.flush();
+
+        if (typeof window.addEventListener === 'function') {
+            window.addEventListener('online', this._onlineHandler);
+        }
+
+        // Segmentos de sessões anteriores (página recarregada, falha de rede) voltam para a fila
+        this._purgeExpired().then(() => this.flush());
+    }
+
+    /**
+     * Formato Opus suportado pelo navegador, ou null
+     * @returns {?string}
+     */
+    static supportedMimeType() {
+        if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') {
+            return null;
+        }
+        return AUDIO_ARCHIVE_CONFIG.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return SessionAudioRecorder.supportedMimeType() !== null;
+    }
+
+    /**
+     * @returns {boolean} Se há uma sessão sendo arquivada (gravando ou pausada)
+     */
+    get isActive() {
+        return this._sessionId !== null;
+    }
+
+    /**
+     * @returns {number} Índice do próximo segmento, para continuar a numeração ao retomar a sessão
+     */
+    get nextSegmentIndex() {
+        return this._nextIndex;
+    }
+
+    /**
+     * Começa a arquivar a sessão
+     * @param {MediaStream} stream
+     * @param {string} sessionId
+     * @param {Object} [options]
+     * @param {number} [options.startIndex=0] - Sessão retomada: continua a numeração dos segmentos já gravados
+     * @returns {Promise<void>}
+     */
+    async start(stream, sessionId, options = {}) {
+        if (!this._mimeType) {
+            throw new Error('Opus recording is not supported by this browser');
+        }
+
+        if (this.isActive) {
+            await this.stop();
+        }
+
+        // Segmentos ainda não enviados da mesma sessão também reservam índices
+        const stored = (await this._store.getAll()).filter(record => record.sessionId === sessionId);
+        this._nextIndex = Math.max(options.startIndex || 0, ...stored.map(record => record.segmentIndex + 1));
+
+        this._stream = stream;
+        this._sessionId = sessionId;
+        this._startedAt = Date.now();
+        this._paused = false;
+        this._startSegment();
+    }
+
+    /**
+     * Fecha o segmento atual; nada é gravado até resume()
+     * @returns {Promise<void>}
+     */
+    async pause() {
+        if (!this.isActive || this._paused) return;
+
+        this._paused = true;
+        await this._finishSegment();
+    }
+
+    /**
+     * @returns {void}
+     */
+    resume() {
+        if (!this.isActive || !this._paused) return;
+
+        this._paused = false;
+        this._startSegment();
+    }
+
+    /**
+     * Continua a gravação em outro MediaStream (ex.: troca de microfone)
+     * @param {MediaStream} stream
+     * @returns {Promise<void>}
+     */
+    async switchStream(stream) {
+        if (!this.isActive) return;
+
+        await this._finishSegment();
+        this._stream = stream;
+
+        if (!this._paused) {
+            this._startSegment();
+        }
+    }
+
+    /**
+     * Encerra a gravação; os segmentos gravados continuam a ser enviados
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.isActive) return;
+
+        await this._finishSegment();
+        this._sessionId = null;
+        this._stream = null;
+    }
+
+    /**
+     * Envia agora os segmentos pendentes, em ordem de gravação
+     * @returns {Promise<void>}
+     */
+    flush() {
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+
+        if (!this._uploading) {
+            this._uploading = this._uploadPending().finally(() => {
+                this._uploading = null;
+            });
+        }
+
+        return this._uploading;
+    }
+
+    /**
+     * @returns {Promise<{recording: boolean, pendingSegments: number, pendingBytes: number,
+     *          failedSegments: number, uploadedSegments: number}>}
+     */
+    async getStatus() {
+        const records = await this._store.getAll();
+        const pending = records.filter(record => !record.failed);
+
+        return {
+            recording: this.isActive && !this._paused,
+            pendingSegments: pending.length,
+            pendingBytes: pending.reduce((total, record) => total + record.blob.size, 0),
+            failedSegments: records.length - pending.length,
+            uploadedSegments: this._uploadedCount
+        };
+    }
+
+    /**
+     * Segmentos da sessão que ainda só existem neste navegador (não enviados ou recusados)
+     * @param {string} sessionId
+     * @returns {Promise<Array<{segmentIndex: number, offsetMs: number, durationMs: number, blob: Blob}>>}
+     */
+    async getLocalSegments(sessionId) {
+        const records = await this._store.getAll();
+
+        return records
+            .filter(record => record.sessionId === sessionId)
+            .sort((a, b) => a.segmentIndex - b.segmentIndex)
+            .map(({ segmentIndex, offsetMs, durationMs, blob }) => ({ segmentIndex, offsetMs, durationMs, blob }));
+    }
+
+    /**
+     * Para a gravação sem enviar o segmento atual e deixa de ouvir a rede
+     */
+    dispose() {
+        if (this._segment) {
+            clearTimeout(this._segment.timer);
+            this._segment.discard = true;
+            if (this._segment.recorder.state !== 'inactive') {
+                this._segment.recorder.stop();
+            }
+            this._segment = null;
+        }
+
+        clearTimeout(this._retryTimer);
+        this._sessionId = null;
+        this._stream = null;
+
+        if (typeof window.removeEventListener === 'function') {
+            window.removeEventListener('online', this._onlineHandler);
+        }
+    }
+
+    _startSegment() {
+        const recorder = new MediaRecorder(this._stream, {
+            mimeType: this._mimeType,
+            audioBitsPerSecond: AUDIO_ARCHIVE_CONFIG.AUDIO_BITS_PER_SECOND
+        });
+
+        const segment = {
+            recorder,
+            sessionId: this._sessionId,
+            index: this._nextIndex++,
+            offsetMs: Math.max(0, Math.round(this._getOffsetMs())),
+            startedAt: Date.now(),
+            recordedAt: new Date().toISOString(),
+            parts: [],
+            timer: null,
+            discard: false
+        };
+
+        segment.finished = new Promise((resolve) => {
+            recorder.ondataavailable = (event) => {
+                if (event.data?.size > 0) segment.parts.push(event.data);
+            };
+            recorder.onstop = () => resolve(segment.discard ? null : this._saveSegment(segment));
+            recorder.onerror = (event) => {
+                console.warn(`[SessionAudioRecorder] Segment ${segment.index} recording error:`, event.error);
+            };
+        });
+
+        recorder.start();
+        segment.timer = setTimeout(() => this._rotateSegment(segment), this._segmentMs);
+        this._segment = segment;
+    }
+
+    _rotateSegment(segment) {
+        if (this._segment !== segment) return;
+
+        // O próximo começa antes de o atual terminar de ser gravado: sem buraco entre os dois
+        this._finishSegment();
+        if (this.isActive && !this._paused) {
+            this._startSegment();
+        }
+    }
+
+    _finishSegment() {
+        const segment = this._segment;
+        if (!segment) return Promise.resolve();
+
+        this._segment = null;
+        clearTimeout(segment.timer);
+        segment.durationMs = Date.now() - segment.startedAt;
+
+        if (segment.recorder.state !== 'inactive') {
+            segment.recorder.stop();
+        }
+
+        return segment.finished;
+    }
+
+    async _saveSegment(segment) {
+        if (segment.parts.length === 0) return;
+
+        const blob = new Blob(segment.parts, { type: this._mimeType });
+        const record = {
+            id: `${segment.sessionId}:${segment.index}`,
+            sessionId: segment.sessionId,
+            segmentIndex: segment.index,
+            offsetMs: segment.offsetMs,
+            durationMs: segment.durationMs,
+            recordedAt: segment.recordedAt,
+            createdAt: Date.now(),
+            attempts: 0,
+            failed: false,
+            blob
+        };
+
+        let stored = true;
+        try {
+            await this._store.put(record);
+        } catch (error) {
+            // Ex.: cota do IndexedDB esgotada
+            console.warn(`[SessionAudioRecorder] Failed to store segment ${segment.index}, uploading directly:`, error);
+            stored = false;
+        }
+
+        this._onEvent('audio-segment-recorded', {
+            sessionId: record.sessionId,
+            segmentIndex: record.segmentIndex,
+            offsetMs: record.offsetMs,
+            durationMs: record.durationMs,
+            size: blob.size
+        });
+
+        if (stored) {
+            this.flush();
+            return;
+        }
+
+        // Sem cópia local há uma única tentativa
+        try {
+            await this._uploadSegment(record, 1);
+        } catch (error) {
+            this._onEvent('audio-upload-failed', {
+                sessionId: record.sessionId,
+                segmentIndex: record.segmentIndex,
+                permanent: true,
+                error: error.message
+            });
+        }
+    }
+
+    async _uploadPending() {
+        // Relido a cada envio: segmentos gravados durante o envio entram na mesma rodada
+        for (;;) {
+            const records = (await this._store.getAll()).filter(record => !record.failed);
+            if (records.length === 0) return;
+
+            const record = records[0];
+
+            try {
+                await this._uploadSegment(record, records.length);
+                await this._store.remove(record.id);
+                this._retryAttempts = 0;
+            } catch (error) {
+                record.attempts++;
+
+                if (error.permanent) {
+                    record.failed = true;
+                    await this._store.put(record).catch(() => {});
+                    this._onEvent('audio-upload-failed', {
+                        sessionId: record.sessionId,
+                        segmentIndex: record.segmentIndex,
+                        permanent: true,
+                        error: error.message
+                    });
+                    continue;
+                }
+
+                // Falha transitória: a fila espera, mantendo a ordem de envio
+                await this._store.put(record).catch(() => {});
+                const delayMs = this._retryIntervalsMs[Math.min(this._retryAttempts, this._retryIntervalsMs.length - 1)];
+                this._retryAttempts++;
+
+                this._onEvent('audio-upload-failed', {
+                    sessionId: record.sessionId,
+                    segmentIndex: record.segmentIndex,
+                    permanent: false,
+                    retryInMs: delayMs,
+                    error: error.message
+                });
+
+                this._retryTimer = setTimeout(() => this.flush(), delayMs);
+                return;
+            }
+        }
+    }
+
+    /**
+     * PUT do segmento com progresso (fetch não informa o progresso do envio)
+     * @returns {Promise<Object>} Segmento registrado pelo servidor
+     */
+    _uploadSegment(record, pendingSegments) {
+        const query = new URLSearchParams({
+            offsetMs: String(record.offsetMs),
+            durationMs: String(record.durationMs),
+            recordedAt: record.recordedAt
+        });
+        const url = `${this._endpoint}/${encodeURIComponent(record.sessionId)}/segments/${record.segmentIndex}?${query}`;
+
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('PUT', url);
+            xhr.timeout = AUDIO_ARCHIVE_CONFIG.UPLOAD_TIMEOUT_MS;
+            xhr.withCredentials = true;
+            xhr.setRequestHeader('Content-Type', record.blob.type || this._mimeType);
+            xhr.setRequestHeader('Accept', 'application/json');
+
+            xhr.upload.onprogress = (event) => {
+                this._onEvent('audio-upload-progress', {
+                    sessionId: record.sessionId,
+                    segmentIndex: record.segmentIndex,
+                    loaded: event.loaded,
+                    total: event.lengthComputable ? event.total : record.blob.size,
+                    pendingSegments
+                });
+            };
+
+            xhr.onload = () => {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    this._uploadedCount++;
+                    this._onEvent('audio-segment-uploaded', {
+                        sessionId: record.sessionId,
+                        segmentIndex: record.segmentIndex,
+                        size: record.blob.size,
+                        pendingSegments: pendingSegments - 1
+                    });
+
+                    let response = null;
+                    try {
+                        response = JSON.parse(xhr.responseText);
+                    } catch (e) {
+                        // Corpo vazio ou não-JSON
+                    }
+                    resolve(response);
+                    return;
+                }
+
+                const error = new Error(`HTTP ${xhr.status}: ${xhr.statusText}`);
+                error.permanent = PERMANENT_UPLOAD_FAILURES.has(xhr.status);
+                reject(error);
+            };
+
+            xhr.onerror = () => reject(new Error('Network error'));
+            xhr.ontimeout = () => reject(new Error('Upload timed out'));
+
+            xhr.send(record.blob);
+        });
+    }
+
+    async _purgeExpired() {
+        try {
+            const cutoff = Date.now() - this._localRetentionMs;
+            const expired = (await this._store.getAll()).filter(record => record.createdAt < cutoff);
+
+            for (const record of expired) {
+                await this._store.remove(record.id);
+            }
+
+            if (expired.length > 0) {
+                this._onEvent('audio-segments-expired', {
+                    count: expired.length,
+                    sessionIds: [...new Set(expired.map(record => record.sessionId))]
+                });
+            }
+        } catch (error) {
+            console.warn('[SessionAudioRecorder] Failed to purge expired segments:', error);
+        }
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.SessionAudioRecorder = SessionAudioRecorder;
+}
@@ -21,14 +21,25 @@ const CONFIG = Object.freeze({
     RETRY_DELAY_MS: 1000,
     RETRY_BACKOFF_MULTIPLIER: 2,
     TOKEN_REFRESH_INTERVAL_MS: 540000, // 9 minutes (tokens expire in 10)
+    TOKEN_LIFETIME_MS: 600000,
+    SESSION_RESUME_MAX_AGE_MS: 14400000, // 4 h, mesma expiração da sessão no cache do hub
+    SESSION_SNAPSHOT_DEBOUNCE_MS: 1000,
+    MAX_SNAPSHOT_CHUNKS: 100, // Mesmo limite de chunks exibidos na tela
+    TOKEN_REFRESH_RETRY_INTERVALS_MS: [5000, 15000, 30000, 60000],
+    MAX_BUFFERED_AUDIO_MS: 1200000, // 20 min de PCM 16 kHz (~38 MB) guardados sem token
+    STOP_ACK_TIMEOUT_MS: 5000,
+    REVIEW_AUDIO_PADDING_MS: 400, // Margem antes e depois do trecho ouvido na revisão
     RECONNECT_INTERVALS_MS: [0, 2000, 10000, 30000],
     MAX_RECONNECT_ATTEMPTS: 5,
-    CHUNK_DEBOUNCE_MS: 150,
     UI_UPDATE_THROTTLE_MS: 100,
     AUDIO_SAMPLE_RATE: 16000,
     SPEECH_TIMEOUT_MS: 500,
     MAX_CHUNK_LENGTH: 5000,
-    WORKER_TIMEOUT_MS: 30000
+    WORKER_TIMEOUT_MS: 30000,
+    AUDIO_PUSH_CHUNK_MS: 100,
+    MAX_ALTERNATIVES: 3,
+    DEVICE_CHANGE_DEBOUNCE_MS: 500,
+    TICKS_PER_MS: 10000 // Offsets do Speech SDK em unidades de 100 ns
 });
 
 /**
@@ -46,7 +57,8 @@ const ERROR_CODES = Object.freeze({
     SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
     NETWORK_ERROR: 'NETWORK_ERROR',
     TIMEOUT_ERROR: 'TIMEOUT_ERROR',
-    VALIDATION_ERROR: 'VALIDATION_ERROR'
+    VALIDATION_ERROR: 'VALIDATION_ERROR',
+    AUDIO_DEVICE_ERROR: 'AUDIO_DEVICE_ERROR'
 });
 
 /**
@@ -60,6 +72,7 @@ const SERVICE_STATES = Object.freeze({
     CONNECTING: 'connecting',
     CONNECTED: 'connected',
     RECORDING: 'recording',
+    PAUSED: 'paused',
     STOPPING: 'stopping',
     STOPPED: 'stopped',
     ERROR: 'error',
@@ -67,1316 +80,4833 @@ const SERVICE_STATES = Object.freeze({
 });
 
 /**
- * Classe principal do Azure Speech Service com melhorias de produção
- * @class AzureSpeechService
+ * Transições válidas entre estados do serviço (origem -> destinos permitidos).
+ * ERROR e STOPPED voltam a READY via recover().
+ * @readonly
  */
-class AzureSpeechService {
+const STATE_TRANSITIONS = Object.freeze({
+    [SERVICE_STATES.INITIALIZING]: [SERVICE_STATES.READY, SERVICE_STATES.ERROR, SERVICE_STATES.DISPOSED],
+    [SERVICE_STATES.READY]: [SERVICE_STATES.CONNECTING, SERVICE_STATES.ERROR, SERVICE_STATES.DISPOSED],
+    [SERVICE_STATES.CONNECTING]: [SERVICE_STATES.CONNECTED, SERVICE_STATES.ERROR, SERVICE_STATES.DISPOSED],
+    [SERVICE_STATES.CONNECTED]: [SERVICE_STATES.RECORDING, SERVICE_STATES.ERROR, SERVICE_STATES.DISPOSED],
+    [SERVICE_STATES.RECORDING]: [SERVICE_STATES.PAUSED, SERVICE_STATES.STOPPING, SERVICE_STATES.ERROR, SERVICE_STATES.DISPOSED],
+    [SERVICE_STATES.PAUSED]: [SERVICE_STATES.RECORDING, SERVICE_STATES.STOPPING, SERVICE_STATES.ERROR, SERVICE_STATES.DISPOSED],
+    [SERVICE_STATES.STOPPING]: [SERVICE_STATES.STOPPED, SERVICE_STATES.ERROR, SERVICE_STATES.DISPOSED],
+    [SERVICE_STATES.STOPPED]: [SERVICE_STATES.READY, SERVICE_STATES.ERROR, SERVICE_STATES.DISPOSED],
+    [SERVICE_STATES.ERROR]: [SERVICE_STATES.READY, SERVICE_STATES.DISPOSED],
+    [SERVICE_STATES.DISPOSED]: []
+});
+
+/**
+ * Papéis atribuíveis aos falantes identificados pela diarização
+ * @readonly
+ * @enum {string}
+ */
+const SPEAKER_ROLES = Object.freeze({
+    DOCTOR: 'Médico',
+    PATIENT: 'Paciente',
+    COMPANION: 'Acompanhante',
+    UNKNOWN: 'Desconhecido'
+});
+
+/**
+ * Identificador usado pelo SDK enquanto o falante ainda não foi reconhecido
+ * @type {string}
+ */
+const UNIDENTIFIED_SPEAKER_ID = 'Unknown';
+
+/**
+ * Termos clínicos básicos: marcam chunks relevantes (hasKeywords) e formam a lista
+ * de frases mínima quando o vocabulário do servidor não está disponível
+ * @type {ReadonlyArray<string>}
+ */
+const MEDICAL_KEYWORDS = Object.freeze(['dor', 'medicamento', 'prescrição', 'diagnóstico', 'sintoma']);
+
+/**
+ * Chave do localStorage com o microfone escolhido pelo usuário
+ * @type {string}
+ */
+const AUDIO_DEVICE_STORAGE_KEY = 'MedicalScribeR.audioInputDeviceId';
+
+/**
+ * Tipo de consulta usado quando nenhum é informado
+ * @type {string}
+ */
+const DEFAULT_CONSULTATION_TYPE = 'consulta-geral';
+
+/**
+ * Ações executadas por comandos de voz
+ * @readonly
+ * @enum {string}
+ */
+const VOICE_COMMAND_ACTIONS = Object.freeze({
+    PAUSE: 'pause',
+    STOP: 'stop',
+    MARK: 'mark',
+    DELETE_LAST: 'delete-last',
+    SECTION: 'section'
+});
+
+/**
+ * Comandos usados quando o usuário não personalizou os seus.
+ * O enunciado inteiro precisa ser a frase do comando; em SECTION o restante é o nome da seção.
+ * @type {ReadonlyArray<{action: string, phrases: Array<string>}>}
+ */
+const DEFAULT_VOICE_COMMANDS = Object.freeze([
+    { action: VOICE_COMMAND_ACTIONS.PAUSE, phrases: ['pausar gravação', 'pausar transcrição'] },
+    { action: VOICE_COMMAND_ACTIONS.STOP, phrases: ['encerrar gravação', 'finalizar gravação'] },
+    { action: VOICE_COMMAND_ACTIONS.MARK, phrases: ['marcar ponto'] },
+    { action: VOICE_COMMAND_ACTIONS.DELETE_LAST, phrases: ['apagar última frase', 'apagar a última frase'] },
+    { action: VOICE_COMMAND_ACTIONS.SECTION, phrases: ['nova seção', 'seção'] }
+]);
+
+/**
+ * Tipos de fonte de áudio aceitos pelo reconhecimento
+ * @readonly
+ * @enum {string}
+ */
+const AUDIO_SOURCE_TYPES = Object.freeze({
+    MICROPHONE: 'microphone',
+    DEVICE: 'device',
+    FILE: 'file',
+    STREAM: 'stream'
+});
+
+/**
+ * Fonte de áudio para o reconhecimento: microfone padrão, dispositivo escolhido,
+ * arquivo gravado (WAV/WebM) ou push stream alimentado pelo chamador
+ * @class AudioInputSource
+ */
+class AudioInputSource {
     /**
      * @constructor
-     * @param {Object} options - Opções de configuração
-     * @param {string} [options.language='pt-BR'] - Idioma de reconhecimento
-     * @param {number} [options.confidenceThreshold=0.7] - Limite de confiança
-     * @param {boolean} [options.enableLogging=false] - Habilitar logs detalhados
+     * @param {Object} [descriptor] - Descrição da fonte
+     * @param {string} [descriptor.type='microphone'] - Um dos valores de AUDIO_SOURCE_TYPES
+     * @param {string} [descriptor.deviceId] - ID do dispositivo (tipo 'device')
+     * @param {Blob} [descriptor.file] - Arquivo de áudio (tipo 'file')
+     * @param {MediaStream} [descriptor.mediaStream] - Stream externo (tipo 'stream'); sem ele é criado um push stream
+     * @param {boolean} [descriptor.realtime=false] - Enviar o arquivo no ritmo real da gravação
      */
-    constructor(options = {}) {
-        // Validação de entrada
-        this._validateConstructorOptions(options);
-        
-        // Estado da aplicação
-        this._state = SERVICE_STATES.INITIALIZING;
-        this._currentSessionId = null;
-        this._isRecording = false;
-        this._isDisposed = false;
-        
-        // Configurações
-        this._config = Object.freeze({
-            language: options.language || 'pt-BR',
-            confidenceThreshold: options.confidenceThreshold || CONFIG.CONFIDENCE_THRESHOLD,
-            enableLogging: Boolean(options.enableLogging),
-            enableDictation: true,
-            enableProfanityFilter: false // Para uso médico
-        });
-        
-        // Recursos do Azure
-        this._speechRecognizer = null;
-        this._audioConfig = null;
-        this._speechConfig = null;
-        this._token = null;
-        this._region = null;
-        this._tokenExpirationTimer = null;
-        
-        // Recursos de áudio
-        this._mediaStream = null;
-        this._audioContext = null;
-        this._audioNodes = [];
-        
-        // SignalR
-        this._signalRConnection = null;
-        this._reconnectAttempts = 0;
-        this._connectionPromise = null;
-        
-        // Event listeners e timers
-        this._eventListeners = new Map();
-        this._timers = new Set();
-        this._debounceTimers = new Map();
-        
-        // Estatísticas e performance
-        this._stats = {
-            chunksProcessed: 0,
-            totalWords: 0,
-            averageConfidence: 0,
-            startTime: null,
-            lastChunkTime: null,
-            errors: 0,
-            reconnects: 0
-        };
-        
-        // Worker para processamento pesado
-        this._worker = null;
-        this._workerTasks = new Map();
-        this._taskCounter = 0;
-        
-        // Throttling/Debouncing
-        this._updateTranscriptionThrottled = this._throttle(
-            this._updateTranscriptionUI.bind(this), 
-            CONFIG.UI_UPDATE_THROTTLE_MS
-        );
-        this._processChunkDebounced = this._debounce(
-            this._processChunkInternal.bind(this),
-            CONFIG.CHUNK_DEBOUNCE_MS
-        );
-        
-        // Event emitter básico
-        this._events = new Map();
-        
-        // Inicialização
-        this._initialize();
+    constructor(descriptor = {}) {
+        const type = descriptor.type || AUDIO_SOURCE_TYPES.MICROPHONE;
+
+        if (!Object.values(AUDIO_SOURCE_TYPES).includes(type)) {
+            throw new Error(`Invalid audio source type: ${type}`);
+        }
+
+        if (type === AUDIO_SOURCE_TYPES.DEVICE && !descriptor.deviceId) {
+            throw new Error('Audio source of type device requires a deviceId');
+        }
+
+        if (type === AUDIO_SOURCE_TYPES.FILE && !(descriptor.file instanceof Blob)) {
+            throw new Error('Audio source of type file requires a File or Blob');
+        }
+
+        this.type = type;
+        this.deviceId = descriptor.deviceId || null;
+        this.file = descriptor.file || null;
+        this.mediaStream = descriptor.mediaStream || null;
+        this.realtime = Boolean(descriptor.realtime);
+
+        this._pushStream = null;
+        this._pumpTimer = null;
+        this._isClosed = false;
     }
 
     /**
-     * Valida opções do construtor
-     * @private
-     * @param {Object} options 
+     * Se a fonte depende de permissão de microfone
+     * @returns {boolean}
      */
-    _validateConstructorOptions(options) {
-        if (options && typeof options !== 'object') {
-            throw new Error('Options must be an object');
-        }
-        
-        if (options.language && typeof options.language !== 'string') {
-            throw new Error('Language must be a string');
-        }
-        
-        if (options.confidenceThreshold && 
-            (typeof options.confidenceThreshold !== 'number' || 
-             options.confidenceThreshold < 0 || 
-             options.confidenceThreshold > 1)) {
-            throw new Error('Confidence threshold must be a number between 0 and 1');
+    get requiresMicrophone() {
+        return this.type === AUDIO_SOURCE_TYPES.MICROPHONE || this.type === AUDIO_SOURCE_TYPES.DEVICE;
+    }
+
+    /**
+     * Se a fonte aceita escrita direta de PCM via write()
+     * @returns {boolean}
+     */
+    get isPushStream() {
+        return this._pushStream !== null && this.type === AUDIO_SOURCE_TYPES.STREAM;
+    }
+
+    /**
+     * Descrição curta para logs
+     * @returns {string}
+     */
+    get description() {
+        switch (this.type) {
+            case AUDIO_SOURCE_TYPES.DEVICE:
+                return `device ${this.deviceId}`;
+            case AUDIO_SOURCE_TYPES.FILE:
+                return `file ${this.file.name || 'blob'} (${this.file.size} bytes)`;
+            default:
+                return this.type;
         }
     }
 
     /**
-     * Inicialização assíncrona
-     * @private
+     * Cria o AudioConfig do Speech SDK para esta fonte
+     * @param {MediaStream|null} microphoneStream - Stream aberto pelo serviço para fontes de microfone
+     * @returns {SpeechSDK.AudioConfig}
      */
-    async _initialize() {
-        try {
-            this._log('info', 'Initializing Azure Speech Service...');
-            
-            // Verificar suporte do navegador
-            await this._checkBrowserSupport();
-            
-            // Inicializar worker se disponível
-            this._initializeWorker();
-            
-            // Configurar cleanup automático
-            this._setupAutoCleanup();
-            
-            // Inicializar SignalR
-            await this._initializeSignalR();
-            
-            this._state = SERVICE_STATES.READY;
-            this._emit('ready');
-            
-            this._log('info', 'Azure Speech Service initialized successfully');
-            
-        } catch (error) {
-            this._state = SERVICE_STATES.ERROR;
-            this._handleError('Initialization failed', error, ERROR_CODES.SPEECH_SDK_NOT_LOADED);
+    createAudioConfig(microphoneStream) {
+        if (this.requiresMicrophone) {
+            if (!microphoneStream) {
+                throw new Error('Microphone stream not available');
+            }
+            return SpeechSDK.AudioConfig.fromStreamInput(microphoneStream);
+        }
+
+        if (this.type === AUDIO_SOURCE_TYPES.STREAM && this.mediaStream) {
+            return SpeechSDK.AudioConfig.fromStreamInput(this.mediaStream);
         }
+
+        // Arquivos e streams sem MediaStream são alimentados com PCM 16 kHz/16 bits/mono
+        const format = SpeechSDK.AudioStreamFormat.getWaveFormatPCM(CONFIG.AUDIO_SAMPLE_RATE, 16, 1);
+        this._pushStream = SpeechSDK.AudioInputStream.createPushStream(format);
+        return SpeechSDK.AudioConfig.fromStreamInput(this._pushStream);
     }
 
     /**
-     * Verifica suporte do navegador
-     * @private
-     * @returns {Promise<boolean>}
+     * Começa a enviar o áudio do arquivo ao reconhecedor
+     * @param {function({sentBytes: number, totalBytes: number}): void} [onProgress]
+     * @param {Object} [audioWindow] - Objeto com AudioContext e OfflineAudioContext; padrão: window do navegador
+     * @returns {Promise<void>}
      */
-    async _checkBrowserSupport() {
-        const checks = [
-            {
-                condition: () => !!navigator.mediaDevices?.getUserMedia,
-                error: 'Browser does not support getUserMedia'
-            },
-            {
-                condition: () => !!(window.AudioContext || window.webkitAudioContext),
-                error: 'Browser does not support Web Audio API'
-            },
-            {
-                condition: () => typeof SpeechSDK !== 'undefined',
-                error: 'Azure Speech SDK not loaded'
-            },
-            {
-                condition: () => typeof signalR !== 'undefined',
-                error: 'SignalR not loaded'
-            },
-            {
-                condition: () => !!window.Promise,
-                error: 'Browser does not support Promises'
-            },
-            {
-                condition: () => !!window.fetch,
-                error: 'Browser does not support Fetch API'
+    async start(onProgress, audioWindow = typeof window !== 'undefined' ? window : {}) {
+        if (this.type !== AUDIO_SOURCE_TYPES.FILE) return;
+
+        const pcm = await this._decodeFileToPcm(audioWindow);
+        const bytesPerChunk = (CONFIG.AUDIO_SAMPLE_RATE * 2 * CONFIG.AUDIO_PUSH_CHUNK_MS) / 1000;
+        let offset = 0;
+
+        const pump = () => {
+            if (this._isClosed) return;
+
+            // Sem ritmo real o arquivo é enviado de uma vez; o SDK consome mais rápido que o tempo real
+            const end = this.realtime ? Math.min(offset + bytesPerChunk, pcm.byteLength) : pcm.byteLength;
+            this._pushStream.write(pcm.slice(offset, end));
+            offset = end;
+
+            if (onProgress) {
+                onProgress({ sentBytes: offset, totalBytes: pcm.byteLength });
             }
-        ];
 
-        for (const check of checks) {
-            if (!check.condition()) {
-                throw new Error(check.error);
+            if (offset >= pcm.byteLength) {
+                this._pushStream.close();
+                return;
             }
+
+            this._pumpTimer = setTimeout(pump, CONFIG.AUDIO_PUSH_CHUNK_MS);
+        };
+
+        pump();
+    }
+
+    /**
+     * Escreve PCM 16 kHz/16 bits/mono no push stream
+     * @param {ArrayBuffer} pcmChunk
+     */
+    write(pcmChunk) {
+        if (!this.isPushStream) {
+            throw new Error('Audio source does not accept pushed audio');
         }
+        this._pushStream.write(pcmChunk);
+    }
 
-        // Verificar recursos avançados
-        const hasAdvancedAudio = !!(navigator.mediaDevices.getSupportedConstraints?.() || {}).echoCancellation;
-        if (!hasAdvancedAudio) {
-            this._log('warn', 'Browser does not support advanced audio constraints');
+    /**
+     * Sinaliza fim do áudio no push stream
+     */
+    end() {
+        if (this._pushStream && !this._isClosed) {
+            this._pushStream.close();
         }
+    }
 
-        return true;
+    /**
+     * Libera recursos da fonte
+     */
+    close() {
+        this._isClosed = true;
+
+        if (this._pumpTimer) {
+            clearTimeout(this._pumpTimer);
+            this._pumpTimer = null;
+        }
+
+        this._pushStream = null;
     }
 
     /**
-     * Inicializa worker para processamento pesado
+     * Decodifica o arquivo (WAV/WebM) e converte para PCM 16 kHz/16 bits/mono
      * @private
+     * @param {Object} audioWindow
+     * @returns {Promise<ArrayBuffer>}
      */
-    _initializeWorker() {
-        if (typeof Worker === 'undefined') {
-            this._log('warn', 'Web Workers not supported');
-            return;
-        }
+    async _decodeFileToPcm(audioWindow) {
+        const AudioContext = audioWindow.AudioContext || audioWindow.webkitAudioContext;
+        const OfflineAudioContext = audioWindow.OfflineAudioContext || audioWindow.webkitOfflineAudioContext;
+        const decodeContext = new AudioContext();
 
+        let decoded;
         try {
-            // Worker inline para processamento de chunks
-            const workerCode = `
-                self.onmessage = function(e) {
-                    const { id, type, data } = e.data;
-                    
-                    try {
-                        let result;
-                        
-                        switch(type) {
-                            case 'processText':
-                                result = processTextChunk(data);
-                                break;
-                            case 'calculateStats':
-                                result = calculateStatistics(data);
-                                break;
-                            default:
-                                throw new Error('Unknown task type: ' + type);
-                        }
-                        
-                        self.postMessage({ id, success: true, result });
-                    } catch (error) {
-                        self.postMessage({ id, success: false, error: error.message });
-                    }
-                };
-                
-                function processTextChunk(chunk) {
-                    const words = chunk.text.split(/\\s+/).filter(w => w.length > 0);
-                    const wordCount = words.length;
-                    const hasKeywords = /\\b(dor|medicamento|prescrição|diagnóstico|sintoma)\\b/i.test(chunk.text);
-                    
-                    return {
-                        wordCount,
-                        hasKeywords,
-                        processedAt: Date.now()
-                    };
-                }
-                
-                function calculateStatistics(chunks) {
-                    const totalWords = chunks.reduce((sum, chunk) => sum + (chunk.wordCount || 0), 0);
-                    const avgConfidence = chunks.length > 0 
-                        ? chunks.reduce((sum, chunk) => sum + chunk.confidence, 0) / chunks.length 
-                        : 0;
-                    
-                    return {
-                        totalWords,
-                        avgConfidence,
-                        chunkCount: chunks.length
-                    };
-                }
-            `;
+            decoded = await decodeContext.decodeAudioData(await this.file.arrayBuffer());
+        } catch (error) {
+            throw new Error(`Unsupported or corrupted audio file: ${error?.message || error}`);
+        } finally {
+            decodeContext.close().catch(() => {
+                // Ignorar erros de fechamento
+            });
+        }
 
-            const blob = new Blob([workerCode], { type: 'application/javascript' });
-            this._worker = new Worker(URL.createObjectURL(blob));
-            
-            this._worker.onmessage = (e) => {
-                const { id, success, result, error } = e.data;
-                const task = this._workerTasks.get(id);
-                
-                if (task) {
-                    this._workerTasks.delete(id);
-                    clearTimeout(task.timeout);
-                    
-                    if (success) {
-                        task.resolve(result);
-                    } else {
-                        task.reject(new Error(error));
-                    }
+        // Reamostrar para a taxa esperada pelo Speech SDK
+        const frameCount = Math.ceil(decoded.duration * CONFIG.AUDIO_SAMPLE_RATE);
+        const offlineContext = new OfflineAudioContext(1, frameCount, CONFIG.AUDIO_SAMPLE_RATE);
+        const bufferSource = offlineContext.createBufferSource();
+        bufferSource.buffer = decoded;
+        bufferSource.connect(offlineContext.destination);
+        bufferSource.start();
+
+        const samples = (await offlineContext.startRendering()).getChannelData(0);
+        const pcm = new Int16Array(samples.length);
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+        }
+
+        return pcm.buffer;
+    }
+}
+
+/**
+ * Configuração do banco IndexedDB da fila offline
+ * @readonly
+ */
+const OFFLINE_QUEUE_DB = Object.freeze({
+    NAME: 'MedicalScribeR.OfflineQueue',
+    VERSION: 1,
+    CHUNK_STORE: 'pendingChunks'
+});
+
+/**
+ * Fila durável de chunks que não puderam ser entregues ao hub.
+ * Persiste em IndexedDB (chave: id do chunk) e cai para memória quando indisponível.
+ * @class OfflineChunkQueue
+ */
+class OfflineChunkQueue {
+    constructor() {
+        this._dbPromise = null;
+        this._memoryStore = new Map();
+    }
+
+    /**
+     * Adiciona (ou substitui, pelo id) um chunk na fila
+     * @param {Object} chunk
+     * @returns {Promise<void>}
+     */
+    async enqueue(chunk) {
+        const record = { ...chunk, queuedAt: Date.now() };
+        const db = await this._open();
+
+        if (!db) {
+            this._memoryStore.set(record.id, record);
+            return;
+        }
+
+        await this._run(db, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * Remove um chunk entregue
+     * @param {string} chunkId
+     * @returns {Promise<void>}
+     */
+    async remove(chunkId) {
+        const db = await this._open();
+
+        if (!db) {
+            this._memoryStore.delete(chunkId);
+            return;
+        }
+
+        await this._run(db, 'readwrite', store => store.delete(chunkId));
+    }
+
+    /**
+     * Lista os chunks pendentes, por sessão e em ordem de sequenceNumber
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAll() {
+        const db = await this._open();
+        const records = db
+            ? await this._run(db, 'readonly', store => store.getAll())
+            : Array.from(this._memoryStore.values());
+
+        return records.sort((a, b) =>
+            a.sessionId === b.sessionId
+                ? a.sequenceNumber - b.sequenceNumber
+                : String(a.sessionId).localeCompare(String(b.sessionId)));
+    }
+
+    /**
+     * Quantidade de chunks pendentes
+     * @returns {Promise<number>}
+     */
+    async count() {
+        const db = await this._open();
+        return db
+            ? this._run(db, 'readonly', store => store.count())
+            : this._memoryStore.size;
+    }
+
+    /**
+     * Abre o banco (uma vez); resolve null quando IndexedDB não está disponível
+     * @private
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    _open() {
+        if (this._dbPromise) {
+            return this._dbPromise;
+        }
+
+        this._dbPromise = new Promise((resolve) => {
+            if (typeof window === 'undefined' || !window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = window.indexedDB.open(OFFLINE_QUEUE_DB.NAME, OFFLINE_QUEUE_DB.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(OFFLINE_QUEUE_DB.CHUNK_STORE)) {
+                    db.createObjectStore(OFFLINE_QUEUE_DB.CHUNK_STORE, { keyPath: 'id' });
                 }
             };
-            
-            this._worker.onerror = (error) => {
-                this._log('error', 'Worker error:', error);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[OfflineChunkQueue] IndexedDB unavailable, using memory store:', request.error);
+                resolve(null);
             };
-            
-            this._log('info', 'Worker initialized successfully');
-            
+        });
+
+        return this._dbPromise;
+    }
+
+    /**
+     * Executa uma operação no object store e resolve com o resultado
+     * @private
+     */
+    _run(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OFFLINE_QUEUE_DB.CHUNK_STORE, mode);
+            const request = operation(transaction.objectStore(OFFLINE_QUEUE_DB.CHUNK_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Chave do localStorage com o estado da sessão em andamento
+ * @readonly
+ */
+const SESSION_SNAPSHOT_STORAGE_KEY = 'MedicalScribeR.activeSession';
+
+/**
+ * Estado local da sessão em andamento, para retomá-la depois de recarregar a página ou de uma falha do navegador.
+ * localStorage é síncrono, o que permite gravar o estado final no beforeunload.
+ * @class SessionSnapshotStore
+ */
+class SessionSnapshotStore {
+    /**
+     * @constructor
+     * @param {?Storage} storage - localStorage ou equivalente; null quando indisponível
+     */
+    constructor(storage) {
+        this._storage = storage;
+    }
+
+    /**
+     * Grava o estado; sem espaço, descarta os chunks mais antigos (o hub mantém o histórico completo)
+     * @param {Object} snapshot
+     * @returns {boolean} Se o estado foi gravado
+     */
+    save(snapshot) {
+        let record = { ...snapshot, savedAt: new Date().toISOString() };
+
+        while (true) {
+            try {
+                this._storage.setItem(SESSION_SNAPSHOT_STORAGE_KEY, JSON.stringify(record));
+                return true;
+            } catch (error) {
+                if (record.chunks.length === 0) {
+                    console.warn('[SessionSnapshotStore] Unable to persist session snapshot:', error);
+                    return false;
+                }
+                record = { ...record, chunks: record.chunks.slice(Math.ceil(record.chunks.length / 2)) };
+            }
+        }
+    }
+
+    /**
+     * Estado salvo, se existir e ainda puder ser retomado
+     * @returns {?Object}
+     */
+    load() {
+        let snapshot = null;
+
+        try {
+            snapshot = JSON.parse(this._storage.getItem(SESSION_SNAPSHOT_STORAGE_KEY) || 'null');
         } catch (error) {
-            this._log('warn', 'Failed to initialize worker:', error);
+            console.warn('[SessionSnapshotStore] Corrupted session snapshot discarded:', error);
+        }
+
+        if (!snapshot?.sessionId) return null;
+
+        if (Date.now() - new Date(snapshot.savedAt).getTime() > CONFIG.SESSION_RESUME_MAX_AGE_MS) {
+            this.clear();
+            return null;
+        }
+
+        return snapshot;
+    }
+
+    clear() {
+        try {
+            this._storage.removeItem(SESSION_SNAPSHOT_STORAGE_KEY);
+        } catch (error) {
+            // localStorage indisponível
+        }
+    }
+}
+
+/**
+ * Problemas de qualidade de áudio detectados durante a gravação
+ * @readonly
+ * @enum {string}
+ */
+const AUDIO_QUALITY_ISSUES = Object.freeze({
+    CLIPPING: 'clipping',
+    SILENCE: 'silence',
+    LOW_SNR: 'low-snr',
+    DEAD_MICROPHONE: 'dead-microphone'
+});
+
+/**
+ * Severidade e mensagem exibida para cada problema de qualidade
+ * @readonly
+ */
+const AUDIO_QUALITY_ISSUE_DETAILS = Object.freeze({
+    [AUDIO_QUALITY_ISSUES.CLIPPING]: {
+        severity: 'warning',
+        message: 'Áudio saturado: afaste o microfone ou reduza o ganho'
+    },
+    [AUDIO_QUALITY_ISSUES.SILENCE]: {
+        severity: 'warning',
+        message: 'Nenhuma fala detectada há 30 segundos'
+    },
+    [AUDIO_QUALITY_ISSUES.LOW_SNR]: {
+        severity: 'warning',
+        message: 'Muito ruído de fundo em relação à fala'
+    },
+    [AUDIO_QUALITY_ISSUES.DEAD_MICROPHONE]: {
+        severity: 'error',
+        message: 'Microfone sem sinal: verifique se está mudo ou desconectado'
+    }
+});
+
+/**
+ * Limites do monitor de qualidade. Níveis são RMS de amostras float (-1..1).
+ * @readonly
+ */
+const AUDIO_QUALITY_THRESHOLDS = Object.freeze({
+    SAMPLE_INTERVAL_MS: 100,
+    CLIPPING_SAMPLE: 0.99,
+    CLIPPING_RATIO: 0.01,
+    CLIPPING_WINDOW_MS: 2000,
+    CLIPPING_FRAMES: 5,
+    SILENCE_RMS: 0.005,
+    SILENCE_MS: 30000,
+    DEAD_RMS: 0.00001,
+    DEAD_MS: 3000,
+    SNR_WINDOW_MS: 10000,
+    SNR_MIN_HISTORY_MS: 3000,
+    MIN_SNR_DB: 10,
+    SNR_HYSTERESIS_DB: 3,
+    SPEECH_RMS: 0.02
+});
+
+/**
+ * Monitor de qualidade do microfone: saturação, silêncio prolongado, relação fala/ruído
+ * baixa e microfone mudo. Usa timer em vez de requestAnimationFrame para continuar
+ * medindo com a aba em segundo plano.
+ * @class AudioQualityMonitor
+ */
+class AudioQualityMonitor {
+    /**
+     * @constructor
+     * @param {AnalyserNode} analyser - Analisador conectado ao microfone
+     * @param {MediaStreamTrack} track - Trilha do microfone (estado muted/ended)
+     * @param {Object} handlers
+     * @param {function(): boolean} handlers.isActive - Se a gravação está ativa; pausas não contam como silêncio
+     * @param {function(Object): void} handlers.onSample - Medição de cada intervalo
+     * @param {function(Object): void} handlers.onIssue - Início de um problema
+     * @param {function(Object): void} handlers.onRecovered - Fim de um problema
+     */
+    constructor(analyser, track, handlers) {
+        this._analyser = analyser;
+        this._track = track;
+        this._handlers = handlers;
+        this._samples = new Float32Array(analyser.fftSize);
+        this._timer = null;
+
+        this._history = [];
+        this._quietSince = null;
+        this._deadSince = null;
+        this._activeIssues = new Map();
+    }
+
+    /**
+     * Problemas em andamento
+     * @returns {Array<string>}
+     */
+    get activeIssues() {
+        return Array.from(this._activeIssues.keys());
+    }
+
+    start() {
+        if (this._timer) return;
+        this._timer = setInterval(() => this._sample(), AUDIO_QUALITY_THRESHOLDS.SAMPLE_INTERVAL_MS);
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+        this._reset();
+        this._activeIssues.clear();
+    }
+
+    /**
+     * Mede um quadro e atualiza o estado dos problemas
+     * @private
+     */
+    _sample() {
+        const now = Date.now();
+        const thresholds = AUDIO_QUALITY_THRESHOLDS;
+
+        this._analyser.getFloatTimeDomainData(this._samples);
+
+        let sum = 0;
+        let peak = 0;
+        let clippedSamples = 0;
+        for (let i = 0; i < this._samples.length; i++) {
+            const value = this._samples[i];
+            const magnitude = Math.abs(value);
+            sum += value * value;
+            peak = Math.max(peak, magnitude);
+            if (magnitude >= thresholds.CLIPPING_SAMPLE) clippedSamples++;
+        }
+
+        const rms = Math.sqrt(sum / this._samples.length);
+        const clipped = clippedSamples / this._samples.length >= thresholds.CLIPPING_RATIO;
+
+        if (!this._handlers.isActive()) {
+            // Pausado: as contagens recomeçam na retomada
+            this._reset();
+            this._handlers.onSample({ rms, peak, clipped, snrDb: null, active: false });
+            return;
+        }
+
+        this._history.push({ at: now, rms, clipped });
+        while (this._history.length > 0 && now - this._history[0].at > thresholds.SNR_WINDOW_MS) {
+            this._history.shift();
+        }
+
+        // Microfone mudo (zero digital, trilha silenciada pelo sistema ou encerrada)
+        const dead = this._track?.readyState === 'ended' || this._track?.muted || rms < thresholds.DEAD_RMS;
+        this._deadSince = dead ? (this._deadSince ?? now) : null;
+        const isDead = this._deadSince !== null && now - this._deadSince >= thresholds.DEAD_MS;
+        this._update(AUDIO_QUALITY_ISSUES.DEAD_MICROPHONE, isDead, !dead, now, { rms });
+
+        // Silêncio prolongado com microfone funcionando
+        this._quietSince = rms < thresholds.SILENCE_RMS ? (this._quietSince ?? now) : null;
+        const isSilent = !isDead && this._quietSince !== null && now - this._quietSince >= thresholds.SILENCE_MS;
+        this._update(AUDIO_QUALITY_ISSUES.SILENCE, isSilent, !isSilent, now, { rms });
+
+        const clippedFrames = this._history
+            .filter(entry => entry.clipped && now - entry.at <= thresholds.CLIPPING_WINDOW_MS)
+            .length;
+        this._update(
+            AUDIO_QUALITY_ISSUES.CLIPPING,
+            clippedFrames >= thresholds.CLIPPING_FRAMES,
+            clippedFrames === 0,
+            now,
+            { peak, clippedFrames }
+        );
+
+        // Sem fala na janela a relação não é medida e o estado anterior é mantido
+        const snrDb = this._estimateSnrDb(now);
+        if (snrDb !== null) {
+            this._update(
+                AUDIO_QUALITY_ISSUES.LOW_SNR,
+                snrDb < thresholds.MIN_SNR_DB,
+                snrDb >= thresholds.MIN_SNR_DB + thresholds.SNR_HYSTERESIS_DB,
+                now,
+                { snrDb }
+            );
+        }
+
+        this._handlers.onSample({ rms, peak, clipped, snrDb, active: true });
+    }
+
+    /**
+     * Relação fala/ruído em dB: percentil 90 (fala) sobre percentil 10 (ruído de fundo) da janela
+     * @private
+     * @returns {?number} null se ainda não há histórico suficiente ou não há fala
+     */
+    _estimateSnrDb(now) {
+        const thresholds = AUDIO_QUALITY_THRESHOLDS;
+        if (this._history.length === 0 || now - this._history[0].at < thresholds.SNR_MIN_HISTORY_MS) {
+            return null;
+        }
+
+        const levels = this._history.map(entry => entry.rms).sort((a, b) => a - b);
+        const noise = levels[Math.floor(levels.length * 0.1)];
+        const speech = levels[Math.floor(levels.length * 0.9)];
+
+        if (speech < thresholds.SPEECH_RMS) return null;
+
+        return 20 * Math.log10(speech / Math.max(noise, thresholds.DEAD_RMS));
+    }
+
+    /**
+     * Inicia ou encerra um problema; entre os dois limites o estado atual é mantido
+     * @private
+     */
+    _update(type, detected, cleared, now, metrics) {
+        const detectedAt = this._activeIssues.get(type);
+
+        if (detectedAt === undefined && detected) {
+            this._activeIssues.set(type, now);
+            this._handlers.onIssue({
+                type,
+                ...AUDIO_QUALITY_ISSUE_DETAILS[type],
+                detectedAt: new Date(now).toISOString(),
+                metrics
+            });
+        } else if (detectedAt !== undefined && cleared) {
+            this._activeIssues.delete(type);
+            this._handlers.onRecovered({
+                type,
+                durationMs: now - detectedAt,
+                metrics
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _reset() {
+        this._history = [];
+        this._quietSince = null;
+        this._deadSince = null;
+    }
+}
+
+/**
+ * Classe principal do Azure Speech Service com melhorias de produção
+ * @class AzureSpeechService
+ */
+class AzureSpeechService {
+    /**
+     * @constructor
+     * @param {Object} options - Opções de configuração
+     * @param {string} [options.language='pt-BR'] - Idioma de reconhecimento
+     * @param {number} [options.confidenceThreshold=0.7] - Limite de confiança
+     * @param {boolean} [options.enableLogging=false] - Habilitar logs detalhados
+     * @param {boolean} [options.enableDiarization=true] - Identificar falantes via ConversationTranscriber
+     * @param {boolean} [options.enableVoiceCommands=true] - Interpretar comandos de voz durante o ditado
+     * @param {boolean} [options.voiceCommandSounds=true] - Confirmar comandos de voz com um sinal sonoro
+     * @param {RedFlagDetector} [options.redFlagDetector] - Detector de sinais de alarme com léxico próprio
+     * @param {boolean} [options.archiveAudio=false] - Arquivar o áudio bruto das sessões no servidor
+     *        (o seletor #archiveAudio da página, quando existe, decide por sessão)
+     * @param {SpeechRenderer} [options.renderer] - Interface do serviço; padrão: BootstrapSpeechRenderer
+     *        com DOM, SpeechRenderer (sem interface) fora do navegador
+     * @param {Object} [options.window] - Objeto com AudioContext, addEventListener, phiRedactor e
+     *        clinicalNormalizer; padrão: window do navegador (fora dele, um objeto vazio)
+     * @param {Object} [options.navigator] - Objeto com mediaDevices; padrão: navigator do navegador
+     * @param {Storage} [options.storage] - Onde gravar o microfone escolhido e o estado da sessão;
+     *        padrão: localStorage de options.window
+     */
+    constructor(options = {}) {
+        // Validação de entrada
+        this._validateConstructorOptions(options);
+        
+        // Ambiente do navegador; um harness no Node passa objetos falsos
+        this._window = options.window || (typeof window !== 'undefined' ? window : {});
+        this._navigator = options.navigator || (typeof navigator !== 'undefined' ? navigator : {});
+        this._storage = options.storage || this._resolveStorage();
+        
+        // Estado da aplicação
+        this._state = SERVICE_STATES.INITIALIZING;
+        this._currentSessionId = null;
+        this._isRecording = false;
+        this._isDisposed = false;
+        
+        // Configurações
+        this._config = Object.freeze({
+            language: options.language || 'pt-BR',
+            confidenceThreshold: options.confidenceThreshold || CONFIG.CONFIDENCE_THRESHOLD,
+            enableLogging: Boolean(options.enableLogging),
+            enableDictation: true,
+            enableDiarization: options.enableDiarization !== false,
+            enableVoiceCommands: options.enableVoiceCommands !== false,
+            voiceCommandSounds: options.voiceCommandSounds !== false,
+            archiveAudio: Boolean(options.archiveAudio),
+            enableProfanityFilter: false // Para uso médico
+        });
+        
+        // Recursos do Azure
+        this._speechRecognizer = null;
+        this._audioConfig = null;
+        this._speechConfig = null;
+        this._token = null;
+        this._region = null;
+        this._tokenExpirationTimer = null;
+        this._tokenAcquiredAt = 0;
+        this._tokenRefreshFailures = 0;
+        this._usesConversationTranscriber = false;
+        
+        // Áudio guardado enquanto não há token válido e reconhecedor que o transcreve depois
+        this._tokenOutage = null;
+        this._outageCaptureNodes = [];
+        this._catchUp = null;
+        this._catchUpPromise = null;
+        
+        // Falantes identificados na sessão (speakerId -> perfil)
+        this._speakers = new Map();
+        
+        // Recursos de áudio
+        this._audioSource = null;
+        this._mediaStream = null;
+        this._audioContext = null;
+        this._audioNodes = [];
+        this._qualityMonitor = null;
+        this._levelHistory = [];
+        
+        // Troca de microfone (devicechange) e pré-visualização de níveis por dispositivo
+        this._recognitionOptions = {};
+        this._isSwitchingDevice = false;
+        this._deviceSwitchPromise = null;
+        this._deviceChangeTimer = null;
+        this._deviceChangeHandler = null;
+        this._devicePreview = null;
+        
+        // SignalR
+        this._signalRConnection = null;
+        this._reconnectAttempts = 0;
+        this._connectionPromise = null;
+        
+        // Fila offline de chunks não entregues ao hub
+        this._offlineQueue = new OfflineChunkQueue();
+        this._pendingSyncCount = 0;
+        this._isFlushingQueue = false;
+        this._deliveredChunkIds = new Set();
+        
+        // Chunks enviados aguardando ack do hub (chunk-delivery.js)
+        this._chunkAcks = new ChunkAckTracker({
+            send: (chunk) => this._sendChunkToSignalR(chunk),
+            reportUnrecoverable: (sequenceNumbers) => this._invokeSessionHub("ReportUnrecoverableChunks", sequenceNumbers),
+            lookup: (sequenceNumber) => this._findSessionChunk(sequenceNumber),
+            onEvent: (event, data) => this._onChunkDeliveryEvent(event, data)
+        });
+        
+        // Chunks da sessão atual (correções e revisão) e início do reconhecedor atual na linha do tempo da sessão
+        this._sessionChunks = new Map();
+        this._recognitionOffsetMs = 0;
+        
+        // Fila de revisão de baixa confiança (chunkId -> item) e áudio recente do microfone (session-audio.js)
+        this._reviewItems = new Map();
+        this._sessionAudio = new SessionAudioBuffer({ sampleRate: CONFIG.AUDIO_SAMPLE_RATE });
+        
+        // Sinais de alarme (red-flags.js): léxico com negação e alertas da sessão (id do sinal -> alerta)
+        this._redFlags = options.redFlagDetector || new RedFlagDetector();
+        this._redFlagAlerts = new Map();
+        
+        // Arquivamento do áudio bruto (audio-archive.js); segmentos não enviados de sessões anteriores são reenviados
+        this._audioArchive = SessionAudioRecorder.isSupported()
+            ? new SessionAudioRecorder({
+                getOffsetMs: () => this._stats.startTime ? Date.now() - this._stats.startTime.getTime() : 0,
+                onEvent: (event, data) => this._onAudioArchiveEvent(event, data)
+            })
+            : null;
+        this._archivingAudio = false;
+        this._audioArchiveProgress = { pendingSegments: 0, percent: null, retrying: false };
+        
+        // Vocabulário do reconhecimento (lista de frases do tipo de consulta + termos pessoais)
+        this._phrases = [...MEDICAL_KEYWORDS];
+        this._personalTerms = [];
+        this._phraseListGrammar = null;
+        this._keywordPattern = this._buildKeywordPattern(this._phrases);
+        
+        // Comandos de voz, seção atual do ditado e marcadores da sessão
+        this._voiceCommands = DEFAULT_VOICE_COMMANDS;
+        this._commandMatchers = this._compileVoiceCommands(DEFAULT_VOICE_COMMANDS);
+        this._currentSection = null;
+        this._markers = [];
+        this._feedbackAudioContext = null;
+        
+        // Documentos da sessão atual e estado salvo para retomada após recarregar a página
+        this._sessionDocuments = [];
+        this._sessionStore = new SessionSnapshotStore(this._storage);
+        this._persistSessionSnapshotDebounced = this._debounce(
+            this._persistSessionSnapshot.bind(this),
+            CONFIG.SESSION_SNAPSHOT_DEBOUNCE_MS
+        );
+        
+        // Tudo o que é exibido passa pelo renderer (speech-renderer.js)
+        this._renderer = options.renderer ||
+            (typeof document !== 'undefined' ? new BootstrapSpeechRenderer() : new SpeechRenderer());
+        this._renderer.attach(this._createRendererActions());
+        
+        // Redação de identificadores antes do envio ao hub (phi-redaction.js)
+        this._redactor = options.redactor || this._window.phiRedactor || null;
+        
+        // Normalização de doses, unidades e sinais vitais do ditado (clinical-normalizer.js)
+        this._normalizer = options.normalizer || this._window.clinicalNormalizer || null;
+        
+        // Event listeners e timers
+        this._eventListeners = new Map();
+        this._timers = new Set();
+        this._debounceTimers = new Map();
+        
+        // Estatísticas e performance
+        this._stats = {
+            chunksProcessed: 0,
+            totalWords: 0,
+            averageConfidence: 0,
+            startTime: null,
+            lastChunkTime: null,
+            pausedAt: null,
+            pausedDurationMs: 0,
+            errors: 0,
+            reconnects: 0
+        };
+        
+        // Worker para processamento pesado
+        this._worker = null;
+        this._workerTasks = new Map();
+        this._taskCounter = 0;
+        
+        // Throttling/Debouncing
+        this._updateTranscriptionThrottled = this._throttle(
+            this._updateTranscriptionUI.bind(this), 
+            CONFIG.UI_UPDATE_THROTTLE_MS
+        );
+        
+        // Chunks reconhecidos são processados um por vez, na ordem de chegada
+        this._chunkPipeline = Promise.resolve();
+        
+        // Event emitter básico
+        this._events = new Map();
+        
+        // Inicialização
+        this._initialize();
+    }
+
+    /**
+     * Valida opções do construtor
+     * @private
+     * @param {Object} options 
+     */
+    _validateConstructorOptions(options) {
+        if (options && typeof options !== 'object') {
+            throw new Error('Options must be an object');
+        }
+        
+        if (options.language && typeof options.language !== 'string') {
+            throw new Error('Language must be a string');
+        }
+        
+        if (options.confidenceThreshold && 
+            (typeof options.confidenceThreshold !== 'number' || 
+             options.confidenceThreshold < 0 || 
+             options.confidenceThreshold > 1)) {
+            throw new Error('Confidence threshold must be a number between 0 and 1');
+        }
+    }
+
+    /**
+     * Inicialização assíncrona
+     * @private
+     */
+    async _initialize() {
+        try {
+            this._log('info', 'Initializing Azure Speech Service...');
+            
+            // Verificar suporte do navegador
+            await this._checkBrowserSupport();
+            
+            // Inicializar worker se disponível
+            this._initializeWorker();
+            
+            // Configurar cleanup automático
+            this._setupAutoCleanup();
+            
+            // Acompanhar conexão e remoção de microfones
+            this._watchAudioDevices();
+            
+            // Recuperar chunks pendentes de sessões anteriores
+            await this._refreshPendingSyncCount();
+            
+            // Pré-carregar vocabulário para exibir os termos pessoais antes da sessão
+            await this._loadPhraseList(this._resolveConsultationType());
+            await this._loadVoiceCommands();
+            
+            // Inicializar SignalR
+            await this._initializeSignalR();
+            
+            this._transitionTo(SERVICE_STATES.READY, 'initialized');
+            this._emit('ready');
+            
+            this._log('info', 'Azure Speech Service initialized successfully');
+            
+        } catch (error) {
+            this._transitionTo(SERVICE_STATES.ERROR, 'initialization-failed');
+            this._handleError('Initialization failed', error, ERROR_CODES.SPEECH_SDK_NOT_LOADED);
+        }
+    }
+
+    /**
+     * Verifica suporte do navegador
+     * @private
+     * @returns {Promise<boolean>}
+     */
+    async _checkBrowserSupport() {
+        const checks = [
+            {
+                condition: () => !!this._navigator.mediaDevices?.getUserMedia,
+                error: 'Browser does not support getUserMedia'
+            },
+            {
+                condition: () => !!(this._window.AudioContext || this._window.webkitAudioContext),
+                error: 'Browser does not support Web Audio API'
+            },
+            {
+                condition: () => typeof SpeechSDK !== 'undefined',
+                error: 'Azure Speech SDK not loaded'
+            },
+            {
+                condition: () => typeof signalR !== 'undefined',
+                error: 'SignalR not loaded'
+            },
+            {
+                condition: () => typeof Promise !== 'undefined',
+                error: 'Browser does not support Promises'
+            },
+            {
+                condition: () => typeof fetch === 'function',
+                error: 'Browser does not support Fetch API'
+            }
+        ];
+
+        for (const check of checks) {
+            if (!check.condition()) {
+                throw new Error(check.error);
+            }
+        }
+
+        // Verificar recursos avançados
+        const hasAdvancedAudio = !!(this._navigator.mediaDevices.getSupportedConstraints?.() || {}).echoCancellation;
+        if (!hasAdvancedAudio) {
+            this._log('warn', 'Browser does not support advanced audio constraints');
+        }
+
+        return true;
+    }
+
+    /**
+     * Inicializa worker para processamento pesado
+     * @private
+     */
+    _initializeWorker() {
+        if (typeof Worker === 'undefined') {
+            this._log('warn', 'Web Workers not supported');
+            return;
+        }
+
+        try {
+            // Worker inline para processamento de chunks
+            const workerCode = `
+                self.onmessage = function(e) {
+                    const { id, type, data } = e.data;
+                    
+                    try {
+                        let result;
+                        
+                        switch(type) {
+                            case 'processText':
+                                result = processTextChunk(data);
+                                break;
+                            case 'calculateStats':
+                                result = calculateStatistics(data);
+                                break;
+                            default:
+                                throw new Error('Unknown task type: ' + type);
+                        }
+                        
+                        self.postMessage({ id, success: true, result });
+                    } catch (error) {
+                        self.postMessage({ id, success: false, error: error.message });
+                    }
+                };
+                
+                let keywordPattern = null;
+                let keywordRegex = null;
+                
+                function processTextChunk(chunk) {
+                    const words = chunk.text.split(/\\s+/).filter(w => w.length > 0);
+                    const wordCount = words.length;
+                    
+                    // O padrão só muda quando o vocabulário muda; recompilar apenas nesse caso
+                    if (keywordPattern !== chunk.keywordPattern) {
+                        keywordPattern = chunk.keywordPattern;
+                        keywordRegex = new RegExp(keywordPattern, 'iu');
+                    }
+                    const hasKeywords = keywordRegex.test(chunk.text);
+                    
+                    return {
+                        wordCount,
+                        hasKeywords,
+                        processedAt: Date.now()
+                    };
+                }
+                
+                function calculateStatistics(chunks) {
+                    const totalWords = chunks.reduce((sum, chunk) => sum + (chunk.wordCount || 0), 0);
+                    const avgConfidence = chunks.length > 0 
+                        ? chunks.reduce((sum, chunk) => sum + chunk.confidence, 0) / chunks.length 
+                        : 0;
+                    
+                    return {
+                        totalWords,
+                        avgConfidence,
+                        chunkCount: chunks.length
+                    };
+                }
+            `;
+
+            const blob = new Blob([workerCode], { type: 'application/javascript' });
+            this._worker = new Worker(this._window.URL.createObjectURL(blob));
+            
+            this._worker.onmessage = (e) => {
+                const { id, success, result, error } = e.data;
+                const task = this._workerTasks.get(id);
+                
+                if (task) {
+                    this._workerTasks.delete(id);
+                    clearTimeout(task.timeout);
+                    
+                    if (success) {
+                        task.resolve(result);
+                    } else {
+                        task.reject(new Error(error));
+                    }
+                }
+            };
+            
+            this._worker.onerror = (error) => {
+                this._log('error', 'Worker error:', error);
+            };
+            
+            this._log('info', 'Worker initialized successfully');
+            
+        } catch (error) {
+            this._log('warn', 'Failed to initialize worker:', error);
+        }
+    }
+
+    /**
+     * Executa tarefa no worker
+     * @private
+     * @param {string} type - Tipo da tarefa
+     * @param {*} data - Dados para processar
+     * @returns {Promise<*>}
+     */
+    _runWorkerTask(type, data) {
+        if (!this._worker) {
+            // Fallback para execução local
+            return Promise.resolve(this._processLocally(type, data));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = ++this._taskCounter;
+            
+            const timeout = setTimeout(() => {
+                this._workerTasks.delete(id);
+                reject(new Error('Worker task timeout'));
+            }, CONFIG.WORKER_TIMEOUT_MS);
+            
+            this._workerTasks.set(id, { resolve, reject, timeout });
+            this._worker.postMessage({ id, type, data });
+        });
+    }
+
+    /**
+     * Fallback para processamento local
+     * @private
+     */
+    _processLocally(type, data) {
+        switch (type) {
+            case 'processText':
+                const words = data.text.split(/\s+/).filter(w => w.length > 0);
+                return {
+                    wordCount: words.length,
+                    hasKeywords: new RegExp(data.keywordPattern, 'iu').test(data.text),
+                    processedAt: Date.now()
+                };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Configura cleanup automático
+     * @private
+     */
+    _setupAutoCleanup() {
+        // Cleanup quando a página é fechada
+        const cleanup = () => {
+            if (!this._isDisposed) {
+                this.dispose();
+            }
+        };
+
+        // Fora do navegador (harness no Node) não há eventos de página
+        if (typeof this._window.addEventListener === 'function') {
+            ['beforeunload', 'unload', 'pagehide'].forEach(event => {
+                this._window.addEventListener(event, cleanup, { passive: true });
+                this._eventListeners.set(event, { target: this._window, handler: cleanup });
+            });
+        }
+
+        // Cleanup periódico de recursos não utilizados
+        const periodicCleanup = () => {
+            this._cleanupExpiredTokens();
+            this._cleanupCompletedTasks();
+        };
+
+        const cleanupInterval = setInterval(periodicCleanup, 60000); // 1 minuto
+        this._timers.add(cleanupInterval);
+    }
+
+    /**
+     * Inicializa conexão SignalR com retry automático
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _initializeSignalR() {
+        if (this._connectionPromise) {
+            return this._connectionPromise;
+        }
+
+        this._connectionPromise = this._connectSignalR();
+        return this._connectionPromise;
+    }
+
+    /**
+     * Conecta ao SignalR
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _connectSignalR() {
+        try {
+            this._signalRConnection = new signalR.HubConnectionBuilder()
+                .withUrl("/medicalhub", {
+                    transport: signalR.HttpTransportType.WebSockets | signalR.HttpTransportType.ServerSentEvents,
+                    logMessageContent: this._config.enableLogging,
+                    logger: this._config.enableLogging ? signalR.LogLevel.Debug : signalR.LogLevel.Error
+                })
+                .withAutomaticReconnect(CONFIG.RECONNECT_INTERVALS_MS)
+                .withHubProtocol(new signalR.JsonHubProtocol())
+                .configureLogging(this._config.enableLogging ? signalR.LogLevel.Information : signalR.LogLevel.Error)
+                .build();
+
+            this._setupSignalREventHandlers();
+            
+            await this._signalRConnection.start();
+            this._log('info', 'SignalR connection established');
+            
+            this._reconnectAttempts = 0;
+            this._emit('signalr-connected');
+            
+            this._flushOfflineQueue();
+            
+        } catch (error) {
+            this._handleError('SignalR connection failed', error, ERROR_CODES.SIGNALR_CONNECTION_FAILED);
+            throw error;
+        }
+    }
+
+    /**
+     * Configura event handlers do SignalR
+     * @private
+     */
+    _setupSignalREventHandlers() {
+        const connection = this._signalRConnection;
+
+        // Event handlers para mensagens do servidor
+        const handlers = {
+            'SessionStarted': (data) => this._onSessionStarted(data),
+            'AgentActivated': (data) => this._onAgentActivated(data),
+            'DocumentGenerated': (data) => this._onDocumentGenerated(data),
+            'ProcessingCompleted': (data) => this._onProcessingCompleted(data),
+            'ProcessingError': (data) => this._onProcessingError(data),
+            'Error': (error) => this._onSignalRError(error),
+            'TranscriptionUpdate': (data) => this._onTranscriptionUpdate(data),
+            'SpeakerRoleAssigned': (data) => this._onSpeakerRoleAssigned(data),
+            'TranscriptionCorrected': (data) => this._onTranscriptionCorrected(data),
+            'TranscriptionReviewed': (data) => this._onTranscriptionReviewed(data),
+            'RedFlagDetected': (data) => this._onRedFlagDetected(data),
+            'TranscriptionChunkDeleted': (data) => this._onTranscriptionChunkDeleted(data),
+            'SessionHistory': (data) => this._onSessionHistory(data),
+            'CachedSessionData': (data) => this._onCachedSessionData(data),
+            'TranscriptionChunkAck': (data) => this._onTranscriptionChunkAck(data),
+            'TranscriptionGapDetected': (data) => this._onTranscriptionGapDetected(data)
+        };
+
+        Object.entries(handlers).forEach(([event, handler]) => {
+            connection.on(event, handler);
+        });
+
+        // Handlers de conexão
+        connection.onreconnected((connectionId) => {
+            this._log('info', `SignalR reconnected: ${connectionId}`);
+            this._reconnectAttempts = 0;
+            this._showNotification("Conexão reestabelecida", "success");
+            this._emit('signalr-reconnected', connectionId);
+            
+            this._flushOfflineQueue();
+            this._chunkAcks.retryPending();
+        });
+
+        connection.onreconnecting((error) => {
+            this._reconnectAttempts++;
+            this._log('warn', `SignalR reconnecting (attempt ${this._reconnectAttempts}):`, error);
+            this._showNotification("Tentando reconectar...", "warning");
+            this._emit('signalr-reconnecting', { attempt: this._reconnectAttempts, error });
+        });
+
+        connection.onclose((error) => {
+            this._log('error', 'SignalR connection closed:', error);
+            
+            if (this._reconnectAttempts >= CONFIG.MAX_RECONNECT_ATTEMPTS) {
+                this._showError("Conexão perdida. Por favor, recarregue a página.");
+                this._emit('signalr-failed');
+            }
+            
+            this._emit('signalr-closed', error);
+        });
+    }
+
+    /**
+     * Obtém token de autenticação com retry automático
+     * @private
+     * @returns {Promise<{token: string, region: string}>}
+     */
+    async _getSpeechToken() {
+        for (let attempt = 1; attempt <= CONFIG.MAX_RETRIES; attempt++) {
+            try {
+                this._log('debug', `Getting speech token (attempt ${attempt})`);
+                
+                const controller = new AbortController();
+                const timeoutId = setTimeout(() => controller.abort(), 10000);
+                
+                const response = await fetch('/api/speech-token', {
+                    method: 'GET',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    signal: controller.signal,
+                    credentials: 'same-origin'
+                });
+                
+                clearTimeout(timeoutId);
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+
+                const data = await response.json();
+                
+                if (!data.token || !data.region) {
+                    throw new Error('Invalid token response format');
+                }
+
+                this._token = data.token;
+                this._region = data.region;
+                this._tokenAcquiredAt = Date.now();
+                
+                // Reconhecedores em execução não leem o SpeechConfig de novo: aplicar o token a eles
+                this._applyTokenToRecognizers();
+                
+                // Configurar renovação automática
+                this._scheduleTokenRefresh();
+                
+                this._log('debug', 'Speech token acquired successfully');
+                return { token: this._token, region: this._region };
+                
+            } catch (error) {
+                const isLastAttempt = attempt === CONFIG.MAX_RETRIES;
+                
+                if (error.name === 'AbortError') {
+                    this._log('warn', `Token request timeout (attempt ${attempt})`);
+                } else {
+                    this._log('warn', `Token acquisition failed (attempt ${attempt}):`, error);
+                }
+
+                if (isLastAttempt) {
+                    throw new Error(`Failed to acquire speech token after ${CONFIG.MAX_RETRIES} attempts: ${error.message}`);
+                }
+
+                // Backoff exponencial
+                const delay = CONFIG.RETRY_DELAY_MS * Math.pow(CONFIG.RETRY_BACKOFF_MULTIPLIER, attempt - 1);
+                await this._sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Agenda renovação automática do token
+     * @private
+     * @param {number} [delayMs] - Padrão: intervalo de renovação; menor ao repetir uma falha
+     */
+    _scheduleTokenRefresh(delayMs = CONFIG.TOKEN_REFRESH_INTERVAL_MS) {
+        if (this._tokenExpirationTimer) {
+            clearTimeout(this._tokenExpirationTimer);
+            this._timers.delete(this._tokenExpirationTimer);
+        }
+
+        this._tokenExpirationTimer = setTimeout(() => this._refreshSpeechToken(), delayMs);
+        
+        this._timers.add(this._tokenExpirationTimer);
+    }
+
+    /**
+     * Renova o token; falhas são repetidas em segundo plano em vez de encerrar a sessão
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _refreshSpeechToken() {
+        try {
+            await this._getSpeechToken();
+        } catch (error) {
+            this._onTokenRefreshFailed(error);
+            return;
+        }
+
+        const failures = this._tokenRefreshFailures;
+        this._tokenRefreshFailures = 0;
+        this._log('debug', 'Token refreshed automatically');
+
+        if (failures > 0) {
+            this._log('info', `Token refresh recovered after ${failures} failed attempts`);
+            this._emit('token-refresh-recovered', { failures });
+        }
+
+        if (this._tokenOutage) {
+            await this._endTokenOutage();
+        }
+    }
+
+    /**
+     * @private
+     * @param {Error} error
+     */
+    _onTokenRefreshFailed(error) {
+        this._tokenRefreshFailures++;
+
+        const intervals = CONFIG.TOKEN_REFRESH_RETRY_INTERVALS_MS;
+        const retryInMs = intervals[Math.min(this._tokenRefreshFailures, intervals.length) - 1];
+        const expiresInMs = Math.max(0, this._tokenAcquiredAt + CONFIG.TOKEN_LIFETIME_MS - Date.now());
+
+        this._log('error', `Automatic token refresh failed (attempt ${this._tokenRefreshFailures}), retrying in ${retryInMs}ms:`, error);
+        this._emit('token-refresh-failed', {
+            error,
+            attempt: this._tokenRefreshFailures,
+            retryInMs,
+            expiresInMs
+        });
+
+        if (this._tokenRefreshFailures === 1 && this._isRecording) {
+            this._showNotification("Falha ao renovar a autorização do reconhecimento de fala, tentando novamente", "warning");
+        }
+
+        this._scheduleTokenRefresh(retryInMs);
+    }
+
+    /**
+     * Token ausente ou já na janela de renovação
+     * @private
+     * @returns {boolean}
+     */
+    _isTokenStale() {
+        return !this._token || Date.now() - this._tokenAcquiredAt >= CONFIG.TOKEN_REFRESH_INTERVAL_MS;
+    }
+
+    /**
+     * Aplica o token atual ao SpeechConfig e aos reconhecedores ativos
+     * @private
+     */
+    _applyTokenToRecognizers() {
+        const targets = [this._speechConfig, this._speechRecognizer, this._catchUp?.recognizer];
+
+        targets.filter(Boolean).forEach(target => {
+            try {
+                target.authorizationToken = this._token;
+            } catch (error) {
+                this._log('warn', 'Failed to apply refreshed token:', error);
+            }
+        });
+    }
+
+    /**
+     * Cancelamento por autorização: sem token válido o reconhecedor não reconecta
+     * @private
+     * @param {*} e - Evento canceled do Speech SDK
+     * @returns {boolean}
+     */
+    _isTokenFailure(e) {
+        if (e.errorCode === SpeechSDK.CancellationErrorCode?.AuthenticationFailure) {
+            return true;
+        }
+
+        return this._tokenRefreshFailures > 0 && this._isTokenStale();
+    }
+
+    /**
+     * Passa a guardar o áudio do microfone localmente até o token ser renovado.
+     * A sessão continua em RECORDING; o áudio é transcrito depois por _endTokenOutage.
+     * @private
+     * @param {string} reason
+     */
+    _beginTokenOutage(reason) {
+        if (this._tokenOutage) return;
+
+        this._closeRecognizer();
+
+        this._tokenOutage = {
+            reason,
+            startOffsetMs: Date.now() - this._stats.startTime.getTime(),
+            chunks: [],
+            bytes: 0,
+            droppedBytes: 0
+        };
+        this._startOutageCapture();
+
+        this._renderer.updateStatus('buffering');
+        this._showNotification("Reconhecimento de fala indisponível: o áudio está sendo guardado e será transcrito ao reconectar", "warning");
+        this._emit('token-outage-started', { reason, startOffsetMs: this._tokenOutage.startOffsetMs });
+
+        // Sem renovação falhando (ex.: token revogado) tenta-se um novo token imediatamente
+        if (this._tokenRefreshFailures === 0) {
+            this._scheduleTokenRefresh(0);
+        }
+    }
+
+    /**
+     * Captura PCM 16 kHz/16 bits/mono do microfone atual para o buffer da falha de token
+     * @private
+     */
+    _startOutageCapture() {
+        this._stopOutageCapture();
+
+        if (!this._audioContext || !this._mediaStream) {
+            this._log('warn', 'Audio context unavailable, audio will not be buffered during the outage');
+            return;
+        }
+
+        const source = this._audioContext.createMediaStreamSource(this._mediaStream);
+        const processor = this._audioContext.createScriptProcessor(4096, 1, 1);
+        const ratio = this._audioContext.sampleRate / CONFIG.AUDIO_SAMPLE_RATE;
+
+        processor.onaudioprocess = (event) => {
+            // Pausas não entram no buffer
+            if (!this._tokenOutage || this._state !== SERVICE_STATES.RECORDING) return;
+
+            this._bufferOutageAudio(this._toPcm16(event.inputBuffer.getChannelData(0), ratio).buffer);
+        };
+
+        // ScriptProcessor só processa conectado ao destino; a saída fica em silêncio
+        source.connect(processor);
+        processor.connect(this._audioContext.destination);
+
+        this._outageCaptureNodes = [source, processor];
+        this._audioNodes.push(source, processor);
+    }
+
+    /**
+     * @private
+     */
+    _stopOutageCapture() {
+        this._outageCaptureNodes.forEach(node => {
+            try {
+                node.onaudioprocess = null;
+                node.disconnect();
+            } catch (e) {
+                // Ignorar erros de desconexão
+            }
+        });
+
+        this._audioNodes = this._audioNodes.filter(node => !this._outageCaptureNodes.includes(node));
+        this._outageCaptureNodes = [];
+    }
+
+    /**
+     * Acrescenta PCM ao buffer; acima do limite descarta o áudio mais antigo
+     * @private
+     * @param {ArrayBuffer} pcm
+     */
+    _bufferOutageAudio(pcm) {
+        const outage = this._tokenOutage;
+        const maxBytes = CONFIG.MAX_BUFFERED_AUDIO_MS * this._pcmBytesPerMs();
+
+        outage.chunks.push(pcm);
+        outage.bytes += pcm.byteLength;
+
+        while (outage.bytes > maxBytes && outage.chunks.length > 1) {
+            const dropped = outage.chunks.shift();
+            outage.bytes -= dropped.byteLength;
+            outage.droppedBytes += dropped.byteLength;
+        }
+    }
+
+    /**
+     * Converte amostras do audio context em PCM 16 kHz/16 bits/mono
+     * @private
+     * @param {Float32Array} input
+     * @param {number} ratio - Taxa do audio context dividida por CONFIG.AUDIO_SAMPLE_RATE
+     * @returns {Int16Array}
+     */
+    _toPcm16(input, ratio) {
+        const pcm = new Int16Array(Math.floor(input.length / ratio));
+
+        for (let i = 0; i < pcm.length; i++) {
+            const sample = Math.max(-1, Math.min(1, input[Math.floor(i * ratio)]));
+            pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+        }
+
+        return pcm;
+    }
+
+    /**
+     * @private
+     * @returns {number} Bytes de PCM 16 bits/mono por ms
+     */
+    _pcmBytesPerMs() {
+        return (CONFIG.AUDIO_SAMPLE_RATE * 2) / 1000;
+    }
+
+    /**
+     * Token renovado: retoma o reconhecimento ao vivo e transcreve o áudio guardado em paralelo
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _endTokenOutage() {
+        const outage = this._tokenOutage;
+        this._stopOutageCapture();
+        this._tokenOutage = null;
+
+        const bufferedMs = Math.round(outage.bytes / this._pcmBytesPerMs());
+        const droppedMs = Math.round(outage.droppedBytes / this._pcmBytesPerMs());
+
+        this._log('info', `Speech token restored, ${bufferedMs}ms of buffered audio to transcribe (${droppedMs}ms dropped)`);
+
+        try {
+            // Pausada, a sessão só volta a reconhecer em resume()
+            await this._configureSpeechSDK(this._recognitionOptions);
+
+            if (this._state === SERVICE_STATES.RECORDING) {
+                this._recognitionOffsetMs = Date.now() - this._stats.startTime.getTime();
+                await this._startSpeechRecognition();
+            }
+        } catch (error) {
+            this._isRecording = false;
+            this._transitionTo(SERVICE_STATES.ERROR, 'token-outage-recovery-failed');
+            this._renderer.updateStatus('error');
+            this._handleError('Failed to restart recognition after token refresh', error, ERROR_CODES.SPEECH_RECOGNITION_FAILED);
+            return;
+        }
+
+        if (droppedMs > 0) {
+            this._showNotification(`${Math.round(droppedMs / 1000)}s iniciais do áudio guardado foram descartados (limite de memória)`, "warning");
+        }
+
+        this._emit('token-outage-ended', {
+            startOffsetMs: outage.startOffsetMs,
+            bufferedMs,
+            droppedMs
+        });
+
+        if (outage.chunks.length > 0) {
+            // O áudio descartado é o mais antigo: o buffer começa depois dele
+            this._catchUpPromise = this._transcribeBufferedAudio(outage.chunks, outage.startOffsetMs + droppedMs);
+        }
+    }
+
+    /**
+     * Transcreve o áudio guardado com um reconhecedor próprio alimentado por push stream.
+     * Sem diarização: os chunks do período ficam com falante não identificado.
+     * @private
+     * @param {Array<ArrayBuffer>} pcmChunks
+     * @param {number} baseOffsetMs - Início do áudio guardado na linha do tempo da sessão
+     * @returns {Promise<number>} Quantidade de chunks transcritos
+     */
+    _transcribeBufferedAudio(pcmChunks, baseOffsetMs) {
+        return new Promise((resolve) => {
+            const format = SpeechSDK.AudioStreamFormat.getWaveFormatPCM(CONFIG.AUDIO_SAMPLE_RATE, 16, 1);
+            const pushStream = SpeechSDK.AudioInputStream.createPushStream(format);
+            const speechConfig = this._createSpeechConfig(this._recognitionOptions);
+            const audioConfig = SpeechSDK.AudioConfig.fromStreamInput(pushStream);
+            const recognizer = new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
+            const pending = [];
+            let transcribed = 0;
+
+            if (SpeechSDK.PhraseListGrammar && this._phrases.length > 0) {
+                try {
+                    SpeechSDK.PhraseListGrammar.fromRecognizer(recognizer).addPhrases(this._phrases);
+                } catch (error) {
+                    this._log('warn', 'Failed to apply phrase list to buffered audio:', error);
+                }
+            }
+
+            const finish = async (outcome) => {
+                if (this._catchUp?.recognizer !== recognizer) return;
+                this._catchUp = null;
+
+                await Promise.allSettled(pending);
+
+                recognizer.close();
+                speechConfig.close();
+                audioConfig.close();
+
+                this._log('info', `Buffered audio ${outcome}: ${transcribed} chunks`);
+                this._emit('token-outage-transcribed', { chunks: transcribed, outcome });
+                resolve(transcribed);
+            };
+
+            recognizer.recognized = (sender, e) => {
+                pending.push(this._onBufferedAudioRecognized(e, baseOffsetMs).then(chunk => {
+                    if (chunk) transcribed++;
+                }));
+            };
+
+            recognizer.canceled = (sender, e) => {
+                if (e.reason === SpeechSDK.CancellationReason.EndOfStream) {
+                    finish('transcribed');
+                    return;
+                }
+                this._log('warn', 'Buffered audio transcription canceled:', e.errorDetails);
+                finish('canceled');
+            };
+
+            recognizer.sessionStopped = () => finish('transcribed');
+
+            this._catchUp = { recognizer, finish };
+
+            recognizer.startContinuousRecognitionAsync(
+                () => {
+                    pcmChunks.forEach(chunk => pushStream.write(chunk));
+                    pushStream.close();
+                },
+                (error) => {
+                    this._log('error', 'Failed to transcribe buffered audio:', error);
+                    finish('failed');
+                }
+            );
+        });
+    }
+
+    /**
+     * @private
+     * @param {*} e - Evento recognized do reconhecedor do áudio guardado
+     * @param {number} baseOffsetMs
+     * @returns {Promise<?Object>} Chunk criado
+     */
+    async _onBufferedAudioRecognized(e, baseOffsetMs) {
+        if (e.result.reason !== SpeechSDK.ResultReason.RecognizedSpeech) return null;
+
+        const text = this._sanitizeText(e.result.text);
+
+        // Comandos de voz ditos durante a falha já não se aplicam
+        if (!text || text.trim().length === 0 || this._matchVoiceCommand(text)) return null;
+
+        const chunk = await this._createTranscriptionChunk(
+            text,
+            e.result.properties?.getProperty(SpeechSDK.PropertyId.SpeechServiceResponse_JsonResult),
+            null,
+            { offset: e.result.offset, duration: e.result.duration, baseOffsetMs }
+        );
+
+        await this._enqueueChunkProcessing(chunk);
+        this._emit('recognized', { chunk, buffered: true });
+
+        return chunk;
+    }
+
+    /**
+     * Descarta o áudio guardado de uma falha de token ainda não recuperada
+     * @private
+     */
+    _discardTokenOutage() {
+        if (!this._tokenOutage) return;
+
+        const lostMs = Math.round(this._tokenOutage.bytes / this._pcmBytesPerMs());
+        this._stopOutageCapture();
+        this._tokenOutage = null;
+
+        this._log('warn', `Session ended without a valid token, ${lostMs}ms of buffered audio discarded`);
+        this._emit('token-outage-discarded', { lostMs });
+    }
+
+    /**
+     * Solicita permissão de microfone com configurações otimizadas
+     * @private
+     * @param {string|null} [deviceId] - Dispositivo específico; padrão do sistema quando omitido
+     * @returns {Promise<MediaStream>}
+     */
+    async _requestMicrophonePermission(deviceId = null) {
+        try {
+            const constraints = {
+                audio: {
+                    echoCancellation: true,
+                    noiseSuppression: true,
+                    autoGainControl: true,
+                    sampleRate: CONFIG.AUDIO_SAMPLE_RATE,
+                    channelCount: 1,
+                    latency: 0,
+                    volume: 1.0
+                }
+            };
+
+            // Verificar constraints suportadas
+            const supportedConstraints = this._navigator.mediaDevices.getSupportedConstraints();
+            Object.keys(constraints.audio).forEach(key => {
+                if (!supportedConstraints[key]) {
+                    this._log('warn', `Audio constraint '${key}' not supported`);
+                    delete constraints.audio[key];
+                }
+            });
+
+            if (deviceId) {
+                constraints.audio.deviceId = { exact: deviceId };
+            }
+
+            this._mediaStream = await this._navigator.mediaDevices.getUserMedia(constraints);
+            
+            // Configurar áudio context para monitoramento
+            this._setupAudioContext();
+            
+            this._log('info', 'Microphone permission granted');
+            return this._mediaStream;
+            
+        } catch (error) {
+            let errorMessage = 'Microphone permission denied';
+            
+            switch (error.name) {
+                case 'NotAllowedError':
+                    errorMessage = 'Permission to use microphone was denied';
+                    break;
+                case 'NotFoundError':
+                    errorMessage = 'No microphone device found';
+                    break;
+                case 'NotReadableError':
+                    errorMessage = 'Microphone is already in use by another application';
+                    break;
+                case 'OverconstrainedError':
+                    errorMessage = 'Microphone does not support required audio constraints';
+                    break;
+                case 'SecurityError':
+                    errorMessage = 'Microphone access blocked by security policy';
+                    break;
+            }
+            
+            throw new Error(errorMessage);
+        }
+    }
+
+    /**
+     * Entradas de áudio do navegador, incluindo as pseudo-entradas "default"/"communications" do Chrome
+     * @private
+     * @returns {Promise<Array<MediaDeviceInfo>>}
+     */
+    async _enumerateAudioInputs() {
+        if (!this._navigator.mediaDevices?.enumerateDevices) return [];
+
+        const devices = await this._navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
+    }
+
+    /**
+     * @private
+     * @param {Array<MediaDeviceInfo>} devices
+     */
+    _describeAudioInputs(devices) {
+        const preferred = this._getPreferredDeviceId();
+
+        return devices
+            .filter(device => device.deviceId && device.deviceId !== 'default' && device.deviceId !== 'communications')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                groupId: device.groupId,
+                label: device.label || `Microfone ${index + 1}`,
+                isSelected: device.deviceId === preferred
+            }));
+    }
+
+    /**
+     * localStorage do window injetado; o acesso lança exceção quando o navegador bloqueia o armazenamento
+     * @private
+     * @returns {?Storage}
+     */
+    _resolveStorage() {
+        try {
+            return this._window.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     * @returns {?string} Microfone escolhido pelo usuário
+     */
+    _getPreferredDeviceId() {
+        try {
+            return this._storage.getItem(AUDIO_DEVICE_STORAGE_KEY) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Microfone a usar: o solicitado ou escolhido, se estiver conectado; senão o padrão do sistema (null)
+     * @private
+     * @param {?string} [requestedDeviceId]
+     * @returns {Promise<?string>}
+     */
+    async _resolveInputDeviceId(requestedDeviceId = null) {
+        const deviceId = requestedDeviceId || this._getPreferredDeviceId();
+        if (!deviceId) return null;
+
+        const devices = await this._enumerateAudioInputs();
+
+        // Antes da permissão o navegador não expõe os IDs; tentar o escolhido mesmo assim
+        if (devices.every(device => !device.deviceId)) return deviceId;
+
+        return devices.some(device => device.deviceId === deviceId) ? deviceId : null;
+    }
+
+    /**
+     * Se há uma gravação ao vivo (gravando ou pausada) usando o microfone
+     * @private
+     */
+    _usesLiveMicrophone() {
+        return !!this._audioSource?.requiresMicrophone &&
+            (this._state === SERVICE_STATES.RECORDING || this._state === SERVICE_STATES.PAUSED);
+    }
+
+    /**
+     * Registra o listener de devicechange, com debounce: conectar um headset dispara vários eventos
+     * @private
+     */
+    _watchAudioDevices() {
+        if (!this._navigator.mediaDevices?.addEventListener || this._deviceChangeHandler) return;
+
+        this._deviceChangeHandler = () => {
+            clearTimeout(this._deviceChangeTimer);
+            this._deviceChangeTimer = setTimeout(() => {
+                this._onAudioDevicesChanged().catch(error => {
+                    this._log('error', 'Failed to handle audio device change:', error);
+                });
+            }, CONFIG.DEVICE_CHANGE_DEBOUNCE_MS);
+        };
+
+        this._navigator.mediaDevices.addEventListener('devicechange', this._deviceChangeHandler);
+        this._refreshDevicePicker();
+    }
+
+    /**
+     * Troca o microfone da gravação em andamento quando o dispositivo em uso some
+     * ou quando o dispositivo desejado (escolhido ou padrão do sistema) passa a ser outro
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _onAudioDevicesChanged() {
+        this._emit('audio-devices-changed');
+        this._refreshDevicePicker();
+
+        if (!this._usesLiveMicrophone()) return;
+
+        const track = this._mediaStream?.getAudioTracks()[0];
+        const current = track?.getSettings?.() || {};
+        const targetId = await this._resolveInputDeviceId(this._audioSource.deviceId);
+        const devices = await this._enumerateAudioInputs();
+        
+        // Sem escolha, o alvo é a entrada "default" (só existe no Chrome)
+        const target = devices.find(device => device.deviceId === (targetId || 'default'));
+
+        const trackEnded = !track || track.readyState === 'ended';
+        const targetChanged = !!target && !!current.groupId && target.groupId !== current.groupId;
+
+        if (trackEnded || targetChanged) {
+            this._log('info', `Audio input changed (ended: ${trackEnded}), switching microphone`);
+            await this._switchMicrophone(targetId);
+        }
+    }
+
+    /**
+     * Troca o microfone sem encerrar a sessão: sessão SignalR, numeração e falantes são mantidos
+     * @private
+     * @param {?string} deviceId - null para o padrão do sistema
+     * @returns {Promise<void>}
+     */
+    _switchMicrophone(deviceId) {
+        // Trocas seguidas são serializadas
+        this._deviceSwitchPromise = (this._deviceSwitchPromise || Promise.resolve())
+            .catch(() => {})
+            .then(() => this._performMicrophoneSwitch(deviceId));
+
+        return this._deviceSwitchPromise;
+    }
+
+    /**
+     * @private
+     * @param {?string} deviceId
+     */
+    async _performMicrophoneSwitch(deviceId) {
+        if (!this._usesLiveMicrophone()) return;
+
+        const wasRecording = this._state === SERVICE_STATES.RECORDING;
+        this._isSwitchingDevice = true;
+
+        try {
+            if (wasRecording) {
+                await this._stopSpeechRecognition();
+            }
+
+            // O AudioConfig fica preso ao MediaStream antigo: recriar reconhecedor e stream
+            this._closeRecognizer();
+            this._releaseMicrophone();
+
+            try {
+                await this._requestMicrophonePermission(deviceId);
+            } catch (error) {
+                if (!deviceId) throw error;
+                this._log('warn', 'Selected microphone unavailable, using system default:', error);
+                await this._requestMicrophonePermission(null);
+            }
+
+            if (this._archivingAudio) {
+                await this._audioArchive.switchStream(this._mediaStream);
+            }
+
+            if (this._tokenOutage) {
+                // Sem token o novo microfone alimenta o buffer local
+                this._startOutageCapture();
+            } else {
+                await this._configureSpeechSDK(this._recognitionOptions);
+            }
+
+            if (wasRecording) {
+                if (!this._tokenOutage) {
+                    this._recognitionOffsetMs = Date.now() - this._stats.startTime.getTime();
+                    await this._startSpeechRecognition();
+                }
+            } else {
+                // Pausado: o novo microfone continua silenciado até resume()
+                this._setMicrophoneEnabled(false);
+            }
+
+            const track = this._mediaStream.getAudioTracks()[0];
+            const label = track?.label || 'Microfone padrão';
+
+            this._showNotification(`Microfone: ${label}`, "info");
+            this._emit('audio-device-switched', { deviceId: track?.getSettings?.().deviceId || deviceId, label });
+            this._refreshDevicePicker();
+
+        } catch (error) {
+            this._isRecording = false;
+            this._transitionTo(SERVICE_STATES.ERROR, 'device-switch-failed');
+            this._renderer.updateStatus('error');
+            this._handleError('Failed to switch microphone', error, ERROR_CODES.AUDIO_DEVICE_ERROR);
+        } finally {
+            this._isSwitchingDevice = false;
+        }
+    }
+
+    /**
+     * Nível RMS de amostras de domínio do tempo (bytes centrados em 128), escalado para 0..1
+     * @private
+     * @param {Uint8Array} samples
+     * @returns {number}
+     */
+    _computeRmsLevel(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const value = (samples[i] - 128) / 128;
+            sum += value * value;
+        }
+
+        // Fala normal fica em torno de 0,1-0,3 de RMS; multiplicar para ocupar a escala
+        return Math.min(1, Math.sqrt(sum / samples.length) * 4);
+    }
+
+    /**
+     * Configura audio context para monitoramento
+     * @private
+     */
+    _setupAudioContext() {
+        try {
+            const AudioContext = this._window.AudioContext || this._window.webkitAudioContext;
+            this._audioContext = new AudioContext();
+            
+            const source = this._audioContext.createMediaStreamSource(this._mediaStream);
+            const analyser = this._audioContext.createAnalyser();
+            
+            analyser.fftSize = 2048;
+            analyser.smoothingTimeConstant = 0.8;
+            
+            source.connect(analyser);
+            this._audioNodes.push(source, analyser);
+            this._startSessionAudioCapture(source);
+            
+            // Monitorar nível e qualidade do áudio
+            this._qualityMonitor = new AudioQualityMonitor(analyser, this._mediaStream.getAudioTracks()[0], {
+                isActive: () => this._state === SERVICE_STATES.RECORDING && !this._isSwitchingDevice,
+                onSample: (sample) => this._onAudioSample(sample),
+                onIssue: (issue) => this._onAudioQualityIssue(issue),
+                onRecovered: (recovery) => this._onAudioQualityRecovered(recovery)
+            });
+            this._qualityMonitor.start();
+            this._setAudioQualityWidgetVisible(true);
+            
+        } catch (error) {
+            this._log('warn', 'Failed to setup audio context:', error);
+        }
+    }
+
+    /**
+     * Guarda o áudio do microfone na linha do tempo da sessão, para ouvir de novo os trechos em revisão
+     * @private
+     * @param {MediaStreamAudioSourceNode} source
+     */
+    _startSessionAudioCapture(source) {
+        const context = this._audioContext;
+        const processor = context.createScriptProcessor(4096, 1, 1);
+        const ratio = context.sampleRate / CONFIG.AUDIO_SAMPLE_RATE;
+
+        processor.onaudioprocess = (event) => {
+            // Pausas ficam fora do buffer; o recorte as preenche com silêncio
+            if (this._state !== SERVICE_STATES.RECORDING || !this._stats.startTime) return;
+
+            const input = event.inputBuffer.getChannelData(0);
+            // O bloco acabou de terminar: o início recua a duração dele
+            const blockMs = (input.length * 1000) / context.sampleRate;
+            const startMs = Date.now() - this._stats.startTime.getTime() - blockMs;
+
+            this._sessionAudio.append(this._toPcm16(input, ratio), startMs);
+        };
+
+        source.connect(processor);
+        processor.connect(context.destination);
+        this._audioNodes.push(processor);
+    }
+
+    /**
+     * Começa a arquivar o áudio do microfone quando pedido para a sessão (opção, seletor #archiveAudio
+     * ou padrão do serviço). Falhar aqui não impede a transcrição.
+     * @private
+     * @param {Object} options - Opções de startContinuousRecognition
+     * @returns {Promise<void>}
+     */
+    async _startAudioArchive(options) {
+        this._archivingAudio = false;
+
+        const requested = options.archiveAudio ??
+            this._renderer.readSessionForm().archiveAudio ??
+            this._config.archiveAudio;
+
+        if (!requested || !this._audioSource?.requiresMicrophone || !this._mediaStream) return;
+
+        if (!this._audioArchive) {
+            this._log('warn', 'Opus recording not supported, session audio will not be archived');
+            this._showNotification("Este navegador não grava áudio Opus: o áudio da sessão não será arquivado", "warning");
+            return;
+        }
+
+        try {
+            // Sessão retomada continua a numeração dos segmentos já enviados
+            await this._audioArchive.start(this._mediaStream, this._currentSessionId, {
+                startIndex: options.resumeFrom?.audioSegmentIndex || 0
+            });
+            this._archivingAudio = true;
+            this._emit('audio-archive-started', { sessionId: this._currentSessionId });
+        } catch (error) {
+            this._log('error', 'Failed to start audio archive:', error);
+            this._showNotification("Não foi possível iniciar o arquivamento do áudio da sessão", "warning");
+        }
+    }
+
+    /**
+     * Fecha o último segmento; os pendentes continuam a ser enviados depois do fim da sessão
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _stopAudioArchive() {
+        if (!this._archivingAudio) return;
+
+        this._archivingAudio = false;
+        await this._audioArchive.stop();
+    }
+
+    /**
+     * Reflete na tela e nos eventos do serviço a gravação e o envio do áudio arquivado
+     * @private
+     * @param {string} event - Evento do SessionAudioRecorder
+     * @param {Object} data
+     */
+    _onAudioArchiveEvent(event, data) {
+        const progress = this._audioArchiveProgress;
+
+        switch (event) {
+            case 'audio-segment-recorded':
+                // O índice do próximo segmento entra no estado salvo da sessão
+                this._persistSessionSnapshotDebounced();
+                break;
+            case 'audio-upload-progress':
+                progress.pendingSegments = data.pendingSegments;
+                progress.percent = data.total > 0 ? Math.round((data.loaded / data.total) * 100) : null;
+                progress.retrying = false;
+                break;
+            case 'audio-segment-uploaded':
+                progress.pendingSegments = data.pendingSegments;
+                progress.percent = null;
+                break;
+            case 'audio-upload-failed':
+                if (data.permanent) {
+                    this._log('error', `Audio segment ${data.segmentIndex} of session ${data.sessionId} rejected: ${data.error}`);
+                    this._showNotification(`Um segmento do áudio da sessão foi recusado pelo servidor e não será arquivado (${data.error})`, "danger");
+                } else {
+                    this._log('warn', `Audio segment ${data.segmentIndex} upload failed, retrying in ${data.retryInMs}ms: ${data.error}`);
+                    progress.pendingSegments = Math.max(1, progress.pendingSegments);
+                    progress.retrying = true;
+                }
+                break;
+            case 'audio-segments-expired':
+                this._log('warn', `${data.count} archived audio segment(s) expired locally before upload`);
+                this._showNotification(`${data.count} segmento(s) de áudio não enviados foram apagados deste navegador pelo prazo de retenção local`, "warning");
+                break;
+        }
+
+        this._renderer.updateAudioArchive(this._audioArchiveProgress);
+        this._emit(event, data);
+    }
+
+    /**
+     * Medição periódica do monitor de qualidade: emite 'audio-level' (0..1) e atualiza o medidor
+     * @private
+     * @param {{rms: number, peak: number, clipped: boolean, snrDb: ?number, active: boolean}} sample
+     */
+    _onAudioSample(sample) {
+        // Mesma escala da pré-visualização de dispositivos
+        const level = Math.min(1, sample.rms * 4);
+
+        this._levelHistory.push({ level, clipped: sample.clipped, active: sample.active });
+        if (this._levelHistory.length > 60) {
+            this._levelHistory.shift();
+        }
+
+        this._emit('audio-level', level);
+        this._renderer.drawLevelMeter(this._levelHistory);
+    }
+
+    /**
+     * @private
+     * @param {{type: string, severity: string, message: string, detectedAt: string, metrics: Object}} issue
+     */
+    _onAudioQualityIssue(issue) {
+        this._log('warn', `Audio quality issue: ${issue.type}`, issue.metrics);
+
+        this._showNotification(issue.message, issue.severity === 'error' ? 'danger' : 'warning');
+        this._updateAudioQualityIndicator();
+        this._emit('audio-quality-issue', issue);
+    }
+
+    /**
+     * @private
+     * @param {{type: string, durationMs: number, metrics: Object}} recovery
+     */
+    _onAudioQualityRecovered(recovery) {
+        this._log('info', `Audio quality recovered: ${recovery.type} after ${recovery.durationMs}ms`);
+
+        this._updateAudioQualityIndicator();
+        this._emit('audio-quality-recovered', recovery);
+    }
+
+    /**
+     * Inicia transcrição contínua
+     * @public
+     * @param {string} sessionId - ID da sessão
+     * @param {Object} options - Opções de configuração
+     * @param {AudioInputSource|Object} [options.audioSource] - Fonte de áudio; microfone padrão quando omitida
+     * @param {Object} [options.resumeFrom] - Estado salvo de uma sessão interrompida (ver resumeInterruptedSession)
+     * @returns {Promise<void>}
+     */
+    async startContinuousRecognition(sessionId, options = {}) {
+        // Pré-condições não alteram o estado do serviço
+        this._validateSessionId(sessionId);
+        
+        if (this._isRecording) {
+            throw new Error('Recognition is already active');
+        }
+
+        // Uma sessão encerrada pode iniciar outra diretamente
+        if (this._state === SERVICE_STATES.STOPPED) {
+            await this.recover();
+        }
+
+        if (this._state !== SERVICE_STATES.READY) {
+            throw new Error(`Service not ready. Current state: ${this._state}`);
+        }
+
+        try {
+            this._transitionTo(SERVICE_STATES.CONNECTING, 'start-requested');
+            this._currentSessionId = sessionId;
+            this._speakers.clear();
+            this._sessionChunks.clear();
+            this._clearReviewItems();
+            this._clearRedFlagAlerts();
+            this._recognitionOffsetMs = 0;
+            this._currentSection = null;
+            this._markers = [];
+            this._sessionDocuments = [];
+            this._redactor?.reset();
+            this._chunkAcks.reset();
+
+            // Numeração de sequência é por sessão; a retomada continua a partir do estado salvo
+            this._stats.chunksProcessed = 0;
+            this._stats.totalWords = 0;
+            this._stats.averageConfidence = 0;
+
+            if (options.resumeFrom) {
+                this._restoreSessionSnapshot(options.resumeFrom);
+            }
+            
+            this._log('info', `Starting recognition for session: ${sessionId}`);
+
+            // Obter token se necessário (o da sessão anterior pode ter expirado)
+            if (this._isTokenStale()) {
+                await this._getSpeechToken();
+            }
+
+            // Preparar fonte de áudio
+            this._audioSource = options.audioSource instanceof AudioInputSource
+                ? options.audioSource
+                : new AudioInputSource(options.audioSource);
+            this._log('info', `Using audio source: ${this._audioSource.description}`);
+
+            this._recognitionOptions = options;
+
+            // Solicitar permissão de microfone (fonte explícita ou o microfone escolhido pelo usuário)
+            if (this._audioSource.requiresMicrophone) {
+                const deviceId = this._audioSource.deviceId || await this._resolveInputDeviceId();
+                await this._requestMicrophonePermission(deviceId);
+                
+                // Com a permissão concedida os rótulos dos dispositivos ficam disponíveis
+                this._refreshDevicePicker();
+            }
+
+            // Carregar vocabulário do tipo de consulta antes de criar o reconhecedor
+            await this._loadPhraseList(this._resolveConsultationType(options));
+
+            // Configurar Speech SDK
+            await this._configureSpeechSDK(options);
+
+            // Iniciar sessão SignalR
+            await this._startSignalRSession(sessionId, options);
+            this._transitionTo(SERVICE_STATES.CONNECTED, 'session-joined');
+
+            // Sessão retomada: buscar no hub o que foi processado depois do último estado salvo
+            if (options.resumeFrom) {
+                await this._invokeSessionHub("GetSessionHistory");
+                await this._invokeSessionHub("GetCachedSessionData");
+            }
+
+            // Iniciar reconhecimento
+            await this._startSpeechRecognition();
+
+            this._transitionTo(SERVICE_STATES.RECORDING, 'recognition-started');
+            this._isRecording = true;
+
+            if (!options.resumeFrom) {
+                this._stats.startTime = new Date();
+            }
+            // Blocos capturados antes da linha do tempo desta sessão não servem para a revisão
+            this._sessionAudio.clear();
+            await this._startAudioArchive(options);
+            this._persistSessionSnapshot();
+
+            // Fontes gravadas começam a ser enviadas só com o reconhecedor ativo
+            await this._audioSource.start((progress) => this._emit('audio-source-progress', progress), this._window);
+            
+            this._emit('recognition-started', { sessionId, options });
+            this._log('info', 'Recognition started successfully');
+
+        } catch (error) {
+            this._transitionTo(SERVICE_STATES.ERROR, 'start-failed');
+            this._handleError('Failed to start recognition', error, ERROR_CODES.SPEECH_RECOGNITION_FAILED);
+            throw error;
+        }
+    }
+
+    /**
+     * Cria o SpeechConfig com o token atual e as opções de reconhecimento da sessão
+     * @private
+     * @param {Object} options - Opções de configuração
+     * @returns {SpeechSDK.SpeechConfig}
+     */
+    _createSpeechConfig(options) {
+        const speechConfig = SpeechSDK.SpeechConfig.fromAuthorizationToken(this._token, this._region);
+        
+        // Configurações básicas
+        speechConfig.speechRecognitionLanguage = options.language || this._config.language;
+        
+        if (this._config.enableDictation) {
+            speechConfig.enableDictation();
+        }
+        
+        // Configurações avançadas de timeout
+        speechConfig.setProperty(
+            SpeechSDK.PropertyId.Speech_SegmentationSilenceTimeoutMs, 
+            (options.silenceTimeout || CONFIG.SPEECH_TIMEOUT_MS).toString()
+        );
+        speechConfig.setProperty(
+            SpeechSDK.PropertyId.SpeechServiceConnection_EndSilenceTimeoutMs, 
+            (options.endSilenceTimeout || CONFIG.SPEECH_TIMEOUT_MS).toString()
+        );
+        
+        // Resultado detalhado: alternativas N-best, tempos e confiança por palavra
+        speechConfig.outputFormat = SpeechSDK.OutputFormat.Detailed;
+        speechConfig.requestWordLevelTimestamps();
+        speechConfig.setServiceProperty(
+            'wordLevelConfidence',
+            'true',
+            SpeechSDK.ServicePropertyChannel.UriQueryParameter
+        );
+        
+        // Configurações de logging
+        if (this._config.enableLogging) {
+            speechConfig.setProperty(
+                SpeechSDK.PropertyId.Speech_LogFilename, 
+                "AzureSpeechSDK.log"
+            );
+        }
+        
+        // Configurações de qualidade
+        speechConfig.setProperty(
+            SpeechSDK.PropertyId.SpeechServiceConnection_EnableAudioLogging,
+            this._config.enableLogging.toString()
+        );
+
+        return speechConfig;
+    }
+
+    /**
+     * Configura o Speech SDK
+     * @private
+     * @param {Object} options - Opções de configuração
+     */
+    async _configureSpeechSDK(options) {
+        try {
+            this._speechConfig = this._createSpeechConfig(options);
+            
+            // Configurar entrada de áudio
+            this._audioConfig = this._audioSource.createAudioConfig(this._mediaStream);
+            
+            // Criar reconhecedor (ConversationTranscriber quando a diarização está habilitada)
+            this._usesConversationTranscriber = this._config.enableDiarization && 
+                typeof SpeechSDK.ConversationTranscriber === 'function';
+            
+            if (this._usesConversationTranscriber) {
+                this._speechRecognizer = new SpeechSDK.ConversationTranscriber(this._speechConfig, this._audioConfig);
+            } else {
+                if (this._config.enableDiarization) {
+                    this._log('warn', 'ConversationTranscriber not available, speaker diarization disabled');
+                }
+                this._speechRecognizer = new SpeechSDK.SpeechRecognizer(this._speechConfig, this._audioConfig);
+            }
+            
+            this._applyPhraseList();
+            this._setupSpeechEventHandlers();
+            
+        } catch (error) {
+            throw new Error(`Failed to configure Speech SDK: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tipo de consulta da sessão: opção explícita, seletor da página ou padrão
+     * @private
+     * @param {Object} [options]
+     * @returns {string}
+     */
+    _resolveConsultationType(options = {}) {
+        return options.consultationType || 
+               this._renderer.readSessionForm().consultationType || 
+               DEFAULT_CONSULTATION_TYPE;
+    }
+
+    /**
+     * Carrega os comandos de voz personalizados do usuário; sem personalização usa os padrão
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _loadVoiceCommands() {
+        try {
+            const commands = await this._vocabularyRequest('GET', 'commands');
+            this._applyVoiceCommands(Array.isArray(commands) && commands.length > 0 ? commands : DEFAULT_VOICE_COMMANDS);
+        } catch (error) {
+            this._log('warn', 'Failed to load voice commands, using defaults:', error);
+            this._applyVoiceCommands(DEFAULT_VOICE_COMMANDS);
+        }
+    }
+
+    /**
+     * @private
+     * @param {Array<{action: string, phrases: Array<string>}>} commands
+     */
+    _applyVoiceCommands(commands) {
+        this._voiceCommands = commands;
+        this._commandMatchers = this._compileVoiceCommands(commands);
+        this._refreshActiveVocabulary();
+        this._emit('voice-commands-loaded', this.getVoiceCommands());
+    }
+
+    /**
+     * Prepara as frases dos comandos para comparação, das mais longas para as mais curtas
+     * para que "nova seção" tenha precedência sobre "seção"
+     * @private
+     */
+    _compileVoiceCommands(commands) {
+        return commands
+            .flatMap(command => command.phrases.map(phrase => ({
+                action: command.action,
+                phrase,
+                normalized: this._normalizeCommandText(phrase),
+                wordCount: phrase.trim().split(/\s+/).length
+            })))
+            .filter(matcher => matcher.normalized.length > 0)
+            .sort((a, b) => b.normalized.length - a.normalized.length);
+    }
+
+    /**
+     * Minúsculas, sem acentos nem pontuação: o reconhecedor capitaliza e pontua os enunciados
+     * @private
+     */
+    _normalizeCommandText(text) {
+        return text
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\p{L}\p{N}\s]/gu, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Verifica se o enunciado é um comando de voz.
+     * Só vale para microfone: gravações reproduzidas não controlam a sessão.
+     * @private
+     * @param {string} text - Texto reconhecido
+     * @returns {?{action: string, phrase: string, argument: ?string}}
+     */
+    _matchVoiceCommand(text) {
+        if (!this._config.enableVoiceCommands || !this._audioSource?.requiresMicrophone) {
+            return null;
+        }
+
+        const normalized = this._normalizeCommandText(text);
+
+        for (const matcher of this._commandMatchers) {
+            if (normalized === matcher.normalized) {
+                return { action: matcher.action, phrase: matcher.phrase, argument: null };
+            }
+
+            if (matcher.action === VOICE_COMMAND_ACTIONS.SECTION && normalized.startsWith(`${matcher.normalized} `)) {
+                const argument = text.split(/\s+/)
+                    .slice(matcher.wordCount)
+                    .join(' ')
+                    .replace(/[.,;:!?]+$/, '')
+                    .trim();
+                return { action: matcher.action, phrase: matcher.phrase, argument: argument || null };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Executa um comando de voz reconhecido
+     * @private
+     * @param {{action: string, phrase: string, argument: ?string}} command
+     * @returns {Promise<void>}
+     */
+    async _executeVoiceCommand(command) {
+        this._log('info', `Voice command: ${command.action}`, command.argument || '');
+        
+        // Confirmar antes de executar: pausar e encerrar interrompem o reconhecimento
+        this._acknowledgeVoiceCommand(command);
+        this._emit('voice-command', { ...command });
+
+        try {
+            switch (command.action) {
+                case VOICE_COMMAND_ACTIONS.PAUSE:
+                    await this.pause('voice-command');
+                    break;
+                case VOICE_COMMAND_ACTIONS.STOP:
+                    await this.stopRecording();
+                    break;
+                case VOICE_COMMAND_ACTIONS.MARK:
+                    this._addMarker();
+                    break;
+                case VOICE_COMMAND_ACTIONS.DELETE_LAST:
+                    await this._deleteLastChunk();
+                    break;
+                case VOICE_COMMAND_ACTIONS.SECTION:
+                    this._startSection(command.argument);
+                    break;
+            }
+        } catch (error) {
+            this._handleError(`Voice command failed: ${command.action}`, error, ERROR_CODES.SPEECH_RECOGNITION_FAILED);
+        }
+    }
+
+    /**
+     * Confirmação visual e, se habilitada, sonora de um comando de voz
+     * @private
+     */
+    _acknowledgeVoiceCommand(command) {
+        const label = command.argument ? `${command.phrase}: ${command.argument}` : command.phrase;
+        this._showNotification(`Comando de voz: ${label}`, "info");
+
+        if (this._config.voiceCommandSounds) {
+            // Bipe curto de 880 Hz
+            this._playFeedbackTone(880, 0.15);
+        }
+    }
+
+    /**
+     * Toca um bipe pelo audio context de feedback
+     * @private
+     * @param {number} frequency - Hz
+     * @param {number} durationSeconds
+     * @param {number} [startDelaySeconds=0]
+     */
+    _playFeedbackTone(frequency, durationSeconds, startDelaySeconds = 0) {
+        try {
+            const AudioContextClass = this._window.AudioContext || this._window.webkitAudioContext;
+            if (!AudioContextClass) return;
+
+            this._feedbackAudioContext = this._feedbackAudioContext || new AudioContextClass();
+            const context = this._feedbackAudioContext;
+            const startAt = context.currentTime + startDelaySeconds;
+
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, startAt);
+            gain.gain.exponentialRampToValueAtTime(0.001, startAt + durationSeconds);
+
+            oscillator.connect(gain).connect(context.destination);
+            oscillator.start(startAt);
+            oscillator.stop(startAt + durationSeconds);
+        } catch (error) {
+            this._log('debug', 'Feedback tone unavailable:', error);
+        }
+    }
+
+    /**
+     * Registra um marcador na linha do tempo da sessão
+     * @private
+     */
+    _addMarker() {
+        const marker = {
+            id: `marker_${Date.now()}`,
+            offsetMs: this._stats.startTime ? Date.now() - this._stats.startTime.getTime() : 0,
+            timestamp: new Date().toISOString(),
+            section: this._currentSection
+        };
+
+        this._markers.push(marker);
+        this._persistSessionSnapshotDebounced();
+        this._renderer.addTranscriptionDivider('marker', `Marcador ${this._markers.length}`);
+        this._emit('marker-added', { ...marker });
+    }
+
+    /**
+     * Inicia uma seção; os chunks seguintes levam o nome dela
+     * @private
+     * @param {?string} name
+     */
+    _startSection(name) {
+        this._currentSection = name || 'Nova seção';
+        this._persistSessionSnapshotDebounced();
+        this._renderer.addTranscriptionDivider('section', this._currentSection);
+        this._emit('section-started', { section: this._currentSection });
+    }
+
+    /**
+     * Descarta o último chunk da sessão, no hub ou na fila offline
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _deleteLastChunk() {
+        const chunk = Array.from(this._sessionChunks.values()).pop();
+        if (!chunk) {
+            this._showNotification("Nenhuma frase para apagar", "warning");
+            return;
+        }
+
+        const delivered = this._deliveredChunkIds.has(chunk.id);
+        this._removeChunkLocally(chunk);
+
+        if (delivered) {
+            await this._invokeSessionHub("DeleteTranscriptionChunk", chunk.sequenceNumber);
+        } else {
+            await this._offlineQueue.remove(chunk.id);
+            await this._refreshPendingSyncCount();
+        }
+    }
+
+    /**
+     * Remove o chunk do índice da sessão e da tela
+     * @private
+     */
+    _removeChunkLocally(chunk) {
+        this._sessionChunks.delete(chunk.id);
+        this._chunkAcks.skip(chunk.sequenceNumber);
+        this._removeReviewItem(chunk.id);
+        this._persistSessionSnapshotDebounced();
+        this._renderer.removeTranscriptionChunk(chunk.id);
+        this._emit('chunk-deleted', { chunkId: chunk.id, sequenceNumber: chunk.sequenceNumber });
+    }
+
+    /**
+     * Monta o padrão de detecção de termos clínicos a partir do vocabulário.
+     * Usa limites Unicode porque \b não reconhece letras acentuadas.
+     * @private
+     * @param {Array<string>} terms
+     * @returns {string} Fonte da RegExp (flags 'iu')
+     */
+    _buildKeywordPattern(terms) {
+        const alternatives = terms
+            .map(term => term.trim())
+            .filter(term => term.length > 0)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        // Sem termos, um grupo vazio casaria com qualquer texto
+        if (alternatives.length === 0) {
+            return '(?!)';
+        }
+
+        return `(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`;
+    }
+
+    /**
+     * Carrega a lista de frases do tipo de consulta (com os termos pessoais do usuário).
+     * Em caso de falha mantém os termos básicos e os pessoais já conhecidos.
+     * @private
+     * @param {string} consultationType
+     * @returns {Promise<void>}
+     */
+    async _loadPhraseList(consultationType) {
+        try {
+            const data = await this._vocabularyRequest('GET', encodeURIComponent(consultationType));
+
+            this._phrases = Array.isArray(data.phrases) ? data.phrases : [...MEDICAL_KEYWORDS];
+            this._personalTerms = Array.isArray(data.personalTerms) ? data.personalTerms : [];
+            this._redFlags.mergeLexicon(data.redFlags);
+            
+            this._log('debug', `Phrase list loaded for ${data.consultationType}: ${this._phrases.length} phrases`);
+
+        } catch (error) {
+            this._log('warn', 'Failed to load phrase list, using built-in keywords:', error);
+            this._phrases = [...new Set([...MEDICAL_KEYWORDS, ...this._personalTerms])];
+        }
+
+        this._keywordPattern = this._buildKeywordPattern(this._phrases);
+        this._renderer.renderPersonalTerms(this._personalTerms);
+        this._emit('phrase-list-loaded', { consultationType, count: this._phrases.length });
+    }
+
+    /**
+     * Requisição à API de vocabulário
+     * @private
+     * @param {string} method - Método HTTP
+     * @param {string} path - Caminho relativo a /api/vocabulary
+     * @param {Object} [body] - Corpo JSON
+     * @returns {Promise<*>}
+     */
+    async _vocabularyRequest(method, path, body = undefined) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+        try {
+            const response = await fetch(`/api/vocabulary/${path}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal,
+                credentials: 'same-origin'
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Aplica a lista de frases ao reconhecedor recém-criado
+     * @private
+     */
+    _applyPhraseList() {
+        this._phraseListGrammar = null;
+
+        const phrases = this._getGrammarPhrases();
+        if (!SpeechSDK.PhraseListGrammar || phrases.length === 0) {
+            return;
+        }
+
+        try {
+            this._phraseListGrammar = SpeechSDK.PhraseListGrammar.fromRecognizer(this._speechRecognizer);
+            this._phraseListGrammar.addPhrases(phrases);
+            this._log('info', `Phrase list applied: ${phrases.length} phrases`);
+        } catch (error) {
+            // Sem a lista o reconhecimento continua funcionando, só com menor precisão
+            this._phraseListGrammar = null;
+            this._log('warn', 'Failed to apply phrase list:', error);
+        }
+    }
+
+    /**
+     * Frases enviadas ao reconhecedor: vocabulário clínico e frases dos comandos de voz
+     * @private
+     * @returns {Array<string>}
+     */
+    _getGrammarPhrases() {
+        const commandPhrases = this._config.enableVoiceCommands
+            ? this._commandMatchers.map(matcher => matcher.phrase)
+            : [];
+        return [...new Set([...this._phrases, ...commandPhrases])];
+    }
+
+    /**
+     * Reaplica o vocabulário atual ao reconhecedor ativo e ao padrão de termos clínicos
+     * @private
+     */
+    _refreshActiveVocabulary() {
+        this._keywordPattern = this._buildKeywordPattern(this._phrases);
+
+        if (this._phraseListGrammar) {
+            try {
+                this._phraseListGrammar.clear();
+                this._phraseListGrammar.addPhrases(this._getGrammarPhrases());
+            } catch (error) {
+                this._log('warn', 'Failed to update active phrase list:', error);
+            }
+        }
+
+        this._renderer.renderPersonalTerms(this._personalTerms);
+    }
+
+    /**
+     * Configura event handlers do Speech SDK
+     * @private
+     */
+    _setupSpeechEventHandlers() {
+        if (!this._speechRecognizer) return;
+
+        // ConversationTranscriber expõe transcribing/transcribed no lugar de recognizing/recognized
+        const recognizingEvent = this._usesConversationTranscriber ? 'transcribing' : 'recognizing';
+        const recognizedEvent = this._usesConversationTranscriber ? 'transcribed' : 'recognized';
+
+        this._speechRecognizer[recognizingEvent] = (sender, e) => {
+            this._onRecognizing(e);
+        };
+
+        this._speechRecognizer[recognizedEvent] = (sender, e) => {
+            this._onRecognized(e);
+        };
+
+        this._speechRecognizer.sessionStarted = (sender, e) => {
+            this._log('info', 'Speech recognition session started');
+            this._onRecognitionSessionStarted(e);
+        };
+
+        this._speechRecognizer.sessionStopped = (sender, e) => {
+            this._log('info', 'Speech recognition session stopped');
+            this._onRecognitionSessionStopped(e);
+        };
+
+        this._speechRecognizer.canceled = (sender, e) => {
+            this._log('error', 'Speech recognition canceled:', e);
+            this._onRecognitionCanceled(e);
+        };
+    }
+
+    /**
+     * Inicia reconhecimento de fala
+     * @private
+     * @returns {Promise<void>}
+     */
+    _startSpeechRecognition() {
+        return new Promise((resolve, reject) => {
+            const start = this._usesConversationTranscriber
+                ? this._speechRecognizer.startTranscribingAsync
+                : this._speechRecognizer.startContinuousRecognitionAsync;
+
+            start.call(
+                this._speechRecognizer,
+                () => {
+                    this._log('info', 'Continuous recognition started');
+                    resolve();
+                },
+                (error) => {
+                    this._log('error', 'Failed to start recognition:', error);
+                    reject(new Error(`Speech recognition failed: ${error}`));
+                }
+            );
+        });
+    }
+
+    /**
+     * Volta a READY a partir de ERROR ou STOPPED, liberando recursos da sessão anterior
+     * e restabelecendo a conexão SignalR se necessário
+     * @public
+     * @returns {Promise<void>}
+     */
+    async recover() {
+        if (this._state !== SERVICE_STATES.ERROR && this._state !== SERVICE_STATES.STOPPED) {
+            throw new Error(`Cannot recover from state: ${this._state}`);
+        }
+
+        this._log('info', `Recovering from state: ${this._state}`);
+
+        // Recursos de reconhecimento e áudio da sessão anterior
+        this._cleanup();
+        this._isRecording = false;
+        this._stats.pausedAt = null;
+
+        if (!this._isSignalRConnected()) {
+            if (this._signalRConnection) {
+                await this._signalRConnection.stop().catch(() => {
+                    // Conexão já encerrada
+                });
+            }
+            this._connectionPromise = null;
+            await this._initializeSignalR();
+        }
+
+        // _cleanup remove os handlers de saída da página; reinstalá-los
+        this._setupAutoCleanup();
+
+        this._transitionTo(SERVICE_STATES.READY, 'recovered');
+        this._renderer.updateStatus('stopped');
+        this._emit('ready');
+    }
+
+    /**
+     * Aplica uma transição de estado validada pela tabela STATE_TRANSITIONS
+     * @private
+     * @param {string} nextState - Um dos valores de SERVICE_STATES
+     * @param {string} [reason] - Motivo da transição, repassado no evento
+     * @returns {boolean} Se o estado mudou
+     */
+    _transitionTo(nextState, reason = null) {
+        const previousState = this._state;
+
+        if (previousState === nextState) {
+            return false;
+        }
+
+        // Operações assíncronas que terminam após o dispose não mudam mais o estado
+        if (previousState === SERVICE_STATES.DISPOSED) {
+            this._log('debug', `Ignoring transition to ${nextState} after dispose`);
+            return false;
+        }
+
+        if (!STATE_TRANSITIONS[previousState].includes(nextState)) {
+            throw new Error(`Invalid state transition: ${previousState} -> ${nextState}`);
+        }
+
+        this._state = nextState;
+        this._log('debug', `State changed: ${previousState} -> ${nextState}`, reason || '');
+        this._emit('state-changed', { previousState, nextState, reason });
+        return true;
+    }
+
+    /**
+     * Para reconhecimento de fala
+     * @private
+     * @returns {Promise<void>}
+     */
+    _stopSpeechRecognition() {
+        if (!this._speechRecognizer) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const stop = this._usesConversationTranscriber
+                ? this._speechRecognizer.stopTranscribingAsync
+                : this._speechRecognizer.stopContinuousRecognitionAsync;
+
+            stop.call(
+                this._speechRecognizer,
+                () => {
+                    this._log('info', 'Speech recognition stopped');
+                    resolve();
+                },
+                (error) => {
+                    this._log('error', 'Error stopping recognition:', error);
+                    reject(new Error(`Failed to stop recognition: ${error}`));
+                }
+            );
+        });
+    }
+
+    /**
+     * Inicia sessão SignalR
+     * @private
+     * @param {string} sessionId 
+     * @param {Object} options 
+     */
+    async _startSignalRSession(sessionId, options) {
+        try {
+            if (!this._signalRConnection || this._signalRConnection.state !== signalR.HubConnectionState.Connected) {
+                await this._initializeSignalR();
+            }
+
+            const patientName = options.patientName || 
+                               this._renderer.readSessionForm().patientName || 
+                               'Paciente Anônimo';
+            const consultationType = this._resolveConsultationType(options);
+
+            await this._signalRConnection.invoke("StartTranscription", sessionId, patientName, consultationType);
+            this._log('info', `SignalR session started: ${sessionId}`);
+            
+        } catch (error) {
+            throw new Error(`Failed to start SignalR session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Para a transcrição
+     */
+    async stopRecording() {
+        const wasPaused = this._state === SERVICE_STATES.PAUSED;
+
+        if (!wasPaused && (!this._isRecording || this._state !== SERVICE_STATES.RECORDING)) {
+            this._log('warn', 'No active recording to stop');
+            return;
+        }
+
+        try {
+            this._transitionTo(SERVICE_STATES.STOPPING, 'stop-requested');
+            this._log('info', 'Stopping recording...');
+
+            // Parar reconhecimento (já parado quando a sessão está pausada)
+            if (!wasPaused) {
+                await this._stopSpeechRecognition();
+            } else {
+                this._accumulatePausedTime();
+            }
+
+            // Áudio guardado durante falha de token ainda em transcrição entra antes do fim da sessão
+            if (this._catchUpPromise) {
+                await this._catchUpPromise;
+                this._catchUpPromise = null;
+            }
+
+            // Nenhum chunk reconhecido fica para trás sem confirmação do hub
+            await this._chunkPipeline;
+            await this._settleChunkAcks();
+
+            // Último segmento de áudio gravado antes de liberar o microfone; o envio continua em segundo plano
+            await this._stopAudioArchive();
+
+            // Parar sessão SignalR
+            await this._stopSignalRSession();
+
+            // Cleanup de recursos
+            this._cleanup();
+
+            this._transitionTo(SERVICE_STATES.STOPPED, 'recording-stopped');
+            this._isRecording = false;
+            this._sessionStore.clear();
+            
+            this._emit('recognition-stopped');
+
+            if (this._reviewItems.size > 0) {
+                this._showNotification(`Transcrição finalizada: ${this._reviewItems.size} trecho(s) de baixa confiança aguardando revisão antes da aprovação dos documentos`, "warning");
+            } else {
+                this._showNotification("Transcrição finalizada", "info");
+            }
+
+        } catch (error) {
+            this._transitionTo(SERVICE_STATES.ERROR, 'stop-failed');
+            this._handleError('Failed to stop recording', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pausa a gravação mantendo sessão, numeração de sequência e grupo SignalR
+     * @public
+     * @param {string} [reason] - Motivo da pausa (ex.: "exame físico")
+     * @returns {Promise<void>}
+     */
+    async pause(reason = null) {
+        if (this._state !== SERVICE_STATES.RECORDING) {
+            throw new Error(`Cannot pause in state: ${this._state}`);
+        }
+
+        if (!this._audioSource?.requiresMicrophone) {
+            throw new Error('Pause is only supported for live microphone sources');
+        }
+
+        try {
+            this._log('info', 'Pausing recording...');
+
+            // Estado definido antes de parar para que sessionStopped não seja tratado como fim da sessão
+            this._transitionTo(SERVICE_STATES.PAUSED, reason || 'pause-requested');
+            this._isRecording = false;
+
+            await this._stopSpeechRecognition();
+            this._setMicrophoneEnabled(false);
+
+            // A pausa (ex.: exame físico) fica fora do áudio arquivado
+            if (this._archivingAudio) {
+                await this._audioArchive.pause();
+            }
+
+            this._stats.pausedAt = new Date();
+
+            const lastSequenceNumber = this._stats.chunksProcessed - 1;
+            await this._invokeSessionHub("PauseTranscription", lastSequenceNumber, reason);
+
+            this._renderer.updateStatus('paused');
+            this._persistSessionSnapshot();
+            this._emit('recognition-paused', {
+                sessionId: this._currentSessionId,
+                lastSequenceNumber,
+                reason
+            });
+            this._showNotification("Gravação pausada", "info");
+
+        } catch (error) {
+            this._transitionTo(SERVICE_STATES.ERROR, 'pause-failed');
+            this._handleError('Failed to pause recording', error, ERROR_CODES.SPEECH_RECOGNITION_FAILED);
+            throw error;
+        }
+    }
+
+    /**
+     * Retoma uma gravação pausada na mesma sessão
+     * @public
+     * @returns {Promise<void>}
+     */
+    async resume() {
+        if (this._state !== SERVICE_STATES.PAUSED) {
+            throw new Error(`Cannot resume in state: ${this._state}`);
+        }
+
+        try {
+            this._log('info', 'Resuming recording...');
+
+            // O ConversationTranscriber reinicia a numeração Guest-N a cada início;
+            // os papéis atribuídos são mantidos e podem ser corrigidos no painel de participantes
+            this._setMicrophoneEnabled(true);
+
+            if (this._archivingAudio) {
+                this._audioArchive.resume();
+            }
+            
+            // Offsets do novo reconhecimento recomeçam do zero; a pausa conta na linha do tempo.
+            // Sem token o áudio volta para o buffer local e o reconhecedor é recriado na renovação.
+            if (!this._tokenOutage) {
+                this._recognitionOffsetMs = Date.now() - this._stats.startTime.getTime();
+                await this._startSpeechRecognition();
+            }
+
+            const pausedMs = this._accumulatePausedTime();
+
+            this._transitionTo(SERVICE_STATES.RECORDING, 'resumed');
+            this._isRecording = true;
+
+            await this._invokeSessionHub("ResumeTranscription");
+
+            this._renderer.updateStatus(this._tokenOutage ? 'buffering' : 'recording');
+            this._persistSessionSnapshot();
+            this._emit('recognition-resumed', {
+                sessionId: this._currentSessionId,
+                pausedMs
+            });
+
+        } catch (error) {
+            this._transitionTo(SERVICE_STATES.ERROR, 'resume-failed');
+            this._handleError('Failed to resume recording', error, ERROR_CODES.SPEECH_RECOGNITION_FAILED);
+            throw error;
+        }
+    }
+
+    /**
+     * Soma o intervalo da pausa atual ao total pausado
+     * @private
+     * @returns {number} Duração da pausa encerrada, em ms
+     */
+    _accumulatePausedTime() {
+        if (!this._stats.pausedAt) return 0;
+
+        const pausedMs = Date.now() - this._stats.pausedAt.getTime();
+        this._stats.pausedDurationMs += pausedMs;
+        this._stats.pausedAt = null;
+        return pausedMs;
+    }
+
+    /**
+     * Áudio e chunks da sessão encerrada para reprodução sincronizada (SessionPlayback).
+     * O áudio vem do arquivo do servidor completado pelos segmentos ainda não enviados; sem arquivo,
+     * do áudio guardado em memória (últimos minutos da sessão).
+     * @public
+     * @param {string} [sessionId] - Padrão: última sessão
+     * @returns {Promise<{sessionId: string, chunks: Array<Object>, segments: Array<{src: string|Blob, offsetMs: number, durationMs: number}>}>}
+     */
+    async getPlaybackSource(sessionId = this._currentSessionId) {
+        if (this._isRecording || this._state === SERVICE_STATES.PAUSED) {
+            throw new Error('Playback is only available after the session is stopped');
+        }
+        if (!sessionId) {
+            throw new Error('No session to play back');
+        }
+
+        const segments = new Map();
+        const endpoint = `${AUDIO_ARCHIVE_CONFIG.ENDPOINT}/${encodeURIComponent(sessionId)}/segments`;
+
+        try {
+            const response = await fetch(endpoint, {
+                headers: { 'Accept': 'application/json' },
+                credentials: 'same-origin'
+            });
+
+            // 503: arquivamento não configurado no servidor
+            if (response.ok) {
+                const archived = await response.json();
+                (archived.segments || []).forEach(segment => segments.set(segment.segmentIndex, {
+                    src: `${endpoint}/${segment.segmentIndex}`,
+                    offsetMs: segment.offsetMs,
+                    durationMs: segment.durationMs
+                }));
+            } else if (response.status !== 503) {
+                this._log('warn', `Archived audio unavailable: HTTP ${response.status}`);
+            }
+        } catch (error) {
+            this._log('warn', 'Failed to list archived audio:', error);
+        }
+
+        // Segmentos ainda na fila de envio
+        const local = this._audioArchive ? await this._audioArchive.getLocalSegments(sessionId) : [];
+        local.forEach(segment => segments.set(segment.segmentIndex, {
+            src: segment.blob,
+            offsetMs: segment.offsetMs,
+            durationMs: segment.durationMs
+        }));
+
+        if (segments.size === 0 && sessionId === this._currentSessionId) {
+            const { startMs, endMs } = this._sessionAudio;
+            const wav = this._sessionAudio.toWav(startMs, endMs);
+            if (wav) {
+                segments.set(0, { src: wav, offsetMs: startMs, durationMs: endMs - startMs });
+            }
+        }
+
+        if (segments.size === 0) {
+            throw new Error('No audio recorded for this session');
+        }
+
+        return {
+            sessionId,
+            chunks: sessionId === this._currentSessionId ? Array.from(this._sessionChunks.values()) : [],
+            segments: Array.from(segments.values())
+        };
+    }
+
+    /**
+     * Sessão interrompida (recarga da página, falha do navegador) que ainda pode ser retomada
+     * @public
+     * @returns {?{sessionId: string, patientName: ?string, consultationType: string, lastSequenceNumber: number, savedAt: string}}
+     */
+    getInterruptedSession() {
+        if (this._isRecording || this._state === SERVICE_STATES.PAUSED) return null;
+        return this._sessionStore.load();
+    }
+
+    /**
+     * Retoma a sessão interrompida: restaura transcrição e documentos salvos, volta ao grupo
+     * da sessão no hub e busca o que foi processado depois do último estado salvo
+     * @public
+     * @param {Object} [options] - Mesmas opções de startContinuousRecognition
+     * @returns {Promise<void>}
+     */
+    async resumeInterruptedSession(options = {}) {
+        const snapshot = this._sessionStore.load();
+        if (!snapshot) {
+            throw new Error('No interrupted session to resume');
+        }
+
+        this._log('info', `Resuming interrupted session ${snapshot.sessionId} after sequence ${snapshot.lastSequenceNumber}`);
+
+        // Campos da página refletem a sessão retomada
+        this._renderer.fillSessionForm({
+            sessionId: snapshot.sessionId,
+            patientName: snapshot.patientName,
+            consultationType: snapshot.consultationType
+        });
+
+        await this.startContinuousRecognition(snapshot.sessionId, {
+            patientName: snapshot.patientName,
+            consultationType: snapshot.consultationType,
+            language: snapshot.language,
+            archiveAudio: snapshot.archiveAudio,
+            ...options,
+            resumeFrom: snapshot
+        });
+
+        this._showNotification("Sessão retomada", "success");
+        this._emit('session-resumed', {
+            sessionId: snapshot.sessionId,
+            lastSequenceNumber: this._stats.chunksProcessed - 1
+        });
+    }
+
+    /**
+     * Descarta o estado salvo da sessão interrompida
+     * @public
+     */
+    discardInterruptedSession() {
+        const snapshot = this._sessionStore.load();
+        this._sessionStore.clear();
+
+        if (snapshot) {
+            this._log('info', `Interrupted session ${snapshot.sessionId} discarded`);
+            this._emit('interrupted-session-discarded', { sessionId: snapshot.sessionId });
+        }
+    }
+
+    /**
+     * Grava o estado da sessão ao vivo; arquivos e streams são reprocessados do início
+     * @private
+     */
+    _persistSessionSnapshot() {
+        if (!this._currentSessionId || !this._usesLiveMicrophone()) return;
+        this._sessionStore.save(this._buildSessionSnapshot());
+    }
+
+    /**
+     * @private
+     * @returns {Object}
+     */
+    _buildSessionSnapshot() {
+        const options = this._recognitionOptions || {};
+        const pausedMs = this._stats.pausedAt ? Date.now() - this._stats.pausedAt.getTime() : 0;
+
+        // Tempos por palavra ficam só no hub: o estado local precisa caber no localStorage
+        const chunks = Array.from(this._sessionChunks.values())
+            .sort((a, b) => a.sequenceNumber - b.sequenceNumber)
+            .slice(-CONFIG.MAX_SNAPSHOT_CHUNKS)
+            .map(({ words, normalizations, ...chunk }) => chunk);
+
+        return {
+            version: 1,
+            sessionId: this._currentSessionId,
+            patientName: options.patientName || this._renderer.readSessionForm().patientName || null,
+            consultationType: this._resolveConsultationType(options),
+            language: options.language || this._config.language,
+            startedAt: (this._stats.startTime || new Date()).toISOString(),
+            pausedDurationMs: this._stats.pausedDurationMs + pausedMs,
+            lastSequenceNumber: this._stats.chunksProcessed - 1,
+            currentSection: this._currentSection,
+            markers: this._markers,
+            speakers: Array.from(this._speakers.values()),
+            documents: this._sessionDocuments,
+            archiveAudio: this._archivingAudio,
+            audioSegmentIndex: this._archivingAudio ? this._audioArchive.nextSegmentIndex : 0,
+            chunks
+        };
+    }
+
+    /**
+     * Restaura o estado salvo antes de reiniciar o reconhecimento na mesma sessão
+     * @private
+     * @param {Object} snapshot
+     */
+    _restoreSessionSnapshot(snapshot) {
+        (snapshot.chunks || []).forEach(chunk => this._sessionChunks.set(chunk.id, chunk));
+        (snapshot.speakers || []).forEach(speaker => this._speakers.set(speaker.id, speaker));
+        this._markers = snapshot.markers || [];
+        this._currentSection = snapshot.currentSection || null;
+        this._sessionDocuments = snapshot.documents || [];
+
+        // A numeração continua de onde parou; o tempo fora da página conta como pausa
+        this._stats.chunksProcessed = Math.max(this._stats.chunksProcessed, snapshot.lastSequenceNumber + 1);
+        this._stats.startTime = new Date(snapshot.startedAt);
+        this._stats.pausedAt = null;
+        this._stats.pausedDurationMs = snapshot.pausedDurationMs + (Date.now() - new Date(snapshot.savedAt).getTime());
+        this._recognitionOffsetMs = Date.now() - this._stats.startTime.getTime();
+
+        this._renderSessionTranscript();
+        this._sessionDocuments.forEach(generatedDocument => this._renderer.addGeneratedDocument(generatedDocument));
+        this._updateSpeakerPanel();
+
+        // O áudio não sobrevive à recarga: os trechos voltam à revisão sem recorte
+        this._sessionChunks.forEach(chunk => this._addReviewItem(chunk));
+    }
+
+    /**
+     * Redesenha a transcrição a partir dos chunks da sessão, em ordem de sequência
+     * @private
+     */
+    _renderSessionTranscript() {
+        this._renderer.renderTranscript(Array.from(this._sessionChunks.values())
+            .sort((a, b) => a.sequenceNumber - b.sequenceNumber)
+            .slice(-CONFIG.MAX_SNAPSHOT_CHUNKS));
+    }
+
+    /**
+     * Histórico completo da sessão (GetSessionHistory): acrescenta chunks e documentos
+     * processados pelo hub que não estavam no estado salvo
+     * @private
+     * @param {{Session: Object, Chunks: Array<Object>, Documents: Array<Object>}} data
+     */
+    _onSessionHistory(data) {
+        if (!data?.Session || data.Session.SessionId !== this._currentSessionId) return;
+
+        const hubChunks = data.Chunks || [];
+        const knownSequences = new Set(Array.from(this._sessionChunks.values()).map(chunk => chunk.sequenceNumber));
+
+        const missedChunks = hubChunks
+            .filter(record => !knownSequences.has(record.SequenceNumber))
+            .map(record => this._chunkFromHub(record));
+
+        missedChunks.forEach(chunk => {
+            this._sessionChunks.set(chunk.id, chunk);
+            this._deliveredChunkIds.add(chunk.id);
+            this._addReviewItem(chunk);
+        });
+
+        const lastSequenceNumber = hubChunks.reduce((max, record) => Math.max(max, record.SequenceNumber), -1);
+        this._stats.chunksProcessed = Math.max(this._stats.chunksProcessed, lastSequenceNumber + 1);
+
+        const knownDocuments = new Set(this._sessionDocuments.map(generatedDocument => generatedDocument.DocumentId));
+        const missedDocuments = (data.Documents || []).filter(generatedDocument => !knownDocuments.has(generatedDocument.DocumentId));
+
+        missedDocuments.forEach(generatedDocument => {
+            this._sessionDocuments.push(generatedDocument);
+            this._renderer.addGeneratedDocument(generatedDocument);
+        });
+
+        if (missedChunks.length > 0) {
+            this._renderSessionTranscript();
+        }
+
+        if (missedChunks.length > 0 || missedDocuments.length > 0) {
+            this._persistSessionSnapshotDebounced();
+        }
+
+        this._log('info', `Session history synced: ${missedChunks.length} chunks and ${missedDocuments.length} documents recovered`);
+        this._emit('session-history-synced', {
+            sessionId: this._currentSessionId,
+            missedChunks: missedChunks.length,
+            missedDocuments: missedDocuments.length
+        });
+    }
+
+    _onCachedSessionData(data) {
+        // Sem SessionData o cache do hub expirou (todas as conexões caíram); o histórico do banco já foi sincronizado
+        this._log('debug', 'Cached session data received:', data);
+
+        // Alertas de sinais de alarme continuam visíveis depois de recarregar a página
+        (data?.RedFlags || []).forEach(flag => this._raiseRedFlagAlert(
+            { id: flag.Id, label: flag.Label, severity: flag.Severity, term: flag.Term },
+            flag.SequenceNumber,
+            { silent: true }
+        ));
+        this._emit('cached-session-data', data);
+    }
+
+    /**
+     * Converte um TranscriptionChunk do hub para o formato local
+     * @private
+     * @param {Object} record
+     * @returns {Object}
+     */
+    _chunkFromHub(record) {
+        return {
+            id: `hub_${record.ChunkId}`,
+            text: this._redactor ? this._redactor.restore(record.Text) : record.Text,
+            confidence: Number(record.Confidence) || 0,
+            timestamp: record.Timestamp,
+            sequenceNumber: record.SequenceNumber,
+            speaker: record.Speaker || 'Falante',
+            speakerId: record.SpeakerId,
+            speakerRole: record.SpeakerRole,
+            sessionId: record.SessionId,
+            section: record.Section,
+            offsetMs: record.OffsetMs,
+            durationMs: record.DurationMs,
+            words: [],
+            alternatives: [],
+            originalText: record.OriginalText,
+            rawText: this._redactor ? this._redactor.restore(record.RawText) : record.RawText,
+            isCorrected: Boolean(record.IsCorrected),
+            needsReview: Boolean(record.NeedsReview),
+            reviewedAt: record.ReviewedAt || null
+        };
+    }
+
+    /**
+     * Habilita ou silencia as trilhas do microfone sem liberar o dispositivo
+     * @private
+     * @param {boolean} enabled
+     */
+    _setMicrophoneEnabled(enabled) {
+        this._mediaStream?.getAudioTracks().forEach(track => {
+            track.enabled = enabled;
+        });
+    }
+
+    /**
+     * Notifica o hub sobre uma mudança da sessão atual sem interromper o fluxo local
+     * @private
+     * @param {string} method - Método do hub
+     * @param {...*} args - Argumentos após o sessionId
+     */
+    async _invokeSessionHub(method, ...args) {
+        try {
+            if (this._isSignalRConnected() && this._currentSessionId) {
+                await this._signalRConnection.invoke(method, this._currentSessionId, ...args);
+            }
+        } catch (error) {
+            this._log('error', `Error invoking ${method}:`, error);
+        }
+    }
+
+    /**
+     * Para sessão SignalR
+     * @private
+     */
+    async _stopSignalRSession() {
+        try {
+            if (this._signalRConnection && 
+                this._signalRConnection.state === signalR.HubConnectionState.Connected && 
+                this._currentSessionId) {
+                
+                await this._signalRConnection.invoke("StopTranscription", this._currentSessionId);
+                this._log('info', 'SignalR session stopped');
+            }
+        } catch (error) {
+            this._log('error', 'Error stopping SignalR session:', error);
+        }
+    }
+
+    /**
+     * Handler para texto sendo reconhecido (tempo real)
+     * @private
+     * @param {*} e - Event data
+     */
+    _onRecognizing(e) {
+        if (e.result.reason === SpeechSDK.ResultReason.RecognizingSpeech) {
+            const text = this._sanitizeText(e.result.text);
+            if (text && text.trim().length > 0) {
+                this._updateTranscriptionThrottled(text, true);
+                this._emit('recognizing', { text, isInterim: true });
+            }
         }
     }
 
     /**
-     * Executa tarefa no worker
+     * Handler para texto reconhecido (final)
      * @private
-     * @param {string} type - Tipo da tarefa
-     * @param {*} data - Dados para processar
-     * @returns {Promise<*>}
+     * @param {*} e - Event data
      */
-    _runWorkerTask(type, data) {
-        if (!this._worker) {
-            // Fallback para execução local
-            return Promise.resolve(this._processLocally(type, data));
-        }
-
-        return new Promise((resolve, reject) => {
-            const id = ++this._taskCounter;
-            
-            const timeout = setTimeout(() => {
-                this._workerTasks.delete(id);
-                reject(new Error('Worker task timeout'));
-            }, CONFIG.WORKER_TIMEOUT_MS);
+    async _onRecognized(e) {
+        if (e.result.reason === SpeechSDK.ResultReason.RecognizedSpeech) {
+            const text = this._sanitizeText(e.result.text);
+            const confidenceData = e.result.properties?.getProperty(
+                SpeechSDK.PropertyId.SpeechServiceResponse_JsonResult
+            );
             
-            this._workerTasks.set(id, { resolve, reject, timeout });
-            this._worker.postMessage({ id, type, data });
-        });
-    }
+            if (text && text.trim().length > 0) {
+                // Comandos de voz são executados em vez de entrar na transcrição
+                const command = this._matchVoiceCommand(text);
+                if (command) {
+                    this._renderer.clearPreview();
+                    await this._executeVoiceCommand(command);
+                    return;
+                }
 
-    /**
-     * Fallback para processamento local
-     * @private
-     */
-    _processLocally(type, data) {
-        switch (type) {
-            case 'processText':
-                const words = data.text.split(/\s+/).filter(w => w.length > 0);
-                return {
-                    wordCount: words.length,
-                    hasKeywords: /\b(dor|medicamento|prescrição|diagnóstico|sintoma)\b/i.test(data.text),
-                    processedAt: Date.now()
-                };
-            default:
-                return null;
+                const chunk = await this._createTranscriptionChunk(text, confidenceData, e.result.speakerId, {
+                    offset: e.result.offset,
+                    duration: e.result.duration
+                });
+                
+                this._enqueueChunkProcessing(chunk);
+                
+                this._emit('recognized', { chunk });
+            }
+        } else if (e.result.reason === SpeechSDK.ResultReason.NoMatch) {
+            this._log('debug', 'No speech detected in audio segment');
+            this._emit('no-speech');
         }
     }
 
     /**
-     * Configura cleanup automático
+     * Cria chunk de transcrição
      * @private
+     * @param {string} text 
+     * @param {string} confidenceData 
+     * @param {string} [speakerId] - ID do falante atribuído pelo ConversationTranscriber
+     * @param {{offset: number, duration: number, baseOffsetMs: number}} [timing] - Posição do resultado em ticks do SDK;
+     *        baseOffsetMs substitui o início do reconhecedor atual (áudio guardado)
+     * @returns {Promise<Object>}
      */
-    _setupAutoCleanup() {
-        // Cleanup quando a página é fechada
-        const cleanup = () => {
-            if (!this._isDisposed) {
-                this.dispose();
-            }
+    async _createTranscriptionChunk(text, confidenceData, speakerId, timing = {}) {
+        const details = this._extractRecognitionDetails(confidenceData, timing.baseOffsetMs);
+        const confidence = details.confidence || 0.8;
+        const timestamp = new Date().toISOString();
+        const speaker = this._registerSpeakerUtterance(speakerId, confidence);
+        
+        // O texto ditado acompanha o normalizado para auditoria
+        const normalized = this._normalizeText(text);
+        
+        const chunk = {
+            id: this._generateChunkId(),
+            text: normalized.text,
+            rawText: text,
+            normalizations: normalized.changes,
+            confidence: confidence,
+            timestamp: timestamp,
+            sequenceNumber: this._stats.chunksProcessed++,
+            speaker: this._getSpeakerLabel(speaker),
+            speakerId: speaker.id,
+            speakerRole: speaker.role,
+            speakerConfidence: speaker.averageConfidence,
+            sessionId: this._currentSessionId,
+            section: this._currentSection,
+            offsetMs: this._ticksToSessionMs(timing.offset, timing.baseOffsetMs),
+            durationMs: typeof timing.duration === 'number' ? Math.round(timing.duration / CONFIG.TICKS_PER_MS) : null,
+            words: details.words,
+            alternatives: details.alternatives
+                .map(alternative => ({ ...alternative, text: this._normalizeText(alternative.text).text }))
+                .filter(alternative => alternative.text !== normalized.text),
+            originalText: null,
+            isCorrected: false,
+            length: normalized.text.length,
+            wordCount: 0,
+            hasKeywords: false
         };
 
-        ['beforeunload', 'unload', 'pagehide'].forEach(event => {
-            window.addEventListener(event, cleanup, { passive: true });
-            this._eventListeners.set(event, { target: window, handler: cleanup });
-        });
-
-        // Cleanup periódico de recursos não utilizados
-        const periodicCleanup = () => {
-            this._cleanupExpiredTokens();
-            this._cleanupCompletedTasks();
-        };
+        // Processar chunk no worker se disponível (vocabulário casa com o texto ditado: "miligramas", não "mg")
+        const task = { text: chunk.rawText, keywordPattern: this._keywordPattern };
+        try {
+            const processing = await this._runWorkerTask('processText', task);
+            Object.assign(chunk, processing);
+        } catch (error) {
+            this._log('warn', 'Worker processing failed, using fallback:', error);
+            const fallback = this._processLocally('processText', task);
+            Object.assign(chunk, fallback);
+        }
 
-        const cleanupInterval = setInterval(periodicCleanup, 60000); // 1 minuto
-        this._timers.add(cleanupInterval);
+        this._updateStats(chunk);
+        return chunk;
     }
 
     /**
-     * Inicializa conexão SignalR com retry automático
+     * Coloca o chunk na fila de processamento, preservando a ordem de reconhecimento
      * @private
+     * @param {Object} chunk
      * @returns {Promise<void>}
      */
-    async _initializeSignalR() {
-        if (this._connectionPromise) {
-            return this._connectionPromise;
-        }
-
-        this._connectionPromise = this._connectSignalR();
-        return this._connectionPromise;
+    _enqueueChunkProcessing(chunk) {
+        this._chunkPipeline = this._chunkPipeline.then(() => this._processChunkInternal(chunk));
+        return this._chunkPipeline;
     }
 
     /**
-     * Conecta ao SignalR
+     * Processa chunk internamente
      * @private
-     * @returns {Promise<void>}
+     * @param {Object} chunk 
      */
-    async _connectSignalR() {
+    async _processChunkInternal(chunk) {
         try {
-            this._signalRConnection = new signalR.HubConnectionBuilder()
-                .withUrl("/medicalhub", {
-                    transport: signalR.HttpTransportType.WebSockets | signalR.HttpTransportType.ServerSentEvents,
-                    logMessageContent: this._config.enableLogging,
-                    logger: this._config.enableLogging ? signalR.LogLevel.Debug : signalR.LogLevel.Error
-                })
-                .withAutomaticReconnect(CONFIG.RECONNECT_INTERVALS_MS)
-                .withHubProtocol(new signalR.JsonHubProtocol())
-                .configureLogging(this._config.enableLogging ? signalR.LogLevel.Information : signalR.LogLevel.Error)
-                .build();
+            // Validar chunk (o número de sequência descartado não é cobrado como lacuna)
+            if (!this._validateChunk(chunk)) {
+                this._log('warn', 'Invalid chunk received:', chunk);
+                this._chunkAcks.skip(chunk.sequenceNumber);
+                return;
+            }
 
-            this._setupSignalREventHandlers();
+            this._sessionChunks.set(chunk.id, chunk);
+            this._flagLowConfidence(chunk);
+            this._checkRedFlags(chunk);
+
+            // Enviar para processamento via SignalR (ou fila offline se o hub estiver indisponível)
+            const delivered = await this._deliverChunk(chunk);
             
-            await this._signalRConnection.start();
-            this._log('info', 'SignalR connection established');
+            // Atualizar UI (o ack costuma chegar antes do fim do envio)
+            this._renderer.addTranscriptionChunk(chunk, { pendingSync: !delivered || this._chunkAcks.isPending(chunk.id) });
+            this._renderer.clearPreview();
+            this._persistSessionSnapshotDebounced();
             
-            this._reconnectAttempts = 0;
-            this._emit('signalr-connected');
+            this._emit('chunk-processed', chunk);
             
         } catch (error) {
-            this._handleError('SignalR connection failed', error, ERROR_CODES.SIGNALR_CONNECTION_FAILED);
-            throw error;
+            this._handleError('Failed to process chunk', error);
         }
     }
 
     /**
-     * Configura event handlers do SignalR
+     * Valida chunk de transcrição
      * @private
+     * @param {Object} chunk 
+     * @returns {boolean}
      */
-    _setupSignalREventHandlers() {
-        const connection = this._signalRConnection;
+    _validateChunk(chunk) {
+        const required = ['id', 'text', 'confidence', 'timestamp', 'sessionId'];
+        
+        for (const field of required) {
+            if (!(field in chunk)) {
+                this._log('error', `Missing required field: ${field}`);
+                return false;
+            }
+        }
 
-        // Event handlers para mensagens do servidor
-        const handlers = {
-            'SessionStarted': (data) => this._onSessionStarted(data),
-            'AgentActivated': (data) => this._onAgentActivated(data),
-            'DocumentGenerated': (data) => this._onDocumentGenerated(data),
-            'ProcessingCompleted': (data) => this._onProcessingCompleted(data),
-            'ProcessingError': (data) => this._onProcessingError(data),
-            'Error': (error) => this._onSignalRError(error),
-            'TranscriptionUpdate': (data) => this._onTranscriptionUpdate(data)
-        };
+        if (typeof chunk.text !== 'string' || chunk.text.length === 0) {
+            return false;
+        }
 
-        Object.entries(handlers).forEach(([event, handler]) => {
-            connection.on(event, handler);
-        });
+        if (chunk.text.length > CONFIG.MAX_CHUNK_LENGTH) {
+            this._log('warn', `Chunk text too long: ${chunk.text.length} characters`);
+            return false;
+        }
 
-        // Handlers de conexão
-        connection.onreconnected((connectionId) => {
-            this._log('info', `SignalR reconnected: ${connectionId}`);
-            this._reconnectAttempts = 0;
-            this._showNotification("Conexão reestabelecida", "success");
-            this._emit('signalr-reconnected', connectionId);
-        });
+        if (typeof chunk.confidence !== 'number' || chunk.confidence < 0 || chunk.confidence > 1) {
+            return false;
+        }
 
-        connection.onreconnecting((error) => {
-            this._reconnectAttempts++;
-            this._log('warn', `SignalR reconnecting (attempt ${this._reconnectAttempts}):`, error);
-            this._showNotification("Tentando reconectar...", "warning");
-            this._emit('signalr-reconnecting', { attempt: this._reconnectAttempts, error });
-        });
+        return true;
+    }
 
-        connection.onclose((error) => {
-            this._log('error', 'SignalR connection closed:', error);
-            
-            if (this._reconnectAttempts >= CONFIG.MAX_RECONNECT_ATTEMPTS) {
-                this._showError("Conexão perdida. Por favor, recarregue a página.");
-                this._emit('signalr-failed');
-            }
-            
-            this._emit('signalr-closed', error);
-        });
+    /**
+     * Marca para revisão o chunk que, inteiro ou em alguma palavra, ficou abaixo do limite de confiança,
+     * e recorta o áudio correspondente antes que saia do buffer
+     * @private
+     * @param {Object} chunk
+     */
+    _flagLowConfidence(chunk) {
+        const threshold = this._config.confidenceThreshold;
+        const lowWords = (chunk.words || [])
+            .filter(word => typeof word.confidence === 'number' && word.confidence < threshold);
+
+        chunk.needsReview = chunk.confidence < threshold || lowWords.length > 0;
+        chunk.reviewedAt = null;
+        if (!chunk.needsReview) return;
+
+        chunk.lowConfidenceWords = lowWords.map(({ word, confidence }) => ({ word, confidence }));
+
+        // Chunk inteiro incerto: ouvir a fala toda; senão só o intervalo das palavras incertas
+        const wordsTimed = lowWords.length > 0 && lowWords.every(word => typeof word.offsetMs === 'number');
+        const audio = chunk.confidence >= threshold && wordsTimed
+            ? this._sliceReviewAudio(
+                Math.min(...lowWords.map(word => word.offsetMs)),
+                Math.max(...lowWords.map(word => word.offsetMs + word.durationMs)))
+            : this._sliceReviewAudio(chunk.offsetMs, chunk.offsetMs + (chunk.durationMs || 0));
+
+        this._addReviewItem(chunk, audio);
     }
 
     /**
-     * Obtém token de autenticação com retry automático
      * @private
-     * @returns {Promise<{token: string, region: string}>}
+     * @param {?number} startMs - Linha do tempo da sessão
+     * @param {number} endMs
+     * @returns {?Blob} WAV do trecho com margem, ou null se o áudio não foi capturado
      */
-    async _getSpeechToken() {
-        for (let attempt = 1; attempt <= CONFIG.MAX_RETRIES; attempt++) {
-            try {
-                this._log('debug', `Getting speech token (attempt ${attempt})`);
-                
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 10000);
-                
-                const response = await fetch('/api/speech-token', {
-                    method: 'GET',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    signal: controller.signal,
-                    credentials: 'same-origin'
-                });
-                
-                clearTimeout(timeoutId);
+    _sliceReviewAudio(startMs, endMs) {
+        if (typeof startMs !== 'number' || !(endMs > startMs)) return null;
 
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
+        const padding = CONFIG.REVIEW_AUDIO_PADDING_MS;
+        return this._sessionAudio.toWav(Math.max(0, startMs - padding), endMs + padding);
+    }
 
-                const data = await response.json();
-                
-                if (!data.token || !data.region) {
-                    throw new Error('Invalid token response format');
-                }
+    /**
+     * Coloca na fila de revisão um chunk marcado e ainda não confirmado
+     * @private
+     * @param {Object} chunk
+     * @param {?Blob} [audio]
+     */
+    _addReviewItem(chunk, audio = null) {
+        if (!chunk.needsReview || chunk.reviewedAt || this._reviewItems.has(chunk.id)) return;
 
-                this._token = data.token;
-                this._region = data.region;
-                
-                // Configurar renovação automática
-                this._scheduleTokenRefresh();
-                
-                this._log('debug', 'Speech token acquired successfully');
-                return { token: this._token, region: this._region };
-                
-            } catch (error) {
-                const isLastAttempt = attempt === CONFIG.MAX_RETRIES;
-                
-                if (error.name === 'AbortError') {
-                    this._log('warn', `Token request timeout (attempt ${attempt})`);
-                } else {
-                    this._log('warn', `Token acquisition failed (attempt ${attempt}):`, error);
-                }
+        const item = { chunkId: chunk.id, audio, audioUrl: audio ? this._window.URL.createObjectURL(audio) : null };
+        this._reviewItems.set(chunk.id, item);
+
+        this._renderer.addReviewItem(item, chunk);
+        this._renderer.updateReviewQueue(this._reviewItems.size);
+
+        this._emit('review-item-added', {
+            chunkId: chunk.id,
+            sequenceNumber: chunk.sequenceNumber,
+            confidence: chunk.confidence,
+            lowConfidenceWords: chunk.lowConfidenceWords || [],
+            hasAudio: audio !== null
+        });
+    }
+
+    /**
+     * @private
+     * @param {Object} chunk
+     * @param {string} reviewedAt
+     */
+    _completeReview(chunk, reviewedAt) {
+        chunk.reviewedAt = reviewedAt || new Date().toISOString();
+        this._removeReviewItem(chunk.id);
+        this._persistSessionSnapshotDebounced();
+
+        this._renderer.clearChunkNeedsReview(chunk.id);
+
+        this._emit('review-confirmed', {
+            chunkId: chunk.id,
+            sequenceNumber: chunk.sequenceNumber,
+            text: chunk.text,
+            isCorrected: chunk.isCorrected,
+            pendingReviews: this._reviewItems.size
+        });
+    }
 
-                if (isLastAttempt) {
-                    throw new Error(`Failed to acquire speech token after ${CONFIG.MAX_RETRIES} attempts: ${error.message}`);
-                }
+    /**
+     * @private
+     * @param {string} chunkId
+     */
+    _removeReviewItem(chunkId) {
+        const item = this._reviewItems.get(chunkId);
+        if (!item) return;
 
-                // Backoff exponencial
-                const delay = CONFIG.RETRY_DELAY_MS * Math.pow(CONFIG.RETRY_BACKOFF_MULTIPLIER, attempt - 1);
-                await this._sleep(delay);
-            }
+        if (item.audioUrl) {
+            this._window.URL.revokeObjectURL(item.audioUrl);
         }
+        this._reviewItems.delete(chunkId);
+
+        this._renderer.removeReviewItem(chunkId);
+        this._renderer.updateReviewQueue(this._reviewItems.size);
     }
 
     /**
-     * Agenda renovação automática do token
      * @private
      */
-    _scheduleTokenRefresh() {
-        if (this._tokenExpirationTimer) {
-            clearTimeout(this._tokenExpirationTimer);
-            this._timers.delete(this._tokenExpirationTimer);
+    _clearReviewItems() {
+        Array.from(this._reviewItems.keys()).forEach(chunkId => this._removeReviewItem(chunkId));
+    }
+
+    /**
+     * Procura sinais de alarme no texto ditado; menções negadas ("nega dor torácica") não geram alerta
+     * @private
+     * @param {Object} chunk
+     */
+    _checkRedFlags(chunk) {
+        const consultationType = this._resolveConsultationType(this._recognitionOptions);
+        const { flags, negated } = this._redFlags.detect(chunk.rawText || chunk.text, { consultationType });
+
+        if (negated.length > 0) {
+            this._log('debug', `Negated red flags in chunk ${chunk.sequenceNumber}:`, negated.map(flag => flag.id));
         }
+        if (flags.length === 0) return;
 
-        this._tokenExpirationTimer = setTimeout(async () => {
-            try {
-                await this._getSpeechToken();
-                this._log('debug', 'Token refreshed automatically');
-            } catch (error) {
-                this._log('error', 'Automatic token refresh failed:', error);
-                this._emit('token-refresh-failed', error);
-            }
-        }, CONFIG.TOKEN_REFRESH_INTERVAL_MS);
-        
-        this._timers.add(this._tokenExpirationTimer);
+        chunk.redFlags = flags.map(flag => flag.id);
+        flags.forEach(flag => this._raiseRedFlagAlert(flag, chunk.sequenceNumber, { excerpt: chunk.text }));
+
+        this._log('warn', `Red flags in chunk ${chunk.sequenceNumber}:`, chunk.redFlags);
+        this._emit('red-flag-detected', { chunkId: chunk.id, sequenceNumber: chunk.sequenceNumber, flags, consultationType });
+
+        // Sem conexão o alerta local basta; o hub recebe só os sinais, não o texto
+        this._invokeSessionHub("ReportRedFlags", chunk.sequenceNumber, flags);
     }
 
     /**
-     * Solicita permissão de microfone com configurações otimizadas
+     * Mostra (ou atualiza) o alerta do sinal; alertas ficam na tela até o fim da sessão
      * @private
-     * @returns {Promise<MediaStream>}
+     * @param {{id: string, label: string, severity: string, term: string}} flag
+     * @param {number} sequenceNumber
+     * @param {Object} [options]
+     * @param {string} [options.excerpt] - Trecho em que o sinal apareceu
+     * @param {boolean} [options.silent=false] - Sem bipe (alertas restaurados)
      */
-    async _requestMicrophonePermission() {
-        try {
-            const constraints = {
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: CONFIG.AUDIO_SAMPLE_RATE,
-                    channelCount: 1,
-                    latency: 0,
-                    volume: 1.0
-                }
-            };
+    _raiseRedFlagAlert(flag, sequenceNumber, { excerpt = null, silent = false } = {}) {
+        const existing = this._redFlagAlerts.get(flag.id);
+        if (existing?.sequenceNumbers.includes(sequenceNumber)) return;
+
+        const alert = existing || {
+            id: flag.id,
+            label: flag.label || flag.id,
+            severity: flag.severity || RED_FLAG_SEVERITY.HIGH,
+            sequenceNumbers: [],
+            firstDetectedAt: new Date().toISOString()
+        };
+        alert.term = flag.term;
+        alert.excerpt = excerpt || alert.excerpt || null;
+        alert.lastDetectedAt = new Date().toISOString();
+        alert.sequenceNumbers.push(sequenceNumber);
+        this._redFlagAlerts.set(flag.id, alert);
 
-            // Verificar constraints suportadas
-            const supportedConstraints = navigator.mediaDevices.getSupportedConstraints();
-            Object.keys(constraints.audio).forEach(key => {
-                if (!supportedConstraints[key]) {
-                    this._log('warn', `Audio constraint '${key}' not supported`);
-                    delete constraints.audio[key];
-                }
-            });
+        this._renderer.renderRedFlagAlert(alert);
 
-            this._mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
-            
-            // Configurar áudio context para monitoramento
-            this._setupAudioContext();
-            
-            this._log('info', 'Microphone permission granted');
-            return this._mediaStream;
-            
-        } catch (error) {
-            let errorMessage = 'Microphone permission denied';
-            
-            switch (error.name) {
-                case 'NotAllowedError':
-                    errorMessage = 'Permission to use microphone was denied';
-                    break;
-                case 'NotFoundError':
-                    errorMessage = 'No microphone device found';
-                    break;
-                case 'NotReadableError':
-                    errorMessage = 'Microphone is already in use by another application';
-                    break;
-                case 'OverconstrainedError':
-                    errorMessage = 'Microphone does not support required audio constraints';
-                    break;
-                case 'SecurityError':
-                    errorMessage = 'Microphone access blocked by security policy';
-                    break;
-            }
-            
-            throw new Error(errorMessage);
+        if (!existing && !silent) {
+            // Três bipes graves, distintos do bipe de comando de voz
+            [0, 0.25, 0.5].forEach(delay => this._playFeedbackTone(440, 0.18, delay));
         }
     }
 
     /**
-     * Configura audio context para monitoramento
      * @private
      */
-    _setupAudioContext() {
+    _clearRedFlagAlerts() {
+        this._redFlagAlerts.clear();
+        this._renderer.clearRedFlagAlerts();
+    }
+
+    /**
+     * Envia chunk para SignalR
+     * @private
+     * @param {Object} chunk 
+     */
+    async _sendChunkToSignalR(chunk) {
+        if (!this._isSignalRConnected()) {
+            throw new Error('SignalR connection not available');
+        }
+
+        const { queuedAt, normalizations, lowConfidenceWords, ...payload } = this._redactor
+            ? this._redactor.redactChunk(chunk, REDACTION_DESTINATIONS.HUB)
+            : chunk;
+        await this._signalRConnection.invoke("ProcessTranscriptionChunk", chunk.sessionId || this._currentSessionId, {
+            ...payload,
+            clientChunkId: chunk.id
+        });
+    }
+
+    /**
+     * Envia o chunk e passa a aguardar o ack. Se o envio falhar, o chunk volta a ser
+     * responsabilidade da fila offline.
+     * @private
+     * @param {Object} chunk
+     */
+    async _sendTrackedChunk(chunk) {
+        this._chunkAcks.track(chunk);
+
         try {
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            this._audioContext = new AudioContext();
-            
-            const source = this._audioContext.createMediaStreamSource(this._mediaStream);
-            const analyser = this._audioContext.createAnalyser();
-            
-            analyser.fftSize = 256;
-            analyser.smoothingTimeConstant = 0.8;
-            
-            source.connect(analyser);
-            this._audioNodes.push(source, analyser);
-            
-            // Monitorar nível de áudio
-            this._monitorAudioLevel(analyser);
-            
+            await this._sendChunkToSignalR(chunk);
         } catch (error) {
-            this._log('warn', 'Failed to setup audio context:', error);
+            this._chunkAcks.forget(chunk.id);
+            throw error;
         }
     }
 
     /**
-     * Monitora nível de áudio
+     * Verifica se a conexão SignalR está ativa
      * @private
-     * @param {AnalyserNode} analyser 
+     * @returns {boolean}
      */
-    _monitorAudioLevel(analyser) {
-        const dataArray = new Uint8Array(analyser.frequencyBinCount);
-        
-        const checkLevel = () => {
-            if (!this._isRecording || this._isDisposed) return;
-            
-            analyser.getByteFrequencyData(dataArray);
-            const average = dataArray.reduce((sum, value) => sum + value, 0) / dataArray.length;
-            
-            this._emit('audio-level', average);
-            
-            requestAnimationFrame(checkLevel);
-        };
-        
-        checkLevel();
+    _isSignalRConnected() {
+        return !!this._signalRConnection && 
+            this._signalRConnection.state === signalR.HubConnectionState.Connected;
     }
 
     /**
-     * Inicia transcrição contínua
-     * @public
-     * @param {string} sessionId - ID da sessão
-     * @param {Object} options - Opções de configuração
-     * @returns {Promise<void>}
+     * Entrega o chunk ao hub ou o guarda na fila offline.
+     * Com chunks pendentes, novos chunks entram na fila para preservar a ordem.
+     * @private
+     * @param {Object} chunk
+     * @returns {Promise<boolean>} Se o chunk foi entregue imediatamente
      */
-    async startContinuousRecognition(sessionId, options = {}) {
-        try {
-            this._validateSessionId(sessionId);
-            
-            if (this._isRecording) {
-                throw new Error('Recognition is already active');
-            }
-
-            if (this._state !== SERVICE_STATES.READY) {
-                throw new Error(`Service not ready. Current state: ${this._state}`);
+    async _deliverChunk(chunk) {
+        if (this._pendingSyncCount === 0 && this._isSignalRConnected()) {
+            try {
+                await this._sendTrackedChunk(chunk);
+                this._deliveredChunkIds.add(chunk.id);
+                return true;
+            } catch (error) {
+                this._log('warn', 'Failed to send chunk, queueing for later sync:', error);
             }
+        }
 
-            this._state = SERVICE_STATES.CONNECTING;
-            this._currentSessionId = sessionId;
-            
-            this._log('info', `Starting recognition for session: ${sessionId}`);
-
-            // Obter token se necessário
-            if (!this._token) {
-                await this._getSpeechToken();
-            }
+        await this._offlineQueue.enqueue(chunk);
+        await this._refreshPendingSyncCount();
+        this._emit('chunk-queued', { chunkId: chunk.id, sequenceNumber: chunk.sequenceNumber });
 
-            // Solicitar permissão de microfone
-            await this._requestMicrophonePermission();
+        this._flushOfflineQueue();
+        return false;
+    }
 
-            // Configurar Speech SDK
-            await this._configureSpeechSDK(options);
+    /**
+     * Reenvia os chunks pendentes em ordem, ignorando os já entregues
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _flushOfflineQueue() {
+        if (this._isFlushingQueue || !this._isSignalRConnected()) return;
 
-            // Iniciar sessão SignalR
-            await this._startSignalRSession(sessionId, options);
+        this._isFlushingQueue = true;
+        let synced = 0;
 
-            // Iniciar reconhecimento
-            await this._startSpeechRecognition();
+        try {
+            // Chunks enfileirados durante o reenvio são processados na próxima volta
+            let pending = await this._offlineQueue.getAll();
+
+            while (pending.length > 0 && this._isSignalRConnected()) {
+                for (const chunk of pending) {
+                    if (!this._deliveredChunkIds.has(chunk.id)) {
+                        await this._sendTrackedChunk(chunk);
+                        this._deliveredChunkIds.add(chunk.id);
+                    }
 
-            this._state = SERVICE_STATES.RECORDING;
-            this._isRecording = true;
-            this._stats.startTime = new Date();
-            
-            this._emit('recognition-started', { sessionId, options });
-            this._log('info', 'Recognition started successfully');
+                    await this._offlineQueue.remove(chunk.id);
+                    if (!this._chunkAcks.isPending(chunk.id)) {
+                        this._renderer.setChunkPendingSync(chunk.id, false);
+                    }
+                    synced++;
+                }
 
+                pending = await this._offlineQueue.getAll();
+            }
         } catch (error) {
-            this._state = SERVICE_STATES.ERROR;
-            this._handleError('Failed to start recognition', error, ERROR_CODES.SPEECH_RECOGNITION_FAILED);
-            throw error;
+            this._log('warn', 'Offline queue flush interrupted:', error);
+        } finally {
+            this._isFlushingQueue = false;
+            await this._refreshPendingSyncCount();
+        }
+
+        if (synced > 0) {
+            this._log('info', `Synced ${synced} pending chunks`);
+            this._emit('offline-queue-flushed', { synced, pending: this._pendingSyncCount });
         }
     }
 
     /**
-     * Configura o Speech SDK
+     * Atualiza o contador de chunks pendentes de sincronização
      * @private
-     * @param {Object} options - Opções de configuração
      */
-    async _configureSpeechSDK(options) {
+    async _refreshPendingSyncCount() {
         try {
-            this._speechConfig = SpeechSDK.SpeechConfig.fromAuthorizationToken(this._token, this._region);
-            
-            // Configurações básicas
-            this._speechConfig.speechRecognitionLanguage = options.language || this._config.language;
-            
-            if (this._config.enableDictation) {
-                this._speechConfig.enableDictation();
-            }
-            
-            // Configurações avançadas de timeout
-            this._speechConfig.setProperty(
-                SpeechSDK.PropertyId.Speech_SegmentationSilenceTimeoutMs, 
-                (options.silenceTimeout || CONFIG.SPEECH_TIMEOUT_MS).toString()
-            );
-            this._speechConfig.setProperty(
-                SpeechSDK.PropertyId.SpeechServiceConnection_EndSilenceTimeoutMs, 
-                (options.endSilenceTimeout || CONFIG.SPEECH_TIMEOUT_MS).toString()
-            );
-            
-            // Configurações de logging
-            if (this._config.enableLogging) {
-                this._speechConfig.setProperty(
-                    SpeechSDK.PropertyId.Speech_LogFilename, 
-                    "AzureSpeechSDK.log"
-                );
-            }
-            
-            // Configurações de qualidade
-            this._speechConfig.setProperty(
-                SpeechSDK.PropertyId.SpeechServiceConnection_EnableAudioLogging,
-                this._config.enableLogging.toString()
-            );
-            
-            // Configurar entrada de áudio
-            this._audioConfig = SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
-            
-            // Criar reconhecedor
-            this._speechRecognizer = new SpeechSDK.SpeechRecognizer(this._speechConfig, this._audioConfig);
-            
-            this._setupSpeechEventHandlers();
-            
+            this._pendingSyncCount = await this._offlineQueue.count();
         } catch (error) {
-            throw new Error(`Failed to configure Speech SDK: ${error.message}`);
+            this._log('warn', 'Failed to read offline queue:', error);
         }
+
+        this._renderer.updatePendingSync(this._pendingSyncCount);
+        this._emit('pending-sync-changed', this._pendingSyncCount);
     }
 
     /**
-     * Configura event handlers do Speech SDK
-     * @private
+     * Event handlers para SignalR
      */
-    _setupSpeechEventHandlers() {
-        if (!this._speechRecognizer) return;
+    _onSessionStarted(data) {
+        this._showNotification("Sessão iniciada com sucesso", "success");
+        this._updateSessionInfo(data);
+        this._emit('session-started', data);
+    }
 
-        this._speechRecognizer.recognizing = (sender, e) => {
-            this._onRecognizing(e);
-        };
+    _onAgentActivated(data) {
+        this._renderer.updateAgentStatus(data.AgentName, "active", data.Status);
+        this._showNotification(`Agente ${data.AgentName} ativado`, "info");
+        this._emit('agent-activated', data);
+    }
 
-        this._speechRecognizer.recognized = (sender, e) => {
-            this._onRecognized(e);
-        };
+    _onDocumentGenerated(data) {
+        this._sessionDocuments.push(data);
+        this._persistSessionSnapshotDebounced();
+        this._renderer.addGeneratedDocument(data);
+        this._showNotification(`Documento ${data.Type} gerado`, "success");
+        this._emit('document-generated', data);
+    }
 
-        this._speechRecognizer.sessionStarted = (sender, e) => {
-            this._log('info', 'Speech recognition session started');
-            this._onRecognitionSessionStarted(e);
-        };
+    _onProcessingCompleted(data) {
+        this._updateProcessingStats(data);
+        this._emit('processing-completed', data);
+    }
 
-        this._speechRecognizer.sessionStopped = (sender, e) => {
-            this._log('info', 'Speech recognition session stopped');
-            this._onRecognitionSessionStopped(e);
-        };
+    _onProcessingError(data) {
+        this._showError(`Erro no processamento: ${data.Error}`);
+        this._emit('processing-error', data);
+    }
+
+    _onSignalRError(error) {
+        this._handleError('SignalR error', error, ERROR_CODES.SIGNALR_CONNECTION_FAILED);
+    }
+
+    _onTranscriptionUpdate(data) {
+        // Com pseudônimos no hub o texto é restaurado pelo mapa local
+        if (this._redactor && data?.Text) {
+            data = { ...data, Text: this._redactor.restore(data.Text) };
+        }
+        this._emit('transcription-update', data);
+    }
+
+    _onSpeakerRoleAssigned(data) {
+        if (!data?.SpeakerId || data.SessionId !== this._currentSessionId) return;
+        this._applySpeakerRole(data.SpeakerId, data.Role);
+    }
+
+    _onTranscriptionCorrected(data) {
+        if (!data || data.SessionId !== this._currentSessionId) return;
+
+        const chunk = Array.from(this._sessionChunks.values())
+            .find(candidate => candidate.sequenceNumber === data.SequenceNumber);
+        const text = this._redactor ? this._redactor.restore(data.Text) : data.Text;
+        if (!chunk || chunk.text === text) return;
+
+        // Correção feita em outra conexão da mesma sessão
+        chunk.originalText = data.OriginalText ?? chunk.originalText ?? chunk.text;
+        chunk.text = text;
+        chunk.isCorrected = true;
+
+        this._updateChunkText(chunk);
+        this._emit('chunk-corrected', { chunkId: chunk.id, text: chunk.text, originalText: chunk.originalText });
+    }
+
+    _onTranscriptionReviewed(data) {
+        if (!data || data.SessionId !== this._currentSessionId) return;
+
+        const chunk = this._findSessionChunk(data.SequenceNumber);
+        if (!chunk || chunk.reviewedAt) return;
+
+        // Revisão confirmada em outra conexão da mesma sessão
+        const text = this._redactor ? this._redactor.restore(data.Text) : data.Text;
+        if (text && text !== chunk.text) {
+            chunk.originalText = data.OriginalText ?? chunk.originalText ?? chunk.text;
+            chunk.text = text;
+            chunk.isCorrected = true;
+            this._updateChunkText(chunk);
+        }
+
+        this._completeReview(chunk, data.ReviewedAt);
+    }
+
+    _onRedFlagDetected(data) {
+        if (!data || data.SessionId !== this._currentSessionId) return;
+
+        // O próprio relato volta pelo grupo; só interessam os de outras conexões
+        const flags = (data.Flags || [])
+            .map(flag => ({ id: flag.Id, label: flag.Label, severity: flag.Severity, term: flag.Term }))
+            .filter(flag => !this._redFlagAlerts.get(flag.id)?.sequenceNumbers.includes(data.SequenceNumber));
+        if (flags.length === 0) return;
+
+        const chunk = this._findSessionChunk(data.SequenceNumber);
+        flags.forEach(flag => this._raiseRedFlagAlert(flag, data.SequenceNumber, { excerpt: chunk?.text }));
+        this._emit('red-flag-detected', { chunkId: chunk?.id || null, sequenceNumber: data.SequenceNumber, flags, remote: true });
+    }
+
+    _onTranscriptionChunkAck(data) {
+        if (!data || data.SessionId !== this._currentSessionId) return;
+
+        this._chunkAcks.handleAck(data);
+    }
+
+    async _onTranscriptionGapDetected(data) {
+        if (!data || data.SessionId !== this._currentSessionId) return;
+
+        this._log('warn', `Hub reported missing chunks: ${(data.MissingSequenceNumbers || []).join(', ')}`);
+        await this._chunkAcks.handleGap(data);
+    }
 
-        this._speechRecognizer.canceled = (sender, e) => {
-            this._log('error', 'Speech recognition canceled:', e);
-            this._onRecognitionCanceled(e);
-        };
+    /**
+     * Reflete na tela e nos eventos do serviço a confirmação de entrega dos chunks
+     * @private
+     * @param {string} event - Evento do ChunkAckTracker
+     * @param {Object} data
+     */
+    _onChunkDeliveryEvent(event, data) {
+        switch (event) {
+            case 'chunk-acknowledged':
+                this._renderer.setChunkPendingSync(data.chunk.id, false);
+                break;
+            case 'chunk-ack-timeout':
+                this._log('warn', `No ack for chunk ${data.chunk.sequenceNumber}, resending`);
+                this._renderer.setChunkPendingSync(data.chunk.id, true);
+                break;
+            case 'chunk-rejected':
+                this._log('warn', `Hub rejected chunk ${data.chunk.sequenceNumber}`);
+                this._renderer.setChunkPendingSync(data.chunk.id, false);
+                break;
+            case 'chunks-unrecoverable':
+                this._showNotification(
+                    `${data.sequenceNumbers.length} trecho(s) da transcrição não chegaram ao servidor e não puderam ser recuperados. Revise o documento gerado.`,
+                    "danger"
+                );
+                break;
+        }
+
+        this._emit(event, data);
     }
 
     /**
-     * Inicia reconhecimento de fala
+     * Procura um chunk da sessão atual pelo número de sequência
      * @private
-     * @returns {Promise<void>}
+     * @param {number} sequenceNumber
+     * @returns {?Object}
      */
-    _startSpeechRecognition() {
-        return new Promise((resolve, reject) => {
-            this._speechRecognizer.startContinuousRecognitionAsync(
-                () => {
-                    this._log('info', 'Continuous recognition started');
-                    resolve();
-                },
-                (error) => {
-                    this._log('error', 'Failed to start recognition:', error);
-                    reject(new Error(`Speech recognition failed: ${error}`));
-                }
-            );
-        });
+    _findSessionChunk(sequenceNumber) {
+        return Array.from(this._sessionChunks.values())
+            .find(candidate => candidate.sequenceNumber === sequenceNumber) || null;
     }
 
     /**
-     * Inicia sessão SignalR
+     * Aguarda os acks pendentes ao encerrar; o que não for confirmado a tempo volta para a fila offline
      * @private
-     * @param {string} sessionId 
-     * @param {Object} options 
+     * @returns {Promise<void>}
      */
-    async _startSignalRSession(sessionId, options) {
-        try {
-            if (!this._signalRConnection || this._signalRConnection.state !== signalR.HubConnectionState.Connected) {
-                await this._initializeSignalR();
-            }
+    async _settleChunkAcks() {
+        const deadline = Date.now() + CONFIG.STOP_ACK_TIMEOUT_MS;
 
-            const patientName = options.patientName || 
-                               document.getElementById('patientName')?.value || 
-                               'Paciente Anônimo';
-            const consultationType = options.consultationType || 
-                                   document.getElementById('consultationType')?.value || 
-                                   'Consulta Geral';
+        if (this._chunkAcks.pendingCount > 0) {
+            await this._chunkAcks.retryPending();
+        }
 
-            await this._signalRConnection.invoke("StartTranscription", sessionId, patientName, consultationType);
-            this._log('info', `SignalR session started: ${sessionId}`);
-            
-        } catch (error) {
-            throw new Error(`Failed to start SignalR session: ${error.message}`);
+        while (this._chunkAcks.pendingCount > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 200));
         }
-    }
 
-    /**
-     * Para a transcrição
-     */
-    async stopRecording() {
-        if (!this._isRecording || this._state !== SERVICE_STATES.RECORDING) {
-            this._log('warn', 'No active recording to stop');
-            return;
+        const unacknowledged = this._chunkAcks.getPending();
+        if (unacknowledged.length === 0) return;
+
+        this._log('warn', `${unacknowledged.length} chunks without ack, keeping them for later sync`);
+        for (const chunk of unacknowledged) {
+            this._deliveredChunkIds.delete(chunk.id);
+            await this._offlineQueue.enqueue(chunk);
         }
+        this._chunkAcks.reset();
+        await this._refreshPendingSyncCount();
+    }
 
-        try {
-            this._state = SERVICE_STATES.STOPPING;
-            this._log('info', 'Stopping recording...');
+    _onTranscriptionChunkDeleted(data) {
+        if (!data || data.SessionId !== this._currentSessionId) return;
 
-            // Parar reconhecimento
-            if (this._speechRecognizer) {
-                await new Promise((resolve, reject) => {
-                    this._speechRecognizer.stopContinuousRecognitionAsync(
-                        () => {
-                            this._log('info', 'Speech recognition stopped');
-                            resolve();
-                        },
-                        (error) => {
-                            this._log('error', 'Error stopping recognition:', error);
-                            reject(new Error(`Failed to stop recognition: ${error}`));
-                        }
-                    );
-                });
-            }
+        const chunk = this._findSessionChunk(data.SequenceNumber);
+        if (!chunk) return;
 
-            // Parar sessão SignalR
-            await this._stopSignalRSession();
+        this._removeChunkLocally(chunk);
+    }
 
-            // Cleanup de recursos
-            this._cleanup();
+    _onRecognitionSessionStarted(e) {
+        this._renderer.updateStatus("recording");
+        this._showNotification("Gravação iniciada", "success");
+        this._emit('recognition-session-started', e);
+    }
 
-            this._state = SERVICE_STATES.STOPPED;
-            this._isRecording = false;
-            
-            this._emit('recognition-stopped');
-            this._showNotification("Transcrição finalizada", "info");
+    _onRecognitionSessionStopped(e) {
+        // Durante a pausa ou a troca de microfone o reconhecedor para, mas a sessão continua
+        if (this._state !== SERVICE_STATES.PAUSED && !this._isSwitchingDevice && !this._tokenOutage) {
+            this._renderer.updateStatus("stopped");
+        }
+        this._emit('recognition-session-stopped', e);
+    }
 
-        } catch (error) {
-            this._state = SERVICE_STATES.ERROR;
-            this._handleError('Failed to stop recording', error);
-            throw error;
+    _onRecognitionCanceled(e) {
+        // Fim de arquivo ou push stream: encerrar normalmente
+        if (e.reason === SpeechSDK.CancellationReason.EndOfStream) {
+            this._log('info', 'Audio source reached end of stream');
+            this._emit('audio-source-ended');
+            this.stopRecording().catch(error => {
+                this._log('error', 'Failed to stop after end of stream:', error);
+            });
+            return;
+        }
+
+        // Token expirado ou revogado em gravação ao vivo: guardar o áudio até a renovação
+        if (this._usesLiveMicrophone() && this._isTokenFailure(e)) {
+            this._log('warn', 'Recognition canceled by authorization failure, buffering audio locally');
+            this._beginTokenOutage(e.errorDetails || 'authorization-failure');
+            return;
         }
+
+        const error = e.errorDetails || "Erro desconhecido";
+        this._isRecording = false;
+        this._transitionTo(SERVICE_STATES.ERROR, 'recognition-canceled');
+        this._renderer.updateStatus('error');
+        this._handleError(`Recognition canceled: ${error}`, e, ERROR_CODES.SPEECH_RECOGNITION_FAILED);
+        this._cleanup();
     }
 
     /**
-     * Para sessão SignalR
-     * @private
+     * Escreve PCM 16 kHz/16 bits/mono quando a fonte ativa é um push stream
+     * @public
+     * @param {ArrayBuffer} pcmChunk
      */
-    async _stopSignalRSession() {
-        try {
-            if (this._signalRConnection && 
-                this._signalRConnection.state === signalR.HubConnectionState.Connected && 
-                this._currentSessionId) {
-                
-                await this._signalRConnection.invoke("StopTranscription", this._currentSessionId);
-                this._log('info', 'SignalR session stopped');
-            }
-        } catch (error) {
-            this._log('error', 'Error stopping SignalR session:', error);
+    writeAudio(pcmChunk) {
+        if (!this._audioSource || !this._isRecording) {
+            throw new Error('No active recording');
         }
+        this._audioSource.write(pcmChunk);
     }
 
     /**
-     * Handler para texto sendo reconhecido (tempo real)
+     * Sinaliza o fim do áudio do push stream; a sessão encerra ao fim do processamento
+     * @public
+     */
+    endAudioInput() {
+        this._audioSource?.end();
+    }
+
+    /**
+     * Gestão de falantes
+     */
+
+    /**
+     * Registra uma fala e atualiza o perfil do falante
      * @private
-     * @param {*} e - Event data
+     * @param {string} [speakerId] - ID retornado pelo SDK (ex.: "Guest-1")
+     * @param {number} confidence - Confiança do reconhecimento da fala
+     * @returns {{id: string, role: string, utterances: number, averageConfidence: number}}
      */
-    _onRecognizing(e) {
-        if (e.result.reason === SpeechSDK.ResultReason.RecognizingSpeech) {
-            const text = this._sanitizeText(e.result.text);
-            if (text && text.trim().length > 0) {
-                this._updateTranscriptionThrottled(text, true);
-                this._emit('recognizing', { text, isInterim: true });
+    _registerSpeakerUtterance(speakerId, confidence) {
+        const id = speakerId || UNIDENTIFIED_SPEAKER_ID;
+
+        let speaker = this._speakers.get(id);
+        if (!speaker) {
+            speaker = {
+                id,
+                role: SPEAKER_ROLES.UNKNOWN,
+                utterances: 0,
+                averageConfidence: 0,
+                firstSeenAt: new Date().toISOString()
+            };
+            this._speakers.set(id, speaker);
+
+            if (id !== UNIDENTIFIED_SPEAKER_ID) {
+                this._updateSpeakerPanel();
+                this._emit('speaker-detected', { ...speaker });
             }
         }
+
+        // Falas sem falante identificado não contam para a confiança de ninguém
+        if (id !== UNIDENTIFIED_SPEAKER_ID) {
+            speaker.averageConfidence = 
+                (speaker.averageConfidence * speaker.utterances + confidence) / (speaker.utterances + 1);
+        }
+        speaker.utterances++;
+
+        return speaker;
     }
 
     /**
-     * Handler para texto reconhecido (final)
+     * Rótulo exibido para o falante: o papel atribuído ou, na falta dele, o ID
      * @private
-     * @param {*} e - Event data
      */
-    async _onRecognized(e) {
-        if (e.result.reason === SpeechSDK.ResultReason.RecognizedSpeech) {
-            const text = this._sanitizeText(e.result.text);
-            const confidenceData = e.result.properties?.getProperty(
-                SpeechSDK.PropertyId.SpeechServiceResponse_JsonResult
-            );
-            
-            if (text && text.trim().length > 0) {
-                const chunk = await this._createTranscriptionChunk(text, confidenceData);
-                
-                // Processar com debounce
-                this._processChunkDebounced(chunk);
-                
-                this._emit('recognized', { chunk });
-            }
-        } else if (e.result.reason === SpeechSDK.ResultReason.NoMatch) {
-            this._log('debug', 'No speech detected in audio segment');
-            this._emit('no-speech');
-        }
+    _getSpeakerLabel(speaker) {
+        return speaker.role !== SPEAKER_ROLES.UNKNOWN ? speaker.role : speaker.id;
     }
 
     /**
-     * Cria chunk de transcrição
+     * Aplica localmente um papel a um falante
      * @private
-     * @param {string} text 
-     * @param {string} confidenceData 
-     * @returns {Promise<Object>}
+     * @returns {boolean} Se o papel mudou
      */
-    async _createTranscriptionChunk(text, confidenceData) {
-        const confidence = this._extractConfidence(confidenceData) || 0.8;
-        const timestamp = new Date().toISOString();
-        
-        const chunk = {
-            id: this._generateChunkId(),
-            text: text,
-            confidence: confidence,
-            timestamp: timestamp,
-            sequenceNumber: this._stats.chunksProcessed++,
-            speaker: "Speaker1", // TODO: Implementar identificação de falantes
-            sessionId: this._currentSessionId,
-            length: text.length,
-            wordCount: 0,
-            hasKeywords: false
-        };
+    _applySpeakerRole(speakerId, role) {
+        const speaker = this._speakers.get(speakerId);
+        if (!speaker || speaker.role === role) return false;
 
-        // Processar chunk no worker se disponível
-        try {
-            const processing = await this._runWorkerTask('processText', chunk);
-            Object.assign(chunk, processing);
-        } catch (error) {
-            this._log('warn', 'Worker processing failed, using fallback:', error);
-            const fallback = this._processLocally('processText', chunk);
-            Object.assign(chunk, fallback);
-        }
+        speaker.role = role;
+        this._persistSessionSnapshotDebounced();
 
-        this._updateStats(chunk);
-        return chunk;
+        this._renderer.updateSpeakerLabel(speaker.id, this._getSpeakerLabel(speaker));
+        this._updateSpeakerPanel();
+        this._emit('speaker-role-changed', { speakerId, role });
+        return true;
     }
 
     /**
-     * Processa chunk internamente
-     * @private
-     * @param {Object} chunk 
+     * Atribui um papel (Médico, Paciente, Acompanhante) a um falante identificado
+     * @public
+     * @param {string} speakerId - ID do falante
+     * @param {string} role - Um dos valores de SPEAKER_ROLES
+     * @returns {Promise<void>}
      */
-    async _processChunkInternal(chunk) {
+    async setSpeakerRole(speakerId, role) {
+        if (!Object.values(SPEAKER_ROLES).includes(role)) {
+            throw new Error(`Invalid speaker role: ${role}`);
+        }
+
+        if (!this._speakers.has(speakerId) || speakerId === UNIDENTIFIED_SPEAKER_ID) {
+            throw new Error(`Unknown speaker: ${speakerId}`);
+        }
+
+        if (!this._applySpeakerRole(speakerId, role)) return;
+
         try {
-            // Validar chunk
-            if (!this._validateChunk(chunk)) {
-                this._log('warn', 'Invalid chunk received:', chunk);
-                return;
+            if (this._signalRConnection?.state === signalR.HubConnectionState.Connected && this._currentSessionId) {
+                await this._signalRConnection.invoke("AssignSpeakerRole", this._currentSessionId, speakerId, role);
             }
-
-            // Enviar para processamento via SignalR
-            await this._sendChunkToSignalR(chunk);
-            
-            // Atualizar UI
-            this._addTranscriptionChunk(chunk);
-            this._clearTranscriptionPreview();
-            
-            this._emit('chunk-processed', chunk);
-            
         } catch (error) {
-            this._handleError('Failed to process chunk', error);
+            this._log('error', 'Failed to send speaker role to hub:', error);
         }
     }
 
     /**
-     * Valida chunk de transcrição
-     * @private
-     * @param {Object} chunk 
-     * @returns {boolean}
+     * Lista os falantes identificados na sessão atual
+     * @public
+     * @returns {Array<Object>}
      */
-    _validateChunk(chunk) {
-        const required = ['id', 'text', 'confidence', 'timestamp', 'sessionId'];
-        
-        for (const field of required) {
-            if (!(field in chunk)) {
-                this._log('error', `Missing required field: ${field}`);
-                return false;
-            }
+    getSpeakers() {
+        return Array.from(this._speakers.values())
+            .filter(speaker => speaker.id !== UNIDENTIFIED_SPEAKER_ID)
+            .map(speaker => ({ ...speaker }));
+    }
+
+    /**
+     * Substitui o texto de um chunk (ex.: por uma das alternativas N-best) e envia a correção ao hub.
+     * Chunks ainda na fila offline são corrigidos na própria fila.
+     * @public
+     * @param {string} chunkId
+     * @param {string} correctedText
+     * @returns {Promise<void>}
+     */
+    async correctChunk(chunkId, correctedText) {
+        const chunk = this._sessionChunks.get(chunkId);
+        if (!chunk) {
+            throw new Error(`Unknown chunk: ${chunkId}`);
         }
 
-        if (typeof chunk.text !== 'string' || chunk.text.length === 0) {
-            return false;
+        const text = this._sanitizeText(correctedText);
+        if (!text) {
+            throw new Error('Corrected text must be a non-empty string');
         }
 
-        if (chunk.text.length > CONFIG.MAX_CHUNK_LENGTH) {
-            this._log('warn', `Chunk text too long: ${chunk.text.length} characters`);
-            return false;
+        if (text === chunk.text) return;
+
+        const delivered = this._deliveredChunkIds.has(chunk.id);
+        if (delivered && !this._isSignalRConnected()) {
+            throw new Error('SignalR connection not available');
         }
 
-        if (typeof chunk.confidence !== 'number' || chunk.confidence < 0 || chunk.confidence > 1) {
-            return false;
+        chunk.originalText = chunk.originalText ?? chunk.text;
+        chunk.text = text;
+        chunk.isCorrected = true;
+        this._updateChunkText(chunk);
+
+        if (delivered) {
+            const hubText = this._redactor ? this._redactor.redactText(text, REDACTION_DESTINATIONS.HUB) : text;
+            await this._signalRConnection.invoke("CorrectTranscriptionChunk", chunk.sessionId, chunk.sequenceNumber, hubText);
+        } else {
+            await this._offlineQueue.enqueue(chunk);
         }
 
-        return true;
+        this._emit('chunk-corrected', { chunkId: chunk.id, text, originalText: chunk.originalText });
     }
 
     /**
-     * Envia chunk para SignalR
-     * @private
-     * @param {Object} chunk 
+     * Sinais de alarme detectados na sessão atual, um por sinal
+     * @public
+     * @returns {Array<{id: string, label: string, severity: string, term: string, sequenceNumbers: Array<number>,
+     *          firstDetectedAt: string, lastDetectedAt: string}>}
      */
-    async _sendChunkToSignalR(chunk) {
-        if (!this._signalRConnection || 
-            this._signalRConnection.state !== signalR.HubConnectionState.Connected) {
-            throw new Error('SignalR connection not available');
-        }
-
-        await this._signalRConnection.invoke("ProcessTranscriptionChunk", this._currentSessionId, chunk);
+    getRedFlagAlerts() {
+        return Array.from(this._redFlagAlerts.values()).map(alert => ({ ...alert, sequenceNumbers: [...alert.sequenceNumbers] }));
     }
 
     /**
-     * Event handlers para SignalR
+     * Trechos abaixo do limite de confiança ainda não confirmados, em ordem de sequência
+     * @public
+     * @returns {Array<{chunkId: string, sequenceNumber: number, text: string, confidence: number,
+     *          lowConfidenceWords: Array<{word: string, confidence: number}>, audio: ?Blob}>}
      */
-    _onSessionStarted(data) {
-        this._showNotification("Sessão iniciada com sucesso", "success");
-        this._updateSessionInfo(data);
-        this._emit('session-started', data);
+    getPendingReviews() {
+        return Array.from(this._reviewItems.values())
+            .map(item => {
+                const chunk = this._sessionChunks.get(item.chunkId);
+                return {
+                    chunkId: chunk.id,
+                    sequenceNumber: chunk.sequenceNumber,
+                    text: chunk.text,
+                    confidence: chunk.confidence,
+                    lowConfidenceWords: chunk.lowConfidenceWords || [],
+                    audio: item.audio
+                };
+            })
+            .sort((a, b) => a.sequenceNumber - b.sequenceNumber);
     }
 
-    _onAgentActivated(data) {
-        this._updateAgentStatus(data.AgentName, "active", data.Status);
-        this._showNotification(`Agente ${data.AgentName} ativado`, "info");
-        this._emit('agent-activated', data);
-    }
+    /**
+     * Confirma um trecho da fila de revisão, com o texto corrigido pelo profissional se houver.
+     * Documentos da sessão só são aprovados pelo hub depois de todos os trechos confirmados.
+     * @public
+     * @param {string} chunkId
+     * @param {string} [correctedText] - Omitido: o texto atual está correto
+     * @returns {Promise<void>}
+     */
+    async confirmReview(chunkId, correctedText = null) {
+        const chunk = this._sessionChunks.get(chunkId);
+        if (!chunk) {
+            throw new Error(`Unknown chunk: ${chunkId}`);
+        }
 
-    _onDocumentGenerated(data) {
-        this._addGeneratedDocument(data);
-        this._showNotification(`Documento ${data.Type} gerado`, "success");
-        this._emit('document-generated', data);
-    }
+        if (!this._reviewItems.has(chunkId)) return;
 
-    _onProcessingCompleted(data) {
-        this._updateProcessingStats(data);
-        this._emit('processing-completed', data);
-    }
+        const text = correctedText === null ? chunk.text : this._sanitizeText(correctedText);
+        if (!text) {
+            throw new Error('Corrected text must be a non-empty string');
+        }
+
+        const delivered = this._deliveredChunkIds.has(chunk.id);
+        if (delivered && !this._isSignalRConnected()) {
+            throw new Error('SignalR connection not available');
+        }
+
+        // Sem ack o hub ainda pode não ter gravado o trecho
+        if (this._chunkAcks.isPending(chunk.id)) {
+            throw new Error('Chunk is still being delivered to the hub');
+        }
 
-    _onProcessingError(data) {
-        this._showError(`Erro no processamento: ${data.Error}`);
-        this._emit('processing-error', data);
-    }
+        const changed = text !== chunk.text;
+        const reviewedAt = new Date().toISOString();
 
-    _onSignalRError(error) {
-        this._handleError('SignalR error', error, ERROR_CODES.SIGNALR_CONNECTION_FAILED);
-    }
+        if (delivered) {
+            // Texto confirmado sem alteração não é reenviado
+            let hubText = null;
+            if (changed) {
+                hubText = this._redactor ? this._redactor.redactText(text, REDACTION_DESTINATIONS.HUB) : text;
+            }
+            await this._signalRConnection.invoke("ConfirmTranscriptionReview", chunk.sessionId, chunk.sequenceNumber, hubText);
+        }
 
-    _onTranscriptionUpdate(data) {
-        this._emit('transcription-update', data);
-    }
+        if (changed) {
+            chunk.originalText = chunk.originalText ?? chunk.text;
+            chunk.text = text;
+            chunk.isCorrected = true;
+            this._updateChunkText(chunk);
+        }
 
-    _onRecognitionSessionStarted(e) {
-        this._updateUIStatus("recording");
-        this._showNotification("Gravação iniciada", "success");
-        this._emit('recognition-session-started', e);
-    }
+        // Ainda na fila offline: a revisão segue junto com o chunk
+        if (!delivered) {
+            await this._offlineQueue.enqueue({ ...chunk, reviewedAt });
+        }
 
-    _onRecognitionSessionStopped(e) {
-        this._updateUIStatus("stopped");
-        this._emit('recognition-session-stopped', e);
+        this._completeReview(chunk, reviewedAt);
     }
 
-    _onRecognitionCanceled(e) {
-        const error = e.errorDetails || "Erro desconhecido";
-        this._handleError(`Recognition canceled: ${error}`, e);
-        this._cleanup();
+    /**
+     * Lista os microfones disponíveis. Pede permissão uma vez se os rótulos ainda estiverem ocultos.
+     * @public
+     * @returns {Promise<Array<{deviceId: string, groupId: string, label: string, isSelected: boolean}>>}
+     */
+    async listAudioInputDevices() {
+        let devices = await this._enumerateAudioInputs();
+
+        if (devices.length > 0 && devices.every(device => !device.label)) {
+            const stream = await this._navigator.mediaDevices.getUserMedia({ audio: true });
+            stream.getTracks().forEach(track => track.stop());
+            devices = await this._enumerateAudioInputs();
+        }
+
+        return this._describeAudioInputs(devices);
     }
 
     /**
-     * Funções de UI
+     * Escolhe o microfone e guarda a escolha no navegador. Com gravação em andamento a troca é imediata.
+     * @public
+     * @param {?string} deviceId - null ou vazio para seguir o padrão do sistema
+     * @returns {Promise<void>}
      */
-    _updateTranscriptionUI(text, isPreview = false) {
+    async selectAudioInputDevice(deviceId) {
+        const selected = deviceId || null;
+
         try {
-            if (isPreview) {
-                this._updateTranscriptionPreview(text);
+            if (selected) {
+                this._storage.setItem(AUDIO_DEVICE_STORAGE_KEY, selected);
             } else {
-                this._clearTranscriptionPreview();
+                this._storage.removeItem(AUDIO_DEVICE_STORAGE_KEY);
             }
         } catch (error) {
-            this._log('error', 'UI update failed:', error);
+            this._log('warn', 'Failed to persist microphone choice:', error);
         }
-    }
 
-    _updateTranscriptionPreview(text) {
-        const previewElement = document.getElementById('transcription-preview');
-        if (previewElement) {
-            previewElement.textContent = this._sanitizeText(text);
-            previewElement.style.opacity = '0.7';
-            previewElement.setAttribute('aria-live', 'polite');
-        }
-    }
+        this._emit('audio-device-selected', { deviceId: selected });
 
-    _clearTranscriptionPreview() {
-        const previewElement = document.getElementById('transcription-preview');
-        if (previewElement) {
-            previewElement.textContent = '';
-            previewElement.style.opacity = '';
+        if (this._usesLiveMicrophone()) {
+            await this._switchMicrophone(selected);
         }
     }
 
-    _addTranscriptionChunk(chunk) {
-        const container = document.getElementById('transcriptionOutput');
-        if (!container) return;
+    /**
+     * Abre todos os microfones e mostra o nível de cada um (#audioDevicePreview),
+     * para identificar o que está captando a voz
+     * @public
+     * @param {function(Object<string, number>): void} [onLevels] - Nível 0..1 por deviceId, a cada quadro
+     * @returns {Promise<Array<Object>>} Dispositivos pré-visualizados
+     */
+    async startAudioDevicePreview(onLevels = null) {
+        this.stopAudioDevicePreview();
+
+        const devices = await this.listAudioInputDevices();
+        const AudioContextClass = this._window.AudioContext || this._window.webkitAudioContext;
+        const preview = { context: new AudioContextClass(), meters: [], frame: null };
+        this._devicePreview = preview;
+
+        for (const device of devices) {
+            try {
+                const stream = await this._navigator.mediaDevices.getUserMedia({
+                    audio: { deviceId: { exact: device.deviceId } }
+                });
+                const analyser = preview.context.createAnalyser();
+                analyser.fftSize = 512;
+                preview.context.createMediaStreamSource(stream).connect(analyser);
+
+                preview.meters.push({
+                    deviceId: device.deviceId,
+                    stream,
+                    analyser,
+                    samples: new Uint8Array(analyser.fftSize)
+                });
+            } catch (error) {
+                this._log('warn', `Level preview unavailable for ${device.label}:`, error);
+            }
+        }
 
-        // Remover placeholder se existir
-        const placeholder = container.querySelector('.text-center');
-        if (placeholder) {
-            container.innerHTML = '';
+        // Parado enquanto os dispositivos eram abertos
+        if (this._devicePreview !== preview) {
+            preview.meters.forEach(meter => meter.stream.getTracks().forEach(track => track.stop()));
+            preview.context.close().catch(() => {});
+            return devices;
         }
 
-        const timestamp = new Date(chunk.timestamp).toLocaleTimeString();
-        const confidenceClass = this._getConfidenceClass(chunk.confidence);
+        this._renderer.renderDevicePreview(devices);
+        this._refreshDevicePicker();
 
-        const chunkDiv = document.createElement('div');
-        chunkDiv.className = 'transcription-chunk mb-2 p-2 border-start border-primary border-3';
-        chunkDiv.setAttribute('data-chunk-id', chunk.id);
-        chunkDiv.setAttribute('role', 'log');
-        chunkDiv.setAttribute('aria-live', 'polite');
-        
-        chunkDiv.innerHTML = `
-            <div class="d-flex justify-content-between align-items-start">
-                <div class="flex-grow-1">
-                    <span class="text-muted small" aria-label="Timestamp">[${timestamp}]</span>
-                    <span class="ms-2 chunk-text">${this._sanitizeHtml(chunk.text)}</span>
-                </div>
-                <small class="text-muted ${confidenceClass} ms-2" aria-label="Confidence">
-                    ${Math.round(chunk.confidence * 100)}%
-                </small>
-            </div>
-        `;
-
-        container.appendChild(chunkDiv);
-        
-        // Scroll suave para o final
-        this._scrollToBottom(container);
-        
-        // Manter apenas os últimos 100 chunks para performance
-        this._limitTranscriptionChunks(container, 100);
-    }
+        const tick = () => {
+            if (this._devicePreview !== preview) return;
+
+            const levels = {};
+            preview.meters.forEach(meter => {
+                meter.analyser.getByteTimeDomainData(meter.samples);
+                levels[meter.deviceId] = this._computeRmsLevel(meter.samples);
+            });
+
+            this._renderer.updateDevicePreviewLevels(levels);
+            onLevels?.(levels);
+            preview.frame = this._window.requestAnimationFrame(tick);
+        };
+        tick();
 
-    _getConfidenceClass(confidence) {
-        if (confidence > 0.8) return 'confidence-high text-success';
-        if (confidence > 0.6) return 'confidence-medium text-warning';
-        return 'confidence-low text-danger';
+        return devices;
     }
 
-    _scrollToBottom(container) {
-        requestAnimationFrame(() => {
-            container.scrollTo({
-                top: container.scrollHeight,
-                behavior: 'smooth'
-            });
+    /**
+     * Encerra a pré-visualização de níveis e libera os dispositivos
+     * @public
+     */
+    stopAudioDevicePreview() {
+        const preview = this._devicePreview;
+        if (!preview) return;
+
+        this._devicePreview = null;
+        this._window.cancelAnimationFrame(preview.frame);
+        preview.meters.forEach(meter => meter.stream.getTracks().forEach(track => track.stop()));
+        preview.context.close().catch(() => {
+            // Contexto já fechado
         });
     }
 
-    _limitTranscriptionChunks(container, maxChunks) {
-        const chunks = container.querySelectorAll('.transcription-chunk');
-        if (chunks.length > maxChunks) {
-            const toRemove = chunks.length - maxChunks;
-            for (let i = 0; i < toRemove; i++) {
-                chunks[i].remove();
+    /**
+     * Substitui os comandos de voz do usuário
+     * @public
+     * @param {Array<{action: string, phrases: Array<string>}>} commands - Ações de VOICE_COMMAND_ACTIONS
+     * @returns {Promise<void>}
+     */
+    async setVoiceCommands(commands) {
+        if (!Array.isArray(commands)) {
+            throw new Error('Commands must be an array');
+        }
+
+        const actions = Object.values(VOICE_COMMAND_ACTIONS);
+        for (const command of commands) {
+            if (!actions.includes(command?.action) || !Array.isArray(command.phrases) || command.phrases.length === 0) {
+                throw new Error(`Invalid voice command: ${command?.action}`);
             }
         }
-    }
 
-    _updateUIStatus(status) {
-        const statusElement = document.getElementById('sessionStatus');
-        const startBtn = document.getElementById('startBtn');
-        const stopBtn = document.getElementById('stopBtn');
+        const saved = await this._vocabularyRequest('PUT', 'commands', commands);
+        this._applyVoiceCommands(saved);
+    }
 
-        const statusConfig = {
-            recording: {
-                class: 'badge bg-success',
-                text: 'Gravando',
-                startHidden: true,
-                stopVisible: true
-            },
-            stopped: {
-                class: 'badge bg-secondary',
-                text: 'Parado',
-                startHidden: false,
-                stopVisible: false
-            },
-            error: {
-                class: 'badge bg-danger',
-                text: 'Erro',
-                startHidden: false,
-                stopVisible: false
-            }
-        };
+    /**
+     * Comandos de voz ativos
+     * @public
+     * @returns {Array<{action: string, phrases: Array<string>}>}
+     */
+    getVoiceCommands() {
+        return this._voiceCommands.map(command => ({ action: command.action, phrases: [...command.phrases] }));
+    }
 
-        const config = statusConfig[status];
-        if (!config) return;
+    /**
+     * Marcadores criados por comando de voz na sessão atual
+     * @public
+     * @returns {Array<Object>}
+     */
+    getMarkers() {
+        return this._markers.map(marker => ({ ...marker }));
+    }
 
-        if (statusElement) {
-            statusElement.className = config.class;
-            statusElement.textContent = config.text;
+    /**
+     * Adiciona um termo ao vocabulário pessoal; vale também para o reconhecimento em andamento
+     * @public
+     * @param {string} term - Nome de medicamento, jargão ou expressão
+     * @returns {Promise<Array<string>>} Termos pessoais atualizados
+     */
+    async addPersonalTerm(term) {
+        const normalized = typeof term === 'string' ? term.trim() : '';
+        if (!normalized) {
+            throw new Error('Term must be a non-empty string');
         }
 
-        if (startBtn) {
-            startBtn.classList.toggle('d-none', config.startHidden);
-            startBtn.disabled = status === 'error';
-        }
+        this._personalTerms = await this._vocabularyRequest('POST', 'personal', { term: normalized });
 
-        if (stopBtn) {
-            stopBtn.classList.toggle('d-none', !config.stopVisible);
+        if (!this._phrases.some(phrase => phrase.toLowerCase() === normalized.toLowerCase())) {
+            this._phrases.push(normalized);
         }
+
+        this._refreshActiveVocabulary();
+        this._emit('personal-term-added', normalized);
+        return [...this._personalTerms];
     }
 
-    _updateAgentStatus(agentName, status, message) {
-        const agentElement = document.getElementById(`${agentName.toLowerCase()}-agent`);
-        if (!agentElement) return;
+    /**
+     * Remove um termo do vocabulário pessoal
+     * @public
+     * @param {string} term
+     * @returns {Promise<Array<string>>} Termos pessoais atualizados
+     */
+    async removePersonalTerm(term) {
+        this._personalTerms = await this._vocabularyRequest('DELETE', `personal/${encodeURIComponent(term)}`);
+        this._phrases = this._phrases.filter(phrase => phrase.toLowerCase() !== term.toLowerCase());
 
-        const badge = agentElement.querySelector('.badge');
-        if (!badge) return;
+        this._refreshActiveVocabulary();
+        this._emit('personal-term-removed', term);
+        return [...this._personalTerms];
+    }
 
-        const statusConfig = {
-            active: { class: 'badge bg-primary float-end', text: 'Ativo' },
-            processing: { class: 'badge bg-warning float-end', text: 'Processando' },
-            completed: { class: 'badge bg-success float-end', text: 'Concluído' },
-            error: { class: 'badge bg-danger float-end', text: 'Erro' }
+    /**
+     * Lista de frases aplicada ao reconhecimento
+     * @public
+     * @returns {{phrases: Array<string>, personalTerms: Array<string>}}
+     */
+    getPhraseList() {
+        return {
+            phrases: [...this._phrases],
+            personalTerms: [...this._personalTerms]
         };
+    }
 
-        const config = statusConfig[status];
-        if (config) {
-            badge.className = config.class;
-            badge.textContent = config.text;
-            
-            if (status === 'active') {
-                agentElement.classList.add('active');
+    /**
+     * Funções de UI: o desenho fica com o renderer (speech-renderer.js)
+     */
+    _updateTranscriptionUI(text, isPreview = false) {
+        try {
+            if (isPreview) {
+                this._renderer.showPreview(this._sanitizeText(text));
+            } else {
+                this._renderer.clearPreview();
             }
+        } catch (error) {
+            this._log('error', 'UI update failed:', error);
+        }
+    }
+
+    /**
+     * Atualiza o seletor de microfones do renderer.
+     * Não pede permissão: antes dela os rótulos aparecem como "Microfone N".
+     * @private
+     */
+    async _refreshDevicePicker() {
+        try {
+            const devices = this._describeAudioInputs(await this._enumerateAudioInputs());
+            this._renderer.renderDevicePicker(devices, this._getPreferredDeviceId());
+        } catch (error) {
+            this._log('warn', 'Failed to list audio devices:', error);
         }
+    }
 
-        // Acessibilidade
-        agentElement.setAttribute('aria-label', `Agente ${agentName}: ${config?.text || status}`);
+    _setAudioQualityWidgetVisible(visible) {
+        this._renderer.setAudioQualityVisible(visible);
+        this._updateAudioQualityIndicator();
+        this._renderer.drawLevelMeter(this._levelHistory);
     }
 
-    _addGeneratedDocument(document) {
-        const container = document.getElementById('generatedDocuments');
-        if (!container) return;
+    _updateAudioQualityIndicator() {
+        const issues = this._qualityMonitor?.activeIssues || [];
+        this._renderer.updateAudioQuality(issues.map(type => AUDIO_QUALITY_ISSUE_DETAILS[type]));
+    }
 
-        // Remover placeholder se existir
-        const placeholder = container.querySelector('.text-center');
-        if (placeholder) {
-            container.innerHTML = '';
-        }
+    _updateChunkText(chunk) {
+        this._persistSessionSnapshotDebounced();
+        this._renderer.updateChunkText(chunk);
+    }
 
-        const docDiv = document.createElement('div');
-        docDiv.className = 'card mb-3';
-        docDiv.setAttribute('role', 'article');
-        docDiv.setAttribute('aria-label', `Documento ${document.Type}`);
-        
-        const truncatedContent = this._truncateText(document.Content, 200);
-        const createdAt = new Date(document.CreatedAt).toLocaleString();
-        
-        docDiv.innerHTML = `
-            <div class="card-header d-flex justify-content-between align-items-center">
-                <h6 class="mb-0">
-                    <i class="fas fa-file-medical" aria-hidden="true"></i> 
-                    ${this._sanitizeHtml(document.Type)}
-                </h6>
-                <button class="btn btn-sm btn-outline-primary" 
-                        onclick="downloadDocument('${document.DocumentId}')"
-                        aria-label="Baixar documento ${document.Type}">
-                    <i class="fas fa-download" aria-hidden="true"></i>
-                </button>
-            </div>
-            <div class="card-body">
-                <p class="card-text">${this._sanitizeHtml(truncatedContent)}</p>
-                <small class="text-muted">
-                    Gerado por: ${this._sanitizeHtml(document.GeneratedBy)} 
-                    em <time datetime="${document.CreatedAt}">${createdAt}</time>
-                </small>
-            </div>
-        `;
-
-        container.appendChild(docDiv);
+    _updateSpeakerPanel() {
+        this._renderer.renderSpeakers(this.getSpeakers(), Object.values(SPEAKER_ROLES));
+    }
+
+    /**
+     * Ações da interface para o renderer; falhas são tratadas aqui e a ação resolve com false
+     * @private
+     * @returns {Object}
+     */
+    _createRendererActions() {
+        const run = (action, message, code) => action().then(() => true, error => {
+            this._handleError(message, error, code);
+            return false;
+        });
+
+        return {
+            correctChunk: (chunkId, text) => run(() => this.correctChunk(chunkId, text),
+                'Failed to correct transcription chunk', ERROR_CODES.NETWORK_ERROR),
+            setSpeakerRole: (speakerId, role) => run(() => this.setSpeakerRole(speakerId, role),
+                'Failed to assign speaker role', ERROR_CODES.VALIDATION_ERROR),
+            removePersonalTerm: (term) => run(() => this.removePersonalTerm(term),
+                'Failed to remove personal term', ERROR_CODES.NETWORK_ERROR),
+            confirmReview: (chunkId, text) => run(() => this.confirmReview(chunkId, text),
+                'Failed to confirm low-confidence review', ERROR_CODES.NETWORK_ERROR)
+        };
     }
 
     /**
@@ -1386,16 +4916,61 @@ class AzureSpeechService {
         return `chunk_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    _extractConfidence(confidenceJson) {
-        if (!confidenceJson) return null;
+    /**
+     * Extrai do JSON detalhado a confiança, os tempos por palavra e as alternativas N-best
+     * @private
+     * @param {string} resultJson - SpeechServiceResponse_JsonResult
+     * @param {number} [baseOffsetMs] - Início do reconhecedor na linha do tempo da sessão
+     * @returns {{confidence: ?number, words: Array<Object>, alternatives: Array<{text: string, confidence: number}>}}
+     */
+    _extractRecognitionDetails(resultJson, baseOffsetMs) {
+        const details = { confidence: null, words: [], alternatives: [] };
+        if (!resultJson) return details;
         
         try {
-            const parsed = JSON.parse(confidenceJson);
-            return parsed.NBest?.[0]?.Confidence || null;
+            const parsed = JSON.parse(resultJson);
+            const [best, ...others] = parsed.NBest || [];
+            if (!best) return details;
+
+            details.confidence = best.Confidence || null;
+
+            details.words = (best.Words || []).map(word => ({
+                word: word.Word,
+                offsetMs: this._ticksToSessionMs(word.Offset, baseOffsetMs),
+                durationMs: Math.round((word.Duration || 0) / CONFIG.TICKS_PER_MS),
+                confidence: typeof word.Confidence === 'number' ? word.Confidence : null
+            }));
+
+            const bestText = this._sanitizeText(best.Display);
+            const seen = new Set([bestText]);
+            details.alternatives = others
+                .map(alternative => ({
+                    text: this._sanitizeText(alternative.Display || alternative.Lexical),
+                    confidence: alternative.Confidence || 0
+                }))
+                .filter(alternative => {
+                    if (!alternative.text || seen.has(alternative.text)) return false;
+                    seen.add(alternative.text);
+                    return true;
+                })
+                .slice(0, CONFIG.MAX_ALTERNATIVES);
+
         } catch (error) {
-            this._log('warn', 'Failed to parse confidence data:', error);
-            return null;
+            this._log('warn', 'Failed to parse recognition details:', error);
         }
+
+        return details;
+    }
+
+    /**
+     * Converte um offset do SDK (ticks do reconhecedor atual) em ms desde o início da sessão
+     * @private
+     * @param {number} ticks
+     * @param {number} [baseOffsetMs] - Início do reconhecedor; padrão: o reconhecedor ao vivo
+     */
+    _ticksToSessionMs(ticks, baseOffsetMs = this._recognitionOffsetMs) {
+        if (typeof ticks !== 'number') return null;
+        return baseOffsetMs + Math.round(ticks / CONFIG.TICKS_PER_MS);
     }
 
     _updateStats(chunk) {
@@ -1412,16 +4987,23 @@ class AzureSpeechService {
         return text.trim().replace(/\s+/g, ' ');
     }
 
-    _sanitizeHtml(text) {
-        if (typeof text !== 'string') return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
+    /**
+     * Forma escrita do ditado ("500 mg de 8/8h"); sem normalizador o texto segue como ditado
+     * @private
+     * @param {string} text - Texto já sanitizado
+     * @returns {{text: string, changes: Array<Object>}}
+     */
+    _normalizeText(text) {
+        if (!this._normalizer) {
+            return { text, changes: [] };
+        }
 
-    _truncateText(text, maxLength) {
-        if (!text || text.length <= maxLength) return text;
-        return text.substring(0, maxLength) + '...';
+        try {
+            return this._normalizer.normalize(text);
+        } catch (error) {
+            this._log('warn', 'Clinical normalization failed, keeping dictated text:', error);
+            return { text, changes: [] };
+        }
     }
 
     _validateSessionId(sessionId) {
@@ -1500,20 +5082,7 @@ class AzureSpeechService {
      */
     _showNotification(message, type = 'info') {
         try {
-            // Usar toast do Bootstrap se disponível
-            const toastElement = document.getElementById('notification-toast');
-            const messageElement = document.getElementById('toast-message');
-            
-            if (toastElement && messageElement && typeof bootstrap !== 'undefined') {
-                messageElement.textContent = message;
-                toastElement.className = `toast text-bg-${type}`;
-                
-                const toast = new bootstrap.Toast(toastElement);
-                toast.show();
-            } else {
-                // Fallback para console
-                console.log(`[${type.toUpperCase()}] ${message}`);
-            }
+            this._renderer.showNotification(message, type);
         } catch (error) {
             console.error('Failed to show notification:', error);
         }
@@ -1601,42 +5170,25 @@ class AzureSpeechService {
     _cleanup() {
         try {
             // Limpar Speech SDK
-            if (this._speechRecognizer) {
-                this._speechRecognizer.close();
-                this._speechRecognizer = null;
-            }
+            this._closeRecognizer();
+            this._discardTokenOutage();
 
-            if (this._speechConfig) {
-                this._speechConfig.close();
-                this._speechConfig = null;
+            if (this._catchUp) {
+                this._catchUp.finish('aborted');
             }
 
-            if (this._audioConfig) {
-                this._audioConfig.close();
-                this._audioConfig = null;
+            if (this._audioSource) {
+                this._audioSource.close();
+                this._audioSource = null;
             }
 
-            // Limpar recursos de áudio
-            if (this._mediaStream) {
-                this._mediaStream.getTracks().forEach(track => track.stop());
-                this._mediaStream = null;
+            // Encerramento por erro: o segmento em gravação ainda é guardado
+            if (this._archivingAudio) {
+                this._stopAudioArchive().catch(error => this._log('warn', 'Failed to stop audio archive:', error));
             }
 
-            this._audioNodes.forEach(node => {
-                try {
-                    if (node.disconnect) node.disconnect();
-                } catch (e) {
-                    // Ignorar erros de desconexão
-                }
-            });
-            this._audioNodes = [];
-
-            if (this._audioContext && this._audioContext.state !== 'closed') {
-                this._audioContext.close().catch(() => {
-                    // Ignorar erros de fechamento
-                });
-                this._audioContext = null;
-            }
+            // Limpar recursos de áudio
+            this._releaseMicrophone();
 
             // Limpar timers
             this._timers.forEach(timer => clearTimeout(timer));
@@ -1661,18 +5213,78 @@ class AzureSpeechService {
         }
     }
 
+    /**
+     * Fecha reconhecedor e configurações do Speech SDK
+     * @private
+     */
+    _closeRecognizer() {
+        if (this._speechRecognizer) {
+            this._speechRecognizer.close();
+            this._speechRecognizer = null;
+        }
+
+        if (this._speechConfig) {
+            this._speechConfig.close();
+            this._speechConfig = null;
+        }
+
+        if (this._audioConfig) {
+            this._audioConfig.close();
+            this._audioConfig = null;
+        }
+
+        this._phraseListGrammar = null;
+    }
+
+    /**
+     * Libera o microfone e o audio context de monitoramento
+     * @private
+     */
+    _releaseMicrophone() {
+        if (this._qualityMonitor) {
+            this._qualityMonitor.stop();
+            this._qualityMonitor = null;
+        }
+        this._levelHistory = [];
+        this._setAudioQualityWidgetVisible(false);
+        this._outageCaptureNodes = [];
+
+        if (this._mediaStream) {
+            this._mediaStream.getTracks().forEach(track => track.stop());
+            this._mediaStream = null;
+        }
+
+        this._audioNodes.forEach(node => {
+            try {
+                if (node.disconnect) node.disconnect();
+            } catch (e) {
+                // Ignorar erros de desconexão
+            }
+        });
+        this._audioNodes = [];
+
+        if (this._audioContext && this._audioContext.state !== 'closed') {
+            this._audioContext.close().catch(() => {
+                // Ignorar erros de fechamento
+            });
+            this._audioContext = null;
+        }
+    }
+
     /**
      * Dispose completo
      * @public
      */
-    dispose() {
+    dispose({ preserveSession = false } = {}) {
         if (this._isDisposed) return;
 
         this._log('info', 'Disposing Azure Speech Service...');
 
         try {
-            // Parar recording se ativo
-            if (this._isRecording) {
+            // Ao sair da página a sessão não é encerrada no hub: o estado salvo permite retomá-la
+            if (preserveSession) {
+                this._persistSessionSnapshot();
+            } else if (this._isRecording || this._state === SERVICE_STATES.PAUSED) {
                 this.stopRecording().catch(() => {
                     // Ignorar erros durante dispose
                 });
@@ -1698,11 +5310,37 @@ class AzureSpeechService {
             // Limpar tarefas do worker
             this._workerTasks.clear();
 
-            // Limpar eventos
-            this._events.clear();
+            // Chunks pendentes continuam no IndexedDB para a próxima sessão
+            this._deliveredChunkIds.clear();
+            this._chunkAcks.reset();
+
+            this._speakers.clear();
+            this._sessionChunks.clear();
+            this._clearReviewItems();
+            this._sessionAudio.clear();
+            this._audioArchive?.dispose();
+
+            this.stopAudioDevicePreview();
+
+            if (this._deviceChangeHandler) {
+                this._navigator.mediaDevices?.removeEventListener('devicechange', this._deviceChangeHandler);
+                this._deviceChangeHandler = null;
+            }
+            clearTimeout(this._deviceChangeTimer);
+
+            if (this._feedbackAudioContext) {
+                this._feedbackAudioContext.close().catch(() => {
+                    // Contexto já fechado
+                });
+                this._feedbackAudioContext = null;
+            }
 
-            this._state = SERVICE_STATES.DISPOSED;
+            // Último state-changed antes de remover os listeners
+            this._transitionTo(SERVICE_STATES.DISPOSED, 'disposed');
             this._isDisposed = true;
+
+            // Limpar eventos
+            this._events.clear();
             this._currentSessionId = null;
 
             this._log('info', 'Azure Speech Service disposed');
@@ -1723,8 +5361,18 @@ class AzureSpeechService {
             duration: this._stats.startTime ? 
                 (new Date() - this._stats.startTime) / 1000 : 0,
             isRecording: this._isRecording,
+            isPaused: this._state === SERVICE_STATES.PAUSED,
             state: this._state,
             hasToken: !!this._token,
+            tokenRefreshFailures: this._tokenRefreshFailures,
+            bufferedAudioMs: this._tokenOutage ? Math.round(this._tokenOutage.bytes / this._pcmBytesPerMs()) : 0,
+            pendingSync: this._pendingSyncCount,
+            unacknowledgedChunks: this._chunkAcks.pendingCount,
+            pendingReviews: this._reviewItems.size,
+            redFlags: this._redFlagAlerts.size,
+            archivingAudio: this._archivingAudio,
+            pendingAudioSegments: this._audioArchiveProgress.pendingSegments,
+            audioQualityIssues: this._qualityMonitor?.activeIssues || [],
             signalRConnected: this._signalRConnection?.state === signalR?.HubConnectionState?.Connected
         };
     }
@@ -1747,6 +5395,15 @@ class AzureSpeechService {
         return this._isRecording;
     }
 
+    /**
+     * Getter para status de pausa
+     * @public
+     * @returns {boolean}
+     */
+    get isPaused() {
+        return this._state === SERVICE_STATES.PAUSED;
+    }
+
     /**
      * Getter para session ID atual
      * @public
@@ -1757,50 +5414,172 @@ class AzureSpeechService {
     }
 }
 
-// Registrar classe globalmente
-window.AzureSpeechService = AzureSpeechService;
+// Registrar classe globalmente; no Node as classes ficam no escopo do script
+if (typeof window !== 'undefined') {
+    window.AzureSpeechService = AzureSpeechService;
+    window.SERVICE_STATES = SERVICE_STATES;
+    window.SPEAKER_ROLES = SPEAKER_ROLES;
+    window.AudioInputSource = AudioInputSource;
+    window.AUDIO_SOURCE_TYPES = AUDIO_SOURCE_TYPES;
+    window.VOICE_COMMAND_ACTIONS = VOICE_COMMAND_ACTIONS;
+    window.AUDIO_QUALITY_ISSUES = AUDIO_QUALITY_ISSUES;
+}
 
 // Instância global para compatibilidade
 let globalSpeechService = null;
 
-// Auto-inicialização quando DOM estiver pronto
-document.addEventListener('DOMContentLoaded', function() {
-    try {
-        // Validar credenciais e endpoint
-        const speechConfig = {
-            subscriptionKey: window.azureSpeechKey || null,
-            region: window.azureSpeechRegion || null
-        };
+// Auto-inicialização quando DOM estiver pronto; fora do navegador o serviço é criado por quem o usa
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        try {
+            // Validar credenciais e endpoint
+            const speechConfig = {
+                subscriptionKey: window.azureSpeechKey || null,
+                region: window.azureSpeechRegion || null
+            };
 
-        if (!speechConfig.subscriptionKey || !speechConfig.region) {
-            throw new Error('Credenciais do Azure Speech Service estão ausentes ou inválidas.');
-        }
+            if (!speechConfig.subscriptionKey || !speechConfig.region) {
+                throw new Error('Credenciais do Azure Speech Service estão ausentes ou inválidas.');
+            }
 
-        globalSpeechService = new AzureSpeechService({
-            enableLogging: false, // Logging disabled for production
-            subscriptionKey: speechConfig.subscriptionKey,
-            region: speechConfig.region
-        });
+            globalSpeechService = new AzureSpeechService({
+                enableLogging: false, // Logging disabled for production
+                subscriptionKey: speechConfig.subscriptionKey,
+                region: speechConfig.region
+            });
+        
+            // Disponibilizar globalmente
+            window.speechService = globalSpeechService;
         
-        // Disponibilizar globalmente
-        window.speechService = globalSpeechService;
+            // Sessão interrompida por recarga da página ou falha do navegador
+            showInterruptedSessionBanner(globalSpeechService.getInterruptedSession());
         
-        console.log('Azure Speech Service initialized and ready');
+            console.log('Azure Speech Service initialized and ready');
         
-    } catch (error) {
-        console.error('Failed to initialize Azure Speech Service:', error);
+        } catch (error) {
+            console.error('Failed to initialize Azure Speech Service:', error);
         
-        // Mostrar erro detalhado para o usuário
-        const errorMsg = `Falha ao inicializar sistema de transcrição: ${error.message}`;
-        setTimeout(() => {
-            alert(errorMsg);
-        }, 1000);
+            // Mostrar erro detalhado para o usuário
+            const errorMsg = `Falha ao inicializar sistema de transcrição: ${error.message}`;
+            setTimeout(() => {
+                alert(errorMsg);
+            }, 1000);
+        }
+    });
+}
+
+// Oferece retomar a sessão interrompida
+function showInterruptedSessionBanner(snapshot) {
+    const banner = document.getElementById('resumeSessionBanner');
+    if (!banner || !snapshot) return;
+
+    const details = document.getElementById('resumeSessionDetails');
+    if (details) {
+        const savedAt = new Date(snapshot.savedAt).toLocaleTimeString();
+        details.textContent = `${snapshot.sessionId} · ${snapshot.patientName || 'Paciente Anônimo'} · ${snapshot.lastSequenceNumber + 1} frases · salva às ${savedAt}`;
     }
-});
 
-// Cleanup automático na saída
-window.addEventListener('beforeunload', function() {
-    if (globalSpeechService && !globalSpeechService._isDisposed) {
-        globalSpeechService.dispose();
+    banner.classList.remove('d-none');
+}
+
+function resumeInterruptedSession() {
+    document.getElementById('resumeSessionBanner')?.classList.add('d-none');
+    globalSpeechService?.resumeInterruptedSession()
+        .catch(error => console.error('Failed to resume interrupted session:', error));
+}
+
+function discardInterruptedSession() {
+    document.getElementById('resumeSessionBanner')?.classList.add('d-none');
+    globalSpeechService?.discardInterruptedSession();
+}
+
+// Pausa/retomada da gravação (botões da navbar)
+function pauseSession() {
+    globalSpeechService?.pause().catch(error => console.error('Failed to pause session:', error));
+}
+
+function resumeSession() {
+    globalSpeechService?.resume().catch(error => console.error('Failed to resume session:', error));
+}
+
+// Seletor de microfone
+function selectAudioInputDevice(select) {
+    globalSpeechService?.selectAudioInputDevice(select.value)
+        .catch(error => console.error('Failed to select microphone:', error));
+}
+
+// Liga/desliga os medidores de nível de todos os microfones
+function toggleAudioDevicePreview() {
+    const container = document.getElementById('audioDevicePreview');
+    if (!globalSpeechService || !container) return;
+
+    if (!container.classList.contains('d-none')) {
+        globalSpeechService.stopAudioDevicePreview();
+        container.classList.add('d-none');
+        return;
     }
-});
+
+    container.classList.remove('d-none');
+    globalSpeechService.startAudioDevicePreview()
+        .catch(error => {
+            container.classList.add('d-none');
+            console.error('Failed to preview microphones:', error);
+        });
+}
+
+// Adiciona o termo digitado no painel de vocabulário
+function addPersonalTerm() {
+    const input = document.getElementById('personalTermInput');
+    const term = input?.value.trim();
+    if (!term || !globalSpeechService) return;
+
+    globalSpeechService.addPersonalTerm(term)
+        .then(() => {
+            input.value = '';
+        })
+        .catch(error => console.error('Failed to add personal term:', error));
+}
+
+// Reprocessa uma gravação (WAV/WebM) pelo mesmo pipeline da transcrição ao vivo
+function replayAudioFile(input) {
+    const file = input?.files?.[0];
+    if (!file || !globalSpeechService) return;
+
+    const sessionId = document.getElementById('sessionId')?.value || `SESS-${Date.now()}`;
+    const audioSource = new AudioInputSource({ type: AUDIO_SOURCE_TYPES.FILE, file });
+
+    globalSpeechService.startContinuousRecognition(sessionId, { audioSource })
+        .catch(error => console.error('Failed to replay audio file:', error))
+        .finally(() => {
+            input.value = '';
+        });
+}
+
+// Reprodução da sessão encerrada com a transcrição sincronizada
+let sessionPlayback = null;
+
+function openSessionPlayback() {
+    // Sessões transcritas pelo Whisper também podem ser ouvidas
+    const source = globalSpeechService?.currentSessionId ? globalSpeechService : window.whisperService;
+    if (!source?.getPlaybackSource) return;
+
+    source.getPlaybackSource()
+        .then(playback => {
+            if (!sessionPlayback) {
+                sessionPlayback = new SessionPlayback();
+                // Uma nova gravação substitui a transcrição em reprodução
+                globalSpeechService?.on('recognition-started', () => sessionPlayback.unload());
+            }
+            sessionPlayback.load(playback);
+        })
+        .catch(error => console.error('Failed to open session playback:', error));
+}
+
+// Cleanup automático na saída; uma sessão em andamento fica salva para ser retomada
+if (typeof document !== 'undefined') {
+    window.addEventListener('beforeunload', function() {
+        if (globalSpeechService && !globalSpeechService._isDisposed) {
+            globalSpeechService.dispose({ preserveSession: true });
+        }
+    });
+}
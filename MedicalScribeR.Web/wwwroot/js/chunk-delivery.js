@@ -0,0 +1,283 @@
+/**
+ * Confirmação de entrega de chunks de transcrição ao MedicalHub para MedicalScribeR
+ * O hub grava cada chunk antes de responder "TranscriptionChunkAck" (ecoa id e sequenceNumber)
+ * e avisa com "TranscriptionGapDetected" quando faltam números de sequência na sessão.
+ * Chunks enviados ficam guardados até a confirmação e são reenviados, com o mesmo id,
+ * até o hub confirmar; o hub ignora reenvios de chunks já gravados.
+ *
+ * Usado por AzureSpeechService, WhisperTranscriptionService e MedicalTranscription.
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * Situação informada pelo hub no ack
+ * @readonly
+ * @enum {string}
+ */
+const CHUNK_ACK_STATUS = Object.freeze({
+    PERSISTED: 'persisted',
+    DUPLICATE: 'duplicate',
+    REJECTED: 'rejected'
+});
+
+const CHUNK_DELIVERY_CONFIG = Object.freeze({
+    ACK_TIMEOUT_MS: 10000,
+    RETRY_INTERVALS_MS: [2000, 5000, 15000, 30000]
+});
+
+/**
+ * Acompanha os chunks enviados ao hub até o ack e atende os pedidos de lacuna.
+ * Numeração de sequência é por sessão, começando em 0; chame reset() ao iniciar outra sessão.
+ */
+class ChunkAckTracker {
+    /**
+     * @param {Object} options
+     * @param {function(Object): Promise<void>} options.send - Envia o chunk ao hub; rejeita se não foi enviado
+     * @param {function(Array<number>): Promise<void>} [options.reportUnrecoverable] - Declara ao hub
+     *        números de sequência que não serão reenviados
+     * @param {function(number): ?Object} [options.lookup] - Procura na sessão um chunk ainda não enviado
+     *        por este rastreador (ex.: na fila offline ou restaurado após recarregar a página)
+     * @param {function(string, Object): void} [options.onEvent] - Recebe 'chunk-acknowledged', 'chunk-ack-timeout',
+     *        'chunk-rejected', 'gap-detected' e 'chunks-unrecoverable'
+     * @param {number} [options.ackTimeoutMs]
+     * @param {Array<number>} [options.retryIntervalsMs]
+     */
+    constructor(options = {}) {
+        if (typeof options.send !== 'function') {
+            throw new Error('ChunkAckTracker requires a send function');
+        }
+
+        this._send = options.send;
+        this._reportUnrecoverable = options.reportUnrecoverable || null;
+        this._lookup = options.lookup || (() => null);
+        this._onEvent = options.onEvent || (() => {});
+        this._ackTimeoutMs = options.ackTimeoutMs || CHUNK_DELIVERY_CONFIG.ACK_TIMEOUT_MS;
+        this._retryIntervalsMs = options.retryIntervalsMs || CHUNK_DELIVERY_CONFIG.RETRY_INTERVALS_MS;
+
+        // id -> { chunk, attempts, timer } dos chunks aguardando ack
+        this._pending = new Map();
+        // sequenceNumber -> chunk de tudo o que foi entregue na sessão, para preencher lacunas
+        this._sent = new Map();
+        // Números descartados de propósito (ex.: "apagar última frase" antes do envio)
+        this._skipped = new Set();
+    }
+
+    /**
+     * Envia o chunk e aguarda o ack; falhas de envio ficam para a próxima tentativa
+     * @param {Object} chunk - Precisa de id e sequenceNumber
+     * @returns {Promise<boolean>} Se o envio (não o ack) foi feito agora
+     */
+    async deliver(chunk) {
+        this.track(chunk);
+
+        try {
+            await this._send(chunk);
+            return true;
+        } catch (error) {
+            console.warn('Chunk send failed, will retry:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Registra um chunk para aguardar o ack quando o envio é feito por outro caminho (ex.: fila offline)
+     * @param {Object} chunk
+     */
+    track(chunk) {
+        this._sent.set(chunk.sequenceNumber, chunk);
+
+        const entry = this._pending.get(chunk.id) || { chunk, attempts: 0, timer: null };
+        entry.chunk = chunk;
+        this._pending.set(chunk.id, entry);
+        this._scheduleRetry(entry, this._ackTimeoutMs);
+    }
+
+    /**
+     * Trata "TranscriptionChunkAck". O ack só vale se ecoar o sequenceNumber enviado.
+     * @param {Object} data - { SessionId, ChunkId, SequenceNumber, Status }
+     * @returns {?Object} Chunk confirmado
+     */
+    handleAck(data) {
+        const entry = this._pending.get(data?.ChunkId);
+        if (!entry) return null;
+
+        if (entry.chunk.sequenceNumber !== data.SequenceNumber) {
+            console.warn(`Ack for chunk ${data.ChunkId} echoed sequence ${data.SequenceNumber}, expected ${entry.chunk.sequenceNumber}`);
+            return null;
+        }
+
+        this._settle(entry);
+
+        if (data.Status === CHUNK_ACK_STATUS.REJECTED) {
+            this._sent.delete(entry.chunk.sequenceNumber);
+            this._skipped.add(entry.chunk.sequenceNumber);
+            this._onEvent('chunk-rejected', { chunk: entry.chunk });
+        } else {
+            this._onEvent('chunk-acknowledged', { chunk: entry.chunk, duplicate: data.Status === CHUNK_ACK_STATUS.DUPLICATE });
+        }
+
+        return entry.chunk;
+    }
+
+    /**
+     * Trata "TranscriptionGapDetected": reenvia o que ainda existe localmente e declara ao hub o que não existe
+     * @param {Object} data - { SessionId, MissingSequenceNumbers }
+     * @returns {Promise<{resent: Array<number>, unrecoverable: Array<number>}>}
+     */
+    async handleGap(data) {
+        const missing = Array.isArray(data?.MissingSequenceNumbers) ? data.MissingSequenceNumbers : [];
+        const resent = [];
+        const skipped = [];
+        const lost = [];
+
+        for (const sequenceNumber of missing) {
+            const chunk = this._sent.get(sequenceNumber) || this._lookup(sequenceNumber);
+
+            if (chunk) {
+                resent.push(sequenceNumber);
+                this.track(chunk);
+                await this._resend(this._pending.get(chunk.id));
+            } else if (this._skipped.has(sequenceNumber)) {
+                skipped.push(sequenceNumber);
+            } else {
+                lost.push(sequenceNumber);
+            }
+        }
+
+        this._onEvent('gap-detected', { missing, resent });
+
+        if (lost.length > 0) {
+            this._onEvent('chunks-unrecoverable', { sequenceNumbers: lost });
+        }
+
+        const unrecoverable = [...skipped, ...lost];
+        if (unrecoverable.length > 0 && this._reportUnrecoverable) {
+            try {
+                await this._reportUnrecoverable(unrecoverable);
+            } catch (error) {
+                console.warn('Failed to report unrecoverable chunks:', error);
+            }
+        }
+
+        return { resent, unrecoverable };
+    }
+
+    /**
+     * Marca um número de sequência como descartado de propósito (não é lacuna)
+     * @param {number} sequenceNumber
+     */
+    skip(sequenceNumber) {
+        this._skipped.add(sequenceNumber);
+
+        const chunk = this._sent.get(sequenceNumber);
+        if (chunk) {
+            this.forget(chunk.id);
+        }
+    }
+
+    /**
+     * Deixa de acompanhar um chunk removido da sessão
+     * @param {string} chunkId
+     */
+    forget(chunkId) {
+        const entry = this._pending.get(chunkId);
+        if (entry) {
+            this._settle(entry);
+        }
+
+        for (const [sequenceNumber, chunk] of this._sent) {
+            if (chunk.id === chunkId) {
+                this._sent.delete(sequenceNumber);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Reenvia agora, em ordem, os chunks sem ack (ex.: após reconectar)
+     * @returns {Promise<void>}
+     */
+    async retryPending() {
+        for (const chunk of this.getPending()) {
+            await this._resend(this._pending.get(chunk.id));
+        }
+    }
+
+    /**
+     * @param {string} chunkId
+     * @returns {boolean}
+     */
+    isPending(chunkId) {
+        return this._pending.has(chunkId);
+    }
+
+    /**
+     * @returns {Array<Object>} Chunks enviados ainda sem ack, em ordem de sequência
+     */
+    getPending() {
+        return Array.from(this._pending.values())
+            .map(entry => entry.chunk)
+            .sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+    }
+
+    /**
+     * @returns {number} Chunks enviados ainda sem ack
+     */
+    get pendingCount() {
+        return this._pending.size;
+    }
+
+    /**
+     * Esquece a sessão atual (chunks, pendências e descartes)
+     */
+    reset() {
+        this._pending.forEach(entry => clearTimeout(entry.timer));
+        this._pending.clear();
+        this._sent.clear();
+        this._skipped.clear();
+    }
+
+    _settle(entry) {
+        clearTimeout(entry.timer);
+        this._pending.delete(entry.chunk.id);
+    }
+
+    _scheduleRetry(entry, delayMs) {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            this._onEvent('chunk-ack-timeout', { chunk: entry.chunk, attempts: entry.attempts });
+            this._resend(entry);
+        }, delayMs);
+    }
+
+    async _resend(entry) {
+        if (!entry || !this._pending.has(entry.chunk.id)) return;
+
+        entry.attempts++;
+
+        // Enviado: aguardar o ack; sem conexão: tentar de novo com intervalo crescente
+        let delayMs = this._ackTimeoutMs;
+        try {
+            await this._send(entry.chunk);
+        } catch (error) {
+            console.warn(`Chunk ${entry.chunk.sequenceNumber} resend failed (attempt ${entry.attempts}):`, error);
+            delayMs = this._retryIntervalsMs[Math.min(entry.attempts - 1, this._retryIntervalsMs.length - 1)];
+        }
+
+        // O ack pode ter chegado durante o envio
+        if (this._pending.get(entry.chunk.id) === entry) {
+            this._scheduleRetry(entry, delayMs);
+        }
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.ChunkAckTracker = ChunkAckTracker;
+    window.CHUNK_ACK_STATUS = CHUNK_ACK_STATUS;
+}
@@ -0,0 +1,486 @@
+/**
+ * Normalização do ditado clínico (pt-BR) para MedicalScribeR
+ * Converte números por extenso, doses, unidades, posologia, sinais vitais e datas
+ * para a forma escrita usada em prontuário ("quinhentos miligramas de oito em oito horas"
+ * vira "500 mg de 8/8h"). O texto ditado não é descartado: quem chama guarda os dois.
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * Tipos de normalização registrados para auditoria
+ * @readonly
+ * @enum {string}
+ */
+const NORMALIZATION_TYPES = Object.freeze({
+    NUMBER: 'number',
+    DOSE: 'dose',
+    FREQUENCY: 'frequency',
+    BLOOD_PRESSURE: 'blood-pressure',
+    TEMPERATURE: 'temperature',
+    WEIGHT: 'weight',
+    VITAL_SIGN: 'vital-sign',
+    DATE: 'date'
+});
+
+const NUMBER_WORDS = Object.freeze({
+    'zero': 0, 'um': 1, 'uma': 1, 'dois': 2, 'duas': 2, 'três': 3, 'tres': 3, 'quatro': 4,
+    'cinco': 5, 'seis': 6, 'sete': 7, 'oito': 8, 'nove': 9, 'dez': 10, 'onze': 11, 'doze': 12,
+    'treze': 13, 'catorze': 14, 'quatorze': 14, 'quinze': 15, 'dezesseis': 16, 'dezessete': 17,
+    'dezoito': 18, 'dezenove': 19, 'vinte': 20, 'trinta': 30, 'quarenta': 40, 'cinquenta': 50,
+    'sessenta': 60, 'setenta': 70, 'oitenta': 80, 'noventa': 90, 'cem': 100, 'cento': 100,
+    'duzentos': 200, 'duzentas': 200, 'trezentos': 300, 'trezentas': 300, 'quatrocentos': 400,
+    'quatrocentas': 400, 'quinhentos': 500, 'quinhentas': 500, 'seiscentos': 600, 'seiscentas': 600,
+    'setecentos': 700, 'setecentas': 700, 'oitocentos': 800, 'oitocentas': 800, 'novecentos': 900,
+    'novecentas': 900, 'mil': 1000
+});
+
+// "um", "uma", "dois" e "duas" também são artigos e pronomes ("um paciente", "os dois");
+// sozinhos só viram algarismo antes de uma palavra de contagem ou de "por"/"em"/"vírgula"
+const AMBIGUOUS_NUMBER_WORDS = new Set(['um', 'uma', 'dois', 'duas']);
+const NUMBER_CONTEXT_WORDS = new Set(['em', 'por', 'vírgula', 'virgula']);
+const COUNTED_WORDS = new Set([
+    'comprimido', 'comprimidos', 'cápsula', 'cápsulas', 'gota', 'gotas', 'ampola', 'ampolas',
+    'sachê', 'sachês', 'jato', 'jatos', 'puff', 'puffs', 'dose', 'doses', 'vez', 'vezes',
+    'dia', 'dias', 'semana', 'semanas', 'mês', 'meses', 'ano', 'anos', 'hora', 'horas',
+    'minuto', 'minutos', 'miligrama', 'miligramas', 'micrograma', 'microgramas', 'grama', 'gramas',
+    'quilo', 'quilos', 'quilograma', 'quilogramas', 'mililitro', 'mililitros', 'litro', 'litros',
+    'metro', 'metros', 'centímetro', 'centímetros', 'grau', 'graus', 'unidade', 'unidades'
+]);
+
+// Sequência de dígitos ditados um a um ("um dois três quatro") a partir deste tamanho vira "1234"
+const MIN_DIGIT_RUN = 3;
+
+const MONTHS = Object.freeze({
+    'janeiro': 1, 'fevereiro': 2, 'março': 3, 'marco': 3, 'abril': 4, 'maio': 5, 'junho': 6,
+    'julho': 7, 'agosto': 8, 'setembro': 9, 'outubro': 10, 'novembro': 11, 'dezembro': 12
+});
+
+// Unidades depois de um número; compostas antes das simples
+const UNIT_RULES = Object.freeze([
+    { pattern: '(?:miligramas?|mg) por (?:quilo(?:grama)?s?|kg)', unit: 'mg/kg' },
+    { pattern: '(?:miligramas?|mg) por (?:mililitros?|ml)', unit: 'mg/mL' },
+    { pattern: 'mil[ií]metros? de merc[úu]rio', unit: 'mmHg' },
+    { pattern: 'batimentos? por minuto', unit: 'bpm' },
+    { pattern: '(?:incurs[õo]es|respira[çc][õo]es|movimentos respirat[óo]rios) por minuto', unit: 'irpm' },
+    { pattern: 'unidades internacionais', unit: 'UI' },
+    { pattern: 'graus(?: cent[íi]grados| celsius)?', unit: '°C' },
+    { pattern: 'por cento', unit: '%' },
+    { pattern: 'miligramas?|mg', unit: 'mg' },
+    { pattern: 'microgramas?|mcg', unit: 'mcg' },
+    { pattern: 'quilogramas?|quilos?|kg', unit: 'kg' },
+    { pattern: 'gramas?', unit: 'g' },
+    { pattern: 'mililitros?|ml', unit: 'mL' },
+    { pattern: 'litros?', unit: 'L' },
+    { pattern: 'cent[íi]metros?|cm', unit: 'cm' }
+]);
+
+// Limites de palavra que reconhecem letras acentuadas (\b não reconhece)
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+const NUMBER = '\\d+(?:,\\d+)?';
+const VERB_GAP = '(?:\\s+(?:de|é|era|está|estava|foi|em|com))?';
+
+/**
+ * Normalizador do ditado clínico. Sem estado: a mesma instância atende todas as sessões.
+ */
+class ClinicalTextNormalizer {
+    /**
+     * Normaliza o texto reconhecido
+     * @public
+     * @param {string} text - Texto ditado (já sem espaços duplicados)
+     * @returns {{text: string, changes: Array<{type: string, original: string, normalized: string}>}}
+     */
+    normalize(text) {
+        const changes = [];
+        if (typeof text !== 'string' || text.length === 0) {
+            return { text: text || '', changes };
+        }
+
+        let result = this._convertNumberWords(text, changes);
+        result = this._normalizeDates(result, changes);
+        result = this._normalizeBloodPressure(result, changes);
+        result = this._normalizeFrequencies(result, changes);
+        result = this._normalizeCompoundMeasures(result, changes);
+        result = this._normalizeUnits(result, changes);
+        result = this._normalizeVitalSigns(result, changes);
+
+        return { text: result, changes };
+    }
+
+    /**
+     * Troca números por extenso por algarismos ("cento e vinte e cinco" → "125",
+     * "trinta e sete vírgula cinco" → "37,5", "meio comprimido" → "1/2 comprimido")
+     * @private
+     */
+    _convertNumberWords(text, changes) {
+        const tokens = Array.from(text.matchAll(/[\p{L}\p{N}]+(?:[.,]\d+)?/gu));
+        const replacements = [];
+
+        let index = 0;
+        while (index < tokens.length) {
+            // "por cento" é unidade, não o número 100
+            if (this._wordAt(tokens, index) === 'cento' && this._wordAt(tokens, index - 1) === 'por') {
+                index++;
+                continue;
+            }
+
+            const digitRun = this._digitRunAt(tokens, index, text);
+            if (digitRun) {
+                const last = tokens[digitRun.end - 1];
+                replacements.push({ start: tokens[index].index, end: last.index + last[0].length, value: digitRun.value });
+                index = digitRun.end;
+                continue;
+            }
+
+            const parsed = this._parseNumberAt(tokens, index, text);
+            if (!parsed) {
+                const word = tokens[index][0].toLowerCase();
+                // "dois e meio miligramas" é a parte decimal de "dois" (2,5 mg), não "dois e 1/2 mg"
+                const afterNumber = this._wordAt(tokens, index - 1) === 'e' && this._isNumberWord(this._wordAt(tokens, index - 2));
+                if ((word === 'meio' || word === 'meia') && !afterNumber && COUNTED_WORDS.has(this._wordAt(tokens, index + 1))) {
+                    replacements.push({ start: tokens[index].index, end: tokens[index].index + word.length, value: '1/2' });
+                }
+                index++;
+                continue;
+            }
+
+            const words = parsed.end - index;
+            const first = tokens[index][0].toLowerCase();
+            const ambiguous = words === 1 && AMBIGUOUS_NUMBER_WORDS.has(first);
+            const next = this._wordAt(tokens, parsed.end);
+
+            if (!ambiguous || COUNTED_WORDS.has(next) || NUMBER_CONTEXT_WORDS.has(next)) {
+                const start = tokens[index].index;
+                const last = tokens[parsed.end - 1];
+                replacements.push({ start, end: last.index + last[0].length, value: parsed.value });
+            }
+
+            index = parsed.end;
+        }
+
+        const effective = replacements.filter(replacement => text.slice(replacement.start, replacement.end) !== replacement.value);
+        effective.forEach(replacement => changes.push({
+            type: NORMALIZATION_TYPES.NUMBER,
+            original: text.slice(replacement.start, replacement.end),
+            normalized: replacement.value
+        }));
+
+        // Do fim para o início, para as posições continuarem válidas
+        let result = text;
+        for (const replacement of effective.reverse()) {
+            result = result.slice(0, replacement.start) + replacement.value + result.slice(replacement.end);
+        }
+
+        return result;
+    }
+
+    /**
+     * Lê dígitos ditados um a um, sem "e" entre eles (documentos, telefones)
+     * @private
+     * @returns {?{value: string, end: number}}
+     */
+    _digitRunAt(tokens, start, text) {
+        const digits = [];
+        let cursor = start;
+
+        while (cursor < tokens.length) {
+            const value = NUMBER_WORDS[this._wordAt(tokens, cursor)];
+            if (value === undefined || value > 9 || (cursor > start && !this._adjacent(tokens, cursor, text))) break;
+            digits.push(value);
+            cursor++;
+        }
+
+        return digits.length >= MIN_DIGIT_RUN ? { value: digits.join(''), end: cursor } : null;
+    }
+
+    /**
+     * Lê um número por extenso (ou já em algarismos, seguido de "vírgula"/"e meio") a partir do token
+     * @private
+     * @returns {?{value: string, end: number}} Valor formatado e índice do token seguinte
+     */
+    _parseNumberAt(tokens, start, text) {
+        const integer = this._parseInteger(tokens, start, text);
+        if (!integer) return null;
+
+        let { value, end } = integer;
+        let formatted = String(value);
+
+        // Parte decimal: "vírgula cinco", "vírgula zero cinco", "e meio"
+        if (this._wordAt(tokens, end) === 'vírgula' || this._wordAt(tokens, end) === 'virgula') {
+            const digits = [];
+            let cursor = end + 1;
+            while (cursor < tokens.length) {
+                const word = this._wordAt(tokens, cursor);
+                const digit = /^\d$/.test(word) ? Number(word) : NUMBER_WORDS[word];
+                if (digit === undefined || digit > 9 || (digits.length > 0 && !this._adjacent(tokens, cursor, text))) break;
+                digits.push(digit);
+                cursor++;
+            }
+
+            if (digits.length === 1) {
+                // "vírgula vinte e cinco" também é comum
+                const fraction = this._parseInteger(tokens, end + 1, text);
+                if (fraction && fraction.end > cursor) {
+                    formatted = `${formatted},${fraction.value}`;
+                    end = fraction.end;
+                } else {
+                    formatted = `${formatted},${digits.join('')}`;
+                    end = cursor;
+                }
+            } else if (digits.length > 1) {
+                formatted = `${formatted},${digits.join('')}`;
+                end = cursor;
+            } else {
+                const fraction = this._parseInteger(tokens, end + 1, text);
+                if (fraction) {
+                    formatted = `${formatted},${fraction.value}`;
+                    end = fraction.end;
+                }
+            }
+        } else if (this._wordAt(tokens, end) === 'e' && ['meio', 'meia'].includes(this._wordAt(tokens, end + 1))) {
+            formatted = `${formatted},5`;
+            end += 2;
+        }
+
+        return { value: formatted, end };
+    }
+
+    /**
+     * Lê um inteiro por extenso ("dois mil e vinte e quatro") ou em algarismos
+     * @private
+     * @returns {?{value: number, end: number}}
+     */
+    _parseInteger(tokens, start, text) {
+        const firstWord = this._wordAt(tokens, start);
+        if (/^\d+$/.test(firstWord)) {
+            return { value: Number(firstWord), end: start + 1 };
+        }
+        if (!(firstWord in NUMBER_WORDS)) return null;
+
+        let total = 0;
+        let current = 0;
+        let lastComponent = Infinity;
+        let end = start;
+        let cursor = start;
+
+        while (cursor < tokens.length) {
+            const joinedByE = cursor > start && this._wordAt(tokens, cursor) === 'e';
+            const wordIndex = joinedByE ? cursor + 1 : cursor;
+            const word = this._wordAt(tokens, wordIndex);
+            if (!(word in NUMBER_WORDS)) break;
+            if (cursor > start && !this._adjacent(tokens, cursor, text)) break;
+
+            const value = NUMBER_WORDS[word];
+
+            if (value === 1000) {
+                if (joinedByE) break;
+                total += (current || 1) * 1000;
+                current = 0;
+                lastComponent = 1000;
+            } else {
+                // Só continua o mesmo número se a ordem de grandeza diminuir ("cento e vinte", não "vinte trinta");
+                // sem "e", só depois de "mil" ("mil duzentos") ou de centena ("cento vinte" não existe)
+                const magnitude = value >= 100 ? 100 : value >= 20 ? 10 : 1;
+                const lastMagnitude = lastComponent >= 1000 ? 1000 : lastComponent >= 100 ? 100 : lastComponent >= 20 ? 10 : 1;
+                if (cursor > start) {
+                    if (magnitude >= lastMagnitude) break;
+                    if (!joinedByE && lastComponent !== 1000) break;
+                    if (lastComponent === 100 && word === 'cem') break;
+                }
+                if (word === 'cem' && this._wordAt(tokens, wordIndex + 1) === 'e') break;
+                current += value;
+                lastComponent = value;
+            }
+
+            end = wordIndex + 1;
+            cursor = wordIndex + 1;
+        }
+
+        return { value: total + current, end };
+    }
+
+    /**
+     * Datas ditadas ("quinze de março de 2024" → "15/03/2024")
+     * @private
+     */
+    _normalizeDates(text, changes) {
+        const months = Object.keys(MONTHS).join('|');
+        const pattern = new RegExp(
+            `${WORD_START}(\\d{1,2}|primeiro|1º)\\s+de\\s+(${months})(?:\\s+de\\s+(\\d{4}))?${WORD_END}`, 'giu');
+
+        return this._replace(text, pattern, NORMALIZATION_TYPES.DATE, (match, day, month, year) => {
+            const dayNumber = /^\d+$/.test(day) ? Number(day) : 1;
+            if (dayNumber < 1 || dayNumber > 31) return match;
+
+            const date = `${String(dayNumber).padStart(2, '0')}/${String(MONTHS[month.toLowerCase()]).padStart(2, '0')}`;
+            return year ? `${date}/${year}` : date;
+        }, changes);
+    }
+
+    /**
+     * Pressão arterial ("pressão doze por oito" → "PA 120x80 mmHg"); valores até 30 estão em cmHg
+     * @private
+     */
+    _normalizeBloodPressure(text, changes) {
+        const pattern = new RegExp(
+            `${WORD_START}(?:press[ãa]o(?:\\s+arterial)?|PA)${VERB_GAP}\\s+(${NUMBER})\\s*(?:por|x|/)\\s*(${NUMBER})` +
+            `(?:\\s*(?:mmHg|mil[ií]metros? de merc[úu]rio))?${WORD_END}`, 'giu');
+
+        return this._replace(text, pattern, NORMALIZATION_TYPES.BLOOD_PRESSURE, (match, systolic, diastolic) => {
+            const toMmHg = (value) => {
+                const number = Number(value.replace(',', '.'));
+                return Math.round(number <= 30 ? number * 10 : number);
+            };
+            return `PA ${toMmHg(systolic)}x${toMmHg(diastolic)} mmHg`;
+        }, changes);
+    }
+
+    /**
+     * Posologia ("de 8 em 8 horas" → "de 8/8h", "a cada 12 horas" → "a cada 12h", "3 vezes ao dia" → "3x/dia")
+     * @private
+     */
+    _normalizeFrequencies(text, changes) {
+        let result = this._replace(text,
+            new RegExp(`${WORD_START}de\\s+(\\d+)\\s+em\\s+(\\d+)\\s+horas?${WORD_END}`, 'giu'),
+            NORMALIZATION_TYPES.FREQUENCY,
+            (match, first, second) => first === second ? `de ${first}/${second}h` : match,
+            changes);
+
+        result = this._replace(result,
+            new RegExp(`${WORD_START}a cada\\s+(\\d+)\\s+horas?${WORD_END}`, 'giu'),
+            NORMALIZATION_TYPES.FREQUENCY,
+            (match, hours) => `a cada ${hours}h`,
+            changes);
+
+        return this._replace(result,
+            new RegExp(`${WORD_START}(\\d+|uma)\\s+vez(?:es)?\\s+(?:ao|por)\\s+dia${WORD_END}`, 'giu'),
+            NORMALIZATION_TYPES.FREQUENCY,
+            (match, times) => `${/^\d+$/.test(times) ? times : 1}x/dia`,
+            changes);
+    }
+
+    /**
+     * Medidas em duas partes: "3 quilos e 200" → "3,2 kg", "72 quilos e meio" → "72,5 kg",
+     * "1 metro e 70" → "1,70 m"
+     * @private
+     */
+    _normalizeCompoundMeasures(text, changes) {
+        let result = this._replace(text,
+            new RegExp(`${WORD_START}(\\d+)\\s+(?:quilogramas?|quilos?|kg)\\s+e\\s+(\\d{1,3}|mei[oa])(?:\\s+gramas?)?${WORD_END}`, 'giu'),
+            NORMALIZATION_TYPES.WEIGHT,
+            (match, kilos, grams) => {
+                const decimals = /^mei/i.test(grams)
+                    ? '5'
+                    : String(grams).padStart(3, '0').replace(/0+$/, '');
+                return decimals ? `${kilos},${decimals} kg` : `${kilos} kg`;
+            },
+            changes);
+
+        return this._replace(result,
+            new RegExp(`${WORD_START}(\\d)\\s+metros?\\s+e\\s+(\\d{1,2})(?:\\s+cent[íi]metros?)?${WORD_END}`, 'giu'),
+            NORMALIZATION_TYPES.DOSE,
+            (match, meters, centimeters) => `${meters},${centimeters.padStart(2, '0')} m`,
+            changes);
+    }
+
+    /**
+     * Unidades por extenso depois de um número ("500 miligramas" → "500 mg")
+     * @private
+     */
+    _normalizeUnits(text, changes) {
+        let result = text;
+
+        for (const rule of UNIT_RULES) {
+            const pattern = new RegExp(`${WORD_START}(${NUMBER})\\s*(?:${rule.pattern})${WORD_END}`, 'giu');
+            const type = rule.unit === 'kg' ? NORMALIZATION_TYPES.WEIGHT
+                : rule.unit === '°C' ? NORMALIZATION_TYPES.TEMPERATURE
+                : NORMALIZATION_TYPES.DOSE;
+
+            // Percentual vai colado ao número ("97%")
+            const separator = rule.unit === '%' ? '' : ' ';
+            result = this._replace(result, pattern, type, (match, value) => `${value}${separator}${rule.unit}`, changes);
+        }
+
+        return result;
+    }
+
+    /**
+     * Sinais vitais sem unidade ditada: temperatura, peso, saturação e frequências
+     * @private
+     */
+    _normalizeVitalSigns(text, changes) {
+        const rules = [
+            { cue: 'temperatura(?:\\s+axilar)?|febre', unit: '°C', min: 30, max: 45, type: NORMALIZATION_TYPES.TEMPERATURE },
+            { cue: 'peso|pesando|pesa', unit: 'kg', min: 0.3, max: 400, type: NORMALIZATION_TYPES.WEIGHT },
+            { cue: 'satura[çc][ãa]o(?:\\s+de\\s+oxig[êe]nio)?', unit: '%', min: 50, max: 100, type: NORMALIZATION_TYPES.VITAL_SIGN },
+            { cue: 'frequ[êe]ncia card[íi]aca|FC', unit: 'bpm', min: 20, max: 250, type: NORMALIZATION_TYPES.VITAL_SIGN },
+            { cue: 'frequ[êe]ncia respirat[óo]ria|FR', unit: 'irpm', min: 5, max: 80, type: NORMALIZATION_TYPES.VITAL_SIGN }
+        ];
+
+        let result = text;
+        for (const rule of rules) {
+            // Só acrescenta a unidade quando nenhuma foi ditada
+            const pattern = new RegExp(
+                `${WORD_START}(${rule.cue})${VERB_GAP}\\s+(${NUMBER})(?!\\s*(?:°C|%|kg|g|bpm|irpm|mmHg|mg|mL|L|cm|m)${WORD_END})(?![\\p{L}\\p{N},/x])`,
+                'giu');
+
+            result = this._replace(result, pattern, rule.type, (match, cue, value) => {
+                const number = Number(value.replace(',', '.'));
+                if (number < rule.min || number > rule.max) return match;
+                return rule.unit === '%' ? `${match}%` : `${match} ${rule.unit}`;
+            }, changes);
+        }
+
+        return result;
+    }
+
+    /**
+     * String.replace registrando cada troca efetiva
+     * @private
+     */
+    _replace(text, pattern, type, replacer, changes) {
+        return text.replace(pattern, (...args) => {
+            const original = args[0];
+            const normalized = replacer(...args);
+            if (normalized !== original) {
+                changes.push({ type, original, normalized });
+            }
+            return normalized;
+        });
+    }
+
+    _wordAt(tokens, index) {
+        return index >= 0 && index < tokens.length ? tokens[index][0].toLowerCase() : null;
+    }
+
+    /**
+     * Número por extenso ou em algarismos
+     * @private
+     */
+    _isNumberWord(word) {
+        return word !== null && (/^\d+$/.test(word) || word in NUMBER_WORDS);
+    }
+
+    /**
+     * Tokens separados só por espaço (pontuação interrompe o número)
+     * @private
+     */
+    _adjacent(tokens, index, text) {
+        const previous = tokens[index - 1];
+        const gap = text.slice(previous.index + previous[0].length, tokens[index].index);
+        return /^\s+$/.test(gap);
+    }
+}
+
+// Instância compartilhada (sem estado)
+const clinicalNormalizer = new ClinicalTextNormalizer();
+
+// Exportar para uso global
+window.ClinicalTextNormalizer = ClinicalTextNormalizer;
+window.clinicalNormalizer = clinicalNormalizer;
+window.NORMALIZATION_TYPES = NORMALIZATION_TYPES;
@@ -159,11 +159,17 @@ class HealthBotIntegration {
             if (!this.conversationId) return;
         }
 
+        // O Health Bot nunca recebe identificadores: sem o redator (phi-redaction.js) nada é enviado
+        if (typeof phiRedactor === 'undefined') {
+            console.warn('PHI redaction not loaded, medical context not sent to Health Bot');
+            return;
+        }
+
         try {
             const payload = {
                 conversationId: this.conversationId,
                 sessionId: sessionId,
-                transcriptionText: transcriptionText,
+                transcriptionText: phiRedactor.redactText(transcriptionText, REDACTION_DESTINATIONS.HEALTH_BOT),
                 consultationType: consultationType
             };
 
@@ -181,7 +187,7 @@ class HealthBotIntegration {
                 if (data.messages && data.messages.length > 0) {
                     data.messages.forEach(msg => {
                         if (msg.from === 'bot') {
-                            this.displayMessage(msg.text, 'bot');
+                            this.displayMessage(phiRedactor.restore(msg.text), 'bot');
                         }
                     });
                 }
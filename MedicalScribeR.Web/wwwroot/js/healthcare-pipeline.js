@@ -238,6 +238,11 @@ class VoitherHealthcareServices {
      * Extract healthcare entities and sentiment
      */
     async extractHealthcareEntities(text) {
+        // O Text Analytics nunca recebe o texto bruto: sem o redator (phi-redaction.js) nada é enviado
+        if (typeof phiRedactor === 'undefined') {
+            throw new Error('PHI redaction not loaded, transcription not sent to Text Analytics');
+        }
+
         try {
             const endpoint = `${this.services.textAnalytics.primary}text/analytics/v3.1/entities/health/jobs`;
             
@@ -251,7 +256,8 @@ class VoitherHealthcareServices {
                     documents: [{
                         id: '1',
                         language: 'pt',
-                        text: text
+                        // Identificadores seguem a política do destino (pseudônimos por padrão)
+                        text: phiRedactor.redactText(text, REDACTION_DESTINATIONS.TEXT_ANALYTICS)
                     }]
                 })
             });
@@ -6,11 +6,17 @@ class MedicalTranscription {
         this.isRecording = false;
         this.userId = 'demo-user';
         this.userName = 'Dr. João Silva';
+        this.nextSequenceNumber = 0;
+        this.chunkAcks = null;
+        this.archiveAudio = false;
+        this.mediaStream = null;
+        this.audioArchive = null;
     }
 
     init(options = {}) {
         this.userId = options.userId || 'demo-user';
         this.userName = options.userName || 'Dr. João Silva';
+        this.archiveAudio = Boolean(options.archiveAudio);
         
         this.initializeSignalR();
         // setupEventHandlers is no longer needed here as events are handled in HTML
@@ -35,6 +41,26 @@ class MedicalTranscription {
             this.handleDocumentGenerated(data);
         });
 
+        // Chunks are resent until the hub acks them (chunk-delivery.js)
+        this.chunkAcks = new ChunkAckTracker({
+            send: (chunk) => this.sendChunk(chunk),
+            reportUnrecoverable: (sequenceNumbers) =>
+                this.connection.invoke("ReportUnrecoverableChunks", this.sessionId, sequenceNumbers),
+            onEvent: (event, data) => this.handleChunkDeliveryEvent(event, data)
+        });
+
+        this.connection.on("TranscriptionChunkAck", (data) => {
+            if (data.SessionId === this.sessionId) {
+                this.chunkAcks.handleAck(data);
+            }
+        });
+
+        this.connection.on("TranscriptionGapDetected", (data) => {
+            if (data.SessionId === this.sessionId) {
+                this.chunkAcks.handleGap(data);
+            }
+        });
+
         // SessionStarted and SessionStopped are now handled directly in voither-index.html
 
         this.connection.onreconnecting(error => {
@@ -44,6 +70,7 @@ class MedicalTranscription {
 
         this.connection.onreconnected(connectionId => {
             console.log(`Connection reestablished. Connected with connectionId ${connectionId}.`);
+            this.chunkAcks.retryPending();
             // showNotification is now handled by voither-index.html
         });
 
@@ -68,7 +95,10 @@ class MedicalTranscription {
             speechConfig.speechRecognitionLanguage = 'pt-BR';
             speechConfig.setProperty(SpeechSDK.PropertyId.SpeechServiceConnection_SpeakerIdEnabled, "true");
             
-            const audioConfig = SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
+            // Com arquivamento de áudio, reconhecedor e gravador usam o mesmo MediaStream
+            const audioConfig = this.mediaStream
+                ? SpeechSDK.AudioConfig.fromStreamInput(this.mediaStream)
+                : SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
             this.speechRecognizer = new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
 
             this.speechRecognizer.recognized = (s, e) => {
@@ -100,9 +130,15 @@ class MedicalTranscription {
             const consultationType = document.getElementById('consultationType')?.value || 'consulta-geral';
             
             this.sessionId = `SESS-${Date.now()}`;
+            this.nextSequenceNumber = 0;
+            this.chunkAcks?.reset();
             
             // UI updates are now handled by voither-index.html
             
+            if (this.archiveAudio && SessionAudioRecorder.isSupported()) {
+                this.mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            }
+            
             await this.initializeSpeechRecognition();
             
             if (this.connection && this.connection.state === signalR.HubConnectionState.Connected) {
@@ -117,6 +153,7 @@ class MedicalTranscription {
             }
             
             this.isRecording = true;
+            await this.startAudioArchive();
             // showNotification is now handled by voither-index.html
             
         } catch (error) {
@@ -133,6 +170,15 @@ class MedicalTranscription {
                 this.speechRecognizer.stopContinuousRecognitionAsync();
             }
             
+            // Segmentos pendentes continuam a ser enviados depois do fim da sessão
+            if (this.audioArchive) {
+                await this.audioArchive.stop();
+            }
+            if (this.mediaStream) {
+                this.mediaStream.getTracks().forEach(track => track.stop());
+                this.mediaStream = null;
+            }
+            
             if (this.connection && this.connection.state === signalR.HubConnectionState.Connected) {
                 await this.connection.invoke("StopTranscription", this.sessionId);
             }
@@ -147,21 +193,60 @@ class MedicalTranscription {
     }
 
     async processTranscriptionChunk(text, speakerId = 'unknown') {
+        const sequenceNumber = this.nextSequenceNumber++;
         const chunk = {
+            id: `mt_${Date.now()}_${sequenceNumber}`,
+            sessionId: this.sessionId,
             text: text,
             speaker: speakerId,
             timestamp: new Date().toISOString(),
-            confidence: 0.95
+            confidence: 0.95,
+            sequenceNumber: sequenceNumber
         };
 
         this.displayTranscriptionChunk(chunk);
         
-        if (this.connection && this.connection.state === signalR.HubConnectionState.Connected) {
-            try {
-                await this.connection.invoke("ProcessTranscriptionChunk", this.sessionId, chunk);
-            } catch (error) {
-                console.error("Error processing chunk:", error);
-            }
+        if (this.chunkAcks) {
+            await this.chunkAcks.deliver(chunk);
+        }
+    }
+
+    async sendChunk(chunk) {
+        if (!this.connection || this.connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error("SignalR connection not available");
+        }
+
+        await this.connection.invoke("ProcessTranscriptionChunk", chunk.sessionId, { ...chunk, clientChunkId: chunk.id });
+    }
+
+    async startAudioArchive() {
+        if (!this.mediaStream) return;
+
+        try {
+            this.audioArchive = this.audioArchive || new SessionAudioRecorder({
+                onEvent: (event, data) => this.handleAudioArchiveEvent(event, data)
+            });
+            await this.audioArchive.start(this.mediaStream, this.sessionId);
+        } catch (error) {
+            // A transcrição continua sem o arquivamento
+            console.error("Failed to start audio archive:", error);
+        }
+    }
+
+    handleAudioArchiveEvent(event, data) {
+        if (event === 'audio-upload-failed') {
+            const log = data.permanent ? console.error : console.warn;
+            log(`Audio segment ${data.segmentIndex} upload failed${data.permanent ? '' : `, retrying in ${data.retryInMs}ms`}:`, data.error);
+        } else if (event === 'audio-segments-expired') {
+            console.warn(`${data.count} audio segment(s) expired before upload`);
+        }
+    }
+
+    handleChunkDeliveryEvent(event, data) {
+        if (event === 'chunk-ack-timeout') {
+            console.warn(`No ack for chunk ${data.chunk.sequenceNumber}, resending`);
+        } else if (event === 'chunks-unrecoverable') {
+            console.error("Transcription chunks lost before reaching the hub:", data.sequenceNumbers);
         }
     }
 
@@ -176,6 +261,12 @@ class MedicalTranscription {
 
         const chunkElement = document.createElement('div');
         chunkElement.className = 'mb-2 p-2 border-l-4 border-blue-500'; // Tailwind classes
+
+        // Atualizações do hub trazem o id original em ClientChunkId
+        const chunkId = chunk.ClientChunkId || chunk.id;
+        if (chunkId) {
+            chunkElement.setAttribute('data-chunk-id', chunkId);
+        }
         
         const timestamp = new Date(chunk.timestamp).toLocaleTimeString();
         const confidenceClass = chunk.confidence > 0.8 ? 'text-green-600' : 
@@ -2,6 +2,11 @@
  * OpenAI Whisper Transcription Service para MedicalScribeR
  * Implementa transcrição de áudio usando OpenAI Whisper API
  * Suporta gravações longas (90min+) com chunking inteligente e diarização
+ * O áudio é enviado em janelas sobrepostas de 30 a 60 s, com o texto repetido removido na junção
+ * Requer chunk-delivery.js (confirmação de entrega dos chunks ao hub), whisper-windows.js (janelas),
+ * whisper-queue.js (envio persistente das janelas) e speaker-diarization.js (falantes identificados pela voz);
+ * com speech-renderer.js, os papéis dos falantes podem ser trocados em #speakerRoles
+ * O áudio é transcrito via /api/whisper: a chave do Azure OpenAI fica no servidor
  * 
  * @version 3.0.0
  * @author MedicalScribeR Team
@@ -12,26 +17,80 @@
 class WhisperTranscriptionService {
     constructor(options = {}) {
         this.config = {
-            endpoint: options.endpoint || 'https://medicalscribe-openai-eastus2.openai.azure.com/',
-            apiKey: options.apiKey || '',
-            deploymentName: 'whisper',
+            endpoint: options.endpoint || '/api/whisper',
             language: options.language || 'pt',
             enableDiarization: options.enableDiarization !== false,
-            chunkSize: options.chunkSize || 25 * 1024 * 1024, // 25MB chunks
+            // Janelas enviadas ao Whisper (whisper-windows.js)
+            windowMs: options.windowMs || WHISPER_WINDOW_CONFIG.WINDOW_MS,
+            maxWindowMs: options.maxWindowMs || WHISPER_WINDOW_CONFIG.MAX_WINDOW_MS,
+            overlapMs: options.overlapMs ?? WHISPER_WINDOW_CONFIG.OVERLAP_MS,
             maxDuration: options.maxDuration || 5400, // 90 minutes
+            uploadConcurrency: options.uploadConcurrency || WHISPER_QUEUE_CONFIG.CONCURRENCY,
+            // Espera pelas últimas janelas ao parar antes de avisar o hub
+            stopWaitMs: options.stopWaitMs || 60000,
             enableTimestamps: true,
             responseFormat: 'verbose_json'
         };
         
         this.mediaRecorder = null;
-        this.audioChunks = [];
         this.isRecording = false;
         this.sessionId = null;
         this.signalRConnection = null;
+
+        // Gravação em andamento; o áudio de cada gravação fica em delivery.recordings, para ouvir a sessão (SessionPlayback)
+        this.currentRecording = null;
         
+        // Cada janela é um WebM completo; as transcrições são juntadas na ordem das janelas
+        this.windowRecorder = new AudioWindowRecorder({
+            windowMs: this.config.windowMs,
+            maxWindowMs: this.config.maxWindowMs,
+            overlapMs: this.config.overlapMs,
+            onWindow: (audioWindow) => this.enqueueAudioWindow(audioWindow)
+        });
+
+        // Janelas guardadas no IndexedDB até a transcrição ser entregue; a lista aparece em #whisperQueue
+        this.queuePanel = typeof document !== 'undefined'
+            ? new WhisperQueuePanel({
+                onRetry: (id) => this.uploadQueue.retry(id),
+                onDiscard: (id) => this.uploadQueue.discard(id)
+            })
+            : null;
+        this.uploadQueue = new WhisperUploadQueue({
+            transcribe: (record) => this.transcribeAudio(record.blob, record.sessionId),
+            deliver: (record, transcription) => this.processAudioWindow(record, transcription),
+            concurrency: this.config.uploadConcurrency,
+            onEvent: (event, data) => {
+                this.queuePanel?.render(this.uploadQueue.getWindows());
+                if (data?.status === WHISPER_WINDOW_STATUS.DELIVERED || data?.status === WHISPER_WINDOW_STATUS.DISCARDED) {
+                    this.releaseIdleDelivery(data.sessionId);
+                }
+                this.emit(event, data);
+            }
+        });
+
+        // Estado de entrega de cada sessão (getSessionDelivery): a sessão em gravação e as sessões
+        // retomadas da fila têm junção, falantes, acks e numeração separados
+        this.deliveries = new Map();
+
+        // Papéis dos falantes trocados em #speakerRoles, como no Azure Speech (speech-renderer.js)
+        this.renderer = options.renderer ||
+            (typeof document !== 'undefined' && window.BootstrapSpeechRenderer ? new BootstrapSpeechRenderer() : null);
+        this.renderer?.attach({
+            setSpeakerRole: async (speakerId, role) => {
+                try {
+                    await this.setSpeakerRole(speakerId, role);
+                    return true;
+                } catch (error) {
+                    console.error('Error assigning speaker role:', error);
+                    this.emit('error', { error: error.message });
+                    return false;
+                }
+            }
+        });
+
         // Event listeners
         this.events = new Map();
-        
+
         this.initializeSignalR();
     }
 
@@ -45,6 +104,34 @@ class WhisperTranscriptionService {
                 .withAutomaticReconnect()
                 .build();
 
+            this.signalRConnection.on("TranscriptionChunkAck", (data) => {
+                const delivery = this.deliveries.get(data.SessionId);
+                if (delivery) {
+                    delivery.chunkAcks.handleAck(data);
+                    this.releaseIdleDelivery(data.SessionId);
+                }
+            });
+
+            this.signalRConnection.on("TranscriptionGapDetected", (data) => {
+                const delivery = this.deliveries.get(data.SessionId);
+                if (delivery) {
+                    console.warn('Hub reported missing chunks:', data.MissingSequenceNumbers);
+                    delivery.chunkAcks.handleGap(data);
+                }
+            });
+
+            // Papel escolhido pelo usuário, nesta ou em outra conexão da sessão
+            this.signalRConnection.on("SpeakerRoleAssigned", (data) => {
+                const delivery = this.deliveries.get(data.SessionId);
+                if (delivery && data.SpeakerId) {
+                    delivery.speakerRoles.setRole(data.SpeakerId, data.Role);
+                }
+            });
+
+            this.signalRConnection.onreconnected(() => {
+                this.deliveries.forEach(delivery => delivery.chunkAcks.retryPending());
+            });
+
             await this.signalRConnection.start();
             console.log('SignalR connected for Whisper transcription');
         } catch (error) {
@@ -57,8 +144,16 @@ class WhisperTranscriptionService {
      */
     async startRecording(sessionId) {
         try {
+            // Janelas de outras sessões ainda na fila esperam o fim desta gravação
+            await this.uploadQueue.setActiveSession(sessionId);
+            const delivery = this.getSessionDelivery(sessionId);
+            await delivery.ready;
+
+            const previousSessionId = this.sessionId;
             this.sessionId = sessionId;
-            
+            this.releaseIdleDelivery(previousSessionId);
+            this.renderSpeakers();
+
             // Solicitar permissão do microfone com configurações otimizadas
             const stream = await navigator.mediaDevices.getUserMedia({
                 audio: {
@@ -70,34 +165,31 @@ class WhisperTranscriptionService {
                 }
             });
 
-            // Configurar MediaRecorder para capturar em chunks
+            // Gravação contínua da sessão, só para reprodução (getPlaybackSource)
             this.mediaRecorder = new MediaRecorder(stream, {
                 mimeType: 'audio/webm;codecs=opus'
             });
 
-            this.audioChunks = [];
-            
-            // Configurar eventos do MediaRecorder
+            const recording = { startedAt: null, offsetMs: 0, durationMs: null, parts: [] };
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
-                    this.audioChunks.push(event.data);
-                    
-                    // Se chunk atingiu tamanho adequado, processar
-                    if (this.getCurrentAudioSize() >= this.config.chunkSize) {
-                        this.processAudioChunk();
-                    }
+                    recording.parts.push(event.data);
                 }
             };
 
-            this.mediaRecorder.onstop = () => {
-                // Processar último chunk quando parar
-                if (this.audioChunks.length > 0) {
-                    this.processAudioChunk();
-                }
-            };
+            // Relógio da sessão, guardado com ela: janelas e chunks de todas as gravações contam a partir
+            // do início da primeira, também depois de recarregar a página
+            recording.startedAt = Date.now();
+            if (!delivery.startedAt) {
+                delivery.startedAt = recording.startedAt;
+                this.saveSessionDelivery(delivery);
+            }
+            recording.offsetMs = recording.startedAt - delivery.startedAt;
+            delivery.recordings.push(recording);
+            this.currentRecording = recording;
 
-            // Iniciar gravação com chunks de 30 segundos
             this.mediaRecorder.start(30000);
+            this.windowRecorder.start(stream, delivery.startedAt);
             this.isRecording = true;
             
             this.emit('recording-started', { sessionId });
@@ -120,6 +212,10 @@ class WhisperTranscriptionService {
         if (this.mediaRecorder && this.isRecording) {
             this.mediaRecorder.stop();
             this.isRecording = false;
+            this.currentRecording.durationMs = Date.now() - this.currentRecording.startedAt;
+            
+            // A última janela é entregue antes de as tracks pararem
+            await this.windowRecorder.stop();
             
             // Parar todas as tracks do stream
             if (this.mediaRecorder.stream) {
@@ -128,43 +224,155 @@ class WhisperTranscriptionService {
             
             this.emit('recording-stopped');
             
-            // Notificar via SignalR
-            if (this.signalRConnection && this.sessionId) {
-                await this.signalRConnection.invoke("StopTranscription", this.sessionId);
+            // O hub recebe os últimos chunks antes do fim da transcrição; janelas em nova tentativa chegam depois
+            await Promise.race([
+                this.uploadQueue.waitForSession(this.sessionId),
+                new Promise(resolve => setTimeout(resolve, this.config.stopWaitMs))
+            ]);
+
+            try {
+                // Notificar via SignalR
+                if (this.signalRConnection && this.sessionId) {
+                    await this.signalRConnection.invoke("StopTranscription", this.sessionId);
+                }
+            } finally {
+                // Janelas de outras sessões só são entregues depois do fim desta no hub
+                await this.uploadQueue.setActiveSession(null);
             }
         }
     }
 
     /**
-     * Processar chunk de áudio coletado
+     * Guardar janela de áudio na fila de transcrição (whisper-queue.js).
+     * A gravação é identificada pelo início dela no relógio da sessão.
+     */
+    enqueueAudioWindow(audioWindow) {
+        this.uploadQueue.add({ ...audioWindow, sessionId: this.sessionId, recordingId: this.currentRecording.offsetMs })
+            .catch(error => {
+                console.error(`Error queueing audio window ${audioWindow.index}:`, error);
+                this.emit('error', { error: error.message });
+            });
+    }
+
+    /**
+     * Janelas aguardando transcrição, com a situação de cada uma
      */
-    async processAudioChunk() {
-        if (this.audioChunks.length === 0) return;
+    getQueuedWindows() {
+        return this.uploadQueue.getWindows();
+    }
 
+    /**
+     * Entregar a transcrição de uma janela, removendo o trecho já transcrito pela anterior.
+     * A fila chama em ordem de gravação, uma janela por vez; janelas de sessões anteriores à recarga
+     * da página usam o estado da própria sessão, sem tocar na sessão em gravação.
+     */
+    async processAudioWindow(audioWindow, transcription) {
         try {
-            // Combinar chunks em um blob
-            const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
-            
-            // Limpar chunks processados
-            this.audioChunks = [];
-            
-            // Enviar para transcrição
-            const transcription = await this.transcribeAudio(audioBlob);
-            
+            const delivery = this.getSessionDelivery(audioWindow.sessionId);
+            await delivery.ready;
+
+            // Outra gravação da mesma sessão começa uma nova linha do tempo
+            if (audioWindow.recordingId !== delivery.stitchedRecordingId) {
+                delivery.stitcher.reset();
+                delivery.stitchedRecordingId = audioWindow.recordingId;
+            }
+
             if (transcription && transcription.text) {
-                await this.processTranscriptionResult(transcription);
+                const stitched = delivery.stitcher.stitch(audioWindow, transcription);
+                if (stitched.text.trim()) {
+                    if (stitched.segments) {
+                        stitched.segments = await this.diarizeSegments(audioWindow, stitched.segments);
+                    }
+                    await this.processTranscriptionResult(stitched, audioWindow);
+                    if (delivery.sessionId === this.sessionId) {
+                        this.renderSpeakers();
+                    }
+                }
             }
-            
+
+            await this.saveSessionDelivery(delivery);
+
         } catch (error) {
-            console.error('Error processing audio chunk:', error);
+            console.error(`Error processing audio window ${audioWindow.index}:`, error);
             this.emit('error', { error: error.message });
         }
     }
 
     /**
-     * Transcrever áudio usando OpenAI Whisper
+     * Estado de entrega da sessão, criado na primeira gravação ou janela dela.
+     * A numeração e os falantes salvos são carregados em ready.
+     */
+    getSessionDelivery(sessionId) {
+        let delivery = this.deliveries.get(sessionId);
+        if (delivery) return delivery;
+
+        delivery = {
+            sessionId,
+            nextSequenceNumber: 0,
+            // Relógio da sessão (Date.now() no início da primeira gravação); origem de offsetMs
+            startedAt: null,
+            // Chunks transcritos, para reprodução e para trocar o rótulo quando o papel do falante muda
+            chunks: [],
+            // Áudio gravado nesta página: { startedAt, offsetMs, durationMs, parts }
+            recordings: [],
+            stitcher: new TranscriptStitcher(),
+            stitchedRecordingId: null,
+            // Falantes agrupados pela voz ao longo da sessão; o papel de cada um é sugerido pelo texto ou escolhido pelo usuário
+            diarizer: this.config.enableDiarization ? new SpeakerDiarizer() : null,
+            speakerRoles: new SpeakerRoleAssigner({
+                onRoleChanged: (speakerId, role, source) => this.onSpeakerRoleChanged(sessionId, speakerId, role, source)
+            }),
+            // Entrega confirmada dos chunks ao hub (chunk-delivery.js); eventos repassados aos listeners
+            chunkAcks: new ChunkAckTracker({
+                send: (chunk) => this.sendChunkToHub(chunk),
+                reportUnrecoverable: (sequenceNumbers) =>
+                    this.signalRConnection.invoke("ReportUnrecoverableChunks", sessionId, sequenceNumbers),
+                onEvent: (event, data) => this.emit(event, data)
+            }),
+            ready: null
+        };
+        delivery.ready = this.uploadQueue.getSessionState(sessionId).then(state => {
+            delivery.nextSequenceNumber = state?.nextSequenceNumber || 0;
+            delivery.startedAt = state?.startedAt || null;
+            // Mesmos perfis de voz, logo os mesmos "Falante-N", depois de recarregar a página
+            delivery.diarizer?.restoreState(state?.speakers);
+            delivery.speakerRoles.restoreState(state?.speakerRoles);
+        });
+
+        this.deliveries.set(sessionId, delivery);
+        return delivery;
+    }
+
+    /**
+     * Guardar com a sessão (whisper-queue.js) o relógio, a numeração, os perfis de voz e os papéis dos falantes
+     */
+    saveSessionDelivery(delivery) {
+        return this.uploadQueue.saveSessionState(delivery.sessionId, {
+            startedAt: delivery.startedAt,
+            nextSequenceNumber: delivery.nextSequenceNumber,
+            speakers: delivery.diarizer?.getState() || null,
+            speakerRoles: delivery.speakerRoles.getState()
+        });
+    }
+
+    /**
+     * Liberar o estado de uma sessão que não está gravando, quando não restam janelas na fila nem chunks sem ack
+     */
+    releaseIdleDelivery(sessionId) {
+        const delivery = this.deliveries.get(sessionId);
+        if (!delivery || sessionId === this.sessionId || delivery.chunkAcks.pendingCount > 0) return;
+        if (this.uploadQueue.getWindows().some(audioWindow => audioWindow.sessionId === sessionId)) return;
+
+        delivery.diarizer?.dispose();
+        delivery.chunkAcks.reset();
+        this.deliveries.delete(sessionId);
+    }
+
+    /**
+     * Transcrever áudio usando OpenAI Whisper.
+     * Erros HTTP trazem status e, em 429/503, retryAfterMs (Retry-After) para a fila de envio.
      */
-    async transcribeAudio(audioBlob) {
+    async transcribeAudio(audioBlob, sessionId = this.sessionId) {
         try {
             // Converter para formato suportado se necessário
             const audioFile = await this.convertAudioIfNeeded(audioBlob);
@@ -172,7 +380,6 @@ class WhisperTranscriptionService {
             // Preparar FormData para a API
             const formData = new FormData();
             formData.append('file', audioFile, 'audio.webm');
-            formData.append('model', this.config.deploymentName);
             formData.append('language', this.config.language);
             formData.append('response_format', this.config.responseFormat);
             
@@ -181,17 +388,18 @@ class WhisperTranscriptionService {
                 formData.append('timestamp_granularities[]', 'segment');
             }
 
-            // Fazer requisição para Whisper API
-            const response = await fetch(`${this.config.endpoint}openai/deployments/${this.config.deploymentName}/audio/transcriptions?api-version=2024-06-01`, {
+            // O servidor confere a sessão do usuário e encaminha ao Whisper
+            const response = await fetch(`${this.config.endpoint}/${encodeURIComponent(sessionId)}/transcriptions`, {
                 method: 'POST',
-                headers: {
-                    'api-key': this.config.apiKey
-                },
-                body: formData
+                body: formData,
+                credentials: 'same-origin'
             });
 
             if (!response.ok) {
-                throw new Error(`Whisper API error: ${response.status} ${response.statusText}`);
+                const error = new Error(`Whisper API error: ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                error.retryAfterMs = this.parseRetryAfter(response.headers.get('Retry-After'));
+                throw error;
             }
 
             const result = await response.json();
@@ -204,49 +412,88 @@ class WhisperTranscriptionService {
     }
 
     /**
-     * Processar resultado da transcrição
+     * Retry-After em segundos ou como data HTTP; null quando ausente
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Processar resultado da transcrição de uma janela.
+     * Os tempos do Whisper (s desde o início da janela) viram offsetMs/durationMs em ms desde o início
+     * da sessão, como nos chunks do Azure Speech.
+     * @param {Object} transcription - Resposta já juntada por TranscriptStitcher
+     * @param {{sessionId: string, startMs: number, endMs: number}} audioWindow - Janela transcrita, em ms da sessão
      */
-    async processTranscriptionResult(transcription) {
+    async processTranscriptionResult(transcription, audioWindow) {
+        const delivery = this.getSessionDelivery(audioWindow.sessionId);
+
         try {
             // Processar segments com timestamps e possível diarização
             if (transcription.segments) {
                 for (const segment of transcription.segments) {
+                    const confidence = segment.no_speech_prob ? (1 - segment.no_speech_prob) : 0.95;
+                    const speakerId = segment.speakerId || null;
+                    const speakerRole = speakerId
+                        ? delivery.speakerRoles.observe(speakerId, segment.text)
+                        : DIARIZATION_ROLES.UNKNOWN;
                     const chunk = {
                         id: this.generateChunkId(),
-                        sessionId: this.sessionId,
+                        sessionId: delivery.sessionId,
                         text: segment.text.trim(),
-                        speaker: this.identifySpeaker(segment),
-                        confidence: segment.no_speech_prob ? (1 - segment.no_speech_prob) : 0.95,
+                        speaker: this.getSpeakerLabel(speakerId, speakerRole),
+                        speakerId: speakerId,
+                        speakerRole: speakerRole,
+                        confidence: confidence,
                         timestamp: new Date().toISOString(),
-                        startTime: segment.start,
-                        endTime: segment.end,
-                        sequenceNumber: segment.id || 0
+                        offsetMs: this.toSessionMs(audioWindow, segment.start),
+                        durationMs: Math.round((segment.end - segment.start) * 1000),
+                        // Palavras do segmento, distribuídas por TranscriptStitcher; o Whisper não dá confiança por palavra
+                        words: (segment.words || []).map(word => ({
+                            word: word.word.trim(),
+                            offsetMs: this.toSessionMs(audioWindow, word.start),
+                            durationMs: Math.round((word.end - word.start) * 1000),
+                            confidence: confidence
+                        })),
+                        sequenceNumber: delivery.nextSequenceNumber++
                     };
+                    delivery.chunks.push(chunk);
 
                     // Emitir chunk processado
                     this.emit('chunk-transcribed', chunk);
                     
-                    // Enviar via SignalR para processamento pelos agentes
-                    if (this.signalRConnection && this.sessionId) {
-                        await this.signalRConnection.invoke("ProcessTranscriptionChunk", this.sessionId, chunk);
+                    // Enviar via SignalR para processamento pelos agentes (reenviado até o ack)
+                    if (delivery.sessionId) {
+                        await delivery.chunkAcks.deliver(chunk);
                     }
                 }
             } else {
                 // Fallback para texto simples
                 const chunk = {
                     id: this.generateChunkId(),
-                    sessionId: this.sessionId,
+                    sessionId: delivery.sessionId,
                     text: transcription.text.trim(),
-                    speaker: "Speaker1",
+                    speaker: DIARIZATION_ROLES.UNKNOWN,
+                    speakerId: null,
+                    speakerRole: DIARIZATION_ROLES.UNKNOWN,
                     confidence: 0.95,
                     timestamp: new Date().toISOString(),
-                    sequenceNumber: Date.now()
+                    offsetMs: audioWindow.startMs,
+                    durationMs: audioWindow.endMs - audioWindow.startMs,
+                    sequenceNumber: delivery.nextSequenceNumber++
                 };
+                delivery.chunks.push(chunk);
 
                 this.emit('chunk-transcribed', chunk);
                 
-                if (this.signalRConnection && this.sessionId) {
-                    await this.signalRConnection.invoke("ProcessTranscriptionChunk", this.sessionId, chunk);
+                if (delivery.sessionId) {
+                    await delivery.chunkAcks.deliver(chunk);
                 }
             }
             
@@ -257,36 +504,143 @@ class WhisperTranscriptionService {
     }
 
     /**
-     * Identificar speaker usando análise simples
-     * TODO: Implementar diarização mais sofisticada
+     * Converter tempo do Whisper (s desde o início da janela) em ms desde o início da sessão
      */
-    identifySpeaker(segment) {
-        // Análise simples baseada em padrões
-        const text = segment.text.toLowerCase();
-        
-        // Padrões típicos de médico
-        const doctorPatterns = [
-            /vou prescrever|vou receitar|recomendo|você deve|tome este/,
-            /diagnóstico|exame|consulta|retorno|medicamento/,
-            /como está se sentindo|me fale sobre|quando começou/
-        ];
-        
-        // Padrões típicos de paciente
-        const patientPatterns = [
-            /estou sentindo|me dói|tenho dor|não estou bem/,
-            /doutor|doutora|posso|preciso|quando/,
-            /ontem|hoje|semana passada|mês passado/
-        ];
-        
-        for (const pattern of doctorPatterns) {
-            if (pattern.test(text)) return "Médico";
+    toSessionMs(audioWindow, seconds) {
+        return audioWindow.startMs + Math.round(seconds * 1000);
+    }
+
+    /**
+     * Áudio e chunks da última sessão para reprodução sincronizada (SessionPlayback).
+     * Cada gravação feita nesta página é um segmento, na posição dela no relógio da sessão.
+     */
+    async getPlaybackSource() {
+        if (this.isRecording) {
+            throw new Error('Playback is only available after the recording is stopped');
         }
-        
-        for (const pattern of patientPatterns) {
-            if (pattern.test(text)) return "Paciente";
+
+        const delivery = this.deliveries.get(this.sessionId);
+        const recordings = (delivery?.recordings || []).filter(recording => recording.parts.length > 0);
+        if (recordings.length === 0) {
+            throw new Error('No audio recorded for this session');
         }
-        
-        return "Speaker1"; // Default
+
+        return {
+            sessionId: this.sessionId,
+            chunks: delivery.chunks.slice(),
+            segments: recordings.map(recording => ({
+                src: new Blob(recording.parts, { type: 'audio/webm' }),
+                offsetMs: recording.offsetMs,
+                durationMs: recording.durationMs ?? (Date.now() - recording.startedAt)
+            }))
+        };
+    }
+
+    /**
+     * Enviar chunk ao hub; rejeita sem conexão para nova tentativa
+     */
+    async sendChunkToHub(chunk) {
+        if (!this.signalRConnection || this.signalRConnection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('SignalR connection not available');
+        }
+
+        await this.signalRConnection.invoke("ProcessTranscriptionChunk", chunk.sessionId, { ...chunk, clientChunkId: chunk.id });
+    }
+
+    /**
+     * Identificar o falante de cada segmento pela voz (speaker-diarization.js).
+     * Sem diarização, ou se ela falhar, os segmentos seguem sem falante.
+     */
+    async diarizeSegments(audioWindow, segments) {
+        const diarizer = this.getSessionDelivery(audioWindow.sessionId).diarizer;
+        if (!diarizer) return segments;
+
+        try {
+            const speakers = await diarizer.assignSpeakers(audioWindow.blob, segments.map(segment => ({
+                startMs: Math.round(segment.start * 1000),
+                endMs: Math.round(segment.end * 1000)
+            })));
+
+            return segments.map((segment, index) => {
+                const assignment = speakers[index];
+                if (assignment?.isNew) {
+                    this.emit('speaker-detected', { sessionId: audioWindow.sessionId, speakerId: assignment.speakerId });
+                }
+                return { ...segment, speakerId: assignment?.speakerId || null };
+            });
+        } catch (error) {
+            console.warn(`Diarization failed for audio window ${audioWindow.index}:`, error);
+            return segments;
+        }
+    }
+
+    /**
+     * Rótulo do falante: o papel, quando conhecido, ou o ID
+     */
+    getSpeakerLabel(speakerId, role) {
+        if (role !== DIARIZATION_ROLES.UNKNOWN || !speakerId) return role;
+        return speakerId;
+    }
+
+    /**
+     * Atribuir um papel (Médico, Paciente, Acompanhante) a um falante da sessão atual; substitui o papel sugerido pelo texto
+     */
+    async setSpeakerRole(speakerId, role) {
+        const delivery = this.deliveries.get(this.sessionId);
+        if (!delivery || !delivery.speakerRoles.setRole(speakerId, role)) return;
+
+        if (this.signalRConnection?.state === signalR.HubConnectionState.Connected && this.sessionId) {
+            await this.signalRConnection.invoke("AssignSpeakerRole", this.sessionId, speakerId, role);
+        }
+    }
+
+    /**
+     * Falantes da sessão atual com papel e origem do papel ('prior' ou 'user')
+     */
+    getSpeakers() {
+        return this.deliveries.get(this.sessionId)?.speakerRoles.getSpeakers() || [];
+    }
+
+    /**
+     * Painel de falantes da sessão atual, com a confiança média dos chunks de cada um
+     */
+    renderSpeakers() {
+        const delivery = this.deliveries.get(this.sessionId);
+        if (!this.renderer || !delivery) return;
+
+        const speakers = delivery.speakerRoles.getSpeakers().map(speaker => {
+            const chunks = delivery.chunks.filter(chunk => chunk.speakerId === speaker.id);
+            const averageConfidence = chunks.length > 0
+                ? chunks.reduce((sum, chunk) => sum + chunk.confidence, 0) / chunks.length
+                : 0;
+            return { ...speaker, averageConfidence };
+        });
+
+        this.renderer.renderSpeakers(speakers, Object.values(DIARIZATION_ROLES));
+    }
+
+    /**
+     * Atualizar o rótulo dos chunks já transcritos do falante; o papel escolhido pelo usuário é guardado com a sessão
+     */
+    onSpeakerRoleChanged(sessionId, speakerId, role, source) {
+        const delivery = this.deliveries.get(sessionId);
+        if (!delivery) return;
+
+        delivery.chunks
+            .filter(chunk => chunk.speakerId === speakerId)
+            .forEach(chunk => {
+                chunk.speakerRole = role;
+                chunk.speaker = this.getSpeakerLabel(speakerId, role);
+            });
+
+        if (source === 'user') {
+            this.saveSessionDelivery(delivery);
+        }
+        if (sessionId === this.sessionId) {
+            this.renderSpeakers();
+        }
+
+        this.emit('speaker-role-changed', { sessionId, speakerId, role, source });
     }
 
     /**
@@ -298,13 +652,6 @@ class WhisperTranscriptionService {
         return audioBlob;
     }
 
-    /**
-     * Obter tamanho atual do áudio acumulado
-     */
-    getCurrentAudioSize() {
-        return this.audioChunks.reduce((total, chunk) => total + chunk.size, 0);
-    }
-
     /**
      * Gerar ID único para chunk
      */
@@ -345,6 +692,12 @@ class WhisperTranscriptionService {
             this.signalRConnection.stop();
         }
         
+        this.deliveries.forEach(delivery => {
+            delivery.diarizer?.dispose();
+            delivery.chunkAcks.reset();
+        });
+        this.deliveries.clear();
+        this.uploadQueue.dispose();
         this.events.clear();
     }
 }
@@ -355,7 +708,6 @@ window.WhisperTranscriptionService = WhisperTranscriptionService;
 // Auto-inicialização
 document.addEventListener('DOMContentLoaded', () => {
     window.whisperService = new WhisperTranscriptionService({
-        endpoint: 'https://medicalscribe-openai-eastus2.openai.azure.com/',
         enableDiarization: true
     });
     
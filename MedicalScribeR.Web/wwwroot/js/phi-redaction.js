@@ -0,0 +1,493 @@
+/**
+ * Redação de PHI (informação de saúde identificável) para MedicalScribeR
+ * Detecta identificadores brasileiros na transcrição antes que o texto saia do navegador
+ * e aplica a política configurada para cada destino (hub, Health Bot, Text Analytics)
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * Tipos de identificador detectados
+ * @readonly
+ * @enum {string}
+ */
+const PHI_TYPES = Object.freeze({
+    EMAIL: 'email',
+    CPF: 'cpf',
+    CNS: 'cns',
+    RG: 'rg',
+    PHONE: 'phone',
+    ADDRESS: 'address',
+    PATIENT_NAME: 'patient-name'
+});
+
+/**
+ * Rótulos usados no texto redigido ([CPF], [TELEFONE_2]...)
+ * @readonly
+ */
+const PHI_LABELS = Object.freeze({
+    [PHI_TYPES.EMAIL]: 'EMAIL',
+    [PHI_TYPES.CPF]: 'CPF',
+    [PHI_TYPES.CNS]: 'CNS',
+    [PHI_TYPES.RG]: 'RG',
+    [PHI_TYPES.PHONE]: 'TELEFONE',
+    [PHI_TYPES.ADDRESS]: 'ENDERECO',
+    [PHI_TYPES.PATIENT_NAME]: 'PACIENTE'
+});
+
+/**
+ * Políticas de redação
+ * @readonly
+ * @enum {string}
+ */
+const REDACTION_MODES = Object.freeze({
+    MASK: 'mask',                   // [CPF]
+    PSEUDONYMIZE: 'pseudonymize',   // [CPF_1], reversível pelo mapa local
+    PASS_THROUGH: 'pass-through'
+});
+
+/**
+ * Destinos do texto da transcrição
+ * @readonly
+ * @enum {string}
+ */
+const REDACTION_DESTINATIONS = Object.freeze({
+    HUB: 'hub',
+    HEALTH_BOT: 'health-bot',
+    TEXT_ANALYTICS: 'text-analytics'
+});
+
+/**
+ * Política padrão por destino. O hub é o registro da consulta e recebe o texto original.
+ * @readonly
+ */
+const DEFAULT_REDACTION_POLICIES = Object.freeze({
+    [REDACTION_DESTINATIONS.HUB]: REDACTION_MODES.PASS_THROUGH,
+    [REDACTION_DESTINATIONS.HEALTH_BOT]: REDACTION_MODES.MASK,
+    [REDACTION_DESTINATIONS.TEXT_ANALYTICS]: REDACTION_MODES.PSEUDONYMIZE
+});
+
+// Destinos que nunca recebem identificadores sem redação
+const PROTECTED_DESTINATIONS = Object.freeze([REDACTION_DESTINATIONS.HEALTH_BOT]);
+
+// Partículas ignoradas ao procurar partes do nome do paciente
+const NAME_PARTICLES = new Set(['da', 'de', 'do', 'das', 'dos', 'e']);
+
+// Palavras que encerram um logradouro ditado ("rua das flores e depois...")
+const ADDRESS_STOP_WORDS = 'e|com|que|para|onde|perto|há|faz|desde|mas|ou|na|no';
+
+/**
+ * Detectores em ordem de prioridade: em sobreposição vence o primeiro.
+ * Números sem formatação só são aceitos com dígito verificador válido ou palavra-chave antes.
+ */
+const PHI_DETECTORS = Object.freeze([
+    {
+        type: PHI_TYPES.EMAIL,
+        pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu
+    },
+    {
+        type: PHI_TYPES.CPF,
+        pattern: /(?<!\d)\d{3}[.\s]?\d{3}[.\s]?\d{3}[-.\s]?\d{2}(?!\d)/g,
+        validate: (value, text, index) =>
+            /^\d{3}\.\d{3}\.\d{3}-\d{2}$/.test(value) ||
+            isValidCpf(digitsOf(value)) ||
+            hasKeywordBefore(text, index, /\bcpf\b/i)
+    },
+    {
+        type: PHI_TYPES.CNS,
+        pattern: /(?<!\d)[12789]\d{2}[.\s]?\d{4}[.\s]?\d{4}[.\s]?\d{4}(?!\d)/g,
+        validate: (value, text, index) =>
+            isValidCns(digitsOf(value)) ||
+            hasKeywordBefore(text, index, /\b(?:cns|cart[ãa]o\s+(?:do\s+)?sus|cart[ãa]o\s+nacional\s+de\s+sa[úu]de)\b/i)
+    },
+    {
+        type: PHI_TYPES.RG,
+        pattern: /(?<!\d)\d{1,2}\.?\d{3}\.?\d{3}[-.\s]?[\dxX](?![\dxX])/g,
+        validate: (value, text, index) =>
+            /^\d{1,2}\.\d{3}\.\d{3}/.test(value) ||
+            hasKeywordBefore(text, index, /\b(?:rg|registro\s+geral|identidade)\b/i)
+    },
+    {
+        // Oito dígitos soltos ("1200 1300 mg", "2019 2020") só contam com formato de telefone ou palavra-chave
+        type: PHI_TYPES.PHONE,
+        pattern: /(?<![\d+])(?:\+55[\s-]?)?(?:\(\d{2}\)[\s-]?|\d{2}[\s-]?)?(?:9\s?)?\d{4}[\s-]?\d{4}(?!\d)/g,
+        validate: (value, text, index) =>
+            isPhoneShaped(value) ||
+            hasKeywordBefore(text, index, /\b(?:telefone|celular|contato)\b/i)
+    },
+    {
+        type: PHI_TYPES.ADDRESS,
+        pattern: new RegExp(
+            '(?<![\\p{L}\\p{N}])(?:rua|avenida|av\\.|travessa|alameda|rodovia|estrada|praça|largo|viela)' +
+            '(?:\\s+(?!(?:' + ADDRESS_STOP_WORDS + ')(?![\\p{L}\\p{N}]))[\\p{L}\\p{N}\'.-]+){1,6}' +
+            '(?:,?\\s*(?:n[º°o.]?\\s*|número\\s+)?\\d{1,5})?',
+            'giu'
+        )
+    },
+    {
+        // CEP
+        type: PHI_TYPES.ADDRESS,
+        pattern: /(?<!\d)\d{5}-\d{3}(?!\d)/g
+    }
+]);
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function digitsOf(value) {
+    return value.replace(/\D/g, '');
+}
+
+/**
+ * Telefone escrito como tal: DDD entre parênteses, +55, hífen no número ou celular com o 9 na frente
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPhoneShaped(value) {
+    if (/^\+55|\(\d{2}\)|\d-\d/.test(value)) return true;
+
+    // 9 dígitos (celular) ou 11 (DDD + celular)
+    const digits = digitsOf(value);
+    return (digits.length === 9 && digits[0] === '9') || (digits.length === 11 && digits[2] === '9');
+}
+
+/**
+ * Dígitos verificadores do CPF
+ * @param {string} digits - 11 dígitos
+ * @returns {boolean}
+ */
+function isValidCpf(digits) {
+    if (digits.length !== 11 || /^(\d)\1{10}$/.test(digits)) return false;
+
+    for (let length = 9; length < 11; length++) {
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            sum += Number(digits[i]) * (length + 1 - i);
+        }
+        if (((sum * 10) % 11) % 10 !== Number(digits[length])) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Validação do Cartão Nacional de Saúde (soma ponderada módulo 11)
+ * @param {string} digits - 15 dígitos
+ * @returns {boolean}
+ */
+function isValidCns(digits) {
+    if (digits.length !== 15) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 15; i++) {
+        sum += Number(digits[i]) * (15 - i);
+    }
+
+    return sum % 11 === 0;
+}
+
+/**
+ * Se a palavra-chave aparece logo antes da posição ("CPF 123...", "meu RG é ...")
+ * @param {string} text
+ * @param {number} index
+ * @param {RegExp} keyword
+ * @returns {boolean}
+ */
+function hasKeywordBefore(text, index, keyword) {
+    return keyword.test(text.slice(Math.max(0, index - 25), index));
+}
+
+/**
+ * Detecta e redige identificadores conforme a política de cada destino.
+ * O mapa de pseudônimos fica só na memória do navegador e permite restaurar o texto original.
+ * @class PhiRedactor
+ */
+class PhiRedactor {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.policies] - Modo por destino (sobrepõe o padrão)
+     * @param {function(): ?string} [options.getPatientName] - Nome do paciente da consulta atual
+     */
+    constructor(options = {}) {
+        this._policies = { ...DEFAULT_REDACTION_POLICIES };
+        this._getPatientName = options.getPatientName || (() => null);
+
+        // Pseudônimos: chave normalizada -> token e token -> valor original
+        this._tokensByValue = new Map();
+        this._valuesByToken = new Map();
+        this._tokenCounters = new Map();
+
+        this._namePatternSource = null;
+        this._namePattern = null;
+
+        Object.entries(options.policies || {}).forEach(([destination, mode]) => {
+            this.setPolicy(destination, mode);
+        });
+    }
+
+    /**
+     * Define o modo de redação de um destino
+     * @public
+     * @param {string} destination - REDACTION_DESTINATIONS
+     * @param {string} mode - REDACTION_MODES
+     */
+    setPolicy(destination, mode) {
+        if (!Object.values(REDACTION_DESTINATIONS).includes(destination)) {
+            throw new Error(`Unknown redaction destination: ${destination}`);
+        }
+
+        if (!Object.values(REDACTION_MODES).includes(mode)) {
+            throw new Error(`Invalid redaction mode: ${mode}`);
+        }
+
+        if (mode === REDACTION_MODES.PASS_THROUGH && PROTECTED_DESTINATIONS.includes(destination)) {
+            throw new Error(`Destination ${destination} cannot receive unredacted identifiers`);
+        }
+
+        this._policies[destination] = mode;
+    }
+
+    /**
+     * @public
+     * @param {string} destination
+     * @returns {string} REDACTION_MODES
+     */
+    getPolicy(destination) {
+        return this._policies[destination] || REDACTION_MODES.MASK;
+    }
+
+    /**
+     * Identificadores encontrados no texto, sem sobreposição e em ordem de posição
+     * @public
+     * @param {string} text
+     * @returns {Array<{type: string, start: number, end: number, value: string}>}
+     */
+    detect(text) {
+        if (!text) return [];
+
+        const candidates = [];
+        const detectors = [...PHI_DETECTORS];
+
+        const namePattern = this._getNamePattern();
+        if (namePattern) {
+            detectors.push({ type: PHI_TYPES.PATIENT_NAME, pattern: namePattern });
+        }
+
+        detectors.forEach((detector, priority) => {
+            detector.pattern.lastIndex = 0;
+
+            for (const match of text.matchAll(detector.pattern)) {
+                const value = match[0].trim();
+                if (!value) continue;
+
+                if (detector.validate && !detector.validate(value, text, match.index)) continue;
+
+                candidates.push({
+                    type: detector.type,
+                    start: match.index,
+                    end: match.index + match[0].trimEnd().length,
+                    value,
+                    priority
+                });
+            }
+        });
+
+        // Prioridade do detector primeiro; em seguida o trecho mais longo
+        candidates.sort((a, b) => a.priority - b.priority || (b.end - b.start) - (a.end - a.start));
+
+        const accepted = [];
+        candidates.forEach(candidate => {
+            const overlaps = accepted.some(other => candidate.start < other.end && other.start < candidate.end);
+            if (!overlaps) accepted.push(candidate);
+        });
+
+        return accepted
+            .sort((a, b) => a.start - b.start)
+            .map(({ priority, ...finding }) => finding);
+    }
+
+    /**
+     * Redige o texto para um destino
+     * @public
+     * @param {string} text
+     * @param {string} destination - REDACTION_DESTINATIONS
+     * @returns {string}
+     */
+    redactText(text, destination) {
+        const mode = this.getPolicy(destination);
+        if (!text || mode === REDACTION_MODES.PASS_THROUGH) return text;
+
+        let result = '';
+        let cursor = 0;
+
+        this.detect(text).forEach(finding => {
+            result += text.slice(cursor, finding.start) + this._replacementFor(finding, mode);
+            cursor = finding.end;
+        });
+
+        return result + text.slice(cursor);
+    }
+
+    /**
+     * Cópia do chunk com texto, texto original, alternativas e palavras redigidos
+     * @public
+     * @param {Object} chunk
+     * @param {string} destination - REDACTION_DESTINATIONS
+     * @returns {Object}
+     */
+    redactChunk(chunk, destination) {
+        const mode = this.getPolicy(destination);
+        if (mode === REDACTION_MODES.PASS_THROUGH) return chunk;
+
+        return {
+            ...chunk,
+            text: this.redactText(chunk.text, destination),
+            originalText: chunk.originalText ? this.redactText(chunk.originalText, destination) : chunk.originalText,
+            rawText: chunk.rawText ? this.redactText(chunk.rawText, destination) : chunk.rawText,
+            alternatives: (chunk.alternatives || []).map(alternative => ({
+                ...alternative,
+                text: this.redactText(alternative.text, destination)
+            })),
+            words: this._redactWords(chunk.words || [], mode)
+        };
+    }
+
+    /**
+     * Substitui os pseudônimos pelos valores originais (ex.: respostas do Health Bot)
+     * @public
+     * @param {string} text
+     * @returns {string}
+     */
+    restore(text) {
+        if (!text || this._valuesByToken.size === 0) return text;
+
+        return text.replace(/\[[A-Z]+_\d+\]/g, token => this._valuesByToken.get(token) ?? token);
+    }
+
+    /**
+     * Descarta o mapa de pseudônimos (nova consulta)
+     * @public
+     */
+    reset() {
+        this._tokensByValue.clear();
+        this._valuesByToken.clear();
+        this._tokenCounters.clear();
+    }
+
+    /**
+     * Palavras com tempos: cada identificador vira uma única palavra com o tempo da primeira
+     * @private
+     * @param {Array<{word: string}>} words
+     * @param {string} mode
+     * @returns {Array<Object>}
+     */
+    _redactWords(words, mode) {
+        if (words.length === 0) return words;
+
+        // Posição de cada palavra no texto reconstruído
+        const ranges = [];
+        let text = '';
+        words.forEach(word => {
+            if (text) text += ' ';
+            ranges.push({ start: text.length, end: text.length + word.word.length });
+            text += word.word;
+        });
+
+        const findings = this.detect(text);
+        const redacted = [];
+        let lastFinding = null;
+
+        words.forEach((word, index) => {
+            const range = ranges[index];
+            const finding = findings.find(candidate => range.start < candidate.end && candidate.start < range.end);
+
+            if (!finding) {
+                redacted.push(word);
+            } else if (finding !== lastFinding) {
+                redacted.push({ ...word, word: this._replacementFor(finding, mode) });
+            }
+
+            lastFinding = finding || null;
+        });
+
+        return redacted;
+    }
+
+    /**
+     * @private
+     * @param {{type: string, value: string}} finding
+     * @param {string} mode
+     * @returns {string}
+     */
+    _replacementFor(finding, mode) {
+        const label = PHI_LABELS[finding.type];
+
+        if (mode !== REDACTION_MODES.PSEUDONYMIZE) {
+            return `[${label}]`;
+        }
+
+        // O mesmo valor recebe sempre o mesmo pseudônimo, com ou sem formatação
+        const normalized = finding.type === PHI_TYPES.PATIENT_NAME || finding.type === PHI_TYPES.ADDRESS || finding.type === PHI_TYPES.EMAIL
+            ? finding.value.toLocaleLowerCase('pt-BR')
+            : digitsOf(finding.value);
+        const key = `${finding.type}:${normalized}`;
+
+        let token = this._tokensByValue.get(key);
+        if (!token) {
+            const next = (this._tokenCounters.get(label) || 0) + 1;
+            this._tokenCounters.set(label, next);
+
+            token = `[${label}_${next}]`;
+            this._tokensByValue.set(key, token);
+            this._valuesByToken.set(token, finding.value);
+        }
+
+        return token;
+    }
+
+    /**
+     * Padrão do nome do paciente: nome completo ou cada parte significativa
+     * @private
+     * @returns {?RegExp}
+     */
+    _getNamePattern() {
+        const name = (this._getPatientName() || '').trim().replace(/\s+/g, ' ');
+
+        const parts = name
+            .split(' ')
+            .filter(part => part.length >= 3 && !NAME_PARTICLES.has(part.toLowerCase()));
+
+        if (parts.length === 0) return null;
+
+        const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const alternatives = [name, ...parts]
+            .sort((a, b) => b.length - a.length)
+            .map(value => escape(value).replace(/ /g, '\\s+'));
+
+        const source = `(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`;
+
+        if (source !== this._namePatternSource) {
+            this._namePatternSource = source;
+            this._namePattern = new RegExp(source, 'giu');
+        }
+
+        return this._namePattern;
+    }
+}
+
+// Instância compartilhada: o mapa de pseudônimos vale para todos os destinos da página
+const phiRedactor = new PhiRedactor({
+    getPatientName: () => document.getElementById('patientName')?.value || null
+});
+
+// Exportar para uso global
+window.PhiRedactor = PhiRedactor;
+window.phiRedactor = phiRedactor;
+window.PHI_TYPES = PHI_TYPES;
+window.REDACTION_MODES = REDACTION_MODES;
+window.REDACTION_DESTINATIONS = REDACTION_DESTINATIONS;
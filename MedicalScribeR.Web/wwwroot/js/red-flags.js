@@ -0,0 +1,276 @@
+/**
+ * Detecção de sinais de alarme (red flags) na transcrição para MedicalScribeR
+ * Procura termos de um léxico configurável (dor torácica, ideação suicida, anafilaxia, sinais de AVC...)
+ * e descarta as menções negadas no mesmo trecho da frase ("nega dor torácica", "sem sangramento").
+ *
+ * Usado por AzureSpeechService; o léxico pode ser ampliado pelo servidor (RedFlags na lista de frases).
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+const RED_FLAG_SEVERITY = Object.freeze({
+    CRITICAL: 'critical',
+    HIGH: 'high'
+});
+
+/**
+ * Léxico padrão. consultationTypes limita a entrada a tipos de consulta; sem ele vale para todos.
+ * @readonly
+ */
+const DEFAULT_RED_FLAGS = Object.freeze([
+    {
+        id: 'chest-pain',
+        label: 'Dor torácica',
+        severity: RED_FLAG_SEVERITY.CRITICAL,
+        terms: ['dor torácica', 'dor no peito', 'dor precordial', 'dor retroesternal', 'aperto no peito', 'opressão no peito', 'opressão torácica']
+    },
+    {
+        id: 'suicidal-ideation',
+        label: 'Ideação suicida',
+        severity: RED_FLAG_SEVERITY.CRITICAL,
+        terms: [
+            'ideação suicida', 'pensamento suicida', 'pensamentos suicidas', 'plano suicida', 'tentativa de suicídio',
+            'autoextermínio', 'vontade de morrer', 'quero morrer', 'quer morrer', 'me matar', 'se matar',
+            'tirar a minha vida', 'tirar a própria vida', 'acabar com a minha vida'
+        ]
+    },
+    {
+        id: 'self-harm',
+        label: 'Autolesão',
+        severity: RED_FLAG_SEVERITY.HIGH,
+        terms: ['autolesão', 'automutilação', 'me cortar', 'se cortar', 'me machucar de propósito']
+    },
+    {
+        id: 'homicidal-ideation',
+        label: 'Ideação homicida',
+        severity: RED_FLAG_SEVERITY.CRITICAL,
+        terms: ['ideação homicida', 'vontade de matar', 'matar alguém', 'fazer mal a alguém']
+    },
+    {
+        id: 'anaphylaxis',
+        label: 'Anafilaxia',
+        severity: RED_FLAG_SEVERITY.CRITICAL,
+        terms: ['anafilaxia', 'choque anafilático', 'reação anafilática', 'edema de glote', 'edema de língua', 'garganta fechando', 'inchaço na garganta']
+    },
+    {
+        id: 'stroke',
+        label: 'Sinais de AVC',
+        severity: RED_FLAG_SEVERITY.CRITICAL,
+        terms: [
+            'AVC', 'acidente vascular cerebral', 'desvio de rima', 'boca torta', 'hemiparesia', 'hemiplegia',
+            'perda de força de um lado', 'fraqueza de um lado', 'fala enrolada', 'dificuldade para falar', 'afasia', 'disartria'
+        ]
+    },
+    {
+        id: 'gestational-bleeding',
+        label: 'Sangramento na gestação',
+        severity: RED_FLAG_SEVERITY.CRITICAL,
+        terms: [
+            'sangramento na gestação', 'sangramento na gravidez', 'sangramento gestacional', 'sangramento vaginal na gestação',
+            'descolamento de placenta', 'perda de líquido amniótico'
+        ]
+    },
+    {
+        id: 'respiratory-distress',
+        label: 'Insuficiência respiratória',
+        severity: RED_FLAG_SEVERITY.HIGH,
+        terms: ['insuficiência respiratória', 'desconforto respiratório', 'falta de ar intensa', 'dispneia intensa', 'cianose', 'saturação baixa']
+    },
+    {
+        id: 'loss-of-consciousness',
+        label: 'Rebaixamento de consciência',
+        severity: RED_FLAG_SEVERITY.HIGH,
+        terms: ['convulsão', 'crise convulsiva', 'perda de consciência', 'rebaixamento do nível de consciência', 'síncope', 'desmaio']
+    }
+]);
+
+const RED_FLAG_CONFIG = Object.freeze({
+    // Palavras antes do termo em que uma negação ainda o alcança ("nega febre, tosse e dor torácica")
+    NEGATION_WINDOW: 8,
+    POST_NEGATION_WINDOW: 3
+});
+
+// Formas sem acento, em minúsculas
+const NEGATION_CUES = new Set([
+    'nega', 'negou', 'negam', 'negaram', 'negando', 'sem', 'nao', 'nem', 'nenhum', 'nenhuma',
+    'nunca', 'jamais', 'ausencia', 'descarta', 'descartou', 'afasta', 'afastou'
+]);
+const POST_NEGATION_CUES = new Set([
+    'ausente', 'ausentes', 'negado', 'negada', 'negados', 'negadas', 'descartado', 'descartada', 'afastado', 'afastada'
+]);
+// Iniciam outra oração: a negação anterior não se estende além delas
+const CLAUSE_BREAKS = new Set([
+    'mas', 'porem', 'contudo', 'entretanto', 'todavia', 'exceto', 'porque', 'pois', 'embora'
+]);
+// Afirmam o que vem depois ("nega febre e refere dor torácica"), salvo quando negados ("não refere")
+const AFFIRMATIVE_CUES = new Set([
+    'refere', 'referiu', 'relata', 'relatou', 'apresenta', 'apresentou', 'queixa', 'sente', 'sentiu', 'teve', 'tem', 'com'
+]);
+
+/**
+ * Detecta red flags em texto em português, com tratamento de negação
+ */
+class RedFlagDetector {
+    /**
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.lexicon] - Substitui o léxico padrão
+     */
+    constructor(options = {}) {
+        this._entries = new Map();
+        (options.lexicon || DEFAULT_RED_FLAGS).forEach(entry => this._addEntry(entry));
+    }
+
+    /**
+     * Acrescenta ou substitui (pelo id) entradas do léxico
+     * @param {Array<{id: string, label: string, severity?: string, terms: Array<string>, consultationTypes?: Array<string>}>} entries
+     */
+    mergeLexicon(entries) {
+        (entries || []).forEach(entry => this._addEntry(entry));
+    }
+
+    /**
+     * @returns {Array<Object>} Entradas do léxico em uso
+     */
+    get lexicon() {
+        return Array.from(this._entries.values()).map(({ id, label, severity, terms, consultationTypes }) =>
+            ({ id, label, severity, terms: [...terms], consultationTypes: consultationTypes ? [...consultationTypes] : null }));
+    }
+
+    /**
+     * Procura red flags no texto
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {string} [options.consultationType] - Considera só as entradas válidas para o tipo
+     * @returns {{flags: Array<{id: string, label: string, severity: string, term: string}>,
+     *            negated: Array<{id: string, label: string, severity: string, term: string}>}}
+     *          Uma ocorrência por entrada; negated traz as mencionadas apenas de forma negada
+     */
+    detect(text, options = {}) {
+        const result = { flags: [], negated: [] };
+        if (typeof text !== 'string' || text.length === 0) return result;
+
+        const tokens = this._tokenize(text);
+
+        for (const entry of this._entries.values()) {
+            if (entry.consultationTypes && options.consultationType &&
+                !entry.consultationTypes.includes(options.consultationType)) {
+                continue;
+            }
+
+            let negatedMatch = null;
+            let affirmedMatch = null;
+
+            for (const term of entry.termTokens) {
+                for (let start = 0; start + term.tokens.length <= tokens.length; start++) {
+                    if (!term.tokens.every((token, offset) => tokens[start + offset].folded === token)) continue;
+
+                    const end = start + term.tokens.length - 1;
+                    if (this._isNegated(tokens, start, end)) {
+                        negatedMatch = negatedMatch || term.text;
+                    } else {
+                        affirmedMatch = term.text;
+                        break;
+                    }
+                }
+                if (affirmedMatch) break;
+            }
+
+            const base = { id: entry.id, label: entry.label, severity: entry.severity };
+            if (affirmedMatch) {
+                result.flags.push({ ...base, term: affirmedMatch });
+            } else if (negatedMatch) {
+                result.negated.push({ ...base, term: negatedMatch });
+            }
+        }
+
+        return result;
+    }
+
+    _addEntry(entry) {
+        if (!entry?.id || !Array.isArray(entry.terms)) {
+            console.warn('Ignoring invalid red flag entry:', entry);
+            return;
+        }
+
+        const termTokens = entry.terms
+            .map(term => String(term).trim())
+            .filter(term => term.length > 0)
+            .map(term => ({ text: term, tokens: this._tokenize(term).map(token => token.folded) }))
+            .filter(term => term.tokens.length > 0);
+
+        this._entries.set(entry.id, {
+            id: entry.id,
+            label: entry.label || entry.id,
+            severity: Object.values(RED_FLAG_SEVERITY).includes(entry.severity) ? entry.severity : RED_FLAG_SEVERITY.HIGH,
+            terms: termTokens.map(term => term.text),
+            termTokens,
+            consultationTypes: Array.isArray(entry.consultationTypes) && entry.consultationTypes.length > 0
+                ? entry.consultationTypes
+                : null
+        });
+    }
+
+    /**
+     * Palavras do texto sem acento e em minúsculas; clauseStart marca o início de outra oração
+     * (pontuação de fim de oração ou conjunção adversativa antes da palavra)
+     */
+    _tokenize(text) {
+        const tokens = [];
+        const pattern = /[\p{L}\p{N}]+/gu;
+        let lastEnd = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const folded = match[0].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+            const gap = text.slice(lastEnd, match.index);
+
+            tokens.push({ folded, clauseStart: /[.;:!?]/.test(gap) || CLAUSE_BREAKS.has(folded) });
+            lastEnd = match.index + match[0].length;
+        }
+
+        return tokens;
+    }
+
+    _isNegated(tokens, start, end) {
+        // Para trás até o início da oração
+        for (let index = start - 1; index >= 0 && start - index <= RED_FLAG_CONFIG.NEGATION_WINDOW; index--) {
+            if (tokens[index + 1].clauseStart) break;
+
+            const word = tokens[index].folded;
+            const previous = tokens[index].clauseStart ? null : tokens[index - 1];
+
+            if (AFFIRMATIVE_CUES.has(word)) {
+                if (previous && NEGATION_CUES.has(previous.folded)) return true;
+                break;
+            }
+
+            if (NEGATION_CUES.has(word)) {
+                // "não nega" afirma
+                return !(previous?.folded === 'nao' && word.startsWith('nega'));
+            }
+        }
+
+        // "dor torácica ausente", "AVC descartado"
+        for (let index = end + 1; index < tokens.length && index - end <= RED_FLAG_CONFIG.POST_NEGATION_WINDOW; index++) {
+            if (tokens[index].clauseStart) break;
+            if (POST_NEGATION_CUES.has(tokens[index].folded)) return true;
+        }
+
+        return false;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.RedFlagDetector = RedFlagDetector;
+    window.RED_FLAG_SEVERITY = RED_FLAG_SEVERITY;
+    window.DEFAULT_RED_FLAGS = DEFAULT_RED_FLAGS;
+}
@@ -0,0 +1,175 @@
+/**
+ * Áudio recente da sessão para MedicalScribeR
+ * Guarda o PCM capturado do microfone indexado pela linha do tempo da sessão (ms desde o início),
+ * a mesma dos offsetMs dos chunks, e recorta trechos em WAV para ouvir de novo.
+ *
+ * Usado por AzureSpeechService na revisão de trechos de baixa confiança.
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+const SESSION_AUDIO_CONFIG = Object.freeze({
+    SAMPLE_RATE: 16000,
+    // 10 minutos de PCM 16 bits/mono a 16 kHz ocupam ~19 MB
+    MAX_DURATION_MS: 10 * 60 * 1000
+});
+
+/**
+ * Buffer circular de PCM 16 bits/mono. Blocos fora de ordem ou com lacunas (pausas) são aceitos:
+ * cada bloco guarda seu início na linha do tempo e o recorte preenche lacunas com silêncio.
+ */
+class SessionAudioBuffer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.sampleRate=16000]
+     * @param {number} [options.maxDurationMs] - Áudio mais antigo que isso é descartado
+     */
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || SESSION_AUDIO_CONFIG.SAMPLE_RATE;
+        this._maxDurationMs = options.maxDurationMs || SESSION_AUDIO_CONFIG.MAX_DURATION_MS;
+
+        // { startMs, samples: Int16Array } em ordem de startMs
+        this._blocks = [];
+        this._endMs = 0;
+    }
+
+    /**
+     * Acrescenta um bloco capturado
+     * @param {Int16Array|ArrayBuffer} pcm
+     * @param {number} startMs - Início do bloco na linha do tempo da sessão
+     */
+    append(pcm, startMs) {
+        const samples = pcm instanceof Int16Array ? pcm : new Int16Array(pcm);
+        if (samples.length === 0 || !Number.isFinite(startMs)) return;
+
+        const block = { startMs, samples };
+        let index = this._blocks.length;
+        while (index > 0 && this._blocks[index - 1].startMs > startMs) {
+            index--;
+        }
+        this._blocks.splice(index, 0, block);
+        this._endMs = Math.max(this._endMs, this._blockEndMs(block));
+
+        const oldestMs = this._endMs - this._maxDurationMs;
+        while (this._blocks.length > 1 && this._blockEndMs(this._blocks[0]) < oldestMs) {
+            this._blocks.shift();
+        }
+    }
+
+    /**
+     * @returns {number} Início do áudio disponível (ms da sessão), ou 0 sem áudio
+     */
+    get startMs() {
+        return this._blocks.length > 0 ? this._blocks[0].startMs : 0;
+    }
+
+    /**
+     * @returns {number} Fim do áudio disponível (ms da sessão), ou 0 sem áudio
+     */
+    get endMs() {
+        return this._endMs;
+    }
+
+    /**
+     * Se há áudio capturado em algum ponto do intervalo
+     * @param {number} startMs
+     * @param {number} endMs
+     * @returns {boolean}
+     */
+    covers(startMs, endMs) {
+        return this._blocks.some(block => block.startMs < endMs && this._blockEndMs(block) > startMs);
+    }
+
+    /**
+     * Recorta o intervalo; trechos sem áudio capturado ficam em silêncio
+     * @param {number} startMs
+     * @param {number} endMs
+     * @returns {?Int16Array} null se nada do intervalo foi capturado
+     */
+    slice(startMs, endMs) {
+        if (endMs <= startMs || !this.covers(startMs, endMs)) return null;
+
+        const samplesPerMs = this.sampleRate / 1000;
+        const output = new Int16Array(Math.round((endMs - startMs) * samplesPerMs));
+
+        for (const block of this._blocks) {
+            if (block.startMs >= endMs || this._blockEndMs(block) <= startMs) continue;
+
+            const from = Math.max(0, Math.round((startMs - block.startMs) * samplesPerMs));
+            const to = Math.min(block.samples.length, Math.round((endMs - block.startMs) * samplesPerMs));
+            const target = Math.max(0, Math.round((block.startMs - startMs) * samplesPerMs));
+            const count = Math.min(to - from, output.length - target);
+
+            if (count > 0) {
+                output.set(block.samples.subarray(from, from + count), target);
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Recorta o intervalo como arquivo WAV
+     * @param {number} startMs
+     * @param {number} endMs
+     * @returns {?Blob} audio/wav, ou null se nada do intervalo foi capturado
+     */
+    toWav(startMs, endMs) {
+        const samples = this.slice(startMs, endMs);
+        return samples ? SessionAudioBuffer.encodeWav(samples, this.sampleRate) : null;
+    }
+
+    /**
+     * Descarta todo o áudio guardado
+     */
+    clear() {
+        this._blocks = [];
+        this._endMs = 0;
+    }
+
+    /**
+     * Monta um WAV PCM 16 bits/mono
+     * @param {Int16Array} samples
+     * @param {number} sampleRate
+     * @returns {Blob}
+     */
+    static encodeWav(samples, sampleRate) {
+        const header = new DataView(new ArrayBuffer(44));
+        const dataBytes = samples.length * 2;
+        const writeAscii = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                header.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeAscii(0, 'RIFF');
+        header.setUint32(4, 36 + dataBytes, true);
+        writeAscii(8, 'WAVE');
+        writeAscii(12, 'fmt ');
+        header.setUint32(16, 16, true);
+        header.setUint16(20, 1, true);
+        header.setUint16(22, 1, true);
+        header.setUint32(24, sampleRate, true);
+        header.setUint32(28, sampleRate * 2, true);
+        header.setUint16(32, 2, true);
+        header.setUint16(34, 16, true);
+        writeAscii(36, 'data');
+        header.setUint32(40, dataBytes, true);
+
+        // WAV é little-endian, como Int16Array nos navegadores
+        return new Blob([header.buffer, samples.buffer.slice(samples.byteOffset, samples.byteOffset + dataBytes)], { type: 'audio/wav' });
+    }
+
+    _blockEndMs(block) {
+        return block.startMs + (block.samples.length * 1000) / this.sampleRate;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.SessionAudioBuffer = SessionAudioBuffer;
+}
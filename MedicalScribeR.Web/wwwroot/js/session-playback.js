@@ -0,0 +1,543 @@
+/**
+ * Reprodução sincronizada de sessões encerradas para MedicalScribeR
+ * Toca o áudio da sessão (um ou mais segmentos posicionados na linha do tempo da sessão) destacando
+ * em #transcriptionOutput o chunk em reprodução e, no painel, a palavra atual.
+ * Clicar em um chunk da transcrição leva o áudio até ele.
+ *
+ * Tempos dos chunks e das palavras: offsetMs/durationMs em ms desde o início da sessão (Azure Speech e Whisper).
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+const PLAYBACK_CONFIG = Object.freeze({
+    RATES: [0.75, 1, 1.25, 1.5, 2],
+    SEEK_STEP_MS: 5000,
+    // Recuo ao pular para um chunk: o reconhecimento marca o início da fala com a primeira sílaba já começada
+    SEEK_LEAD_MS: 250
+});
+
+// Cliques nestes elementos do chunk têm outra função (alternativas, revisão)
+const PLAYBACK_IGNORED_CLICK_TARGETS = 'button, a, input, textarea, select, audio, .has-alternatives, .chunk-alternatives';
+
+/**
+ * Player de uma sessão: áudio em segmentos, chunks com tempos e atalhos de teclado
+ */
+class SessionPlayback {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.transcriptId='transcriptionOutput'] - Contêiner dos chunks (com data-chunk-id)
+     * @param {string} [options.panelId='playbackPanel'] - Painel com os controles
+     * @param {function(string, Object): void} [options.onEvent] - Recebe 'playback-loaded', 'playback-state-changed',
+     *        'playback-chunk-changed' e 'playback-closed'
+     */
+    constructor(options = {}) {
+        this._transcriptId = options.transcriptId || 'transcriptionOutput';
+        this._panelId = options.panelId || 'playbackPanel';
+        this._onEvent = options.onEvent || (() => {});
+
+        this._audio = new Audio();
+        this._audio.preload = 'auto';
+
+        this._sessionId = null;
+        // { url, offsetMs, durationMs, objectUrl } em ordem de offsetMs
+        this._segments = [];
+        this._segmentIndex = -1;
+        // { chunk, startMs, endMs, words: [{word, startMs, endMs}] } em ordem de startMs
+        this._timeline = [];
+        this._activeEntry = null;
+        this._activeWordIndex = -1;
+        this._frame = null;
+        this._pendingSeek = null;
+
+        this._onAudioEnded = () => this._playNextSegment();
+        this._onAudioStateChanged = () => this._onPlayStateChanged();
+        this._onAudioTimeUpdate = () => this._refresh();
+        this._onTranscriptClick = (event) => this._handleTranscriptClick(event);
+        this._onKeyDown = (event) => this._handleKeyDown(event);
+
+        this._audio.addEventListener('ended', this._onAudioEnded);
+        this._audio.addEventListener('play', this._onAudioStateChanged);
+        this._audio.addEventListener('pause', this._onAudioStateChanged);
+        this._audio.addEventListener('timeupdate', this._onAudioTimeUpdate);
+    }
+
+    /**
+     * Início e fim do chunk em ms da linha do tempo da sessão
+     * @param {Object} chunk
+     * @returns {?{startMs: number, endMs: number}} null quando o chunk não tem tempos
+     */
+    static chunkTiming(chunk) {
+        if (Number.isFinite(chunk?.offsetMs)) {
+            const durationMs = Number.isFinite(chunk.durationMs) ? chunk.durationMs : 0;
+            return { startMs: chunk.offsetMs, endMs: chunk.offsetMs + durationMs };
+        }
+
+        return null;
+    }
+
+    /**
+     * Tempos das palavras do chunk, nos mesmos formatos aceitos para o chunk
+     * @param {Object} chunk
+     * @returns {Array<{word: string, startMs: number, endMs: number}>}
+     */
+    static wordTimings(chunk) {
+        return (Array.isArray(chunk?.words) ? chunk.words : [])
+            .map(word => {
+                const timing = SessionPlayback.chunkTiming(word);
+                return timing && { word: word.word || word.text || '', ...timing };
+            })
+            .filter(word => word && word.word);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isLoaded() {
+        return this._segments.length > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isPlaying() {
+        return this.isLoaded && !this._audio.paused;
+    }
+
+    /**
+     * Posição atual na linha do tempo da sessão
+     * @returns {number}
+     */
+    get positionMs() {
+        const segment = this._segments[this._segmentIndex];
+        if (!segment) return 0;
+        if (this._pendingSeek !== null) return segment.offsetMs + this._pendingSeek;
+        return segment.offsetMs + Math.round(this._audio.currentTime * 1000);
+    }
+
+    /**
+     * @returns {number}
+     */
+    get rate() {
+        return this._audio.playbackRate;
+    }
+
+    /**
+     * Carrega a sessão e mostra o painel
+     * @param {Object} source
+     * @param {string} source.sessionId
+     * @param {Array<Object>} source.chunks - Chunks da sessão; os sem tempos ficam fora da sincronização
+     * @param {Array<{src: string|Blob, offsetMs: number, durationMs: number}>} source.segments - Áudio da sessão
+     */
+    load(source) {
+        this.unload();
+
+        const segments = (source?.segments || [])
+            .filter(segment => segment?.src && Number.isFinite(segment.offsetMs))
+            .sort((a, b) => a.offsetMs - b.offsetMs);
+
+        if (segments.length === 0) {
+            throw new Error('No audio to play back');
+        }
+
+        this._sessionId = source.sessionId || null;
+        this._segments = segments.map(segment => {
+            const objectUrl = segment.src instanceof Blob ? URL.createObjectURL(segment.src) : null;
+            return {
+                url: objectUrl || segment.src,
+                objectUrl,
+                offsetMs: segment.offsetMs,
+                durationMs: Number.isFinite(segment.durationMs) ? segment.durationMs : 0
+            };
+        });
+
+        this._timeline = (source.chunks || [])
+            .map(chunk => {
+                const timing = SessionPlayback.chunkTiming(chunk);
+                return timing && { chunk, ...timing, words: SessionPlayback.wordTimings(chunk) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.startMs - b.startMs);
+
+        this._bindPanel();
+        document.getElementById(this._transcriptId)?.addEventListener('click', this._onTranscriptClick);
+        document.addEventListener('keydown', this._onKeyDown);
+        document.getElementById(this._transcriptId)?.classList.add('playback-enabled');
+
+        this._loadSegment(0, 0);
+        this._panel?.classList.remove('d-none');
+        this._refresh();
+
+        this._onEvent('playback-loaded', {
+            sessionId: this._sessionId,
+            segments: this._segments.length,
+            chunks: this._timeline.length,
+            durationMs: this._endMs - this._startMs
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async play() {
+        if (!this.isLoaded) return;
+
+        // Fim da sessão: recomeça do início
+        if (this._audio.ended && this._segmentIndex === this._segments.length - 1) {
+            this.seek(this._startMs);
+        }
+
+        try {
+            await this._audio.play();
+        } catch (error) {
+            console.warn('[SessionPlayback] Playback failed:', error);
+        }
+    }
+
+    pause() {
+        this._audio.pause();
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+            return Promise.resolve();
+        }
+        return this.play();
+    }
+
+    /**
+     * Vai para uma posição da linha do tempo da sessão. Posições em pausas da gravação
+     * (entre segmentos) vão para o início do segmento seguinte.
+     * @param {number} positionMs
+     */
+    seek(positionMs) {
+        if (!this.isLoaded) return;
+
+        const target = Math.min(Math.max(positionMs, this._startMs), this._endMs);
+        let index = this._segments.findIndex(segment => target < segment.offsetMs + segment.durationMs);
+        if (index === -1) index = this._segments.length - 1;
+
+        const segment = this._segments[index];
+        this._loadSegment(index, Math.max(0, target - segment.offsetMs));
+        this._refresh();
+    }
+
+    /**
+     * Vai para o início do chunk e toca
+     * @param {string} chunkId
+     * @returns {boolean} Se o chunk tem tempos
+     */
+    seekToChunk(chunkId) {
+        const entry = this._timeline.find(candidate => candidate.chunk.id === chunkId);
+        if (!entry) return false;
+
+        this.seek(entry.startMs - PLAYBACK_CONFIG.SEEK_LEAD_MS);
+        this.play();
+        return true;
+    }
+
+    /**
+     * @param {number} rate - Velocidade (ex.: 1.5); o tom é preservado pelo navegador
+     */
+    setRate(rate) {
+        if (!Number.isFinite(rate) || rate <= 0) return;
+
+        this._audio.playbackRate = rate;
+        this._audio.defaultPlaybackRate = rate;
+
+        const select = this._panel?.querySelector('.playback-rate');
+        if (select) select.value = String(rate);
+    }
+
+    /**
+     * Passa para a velocidade seguinte (1) ou anterior (-1) da lista
+     * @param {number} direction
+     */
+    stepRate(direction) {
+        const rates = PLAYBACK_CONFIG.RATES;
+        const current = rates.findIndex(rate => rate >= this.rate);
+        const index = Math.min(Math.max((current === -1 ? rates.length - 1 : current) + direction, 0), rates.length - 1);
+        this.setRate(rates[index]);
+    }
+
+    /**
+     * Esconde o painel e libera o áudio carregado
+     */
+    unload() {
+        if (!this.isLoaded) return;
+
+        this._audio.pause();
+        this._audio.removeAttribute('src');
+        this._audio.load();
+        cancelAnimationFrame(this._frame);
+        this._frame = null;
+
+        this._segments.forEach(segment => {
+            if (segment.objectUrl) URL.revokeObjectURL(segment.objectUrl);
+        });
+
+        this._setActiveEntry(null);
+
+        const transcript = document.getElementById(this._transcriptId);
+        transcript?.removeEventListener('click', this._onTranscriptClick);
+        transcript?.classList.remove('playback-enabled');
+        document.removeEventListener('keydown', this._onKeyDown);
+        this._panel?.classList.add('d-none');
+
+        const sessionId = this._sessionId;
+        this._segments = [];
+        this._segmentIndex = -1;
+        this._timeline = [];
+        this._sessionId = null;
+        this._pendingSeek = null;
+
+        this._onEvent('playback-closed', { sessionId });
+    }
+
+    get _startMs() {
+        return this._segments[0]?.offsetMs || 0;
+    }
+
+    get _endMs() {
+        const last = this._segments[this._segments.length - 1];
+        return last ? last.offsetMs + last.durationMs : 0;
+    }
+
+    _loadSegment(index, offsetInSegmentMs, autoplay = !this._audio.paused) {
+        const segment = this._segments[index];
+
+        if (this._segmentIndex !== index) {
+            this._segmentIndex = index;
+            this._audio.src = segment.url;
+        }
+
+        // Antes dos metadados o navegador ignora currentTime
+        if (this._audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+            this._audio.currentTime = offsetInSegmentMs / 1000;
+            this._pendingSeek = null;
+        } else {
+            this._pendingSeek = offsetInSegmentMs;
+            this._audio.addEventListener('loadedmetadata', () => {
+                if (this._pendingSeek === null || this._segments[this._segmentIndex] !== segment) return;
+                this._audio.currentTime = this._pendingSeek / 1000;
+                this._pendingSeek = null;
+            }, { once: true });
+        }
+
+        if (autoplay) {
+            this._audio.play().catch(error => console.warn('[SessionPlayback] Playback failed:', error));
+        }
+    }
+
+    _playNextSegment() {
+        if (this._segmentIndex < this._segments.length - 1) {
+            this._loadSegment(this._segmentIndex + 1, 0, true);
+        } else {
+            this._onPlayStateChanged();
+        }
+    }
+
+    _onPlayStateChanged() {
+        const toggle = this._panel?.querySelector('.playback-toggle');
+        if (toggle) {
+            toggle.innerHTML = `<i class="fas fa-${this.isPlaying ? 'pause' : 'play'}"></i>`;
+            toggle.setAttribute('aria-label', this.isPlaying ? 'Pausar' : 'Reproduzir');
+        }
+
+        // Destaque por palavra acompanha a reprodução quadro a quadro; timeupdate só dispara ~4 vezes por segundo
+        cancelAnimationFrame(this._frame);
+        if (this.isPlaying) {
+            const tick = () => {
+                this._refresh();
+                this._frame = requestAnimationFrame(tick);
+            };
+            this._frame = requestAnimationFrame(tick);
+        }
+
+        this._onEvent('playback-state-changed', { playing: this.isPlaying, positionMs: this.positionMs });
+    }
+
+    _refresh() {
+        if (!this.isLoaded) return;
+
+        const positionMs = this.positionMs;
+        this._updateControls(positionMs);
+
+        const entry = this._findEntry(positionMs);
+        if (entry !== this._activeEntry) {
+            this._setActiveEntry(entry);
+        }
+        this._highlightWord(positionMs);
+    }
+
+    _findEntry(positionMs) {
+        // Caso comum: continua no mesmo chunk
+        const active = this._activeEntry;
+        if (active && positionMs >= active.startMs && positionMs < active.endMs) return active;
+
+        // Último chunk iniciado que ainda não terminou
+        for (let i = this._timeline.length - 1; i >= 0; i--) {
+            const entry = this._timeline[i];
+            if (entry.startMs <= positionMs) {
+                return positionMs < Math.max(entry.endMs, entry.startMs + 1) ? entry : null;
+            }
+        }
+        return null;
+    }
+
+    _setActiveEntry(entry) {
+        const transcript = document.getElementById(this._transcriptId);
+        transcript?.querySelectorAll('.playback-active').forEach(element => element.classList.remove('playback-active'));
+
+        this._activeEntry = entry;
+        this._activeWordIndex = -1;
+
+        if (entry) {
+            const element = transcript?.querySelector(`[data-chunk-id="${CSS.escape(entry.chunk.id)}"]`);
+            if (element) {
+                element.classList.add('playback-active');
+                element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            }
+        }
+
+        this._renderCurrentText(entry);
+        this._onEvent('playback-chunk-changed', { chunk: entry ? entry.chunk : null });
+    }
+
+    /**
+     * Texto do chunk atual no painel, uma <span> por palavra quando há tempos por palavra
+     */
+    _renderCurrentText(entry) {
+        const container = this._panel?.querySelector('.playback-current-text');
+        if (!container) return;
+
+        container.textContent = '';
+        if (!entry) return;
+
+        if (entry.words.length === 0) {
+            container.textContent = entry.chunk.text || '';
+            return;
+        }
+
+        entry.words.forEach((word, index) => {
+            const span = document.createElement('span');
+            span.className = 'playback-word';
+            span.textContent = word.word;
+            span.setAttribute('data-word-index', index);
+            container.append(span, ' ');
+        });
+    }
+
+    _highlightWord(positionMs) {
+        const words = this._activeEntry?.words || [];
+        const index = words.findIndex(word => positionMs >= word.startMs && positionMs < word.endMs);
+        if (index === this._activeWordIndex) return;
+
+        const container = this._panel?.querySelector('.playback-current-text');
+        container?.querySelector('.playback-word-active')?.classList.remove('playback-word-active');
+        container?.querySelector(`[data-word-index="${index}"]`)?.classList.add('playback-word-active');
+        this._activeWordIndex = index;
+    }
+
+    _bindPanel() {
+        this._panel = document.getElementById(this._panelId);
+        if (!this._panel || this._panel.dataset.playbackBound) return;
+
+        // Os controles continuam ligados a esta instância entre sessões
+        this._panel.dataset.playbackBound = 'true';
+        this._panel.querySelector('.playback-toggle')?.addEventListener('click', () => this.toggle());
+        this._panel.querySelector('.playback-close')?.addEventListener('click', () => this.unload());
+        this._panel.querySelector('.playback-rate')?.addEventListener('change', (event) => this.setRate(Number(event.target.value)));
+        this._panel.querySelector('.playback-seek')?.addEventListener('input', (event) => this.seek(Number(event.target.value)));
+    }
+
+    _updateControls(positionMs) {
+        if (!this._panel) return;
+
+        const seekBar = this._panel.querySelector('.playback-seek');
+        if (seekBar) {
+            seekBar.min = String(this._startMs);
+            seekBar.max = String(this._endMs);
+            if (document.activeElement !== seekBar) seekBar.value = String(positionMs);
+        }
+
+        const position = this._panel.querySelector('.playback-position');
+        if (position) {
+            position.textContent = `${this._formatTime(positionMs)} / ${this._formatTime(this._endMs)}`;
+        }
+    }
+
+    _handleTranscriptClick(event) {
+        if (event.target.closest(PLAYBACK_IGNORED_CLICK_TARGETS)) return;
+
+        const chunkElement = event.target.closest('[data-chunk-id]');
+        if (chunkElement) {
+            this.seekToChunk(chunkElement.getAttribute('data-chunk-id'));
+        }
+    }
+
+    /**
+     * Espaço: reproduzir/pausar · ←/→: 5 s · Shift+←/→: chunk anterior/seguinte · < e >: velocidade
+     */
+    _handleKeyDown(event) {
+        const target = event.target;
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (target?.isContentEditable || target?.closest?.('input, textarea, select')) return;
+
+        switch (event.key) {
+            case ' ':
+                // Espaço em botões dispara o clique do próprio botão
+                if (target?.closest?.('button')) return;
+                this.toggle();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const direction = event.key === 'ArrowRight' ? 1 : -1;
+                if (event.shiftKey) {
+                    this._seekToAdjacentChunk(direction);
+                } else {
+                    this.seek(this.positionMs + direction * PLAYBACK_CONFIG.SEEK_STEP_MS);
+                }
+                break;
+            }
+            case '>':
+            case '<':
+                this.stepRate(event.key === '>' ? 1 : -1);
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+    }
+
+    _seekToAdjacentChunk(direction) {
+        if (this._timeline.length === 0) return;
+
+        const positionMs = this.positionMs;
+        const current = this._timeline.findIndex(entry => entry.startMs > positionMs + PLAYBACK_CONFIG.SEEK_LEAD_MS);
+        // current: primeiro chunk depois da posição; o atual é o anterior a ele
+        const activeIndex = (current === -1 ? this._timeline.length : current) - 1;
+        const index = Math.min(Math.max(activeIndex + direction, 0), this._timeline.length - 1);
+
+        this.seek(this._timeline[index].startMs - PLAYBACK_CONFIG.SEEK_LEAD_MS);
+    }
+
+    _formatTime(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+}
+
+// Exportar para uso global
+window.SessionPlayback = SessionPlayback;
@@ -0,0 +1,574 @@
+/**
+ * Diarização acústica para a transcrição Whisper do MedicalScribeR
+ * O Whisper não separa falantes. Aqui cada segmento transcrito ganha um perfil de voz
+ * (média e desvio dos MFCCs das partes com voz), calculado num Web Worker, e os perfis são
+ * agrupados em falantes com IDs estáveis na sessão inteira ("Falante-1", "Falante-2", ...).
+ * Os perfis dos falantes são exportados com getState() e guardados com a sessão, para os IDs
+ * continuarem os mesmos depois de recarregar a página ou retomar a gravação.
+ *
+ * O papel de cada falante (Médico, Paciente...) é definido à parte por SpeakerRoleAssigner:
+ * frases típicas só sugerem um papel depois de se repetirem, e a escolha do usuário sempre prevalece.
+ *
+ * Usado por WhisperTranscriptionService.
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+const SPEAKER_DIARIZATION_CONFIG = Object.freeze({
+    SAMPLE_RATE: 16000,
+    // Quadros de 25 ms a cada 10 ms
+    FRAME_SIZE: 400,
+    FRAME_HOP: 160,
+    FFT_SIZE: 512,
+    MEL_BANDS: 26,
+    CEPSTRA: 12,
+    MIN_FREQUENCY: 100,
+    MAX_FREQUENCY: 7600,
+    // Quadros até 30 dB abaixo do mais forte do segmento contam como voz
+    VOICED_RANGE_DB: 30,
+    // Menos de 0,5 s de voz não dá um perfil confiável
+    MIN_VOICED_FRAMES: 50,
+    // Similaridade de cosseno (perfis padronizados) para juntar um segmento a um falante conhecido
+    SIMILARITY_THRESHOLD: 0.3,
+    MAX_SPEAKERS: 4,
+    // Perfis vistos antes de padronizar pela média da sessão
+    MIN_PROFILES_FOR_STATS: 5,
+    WORKER_TIMEOUT_MS: 30000,
+    SPEAKER_ID_PREFIX: 'Falante-'
+});
+
+/**
+ * Papéis aceitos pelo hub (AssignSpeakerRole); os mesmos de SPEAKER_ROLES em azure-speech.js
+ */
+const DIARIZATION_ROLES = Object.freeze({
+    DOCTOR: 'Médico',
+    PATIENT: 'Paciente',
+    COMPANION: 'Acompanhante',
+    UNKNOWN: 'Desconhecido'
+});
+
+/**
+ * Frases típicas de cada papel; cada ocorrência é só um indício
+ */
+const SPEAKER_ROLE_PRIOR_PATTERNS = Object.freeze({
+    [DIARIZATION_ROLES.DOCTOR]: [
+        /vou prescrever|vou receitar|recomendo|você deve|tome este/,
+        /diagnóstico|exame|consulta|retorno|medicamento/,
+        /como está se sentindo|me fale sobre|quando começou/
+    ],
+    [DIARIZATION_ROLES.PATIENT]: [
+        /estou sentindo|me dói|tenho dor|não estou bem/,
+        /doutor|doutora|posso|preciso|quando/,
+        /ontem|hoje|semana passada|mês passado/
+    ]
+});
+
+/**
+ * Perfil de voz de cada segmento: média e desvio padrão dos MFCCs dos quadros com voz.
+ * Autocontida, porque também roda dentro do worker (via toString).
+ * @param {Float32Array} samples - Áudio mono em config.SAMPLE_RATE
+ * @param {Array<{startMs: number, endMs: number}>} segments - Trechos relativos ao início do áudio
+ * @param {Object} config - SPEAKER_DIARIZATION_CONFIG
+ * @returns {Array<?Array<number>>} Um perfil por segmento; null quando há pouca voz
+ */
+function extractSpeakerEmbeddings(samples, segments, config) {
+    const { SAMPLE_RATE, FRAME_SIZE, FRAME_HOP, FFT_SIZE, MEL_BANDS, CEPSTRA } = config;
+    const bins = FFT_SIZE / 2 + 1;
+
+    const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+    const fromMel = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+    // Filtros triangulares na escala mel, como índices do espectro
+    const minMel = toMel(config.MIN_FREQUENCY);
+    const maxMel = toMel(config.MAX_FREQUENCY);
+    const edges = [];
+    for (let i = 0; i < MEL_BANDS + 2; i++) {
+        const hz = fromMel(minMel + (maxMel - minMel) * i / (MEL_BANDS + 1));
+        edges.push(Math.floor((FFT_SIZE + 1) * hz / SAMPLE_RATE));
+    }
+
+    const hamming = new Float64Array(FRAME_SIZE);
+    for (let n = 0; n < FRAME_SIZE; n++) {
+        hamming[n] = 0.54 - 0.46 * Math.cos(2 * Math.PI * n / (FRAME_SIZE - 1));
+    }
+
+    const twiddleRe = new Float64Array(FFT_SIZE / 2);
+    const twiddleIm = new Float64Array(FFT_SIZE / 2);
+    for (let k = 0; k < FFT_SIZE / 2; k++) {
+        twiddleRe[k] = Math.cos(-2 * Math.PI * k / FFT_SIZE);
+        twiddleIm[k] = Math.sin(-2 * Math.PI * k / FFT_SIZE);
+    }
+
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    const melEnergies = new Float64Array(MEL_BANDS);
+
+    function fft() {
+        for (let i = 1, j = 0; i < FFT_SIZE; i++) {
+            let bit = FFT_SIZE >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let size = 2; size <= FFT_SIZE; size <<= 1) {
+            const half = size / 2;
+            const step = FFT_SIZE / size;
+            for (let start = 0; start < FFT_SIZE; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const a = start + k;
+                    const b = a + half;
+                    const wr = twiddleRe[k * step];
+                    const wi = twiddleIm[k * step];
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+    }
+
+    function frameFeatures(offset) {
+        re.fill(0);
+        im.fill(0);
+
+        let energy = 0;
+        for (let n = 0; n < FRAME_SIZE; n++) {
+            const sample = samples[offset + n];
+            energy += sample * sample;
+            re[n] = sample * hamming[n];
+        }
+        fft();
+
+        for (let band = 0; band < MEL_BANDS; band++) {
+            const low = edges[band];
+            const center = edges[band + 1];
+            const high = edges[band + 2];
+            let sum = 0;
+            for (let k = low; k < high && k < bins; k++) {
+                const weight = k < center
+                    ? (k - low) / Math.max(center - low, 1)
+                    : (high - k) / Math.max(high - center, 1);
+                sum += weight * (re[k] * re[k] + im[k] * im[k]);
+            }
+            melEnergies[band] = Math.log(sum + 1e-10);
+        }
+
+        // DCT-II sem o coeficiente 0 (volume)
+        const cepstra = new Float64Array(CEPSTRA);
+        for (let c = 1; c <= CEPSTRA; c++) {
+            let sum = 0;
+            for (let band = 0; band < MEL_BANDS; band++) {
+                sum += melEnergies[band] * Math.cos(Math.PI * c * (band + 0.5) / MEL_BANDS);
+            }
+            cepstra[c - 1] = sum;
+        }
+
+        return { energyDb: 10 * Math.log10(energy / FRAME_SIZE + 1e-12), cepstra };
+    }
+
+    return segments.map(segment => {
+        const first = Math.max(0, Math.floor(segment.startMs * SAMPLE_RATE / 1000));
+        const last = Math.min(samples.length, Math.ceil(segment.endMs * SAMPLE_RATE / 1000)) - FRAME_SIZE;
+
+        const frames = [];
+        for (let offset = first; offset <= last; offset += FRAME_HOP) {
+            frames.push(frameFeatures(offset));
+        }
+        if (frames.length === 0) return null;
+
+        const loudest = frames.reduce((max, frame) => Math.max(max, frame.energyDb), -Infinity);
+        const voiced = frames.filter(frame => frame.energyDb >= loudest - config.VOICED_RANGE_DB);
+        if (voiced.length < config.MIN_VOICED_FRAMES) return null;
+
+        const mean = new Array(CEPSTRA).fill(0);
+        const deviation = new Array(CEPSTRA).fill(0);
+        for (const frame of voiced) {
+            for (let c = 0; c < CEPSTRA; c++) mean[c] += frame.cepstra[c] / voiced.length;
+        }
+        for (const frame of voiced) {
+            for (let c = 0; c < CEPSTRA; c++) deviation[c] += (frame.cepstra[c] - mean[c]) ** 2 / voiced.length;
+        }
+
+        return mean.concat(deviation.map(Math.sqrt));
+    });
+}
+
+/**
+ * Agrupa segmentos em falantes pela voz, de forma incremental (janela a janela)
+ */
+class SpeakerDiarizer {
+    /**
+     * @param {Object} [options] - Substitui valores de SPEAKER_DIARIZATION_CONFIG
+     */
+    constructor(options = {}) {
+        this._config = { ...SPEAKER_DIARIZATION_CONFIG, ...options };
+        this._worker = null;
+        this._tasks = new Map();
+        this._taskCounter = 0;
+
+        this.reset();
+        this._initializeWorker();
+    }
+
+    /**
+     * Esquece os falantes (nova sessão)
+     */
+    reset() {
+        // { id, centroid, segments }
+        this._speakers = [];
+        // Média e variância de cada dimensão dos perfis da sessão (Welford)
+        this._profileStats = { count: 0, mean: null, m2: null };
+    }
+
+    /**
+     * @returns {Array<{id: string, segments: number}>}
+     */
+    getSpeakers() {
+        return this._speakers.map(speaker => ({ id: speaker.id, segments: speaker.segments }));
+    }
+
+    /**
+     * Perfis dos falantes e médias da sessão, serializáveis (IndexedDB)
+     * @returns {{speakers: Array<{id: string, centroid: Array<number>, segments: number}>,
+     *          profileStats: {count: number, mean: ?Array<number>, m2: ?Array<number>}}}
+     */
+    getState() {
+        return {
+            speakers: this._speakers.map(speaker => ({ ...speaker, centroid: speaker.centroid.slice() })),
+            profileStats: {
+                count: this._profileStats.count,
+                mean: this._profileStats.mean?.slice() || null,
+                m2: this._profileStats.m2?.slice() || null
+            }
+        };
+    }
+
+    /**
+     * Continua a sessão a partir de getState(); estado ausente equivale a reset()
+     * @param {?Object} state
+     */
+    restoreState(state) {
+        this.reset();
+        if (!state) return;
+
+        this._speakers = (state.speakers || []).map(speaker => ({ ...speaker, centroid: speaker.centroid.slice() }));
+        if (state.profileStats?.mean) {
+            this._profileStats = {
+                count: state.profileStats.count,
+                mean: state.profileStats.mean.slice(),
+                m2: state.profileStats.m2.slice()
+            };
+        }
+    }
+
+    /**
+     * Atribui um falante a cada segmento do áudio
+     * @param {Blob} audio - Arquivo de áudio completo (ex.: uma janela WebM)
+     * @param {Array<{startMs: number, endMs: number}>} segments - Relativos ao início do áudio
+     * @returns {Promise<Array<?{speakerId: string, similarity: number, isNew: boolean}>>}
+     *          null para segmentos com pouca voz para identificar quem fala
+     */
+    async assignSpeakers(audio, segments) {
+        if (segments.length === 0) return [];
+
+        const samples = await this._decode(audio);
+        const embeddings = await this._extract(samples, segments);
+
+        // A janela inteira entra na média da sessão antes da comparação
+        embeddings.filter(Boolean).forEach(embedding => this._updateProfileStats(embedding));
+
+        return embeddings.map(embedding => embedding ? this._assign(embedding) : null);
+    }
+
+    dispose() {
+        this._tasks.forEach(task => {
+            clearTimeout(task.timeout);
+            task.reject(new Error('Diarizer disposed'));
+        });
+        this._tasks.clear();
+
+        this._worker?.terminate();
+        this._worker = null;
+    }
+
+    async _decode(audio) {
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContextClass) {
+            throw new Error('OfflineAudioContext not supported');
+        }
+
+        // decodeAudioData reamostra para a taxa do contexto
+        const context = new OfflineContextClass(1, 1, this._config.SAMPLE_RATE);
+        const buffer = await context.decodeAudioData(await audio.arrayBuffer());
+        return buffer.getChannelData(0);
+    }
+
+    _extract(samples, segments) {
+        const config = { ...this._config };
+
+        if (!this._worker) {
+            return Promise.resolve(extractSpeakerEmbeddings(samples, segments, config));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = ++this._taskCounter;
+
+            const timeout = setTimeout(() => {
+                this._tasks.delete(id);
+                reject(new Error('Diarization worker timeout'));
+            }, this._config.WORKER_TIMEOUT_MS);
+
+            this._tasks.set(id, { resolve, reject, timeout });
+
+            // Cópia transferida: o buffer decodificado continua válido aqui
+            const copy = new Float32Array(samples);
+            this._worker.postMessage({ id, samples: copy, segments, config }, [copy.buffer]);
+        });
+    }
+
+    _initializeWorker() {
+        if (typeof Worker === 'undefined') {
+            console.warn('[SpeakerDiarizer] Web Workers not supported, extracting features on the main thread');
+            return;
+        }
+
+        try {
+            const workerCode = `
+                ${extractSpeakerEmbeddings.toString()}
+
+                self.onmessage = function(e) {
+                    const { id, samples, segments, config } = e.data;
+                    try {
+                        self.postMessage({ id, success: true, result: extractSpeakerEmbeddings(samples, segments, config) });
+                    } catch (error) {
+                        self.postMessage({ id, success: false, error: error.message });
+                    }
+                };
+            `;
+
+            const blob = new Blob([workerCode], { type: 'application/javascript' });
+            this._worker = new Worker(URL.createObjectURL(blob));
+
+            this._worker.onmessage = (e) => {
+                const { id, success, result, error } = e.data;
+                const task = this._tasks.get(id);
+                if (!task) return;
+
+                this._tasks.delete(id);
+                clearTimeout(task.timeout);
+
+                if (success) {
+                    task.resolve(result);
+                } else {
+                    task.reject(new Error(error));
+                }
+            };
+
+            this._worker.onerror = (error) => {
+                console.error('[SpeakerDiarizer] Worker error:', error);
+            };
+        } catch (error) {
+            console.warn('[SpeakerDiarizer] Failed to initialize worker:', error);
+            this._worker = null;
+        }
+    }
+
+    /**
+     * Falante mais parecido acima do limite ou, se não houver, um novo (até MAX_SPEAKERS)
+     */
+    _assign(embedding) {
+        const profile = this._standardize(embedding);
+
+        let best = null;
+        let bestSimilarity = -Infinity;
+        for (const speaker of this._speakers) {
+            const similarity = this._cosine(profile, this._standardize(speaker.centroid));
+            if (similarity > bestSimilarity) {
+                best = speaker;
+                bestSimilarity = similarity;
+            }
+        }
+
+        if (best && (bestSimilarity >= this._config.SIMILARITY_THRESHOLD ||
+                     this._speakers.length >= this._config.MAX_SPEAKERS)) {
+            best.segments++;
+            best.centroid = best.centroid.map((value, i) => value + (embedding[i] - value) / best.segments);
+            return { speakerId: best.id, similarity: bestSimilarity, isNew: false };
+        }
+
+        const speaker = {
+            id: `${this._config.SPEAKER_ID_PREFIX}${this._speakers.length + 1}`,
+            centroid: embedding.slice(),
+            segments: 1
+        };
+        this._speakers.push(speaker);
+        return { speakerId: speaker.id, similarity: 1, isNew: true };
+    }
+
+    _updateProfileStats(embedding) {
+        const stats = this._profileStats;
+        if (!stats.mean) {
+            stats.mean = new Array(embedding.length).fill(0);
+            stats.m2 = new Array(embedding.length).fill(0);
+        }
+
+        stats.count++;
+        embedding.forEach((value, i) => {
+            const delta = value - stats.mean[i];
+            stats.mean[i] += delta / stats.count;
+            stats.m2[i] += delta * (value - stats.mean[i]);
+        });
+    }
+
+    /**
+     * Perfil relativo à média da sessão: o que todas as vozes têm em comum não conta na comparação
+     */
+    _standardize(embedding) {
+        const stats = this._profileStats;
+        if (stats.count < this._config.MIN_PROFILES_FOR_STATS) return embedding;
+
+        return embedding.map((value, i) =>
+            (value - stats.mean[i]) / Math.sqrt(stats.m2[i] / (stats.count - 1) + 1e-6));
+    }
+
+    _cosine(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+}
+
+/**
+ * Papel de cada falante da sessão. Frases típicas (SPEAKER_ROLE_PRIOR_PATTERNS) sugerem um papel
+ * quando se acumulam para o mesmo falante; o papel escolhido pelo usuário não é mais alterado.
+ */
+class SpeakerRoleAssigner {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minEvidence=3] - Ocorrências antes de sugerir um papel
+     * @param {function(string, string, string): void} [options.onRoleChanged] - (speakerId, role, source)
+     */
+    constructor(options = {}) {
+        this._minEvidence = options.minEvidence || 3;
+        this._onRoleChanged = options.onRoleChanged || (() => {});
+        this.reset();
+    }
+
+    reset() {
+        // speakerId -> { role, source: 'prior' | 'user', evidence: { [role]: number } }
+        this._speakers = new Map();
+    }
+
+    /**
+     * Registra uma fala do falante e devolve o papel atual dele
+     * @param {string} speakerId
+     * @param {string} text
+     * @returns {string} Um dos valores de DIARIZATION_ROLES
+     */
+    observe(speakerId, text) {
+        const speaker = this._getOrCreate(speakerId);
+        if (speaker.source === 'user') return speaker.role;
+
+        const normalized = String(text).toLowerCase();
+        for (const [role, patterns] of Object.entries(SPEAKER_ROLE_PRIOR_PATTERNS)) {
+            speaker.evidence[role] = (speaker.evidence[role] || 0) +
+                patterns.filter(pattern => pattern.test(normalized)).length;
+        }
+
+        const [leader, runnerUp] = Object.entries(speaker.evidence).sort((a, b) => b[1] - a[1]);
+        const [role, count] = leader;
+        // Só com vantagem clara sobre o outro papel; as listas têm palavras comuns aos dois
+        const suggested = count >= this._minEvidence && count >= 2 * (runnerUp?.[1] || 0)
+            ? role
+            : DIARIZATION_ROLES.UNKNOWN;
+
+        if (suggested !== speaker.role) {
+            speaker.role = suggested;
+            this._onRoleChanged(speakerId, suggested, 'prior');
+        }
+        return speaker.role;
+    }
+
+    /**
+     * Papel escolhido pelo usuário; prevalece sobre as frases típicas
+     * @returns {boolean} Se o papel mudou
+     */
+    setRole(speakerId, role) {
+        if (!Object.values(DIARIZATION_ROLES).includes(role)) {
+            throw new Error(`Invalid speaker role: ${role}`);
+        }
+
+        const speaker = this._getOrCreate(speakerId);
+        const changed = speaker.role !== role;
+        speaker.role = role;
+        speaker.source = 'user';
+
+        if (changed) this._onRoleChanged(speakerId, role, 'user');
+        return changed;
+    }
+
+    /**
+     * @returns {string}
+     */
+    getRole(speakerId) {
+        return this._speakers.get(speakerId)?.role || DIARIZATION_ROLES.UNKNOWN;
+    }
+
+    /**
+     * @returns {Array<{id: string, role: string, source: string}>}
+     */
+    getSpeakers() {
+        return Array.from(this._speakers.entries())
+            .map(([id, speaker]) => ({ id, role: speaker.role, source: speaker.source }));
+    }
+
+    /**
+     * Papéis e indícios de cada falante, serializáveis (IndexedDB)
+     * @returns {Array<{id: string, role: string, source: string, evidence: Object}>}
+     */
+    getState() {
+        return Array.from(this._speakers.entries())
+            .map(([id, speaker]) => ({ id, role: speaker.role, source: speaker.source, evidence: { ...speaker.evidence } }));
+    }
+
+    /**
+     * Continua a sessão a partir de getState(), sem avisar onRoleChanged
+     * @param {?Array<Object>} state
+     */
+    restoreState(state) {
+        this.reset();
+        (state || []).forEach(({ id, role, source, evidence }) => {
+            this._speakers.set(id, { role, source, evidence: { ...evidence } });
+        });
+    }
+
+    _getOrCreate(speakerId) {
+        let speaker = this._speakers.get(speakerId);
+        if (!speaker) {
+            speaker = { role: DIARIZATION_ROLES.UNKNOWN, source: 'prior', evidence: {} };
+            this._speakers.set(speakerId, speaker);
+        }
+        return speaker;
+    }
+}
+
+// Exportar para uso global
+window.SpeakerDiarizer = SpeakerDiarizer;
+window.SpeakerRoleAssigner = SpeakerRoleAssigner;
@@ -0,0 +1,996 @@
+/**
+ * Renderizadores de AzureSpeechService para MedicalScribeR
+ * O serviço não acessa o DOM: tudo o que aparece na tela passa por um renderer.
+ *
+ * - SpeechRenderer: interface com implementações vazias; é o renderer sem interface gráfica
+ *   (outra página, harness de testes no Node) e a base para front-ends diferentes.
+ * - BootstrapSpeechRenderer: a página do MedicalScribeR (index.html, Bootstrap 5).
+ *
+ * Ações do usuário feitas no renderer (corrigir trecho, confirmar revisão...) voltam ao serviço
+ * pelas funções recebidas em attach().
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * Interface do renderer. Cada método é chamado pelo serviço quando o estado correspondente muda;
+ * subclasses sobrescrevem só o que exibem.
+ */
+class SpeechRenderer {
+    /**
+     * Recebe do serviço as ações disponíveis para a interface. Cada ação resolve com true em caso
+     * de sucesso e false em caso de falha (o erro já foi tratado e notificado pelo serviço).
+     * @param {Object} actions
+     * @param {function(string, string): Promise<boolean>} actions.correctChunk - (chunkId, texto)
+     * @param {function(string, string): Promise<boolean>} actions.setSpeakerRole - (speakerId, papel)
+     * @param {function(string): Promise<boolean>} actions.removePersonalTerm - (termo)
+     * @param {function(string, string): Promise<boolean>} actions.confirmReview - (chunkId, texto)
+     */
+    attach(actions) {
+        this._actions = actions;
+    }
+
+    /**
+     * Valores da sessão informados na interface; campos ausentes ficam com o padrão do serviço
+     * @returns {{patientName?: string, consultationType?: string, archiveAudio?: boolean}}
+     */
+    readSessionForm() {
+        return {};
+    }
+
+    /**
+     * Reflete na interface a sessão retomada
+     * @param {{sessionId: string, patientName: ?string, consultationType: ?string}} fields
+     */
+    fillSessionForm(fields) {}
+
+    /**
+     * @param {string} status - 'recording', 'paused', 'stopped', 'buffering' ou 'error'
+     */
+    updateStatus(status) {}
+
+    /**
+     * @param {string} message
+     * @param {string} [type='info'] - 'info', 'success', 'warning' ou 'danger'
+     */
+    showNotification(message, type = 'info') {
+        console.log(`[${type.toUpperCase()}] ${message}`);
+    }
+
+    /**
+     * Texto parcial do reconhecimento (ainda não é um chunk)
+     * @param {string} text
+     */
+    showPreview(text) {}
+
+    clearPreview() {}
+
+    /**
+     * @param {Object} chunk
+     * @param {{pendingSync?: boolean}} [options]
+     */
+    addTranscriptionChunk(chunk, options = {}) {}
+
+    /**
+     * Substitui toda a transcrição exibida pelos chunks informados, em ordem
+     * @param {Array<Object>} chunks
+     */
+    renderTranscript(chunks) {}
+
+    /**
+     * @param {string} chunkId
+     */
+    removeTranscriptionChunk(chunkId) {}
+
+    /**
+     * Texto do chunk mudou (correção, revisão confirmada)
+     * @param {Object} chunk
+     */
+    updateChunkText(chunk) {}
+
+    /**
+     * @param {string} chunkId
+     * @param {boolean} pending - Aguardando confirmação do hub
+     */
+    setChunkPendingSync(chunkId, pending) {}
+
+    /**
+     * @param {string} chunkId
+     */
+    clearChunkNeedsReview(chunkId) {}
+
+    /**
+     * @param {string} speakerId
+     * @param {string} label - Rótulo exibido nos chunks do falante
+     */
+    updateSpeakerLabel(speakerId, label) {}
+
+    /**
+     * @param {string} type - 'marker' ou 'section'
+     * @param {string} label
+     */
+    addTranscriptionDivider(type, label) {}
+
+    /**
+     * @param {Array<Object>} speakers - Resultado de getSpeakers()
+     * @param {Array<string>} roles - Papéis que podem ser atribuídos
+     */
+    renderSpeakers(speakers, roles) {}
+
+    /**
+     * @param {Array<string>} terms
+     */
+    renderPersonalTerms(terms) {}
+
+    /**
+     * @param {Array<{deviceId: string, label: string}>} devices
+     * @param {?string} preferredDeviceId
+     */
+    renderDevicePicker(devices, preferredDeviceId) {}
+
+    /**
+     * @param {Array<{deviceId: string, label: string}>} devices
+     */
+    renderDevicePreview(devices) {}
+
+    /**
+     * @param {Object<string, number>} levels - Nível (0..1) por deviceId
+     */
+    updateDevicePreviewLevels(levels) {}
+
+    /**
+     * @param {boolean} visible
+     */
+    setAudioQualityVisible(visible) {}
+
+    /**
+     * @param {Array<{severity: string, message: string}>} issues - Problemas ativos
+     */
+    updateAudioQuality(issues) {}
+
+    /**
+     * @param {Array<{level: number, clipped: boolean, active: boolean}>} history - Medições recentes
+     */
+    drawLevelMeter(history) {}
+
+    /**
+     * @param {number} count - Chunks aguardando sincronização
+     */
+    updatePendingSync(count) {}
+
+    /**
+     * @param {{pendingSegments: number, percent: ?number, retrying: boolean}} progress
+     */
+    updateAudioArchive(progress) {}
+
+    /**
+     * @param {{audioUrl: ?string}} item
+     * @param {Object} chunk
+     */
+    addReviewItem(item, chunk) {}
+
+    /**
+     * @param {string} chunkId
+     */
+    removeReviewItem(chunkId) {}
+
+    /**
+     * @param {number} count - Trechos aguardando revisão
+     */
+    updateReviewQueue(count) {}
+
+    /**
+     * Cria ou atualiza o alerta
+     * @param {Object} alert
+     */
+    renderRedFlagAlert(alert) {}
+
+    clearRedFlagAlerts() {}
+
+    /**
+     * @param {string} agentName
+     * @param {string} status - 'active', 'processing', 'completed' ou 'error'
+     * @param {string} [message]
+     */
+    updateAgentStatus(agentName, status, message) {}
+
+    /**
+     * @param {Object} generatedDocument - Documento como enviado pelo hub (PascalCase)
+     */
+    addGeneratedDocument(generatedDocument) {}
+}
+
+/**
+ * Renderer da página do MedicalScribeR. Elementos ausentes na página são ignorados.
+ */
+class BootstrapSpeechRenderer extends SpeechRenderer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxTranscriptionChunks=100] - Chunks mantidos na tela
+     */
+    constructor(options = {}) {
+        super();
+        this._maxTranscriptionChunks = options.maxTranscriptionChunks || 100;
+    }
+
+    readSessionForm() {
+        const fields = {};
+
+        const patientName = document.getElementById('patientName')?.value;
+        if (patientName) fields.patientName = patientName;
+
+        const consultationType = document.getElementById('consultationType')?.value;
+        if (consultationType) fields.consultationType = consultationType;
+
+        const archiveAudio = document.getElementById('archiveAudio');
+        if (archiveAudio) fields.archiveAudio = archiveAudio.checked;
+
+        return fields;
+    }
+
+    fillSessionForm(fields) {
+        Object.entries(fields).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element && value) element.value = value;
+        });
+    }
+
+    updateStatus(status) {
+        const statusElement = document.getElementById('sessionStatus');
+        const startBtn = document.getElementById('startBtn');
+        const stopBtn = document.getElementById('stopBtn');
+        const pauseBtn = document.getElementById('pauseBtn');
+        const resumeBtn = document.getElementById('resumeBtn');
+
+        const statusConfig = {
+            recording: {
+                class: 'badge bg-success',
+                text: 'Gravando',
+                startHidden: true,
+                stopVisible: true,
+                pauseVisible: true,
+                resumeVisible: false
+            },
+            paused: {
+                class: 'badge bg-warning text-dark',
+                text: 'Pausado',
+                startHidden: true,
+                stopVisible: true,
+                pauseVisible: false,
+                resumeVisible: true
+            },
+            stopped: {
+                class: 'badge bg-secondary',
+                text: 'Parado',
+                startHidden: false,
+                stopVisible: false,
+                pauseVisible: false,
+                resumeVisible: false
+            },
+            buffering: {
+                class: 'badge bg-warning text-dark',
+                text: 'Gravando localmente',
+                startHidden: true,
+                stopVisible: true,
+                pauseVisible: true,
+                resumeVisible: false
+            },
+            error: {
+                class: 'badge bg-danger',
+                text: 'Erro',
+                startHidden: false,
+                stopVisible: false,
+                pauseVisible: false,
+                resumeVisible: false
+            }
+        };
+
+        const config = statusConfig[status];
+        if (!config) return;
+
+        if (statusElement) {
+            statusElement.className = config.class;
+            statusElement.textContent = config.text;
+        }
+
+        if (startBtn) {
+            startBtn.classList.toggle('d-none', config.startHidden);
+            startBtn.disabled = status === 'error';
+        }
+
+        if (stopBtn) {
+            stopBtn.classList.toggle('d-none', !config.stopVisible);
+        }
+
+        if (pauseBtn) {
+            pauseBtn.classList.toggle('d-none', !config.pauseVisible);
+        }
+
+        if (resumeBtn) {
+            resumeBtn.classList.toggle('d-none', !config.resumeVisible);
+        }
+    }
+
+    showNotification(message, type = 'info') {
+        // Usar toast do Bootstrap se disponível
+        const toastElement = document.getElementById('notification-toast');
+        const messageElement = document.getElementById('toast-message');
+
+        if (toastElement && messageElement && typeof bootstrap !== 'undefined') {
+            messageElement.textContent = message;
+            toastElement.className = `toast text-bg-${type}`;
+
+            const toast = new bootstrap.Toast(toastElement);
+            toast.show();
+        } else {
+            super.showNotification(message, type);
+        }
+    }
+
+    showPreview(text) {
+        const previewElement = document.getElementById('transcription-preview');
+        if (previewElement) {
+            previewElement.textContent = text;
+            previewElement.style.opacity = '0.7';
+            previewElement.setAttribute('aria-live', 'polite');
+        }
+    }
+
+    clearPreview() {
+        const previewElement = document.getElementById('transcription-preview');
+        if (previewElement) {
+            previewElement.textContent = '';
+            previewElement.style.opacity = '';
+        }
+    }
+
+    addTranscriptionChunk(chunk, { pendingSync = false } = {}) {
+        const container = document.getElementById('transcriptionOutput');
+        if (!container) return;
+
+        // Remover placeholder se existir
+        const placeholder = container.querySelector('.text-center');
+        if (placeholder) {
+            container.innerHTML = '';
+        }
+
+        const timestamp = new Date(chunk.timestamp).toLocaleTimeString();
+        const confidenceClass = this._getConfidenceClass(chunk.confidence);
+
+        const chunkDiv = document.createElement('div');
+        chunkDiv.className = 'transcription-chunk mb-2 p-2 border-start border-primary border-3';
+        chunkDiv.classList.toggle('pending-sync', pendingSync);
+        chunkDiv.classList.toggle('needs-review', Boolean(chunk.needsReview && !chunk.reviewedAt));
+        chunkDiv.classList.toggle('red-flag', Boolean(chunk.redFlags?.length));
+        chunkDiv.setAttribute('data-chunk-id', chunk.id);
+        chunkDiv.setAttribute('data-sequence-number', chunk.sequenceNumber);
+        chunkDiv.setAttribute('data-speaker-id', chunk.speakerId || UNIDENTIFIED_SPEAKER_ID);
+        chunkDiv.setAttribute('role', 'log');
+        chunkDiv.setAttribute('aria-live', 'polite');
+
+        chunkDiv.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start">
+                <div class="flex-grow-1">
+                    <span class="text-muted small" aria-label="Timestamp">[${timestamp}]</span>
+                    <span class="badge bg-light text-dark ms-2 speaker-label" aria-label="Falante">${this._sanitizeHtml(chunk.speaker)}</span>
+                    <span class="ms-2 chunk-text">${this._sanitizeHtml(chunk.text)}</span>
+                </div>
+                <i class="fas fa-cloud-upload-alt text-warning ms-2 pending-sync-icon ${pendingSync ? '' : 'd-none'}"
+                   title="Aguardando sincronização" aria-label="Aguardando sincronização"></i>
+                <small class="text-muted ${confidenceClass} ms-2" aria-label="Confidence">
+                    ${Math.round(chunk.confidence * 100)}%
+                </small>
+            </div>
+        `;
+
+        // Texto normalizado mostra o que foi ditado ao passar o mouse
+        if (chunk.rawText && chunk.rawText !== chunk.text) {
+            chunkDiv.querySelector('.chunk-text').title = `Ditado: ${chunk.rawText}`;
+        }
+
+        if (chunk.alternatives?.length > 0) {
+            this._attachCorrectionMenu(chunkDiv, chunk);
+        }
+
+        container.appendChild(chunkDiv);
+
+        // Scroll suave para o final
+        this._scrollToBottom(container);
+
+        // Manter apenas os últimos chunks para performance
+        this._limitTranscriptionChunks(container, this._maxTranscriptionChunks);
+    }
+
+    renderTranscript(chunks) {
+        const container = document.getElementById('transcriptionOutput');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        chunks.forEach(chunk => {
+            this.addTranscriptionChunk(chunk);
+            if (chunk.isCorrected) {
+                this.updateChunkText(chunk);
+            }
+        });
+    }
+
+    removeTranscriptionChunk(chunkId) {
+        this._findChunkElement(chunkId)?.remove();
+    }
+
+    updateChunkText(chunk) {
+        // Texto em edição na fila de revisão não é sobrescrito
+        const reviewInput = document.querySelector(`#reviewQueue [data-chunk-id="${CSS.escape(chunk.id)}"] .review-text`);
+        if (reviewInput && document.activeElement !== reviewInput) {
+            reviewInput.value = chunk.text;
+        }
+
+        const textElement = this._findChunkElement(chunk.id)?.querySelector('.chunk-text');
+        if (!textElement) return;
+
+        textElement.textContent = chunk.text;
+        textElement.classList.add('corrected');
+        textElement.title = `Original: ${chunk.originalText}`;
+    }
+
+    setChunkPendingSync(chunkId, pending) {
+        const chunkDiv = this._findChunkElement(chunkId);
+        if (!chunkDiv) return;
+
+        chunkDiv.classList.toggle('pending-sync', pending);
+        chunkDiv.querySelector('.pending-sync-icon')?.classList.toggle('d-none', !pending);
+    }
+
+    clearChunkNeedsReview(chunkId) {
+        this._findChunkElement(chunkId)?.classList.remove('needs-review');
+    }
+
+    updateSpeakerLabel(speakerId, label) {
+        const container = document.getElementById('transcriptionOutput');
+        if (!container) return;
+
+        container.querySelectorAll('.transcription-chunk').forEach(chunkDiv => {
+            if (chunkDiv.getAttribute('data-speaker-id') !== speakerId) return;
+
+            const labelElement = chunkDiv.querySelector('.speaker-label');
+            if (labelElement) {
+                labelElement.textContent = label;
+            }
+        });
+    }
+
+    addTranscriptionDivider(type, label) {
+        const container = document.getElementById('transcriptionOutput');
+        if (!container) return;
+
+        const placeholder = container.querySelector('.text-center');
+        if (placeholder) {
+            container.innerHTML = '';
+        }
+
+        const icons = { marker: 'fa-bookmark', section: 'fa-heading' };
+
+        const divider = document.createElement('div');
+        divider.className = `transcription-divider transcription-${type} my-2 small fw-semibold text-primary`;
+
+        const icon = document.createElement('i');
+        icon.className = `fas ${icons[type] || 'fa-minus'} me-1`;
+
+        const text = document.createElement('span');
+        text.textContent = label;
+
+        divider.append(icon, text);
+        container.appendChild(divider);
+        this._scrollToBottom(container);
+    }
+
+    renderSpeakers(speakers, roles) {
+        const container = document.getElementById('speakerRoles');
+        if (!container) return;
+
+        if (speakers.length === 0) return;
+
+        container.innerHTML = '';
+
+        speakers.forEach(speaker => {
+            const row = document.createElement('div');
+            row.className = 'agent-card speaker-row';
+            row.setAttribute('data-speaker-id', speaker.id);
+
+            const name = document.createElement('strong');
+            name.textContent = speaker.id;
+
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm w-auto';
+            select.setAttribute('aria-label', `Papel de ${speaker.id}`);
+
+            roles.forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = role;
+                option.selected = role === speaker.role;
+                select.appendChild(option);
+            });
+
+            select.addEventListener('change', () => {
+                this._actions?.setSpeakerRole(speaker.id, select.value);
+            });
+
+            const confidence = document.createElement('small');
+            confidence.className = `${this._getConfidenceClass(speaker.averageConfidence)} ms-2`;
+            confidence.textContent = `${Math.round(speaker.averageConfidence * 100)}%`;
+
+            row.append(name, select, confidence);
+            container.appendChild(row);
+        });
+    }
+
+    renderPersonalTerms(terms) {
+        const container = document.getElementById('personalTerms');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (terms.length === 0) {
+            const empty = document.createElement('small');
+            empty.className = 'text-muted';
+            empty.textContent = 'Nenhum termo pessoal';
+            container.appendChild(empty);
+            return;
+        }
+
+        terms.forEach(term => {
+            const badge = document.createElement('span');
+            badge.className = 'badge bg-light text-dark border me-1 mb-1 personal-term';
+            badge.textContent = term;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn-close btn-close-sm ms-1';
+            remove.setAttribute('aria-label', `Remover ${term}`);
+            remove.addEventListener('click', () => {
+                this._actions?.removePersonalTerm(term);
+            });
+
+            badge.appendChild(remove);
+            container.appendChild(badge);
+        });
+    }
+
+    renderDevicePicker(devices, preferredDeviceId) {
+        const select = document.getElementById('audioInputDevice');
+        if (!select) return;
+
+        select.innerHTML = '';
+
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Padrão do sistema';
+        select.appendChild(defaultOption);
+
+        devices.forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label;
+            option.selected = device.deviceId === preferredDeviceId;
+            select.appendChild(option);
+        });
+    }
+
+    renderDevicePreview(devices) {
+        const container = document.getElementById('audioDevicePreview');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        devices.forEach(device => {
+            const row = document.createElement('div');
+            row.className = 'mb-2';
+            row.setAttribute('data-device-id', device.deviceId);
+
+            const label = document.createElement('small');
+            label.className = 'd-block text-truncate';
+            label.textContent = device.label;
+
+            const progress = document.createElement('div');
+            progress.className = 'progress';
+            progress.style.height = '6px';
+
+            const bar = document.createElement('div');
+            bar.className = 'progress-bar bg-success device-level';
+            bar.setAttribute('role', 'progressbar');
+            bar.setAttribute('aria-label', `Nível de ${device.label}`);
+            bar.style.width = '0%';
+
+            progress.appendChild(bar);
+            row.append(label, progress);
+            container.appendChild(row);
+        });
+    }
+
+    updateDevicePreviewLevels(levels) {
+        const container = document.getElementById('audioDevicePreview');
+        if (!container) return;
+
+        Object.entries(levels).forEach(([deviceId, level]) => {
+            const bar = container.querySelector(`[data-device-id="${CSS.escape(deviceId)}"] .device-level`);
+            if (bar) {
+                bar.style.width = `${Math.round(level * 100)}%`;
+            }
+        });
+    }
+
+    setAudioQualityVisible(visible) {
+        document.getElementById('audioQualityWidget')?.classList.toggle('d-none', !visible);
+    }
+
+    updateAudioQuality(issues) {
+        const icon = document.getElementById('audioQualityIcon');
+        if (!icon) return;
+
+        if (issues.length === 0) {
+            icon.className = 'fas fa-check-circle text-success ms-1';
+            icon.title = 'Áudio OK';
+        } else if (issues.some(issue => issue.severity === 'error')) {
+            icon.className = 'fas fa-microphone-slash text-danger ms-1';
+            icon.title = issues.map(issue => issue.message).join('\n');
+        } else {
+            icon.className = 'fas fa-exclamation-triangle text-warning ms-1';
+            icon.title = issues.map(issue => issue.message).join('\n');
+        }
+
+        icon.setAttribute('aria-label', icon.title);
+    }
+
+    /**
+     * Desenha o histórico recente de níveis como barras espelhadas (forma de onda)
+     */
+    drawLevelMeter(history) {
+        const canvas = document.getElementById('audioLevelMeter');
+        const context = canvas?.getContext?.('2d');
+        if (!context) return;
+
+        const { width, height } = canvas;
+        const barWidth = width / 60;
+        const middle = height / 2;
+
+        context.clearRect(0, 0, width, height);
+
+        history.forEach((entry, index) => {
+            const barHeight = Math.max(1, entry.level * height);
+            context.fillStyle = !entry.active ? '#adb5bd' : entry.clipped ? '#dc3545' : '#198754';
+            context.fillRect(index * barWidth, middle - barHeight / 2, Math.max(1, barWidth - 1), barHeight);
+        });
+    }
+
+    updatePendingSync(count) {
+        const badge = document.getElementById('pendingSyncBadge');
+        if (!badge) return;
+
+        badge.classList.toggle('d-none', count === 0);
+        badge.textContent = `${count} pendente${count === 1 ? '' : 's'} de sincronização`;
+        badge.setAttribute('aria-label', `${count} trechos aguardando sincronização`);
+    }
+
+    updateAudioArchive({ pendingSegments, percent, retrying }) {
+        const badge = document.getElementById('audioArchiveBadge');
+        if (!badge) return;
+
+        badge.classList.toggle('d-none', pendingSegments === 0);
+        badge.textContent = retrying
+            ? `Áudio: ${pendingSegments} segmento(s) aguardando reenvio`
+            : `Áudio: enviando ${pendingSegments} segmento(s)${percent !== null ? ` (${percent}%)` : ''}`;
+    }
+
+    /**
+     * Acrescenta ao painel de revisão o trecho com o áudio, o texto editável e a confirmação
+     */
+    addReviewItem(item, chunk) {
+        const container = document.getElementById('reviewQueue');
+        if (!container) return;
+
+        const row = document.createElement('div');
+        row.className = 'agent-card review-item';
+        row.setAttribute('data-chunk-id', chunk.id);
+
+        const header = document.createElement('div');
+        header.className = 'd-flex justify-content-between small';
+
+        const label = document.createElement('span');
+        label.className = 'text-muted';
+        label.textContent = `#${chunk.sequenceNumber + 1} · ${chunk.speaker || 'Falante'}`;
+
+        const confidence = document.createElement('small');
+        confidence.className = this._getConfidenceClass(chunk.confidence);
+        confidence.textContent = `${Math.round(chunk.confidence * 100)}%`;
+
+        header.append(label, confidence);
+        row.appendChild(header);
+
+        if (chunk.lowConfidenceWords?.length > 0) {
+            const words = document.createElement('small');
+            words.className = 'text-danger';
+            words.textContent = `Incertas: ${chunk.lowConfidenceWords.map(word => word.word).join(', ')}`;
+            row.appendChild(words);
+        }
+
+        if (item.audioUrl) {
+            const audio = document.createElement('audio');
+            audio.controls = true;
+            audio.preload = 'metadata';
+            audio.src = item.audioUrl;
+            audio.setAttribute('aria-label', `Áudio do trecho ${chunk.sequenceNumber + 1}`);
+            row.appendChild(audio);
+        } else {
+            const unavailable = document.createElement('small');
+            unavailable.className = 'text-muted';
+            unavailable.textContent = 'Áudio indisponível';
+            row.appendChild(unavailable);
+        }
+
+        const input = document.createElement('textarea');
+        input.className = 'form-control form-control-sm review-text';
+        input.rows = 2;
+        input.value = chunk.text;
+        input.setAttribute('aria-label', `Texto do trecho ${chunk.sequenceNumber + 1}`);
+
+        const confirm = document.createElement('button');
+        confirm.type = 'button';
+        confirm.className = 'btn btn-sm btn-outline-success';
+        confirm.innerHTML = '<i class="fas fa-check me-1" aria-hidden="true"></i> Confirmar';
+        confirm.addEventListener('click', () => {
+            confirm.disabled = true;
+            this._actions?.confirmReview(chunk.id, input.value).then(confirmed => {
+                confirm.disabled = confirmed;
+            });
+        });
+
+        row.append(input, confirm);
+        container.appendChild(row);
+    }
+
+    removeReviewItem(chunkId) {
+        document.querySelector(`#reviewQueue [data-chunk-id="${CSS.escape(chunkId)}"]`)?.remove();
+    }
+
+    updateReviewQueue(count) {
+        const badge = document.getElementById('reviewQueueBadge');
+        if (badge) {
+            badge.classList.toggle('d-none', count === 0);
+            badge.textContent = count;
+            badge.setAttribute('aria-label', `${count} trechos aguardando revisão`);
+        }
+
+        document.getElementById('reviewQueueEmpty')?.classList.toggle('d-none', count > 0);
+    }
+
+    /**
+     * Alerta fixo do sinal de alarme, sem botão de fechar
+     */
+    renderRedFlagAlert(alert) {
+        const container = document.getElementById('redFlagAlerts');
+        if (!container) return;
+
+        let element = container.querySelector(`[data-red-flag-id="${CSS.escape(alert.id)}"]`);
+        if (!element) {
+            element = document.createElement('div');
+            element.className = `alert ${alert.severity === RED_FLAG_SEVERITY.CRITICAL ? 'alert-danger' : 'alert-warning'} red-flag-alert mb-2`;
+            element.setAttribute('role', 'alert');
+            element.setAttribute('data-red-flag-id', alert.id);
+            container.appendChild(element);
+        }
+
+        const title = document.createElement('strong');
+        title.innerHTML = '<i class="fas fa-exclamation-triangle me-2" aria-hidden="true"></i>';
+        title.append(alert.label);
+
+        const details = document.createElement('span');
+        details.className = 'ms-2';
+        const occurrences = alert.sequenceNumbers.length > 1 ? ` (${alert.sequenceNumbers.length} menções)` : '';
+        details.textContent = `"${alert.term}" às ${new Date(alert.lastDetectedAt).toLocaleTimeString()}${occurrences}`;
+
+        element.replaceChildren(title, details);
+
+        if (alert.excerpt) {
+            const excerpt = document.createElement('div');
+            excerpt.className = 'small fst-italic mt-1';
+            excerpt.textContent = alert.excerpt;
+            element.appendChild(excerpt);
+        }
+    }
+
+    clearRedFlagAlerts() {
+        document.getElementById('redFlagAlerts')?.replaceChildren();
+    }
+
+    updateAgentStatus(agentName, status, message) {
+        const agentElement = document.getElementById(`${agentName.toLowerCase()}-agent`);
+        if (!agentElement) return;
+
+        const badge = agentElement.querySelector('.badge');
+        if (!badge) return;
+
+        const statusConfig = {
+            active: { class: 'badge bg-primary float-end', text: 'Ativo' },
+            processing: { class: 'badge bg-warning float-end', text: 'Processando' },
+            completed: { class: 'badge bg-success float-end', text: 'Concluído' },
+            error: { class: 'badge bg-danger float-end', text: 'Erro' }
+        };
+
+        const config = statusConfig[status];
+        if (config) {
+            badge.className = config.class;
+            badge.textContent = config.text;
+
+            if (status === 'active') {
+                agentElement.classList.add('active');
+            }
+        }
+
+        // Acessibilidade
+        agentElement.setAttribute('aria-label', `Agente ${agentName}: ${config?.text || status}`);
+    }
+
+    addGeneratedDocument(generatedDocument) {
+        const container = document.getElementById('generatedDocuments');
+        if (!container) return;
+
+        // Remover placeholder se existir
+        const placeholder = container.querySelector('.text-center');
+        if (placeholder) {
+            container.innerHTML = '';
+        }
+
+        const docDiv = document.createElement('div');
+        docDiv.className = 'card mb-3';
+        docDiv.setAttribute('role', 'article');
+        docDiv.setAttribute('aria-label', `Documento ${generatedDocument.Type}`);
+
+        const truncatedContent = this._truncateText(generatedDocument.Content, 200);
+        const createdAt = new Date(generatedDocument.CreatedAt).toLocaleString();
+
+        docDiv.innerHTML = `
+            <div class="card-header d-flex justify-content-between align-items-center">
+                <h6 class="mb-0">
+                    <i class="fas fa-file-medical" aria-hidden="true"></i>
+                    ${this._sanitizeHtml(generatedDocument.Type)}
+                </h6>
+                <button class="btn btn-sm btn-outline-primary"
+                        onclick="downloadDocument('${generatedDocument.DocumentId}')"
+                        aria-label="Baixar documento ${generatedDocument.Type}">
+                    <i class="fas fa-download" aria-hidden="true"></i>
+                </button>
+            </div>
+            <div class="card-body">
+                <p class="card-text">${this._sanitizeHtml(truncatedContent)}</p>
+                <small class="text-muted">
+                    Gerado por: ${this._sanitizeHtml(generatedDocument.GeneratedBy)}
+                    em <time datetime="${generatedDocument.CreatedAt}">${createdAt}</time>
+                </small>
+            </div>
+        `;
+
+        container.appendChild(docDiv);
+    }
+
+    _findChunkElement(chunkId) {
+        return document.querySelector(`#transcriptionOutput [data-chunk-id="${CSS.escape(chunkId)}"]`);
+    }
+
+    /**
+     * Torna o texto do chunk clicável para trocar por uma alternativa do reconhecimento
+     */
+    _attachCorrectionMenu(chunkDiv, chunk) {
+        const textElement = chunkDiv.querySelector('.chunk-text');
+        if (!textElement) return;
+
+        textElement.classList.add('has-alternatives');
+        textElement.setAttribute('role', 'button');
+        textElement.setAttribute('tabindex', '0');
+        textElement.title = textElement.title
+            ? `${textElement.title}\nClique para ver alternativas`
+            : 'Clique para ver alternativas';
+
+        const toggle = () => this._toggleCorrectionMenu(chunkDiv, chunk);
+        textElement.addEventListener('click', toggle);
+        textElement.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                toggle();
+            }
+        });
+    }
+
+    _toggleCorrectionMenu(chunkDiv, chunk) {
+        const openMenu = chunkDiv.querySelector('.chunk-alternatives');
+        if (openMenu) {
+            openMenu.remove();
+            return;
+        }
+
+        // O texto reconhecido originalmente também aparece para desfazer uma correção
+        const options = [
+            ...(chunk.originalText ? [{ text: chunk.originalText, confidence: chunk.confidence }] : []),
+            ...chunk.alternatives
+        ].filter((option, index, all) =>
+            option.text !== chunk.text && all.findIndex(other => other.text === option.text) === index
+        );
+
+        if (options.length === 0) return;
+
+        const menu = document.createElement('div');
+        menu.className = 'list-group list-group-flush chunk-alternatives mt-1';
+        menu.setAttribute('aria-label', 'Alternativas de transcrição');
+
+        options.forEach(option => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'list-group-item list-group-item-action py-1 small d-flex justify-content-between';
+
+            const label = document.createElement('span');
+            label.textContent = option.text;
+
+            const confidence = document.createElement('small');
+            confidence.className = `${this._getConfidenceClass(option.confidence)} ms-2`;
+            confidence.textContent = `${Math.round(option.confidence * 100)}%`;
+
+            item.append(label, confidence);
+            item.addEventListener('click', () => {
+                menu.remove();
+                this._actions?.correctChunk(chunk.id, option.text);
+            });
+
+            menu.appendChild(item);
+        });
+
+        chunkDiv.appendChild(menu);
+    }
+
+    _getConfidenceClass(confidence) {
+        if (confidence > 0.8) return 'confidence-high text-success';
+        if (confidence > 0.6) return 'confidence-medium text-warning';
+        return 'confidence-low text-danger';
+    }
+
+    _scrollToBottom(container) {
+        requestAnimationFrame(() => {
+            container.scrollTo({
+                top: container.scrollHeight,
+                behavior: 'smooth'
+            });
+        });
+    }
+
+    _limitTranscriptionChunks(container, maxChunks) {
+        const chunks = container.querySelectorAll('.transcription-chunk');
+        if (chunks.length > maxChunks) {
+            const toRemove = chunks.length - maxChunks;
+            for (let i = 0; i < toRemove; i++) {
+                chunks[i].remove();
+            }
+        }
+    }
+
+    _sanitizeHtml(text) {
+        if (typeof text !== 'string') return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    _truncateText(text, maxLength) {
+        if (!text || text.length <= maxLength) return text;
+        return text.substring(0, maxLength) + '...';
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.SpeechRenderer = SpeechRenderer;
+    window.BootstrapSpeechRenderer = BootstrapSpeechRenderer;
+}
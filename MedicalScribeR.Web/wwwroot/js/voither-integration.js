@@ -19,6 +19,8 @@ class VoitherMedicalSystem {
         };
         this.documents = [];
         this.transcriptionBuffer = '';
+        this.nextSequenceNumber = 0;
+        this.chunkAcks = null;
         
         // Configuração de endpoints
         this.endpoints = {
@@ -124,6 +126,27 @@ class VoitherMedicalSystem {
                 this.showNotification(message, 'error');
             });
 
+            // Confirmação de entrega dos chunks (chunk-delivery.js)
+            this.chunkAcks = new ChunkAckTracker({
+                send: (chunk) => this.sendChunkToHub(chunk),
+                reportUnrecoverable: (sequenceNumbers) =>
+                    this.connection.invoke("ReportUnrecoverableChunks", this.currentSessionId, sequenceNumbers),
+                onEvent: (event, data) => this.handleChunkDeliveryEvent(event, data)
+            });
+
+            this.connection.on("TranscriptionChunkAck", (data) => {
+                if (data.SessionId === this.currentSessionId) {
+                    this.chunkAcks.handleAck(data);
+                }
+            });
+
+            this.connection.on("TranscriptionGapDetected", (data) => {
+                if (data.SessionId === this.currentSessionId) {
+                    console.warn('⚠️ Trechos ausentes no hub:', data.MissingSequenceNumbers);
+                    this.chunkAcks.handleGap(data);
+                }
+            });
+
             // Reconnection handlers
             this.connection.onreconnecting(error => {
                 console.warn('🔄 Reconectando SignalR...', error);
@@ -133,6 +156,7 @@ class VoitherMedicalSystem {
             this.connection.onreconnected(connectionId => {
                 console.log('🔗 SignalR reconectado:', connectionId);
                 this.showNotification('Conexão reestabelecida', 'success');
+                this.chunkAcks.retryPending();
             });
 
             this.connection.onclose(error => {
@@ -211,6 +235,10 @@ class VoitherMedicalSystem {
             const patientName = document.getElementById('patientName')?.value || 'Paciente Anônimo';
             const consultationType = document.getElementById('consultationType')?.value || 'consulta-geral';
             
+            // Numeração de sequência recomeça a cada sessão
+            this.nextSequenceNumber = 0;
+            this.chunkAcks?.reset();
+
             // Inicializar reconhecimento de fala
             await this.initializeSpeechRecognition();
             
@@ -327,13 +355,15 @@ class VoitherMedicalSystem {
      */
     async processTranscriptionChunk(text, speakerId = 'unknown') {
         try {
+            const sequenceNumber = this.nextSequenceNumber++;
             const chunk = {
-                id: `chunk_${Date.now()}`,
+                id: `chunk_${Date.now()}_${sequenceNumber}`,
                 sessionId: this.currentSessionId,
                 text: text,
                 speaker: speakerId,
                 timestamp: new Date().toISOString(),
-                confidence: 0.95
+                confidence: 0.95,
+                sequenceNumber: sequenceNumber
             };
 
             // Adicionar ao buffer
@@ -342,9 +372,9 @@ class VoitherMedicalSystem {
             // Exibir na UI
             this.displayTranscriptionChunk(chunk);
             
-            // Enviar para o hub para processamento IA
-            if (this.connection && this.connection.state === signalR.HubConnectionState.Connected) {
-                await this.connection.invoke("ProcessTranscriptionChunk", this.currentSessionId, chunk);
+            // Enviar para o hub para processamento IA (reenviado até o hub confirmar)
+            if (this.chunkAcks) {
+                await this.chunkAcks.deliver(chunk);
             }
 
             // Notificar Health Bot sobre nova transcrição
@@ -357,6 +387,34 @@ class VoitherMedicalSystem {
         }
     }
 
+    /**
+     * Envia um chunk ao hub; rejeita sem conexão para que o ChunkAckTracker tente de novo
+     */
+    async sendChunkToHub(chunk) {
+        if (!this.connection || this.connection.state !== signalR.HubConnectionState.Connected) {
+            throw new Error('SignalR não conectado');
+        }
+
+        const hubChunk = typeof phiRedactor !== 'undefined'
+            ? phiRedactor.redactChunk(chunk, REDACTION_DESTINATIONS.HUB)
+            : chunk;
+        await this.connection.invoke("ProcessTranscriptionChunk", chunk.sessionId, { ...hubChunk, clientChunkId: chunk.id });
+    }
+
+    /**
+     * Avisa o profissional quando trechos da transcrição se perderam
+     */
+    handleChunkDeliveryEvent(event, data) {
+        if (event === 'chunk-ack-timeout') {
+            console.warn(`⚠️ Trecho ${data.chunk.sequenceNumber} sem confirmação do hub, reenviando`);
+        } else if (event === 'chunks-unrecoverable') {
+            this.showNotification(
+                `${data.sequenceNumbers.length} trecho(s) da transcrição se perderam antes de chegar ao servidor. Confira os documentos gerados.`,
+                'error'
+            );
+        }
+    }
+
     /**
      * Processa texto com Azure Healthcare AI
      */
@@ -404,6 +462,12 @@ class VoitherMedicalSystem {
         try {
             if (!this.healthBotConversationId) return;
 
+            // O Health Bot nunca recebe identificadores
+            if (typeof phiRedactor === 'undefined') {
+                console.warn('⚠️ Redação de PHI indisponível, contexto não enviado ao Health Bot');
+                return;
+            }
+
             const response = await fetch(`${this.endpoints.healthBot}/send-medical-context`, {
                 method: 'POST',
                 headers: {
@@ -413,7 +477,7 @@ class VoitherMedicalSystem {
                 body: JSON.stringify({
                     conversationId: this.healthBotConversationId,
                     sessionId: this.currentSessionId,
-                    transcriptionText: text,
+                    transcriptionText: phiRedactor.redactText(text, REDACTION_DESTINATIONS.HEALTH_BOT),
                     consultationType: document.getElementById('consultationType')?.value || 'consulta-geral'
                 })
             });
@@ -423,7 +487,7 @@ class VoitherMedicalSystem {
                 if (result.messages && result.messages.length > 0) {
                     result.messages.forEach(msg => {
                         if (msg.from === 'bot') {
-                            this.addBotMessage(msg.text, 'bot');
+                            this.addBotMessage(phiRedactor.restore(msg.text), 'bot');
                         }
                     });
                 }
@@ -569,6 +633,12 @@ class VoitherMedicalSystem {
 
         const chunkElement = document.createElement('div');
         chunkElement.className = 'mb-2 p-2 border-l-4 border-blue-500';
+
+        // Mesmo id do chunk no cliente que o gerou: a reprodução da sessão localiza o chunk por ele
+        const chunkId = chunk.ClientChunkId || chunk.id;
+        if (chunkId) {
+            chunkElement.setAttribute('data-chunk-id', chunkId);
+        }
         
         const timestamp = new Date(chunk.timestamp).toLocaleTimeString();
         const confidenceClass = chunk.confidence > 0.8 ? 'text-success' : 
@@ -0,0 +1,661 @@
+/**
+ * Fila de envio das janelas de áudio ao Whisper para MedicalScribeR
+ * Cada janela fica no IndexedDB até ser transcrita e entregue. Falhas transitórias (rede, 5xx, 429)
+ * são repetidas com intervalo exponencial, respeitando Retry-After; falhas definitivas ficam
+ * marcadas até o usuário pedir nova tentativa, descartar a janela ou o prazo de retenção local acabar.
+ * Várias janelas são enviadas ao mesmo tempo, mas as transcrições são entregues na ordem de gravação,
+ * porque a junção da sobreposição (TranscriptStitcher) depende da janela anterior: uma janela que
+ * falhou segura as seguintes da mesma sessão.
+ * Janelas pendentes voltam para a fila depois de recarregar a página.
+ *
+ * Usado por WhisperTranscriptionService.
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+const WHISPER_QUEUE_CONFIG = Object.freeze({
+    CONCURRENCY: 2,
+    RETRY_BASE_MS: 2000,
+    RETRY_MAX_MS: 60000,
+    // Variação aleatória do intervalo, para as janelas não voltarem todas juntas
+    RETRY_JITTER: 0.2,
+    // Retry-After maior que isso é tratado como o máximo
+    MAX_RETRY_AFTER_MS: 5 * 60 * 1000,
+    // Áudio de paciente não fica indefinidamente no navegador, mesmo sem transcrição
+    LOCAL_RETENTION_MS: 72 * 60 * 60 * 1000
+});
+
+/**
+ * Configuração do banco IndexedDB da fila
+ * @readonly
+ */
+const WHISPER_QUEUE_DB = Object.freeze({
+    NAME: 'MedicalScribeR.WhisperQueue',
+    VERSION: 1,
+    WINDOW_STORE: 'windows',
+    // Estado de entrega por sessão (próximo sequenceNumber, falantes), para continuar depois de recarregar
+    SESSION_STORE: 'sessions'
+});
+
+/**
+ * Situação de cada janela na fila
+ * @readonly
+ */
+const WHISPER_WINDOW_STATUS = Object.freeze({
+    QUEUED: 'queued',
+    UPLOADING: 'uploading',
+    WAITING: 'waiting',
+    TRANSCRIBED: 'transcribed',
+    FAILED: 'failed',
+    DELIVERED: 'delivered',
+    DISCARDED: 'discarded'
+});
+
+// Respostas de /api/whisper que não mudam com nova tentativa
+const PERMANENT_TRANSCRIPTION_FAILURES = new Set([400, 403, 404, 413, 415]);
+
+/**
+ * Janelas e estado das sessões no IndexedDB; cai para memória quando indisponível
+ */
+class WhisperWindowStore {
+    constructor() {
+        this._dbPromise = null;
+        this._memoryStores = {
+            [WHISPER_QUEUE_DB.WINDOW_STORE]: new Map(),
+            [WHISPER_QUEUE_DB.SESSION_STORE]: new Map()
+        };
+    }
+
+    /**
+     * @param {string} storeName - WHISPER_QUEUE_DB.WINDOW_STORE ou SESSION_STORE
+     * @param {Object} record - Com a chave em record.id
+     * @returns {Promise<void>}
+     */
+    async put(storeName, record) {
+        const db = await this._open();
+
+        if (!db) {
+            this._memoryStores[storeName].set(record.id, record);
+            return;
+        }
+
+        await this._run(db, storeName, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async remove(storeName, id) {
+        const db = await this._open();
+
+        if (!db) {
+            this._memoryStores[storeName].delete(id);
+            return;
+        }
+
+        await this._run(db, storeName, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * @returns {Promise<?Object>}
+     */
+    async get(storeName, id) {
+        const db = await this._open();
+
+        if (!db) {
+            return this._memoryStores[storeName].get(id) || null;
+        }
+
+        return (await this._run(db, storeName, 'readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAll(storeName) {
+        const db = await this._open();
+
+        return db
+            ? await this._run(db, storeName, 'readonly', store => store.getAll())
+            : Array.from(this._memoryStores[storeName].values());
+    }
+
+    _open() {
+        if (this._dbPromise) {
+            return this._dbPromise;
+        }
+
+        this._dbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = window.indexedDB.open(WHISPER_QUEUE_DB.NAME, WHISPER_QUEUE_DB.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [WHISPER_QUEUE_DB.WINDOW_STORE, WHISPER_QUEUE_DB.SESSION_STORE].forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'id' });
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[WhisperWindowStore] IndexedDB unavailable, using memory store:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this._dbPromise;
+    }
+
+    _run(db, storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Fila persistente de janelas a transcrever
+ */
+class WhisperUploadQueue {
+    /**
+     * @param {Object} options
+     * @param {function(Object): Promise<Object>} options.transcribe - Envia record.blob e devolve a transcrição.
+     *        Erros podem trazer status (HTTP) e retryAfterMs.
+     * @param {function(Object, Object): Promise<void>} options.deliver - (record, transcription), chamada em ordem
+     *        de gravação dentro de cada sessão, uma por vez
+     * @param {function(string, Object): void} [options.onEvent] - Recebe 'whisper-window-status' e 'whisper-windows-expired'
+     * @param {number} [options.concurrency]
+     * @param {number} [options.localRetentionMs]
+     */
+    constructor(options) {
+        this._transcribe = options.transcribe;
+        this._deliver = options.deliver;
+        this._onEvent = options.onEvent || (() => {});
+        this._concurrency = options.concurrency || WHISPER_QUEUE_CONFIG.CONCURRENCY;
+        this._localRetentionMs = options.localRetentionMs || WHISPER_QUEUE_CONFIG.LOCAL_RETENTION_MS;
+        this._store = new WhisperWindowStore();
+
+        // id -> registro da janela (espelho do IndexedDB)
+        this._records = new Map();
+        this._inFlight = new Set();
+        // Só janelas desta sessão andam enquanto ela grava; null libera todas
+        this._activeSessionId = null;
+        // 429/503 com Retry-After seguram a fila inteira
+        this._blockedUntil = 0;
+        this._timer = null;
+        this._delivering = Promise.resolve();
+        this._waiters = [];
+        this._onlineHandler = () => this._retryWaitingNow();
+
+        if (typeof window.addEventListener === 'function') {
+            window.addEventListener('online', this._onlineHandler);
+        }
+
+        // Janelas de antes da recarga da página voltam para a fila
+        this._ready = this._restore();
+    }
+
+    /**
+     * Guarda a janela e a coloca na fila
+     * @param {Object} audioWindow - { sessionId, recordingId, index, startMs, endMs, blob }
+     * @returns {Promise<void>}
+     */
+    async add(audioWindow) {
+        await this._ready;
+
+        const record = {
+            id: `${audioWindow.sessionId}:${audioWindow.recordingId}:${audioWindow.index}`,
+            sessionId: audioWindow.sessionId,
+            recordingId: audioWindow.recordingId,
+            index: audioWindow.index,
+            startMs: audioWindow.startMs,
+            endMs: audioWindow.endMs,
+            blob: audioWindow.blob,
+            status: WHISPER_WINDOW_STATUS.QUEUED,
+            attempts: 0,
+            nextAttemptAt: 0,
+            error: null,
+            transcription: null,
+            createdAt: Date.now()
+        };
+
+        this._records.set(record.id, record);
+        await this._save(record);
+        this._pump();
+    }
+
+    /**
+     * Restringe a fila à sessão em gravação; janelas de outras sessões esperam até setActiveSession(null).
+     * Resolve depois da entrega em andamento, para a sessão não mudar no meio dela.
+     * @param {?string} sessionId
+     * @returns {Promise<void>}
+     */
+    async setActiveSession(sessionId) {
+        this._activeSessionId = sessionId;
+        await this._delivering;
+        this._pump();
+        this._scheduleDelivery();
+    }
+
+    /**
+     * Resolve quando todas as janelas da sessão foram entregues ou a entrega parou numa janela que falhou de vez
+     * @param {string} sessionId
+     * @returns {Promise<void>}
+     */
+    async waitForSession(sessionId) {
+        await this._ready;
+        if (this._isSettled(sessionId)) return;
+
+        await new Promise(resolve => this._waiters.push({ sessionId, resolve }));
+    }
+
+    /**
+     * Volta para a fila uma janela que falhou de vez; as seguintes da sessão continuam esperando por ela
+     * @param {string} id
+     */
+    retry(id) {
+        const record = this._records.get(id);
+        if (!record || record.status !== WHISPER_WINDOW_STATUS.FAILED) return;
+
+        record.status = WHISPER_WINDOW_STATUS.QUEUED;
+        record.nextAttemptAt = 0;
+        record.error = null;
+        this._save(record);
+        this._pump();
+    }
+
+    /**
+     * Desiste de uma janela que falhou de vez; as seguintes da sessão são entregues sem ela
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async discard(id) {
+        const record = this._records.get(id);
+        if (!record || record.status !== WHISPER_WINDOW_STATUS.FAILED) return;
+
+        this._records.delete(id);
+        await this._store.remove(WHISPER_QUEUE_DB.WINDOW_STORE, id).catch(() => {});
+        this._emitStatus({ ...record, status: WHISPER_WINDOW_STATUS.DISCARDED });
+        await this._scheduleDelivery();
+    }
+
+    /**
+     * Janelas na fila, em ordem de gravação
+     * @returns {Array<{id: string, sessionId: string, index: number, startMs: number, endMs: number,
+     *          status: string, attempts: number, nextAttemptAt: number, error: ?string}>}
+     */
+    getWindows() {
+        return this._sorted().map(({ id, sessionId, index, startMs, endMs, status, attempts, nextAttemptAt, error }) =>
+            ({ id, sessionId, index, startMs, endMs, status, attempts, nextAttemptAt, error }));
+    }
+
+    /**
+     * Estado de entrega salvo para a sessão
+     * @param {string} sessionId
+     * @returns {Promise<?Object>} O que foi passado a saveSessionState
+     */
+    async getSessionState(sessionId) {
+        try {
+            return await this._store.get(WHISPER_QUEUE_DB.SESSION_STORE, sessionId);
+        } catch (error) {
+            console.warn(`[WhisperUploadQueue] Failed to read state of session ${sessionId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} sessionId
+     * @param {Object} state - Serializável; substitui o estado anterior da sessão
+     * @returns {Promise<void>}
+     */
+    async saveSessionState(sessionId, state) {
+        try {
+            await this._store.put(WHISPER_QUEUE_DB.SESSION_STORE, { ...state, id: sessionId, updatedAt: Date.now() });
+        } catch (error) {
+            console.warn(`[WhisperUploadQueue] Failed to save state of session ${sessionId}:`, error);
+        }
+    }
+
+    dispose() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        if (typeof window.removeEventListener === 'function') {
+            window.removeEventListener('online', this._onlineHandler);
+        }
+    }
+
+    async _restore() {
+        try {
+            const cutoff = Date.now() - this._localRetentionMs;
+            const records = await this._store.getAll(WHISPER_QUEUE_DB.WINDOW_STORE);
+            const expired = records.filter(record => record.createdAt < cutoff);
+
+            for (const record of expired) {
+                await this._store.remove(WHISPER_QUEUE_DB.WINDOW_STORE, record.id);
+            }
+            if (expired.length > 0) {
+                this._onEvent('whisper-windows-expired', {
+                    count: expired.length,
+                    sessionIds: [...new Set(expired.map(record => record.sessionId))]
+                });
+            }
+
+            const sessions = await this._store.getAll(WHISPER_QUEUE_DB.SESSION_STORE);
+            for (const session of sessions.filter(session => session.updatedAt < cutoff)) {
+                await this._store.remove(WHISPER_QUEUE_DB.SESSION_STORE, session.id);
+            }
+
+            records
+                .filter(record => record.createdAt >= cutoff)
+                .forEach(record => {
+                    // Envio interrompido pela recarga começa de novo
+                    if (record.status === WHISPER_WINDOW_STATUS.UPLOADING) {
+                        record.status = WHISPER_WINDOW_STATUS.QUEUED;
+                    }
+                    this._records.set(record.id, record);
+                    this._emitStatus(record);
+                });
+        } catch (error) {
+            console.warn('[WhisperUploadQueue] Failed to restore pending windows:', error);
+        }
+
+        this._pump();
+        this._scheduleDelivery();
+    }
+
+    _sorted() {
+        return Array.from(this._records.values()).sort((a, b) =>
+            a.recordingId - b.recordingId || a.sessionId.localeCompare(b.sessionId) || a.index - b.index);
+    }
+
+    _isAllowed(record) {
+        return this._activeSessionId === null || record.sessionId === this._activeSessionId;
+    }
+
+    _pump() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        const now = Date.now();
+        const ready = (record) => this._isAllowed(record) && !this._inFlight.has(record.id) &&
+            (record.status === WHISPER_WINDOW_STATUS.QUEUED ||
+             (record.status === WHISPER_WINDOW_STATUS.WAITING && record.nextAttemptAt <= now));
+
+        if (now >= this._blockedUntil) {
+            for (const record of this._sorted().filter(ready)) {
+                if (this._inFlight.size >= this._concurrency) break;
+                this._upload(record);
+            }
+        }
+
+        // Próxima janela em espera ou fim do bloqueio por Retry-After; vagas liberadas chamam _pump de novo
+        const pending = this._sorted().filter(record => this._isAllowed(record) && !this._inFlight.has(record.id) &&
+            (record.status === WHISPER_WINDOW_STATUS.QUEUED || record.status === WHISPER_WINDOW_STATUS.WAITING));
+        const nextAt = Math.min(...pending.map(record => Math.max(
+            record.status === WHISPER_WINDOW_STATUS.WAITING ? record.nextAttemptAt : 0,
+            this._blockedUntil)));
+        if (Number.isFinite(nextAt) && nextAt > now) {
+            this._timer = setTimeout(() => this._pump(), nextAt - now);
+        }
+    }
+
+    async _upload(record) {
+        this._inFlight.add(record.id);
+        record.status = WHISPER_WINDOW_STATUS.UPLOADING;
+        record.attempts++;
+        this._emitStatus(record);
+
+        try {
+            record.transcription = await this._transcribe(record);
+            record.status = WHISPER_WINDOW_STATUS.TRANSCRIBED;
+            record.error = null;
+            await this._save(record);
+            this._scheduleDelivery();
+        } catch (error) {
+            record.error = error.message;
+
+            if (error.status && PERMANENT_TRANSCRIPTION_FAILURES.has(error.status)) {
+                record.status = WHISPER_WINDOW_STATUS.FAILED;
+                await this._save(record);
+                // A sessão para nesta janela até nova tentativa ou descarte; quem espera pela sessão é liberado
+                this._scheduleDelivery();
+            } else {
+                const delayMs = this._retryDelay(record, error);
+                record.status = WHISPER_WINDOW_STATUS.WAITING;
+                record.nextAttemptAt = Date.now() + delayMs;
+
+                // Limite de requisições vale para todas as janelas
+                if (error.retryAfterMs && (error.status === 429 || error.status === 503)) {
+                    this._blockedUntil = Math.max(this._blockedUntil, record.nextAttemptAt);
+                }
+
+                await this._save(record);
+            }
+        } finally {
+            this._inFlight.delete(record.id);
+            this._pump();
+        }
+    }
+
+    /**
+     * Retry-After quando o servidor informa; senão exponencial pelo número de tentativas
+     */
+    _retryDelay(record, error) {
+        if (error.retryAfterMs) {
+            return Math.min(error.retryAfterMs, WHISPER_QUEUE_CONFIG.MAX_RETRY_AFTER_MS);
+        }
+
+        const exponential = Math.min(
+            WHISPER_QUEUE_CONFIG.RETRY_BASE_MS * 2 ** (record.attempts - 1),
+            WHISPER_QUEUE_CONFIG.RETRY_MAX_MS);
+        const jitter = 1 + (Math.random() * 2 - 1) * WHISPER_QUEUE_CONFIG.RETRY_JITTER;
+        return Math.round(exponential * jitter);
+    }
+
+    _retryWaitingNow() {
+        this._blockedUntil = 0;
+        this._records.forEach(record => {
+            if (record.status === WHISPER_WINDOW_STATUS.WAITING) record.nextAttemptAt = 0;
+        });
+        this._pump();
+    }
+
+    _scheduleDelivery() {
+        this._delivering = this._delivering.then(() => this._deliverReady());
+        return this._delivering;
+    }
+
+    /**
+     * Entrega, sessão a sessão, as janelas transcritas cujas anteriores já saíram da fila
+     */
+    async _deliverReady() {
+        for (;;) {
+            const next = this._nextDeliverable();
+            if (!next) break;
+
+            try {
+                await this._deliver(next, next.transcription);
+            } catch (error) {
+                // Erro ao processar o texto não se resolve reenviando o áudio
+                console.error(`[WhisperUploadQueue] Failed to deliver window ${next.id}:`, error);
+            }
+
+            this._records.delete(next.id);
+            await this._store.remove(WHISPER_QUEUE_DB.WINDOW_STORE, next.id).catch(() => {});
+            this._emitStatus({ ...next, status: WHISPER_WINDOW_STATUS.DELIVERED });
+        }
+
+        this._resolveWaiters();
+    }
+
+    /**
+     * Primeira janela de alguma sessão, já transcrita. Uma janela que falhou segura as seguintes: entregues
+     * antes dela, iriam à junção e ao hub fora de ordem.
+     */
+    _nextDeliverable() {
+        const firstBySession = new Map();
+        for (const record of this._sorted()) {
+            if (!firstBySession.has(record.sessionId)) firstBySession.set(record.sessionId, record);
+        }
+
+        return Array.from(firstBySession.values()).find(record =>
+            record.status === WHISPER_WINDOW_STATUS.TRANSCRIBED && this._isAllowed(record)) || null;
+    }
+
+    /**
+     * Nada mais da sessão será entregue sem o usuário: fila vazia ou parada numa janela que falhou
+     */
+    _isSettled(sessionId) {
+        const first = this._sorted().find(record => record.sessionId === sessionId);
+        return !first || first.status === WHISPER_WINDOW_STATUS.FAILED;
+    }
+
+    _resolveWaiters() {
+        this._waiters = this._waiters.filter(waiter => {
+            if (!this._isSettled(waiter.sessionId)) return true;
+            waiter.resolve();
+            return false;
+        });
+    }
+
+    async _save(record) {
+        this._emitStatus(record);
+
+        try {
+            await this._store.put(WHISPER_QUEUE_DB.WINDOW_STORE, record);
+        } catch (error) {
+            // Ex.: cota do IndexedDB esgotada; a janela continua na fila em memória
+            console.warn(`[WhisperUploadQueue] Failed to store window ${record.id}:`, error);
+        }
+    }
+
+    _emitStatus(record) {
+        this._onEvent('whisper-window-status', {
+            id: record.id,
+            sessionId: record.sessionId,
+            index: record.index,
+            startMs: record.startMs,
+            endMs: record.endMs,
+            status: record.status,
+            attempts: record.attempts,
+            retryInMs: record.status === WHISPER_WINDOW_STATUS.WAITING
+                ? Math.max(0, record.nextAttemptAt - Date.now())
+                : null,
+            error: record.error
+        });
+    }
+}
+
+/**
+ * Lista visível da fila: uma linha por janela com a situação do envio.
+ * Não faz nada se o container não existir na página.
+ */
+class WhisperQueuePanel {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.containerId='whisperQueue']
+     * @param {function(string): void} [options.onRetry] - Recebe o id da janela que falhou
+     * @param {function(string): void} [options.onDiscard] - Recebe o id da janela que falhou
+     */
+    constructor(options = {}) {
+        this._containerId = options.containerId || 'whisperQueue';
+        this._onRetry = options.onRetry || (() => {});
+        this._onDiscard = options.onDiscard || (() => {});
+    }
+
+    /**
+     * @param {Array<Object>} windows - WhisperUploadQueue.getWindows()
+     */
+    render(windows) {
+        const container = document.getElementById(this._containerId);
+        if (!container) return;
+
+        container.replaceChildren();
+        container.classList.toggle('d-none', windows.length === 0);
+
+        const list = document.createElement('ul');
+        list.className = 'list-group list-group-flush small';
+
+        windows.forEach(audioWindow => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex align-items-center gap-2';
+            item.dataset.windowId = audioWindow.id;
+
+            const label = document.createElement('span');
+            label.className = 'flex-grow-1';
+            label.textContent = `Trecho ${audioWindow.index + 1} ` +
+                `(${this._formatTime(audioWindow.startMs)}–${this._formatTime(audioWindow.endMs)})`;
+
+            const badge = document.createElement('span');
+            const [text, badgeClass] = this._describe(audioWindow);
+            badge.className = `badge ${badgeClass}`;
+            badge.textContent = text;
+            if (audioWindow.error) badge.title = audioWindow.error;
+
+            item.append(label, badge);
+
+            if (audioWindow.status === WHISPER_WINDOW_STATUS.FAILED) {
+                const retry = document.createElement('button');
+                retry.type = 'button';
+                retry.className = 'btn btn-sm btn-outline-secondary';
+                retry.textContent = 'Tentar de novo';
+                retry.addEventListener('click', () => this._onRetry(audioWindow.id));
+
+                // Sem esta janela, as seguintes da sessão são entregues com uma lacuna no texto
+                const discard = document.createElement('button');
+                discard.type = 'button';
+                discard.className = 'btn btn-sm btn-outline-danger';
+                discard.textContent = 'Descartar';
+                discard.addEventListener('click', () => this._onDiscard(audioWindow.id));
+
+                item.append(retry, discard);
+            }
+
+            list.append(item);
+        });
+
+        container.append(list);
+    }
+
+    _describe(audioWindow) {
+        switch (audioWindow.status) {
+            case WHISPER_WINDOW_STATUS.UPLOADING:
+                return ['Transcrevendo', 'bg-primary'];
+            case WHISPER_WINDOW_STATUS.WAITING:
+                return [`Aguardando tentativa ${audioWindow.attempts + 1}`, 'bg-warning text-dark'];
+            case WHISPER_WINDOW_STATUS.TRANSCRIBED:
+                return ['Transcrito', 'bg-success'];
+            case WHISPER_WINDOW_STATUS.FAILED:
+                return ['Falhou', 'bg-danger'];
+            default:
+                return ['Na fila', 'bg-secondary'];
+        }
+    }
+
+    _formatTime(ms) {
+        const totalSeconds = Math.max(0, Math.floor((ms || 0) / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+}
+
+// Exportar para uso global
+window.WhisperUploadQueue = WhisperUploadQueue;
+window.WhisperQueuePanel = WhisperQueuePanel;
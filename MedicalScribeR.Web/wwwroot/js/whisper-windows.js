@@ -0,0 +1,435 @@
+/**
+ * Janelas de áudio para a transcrição Whisper do MedicalScribeR
+ * Divide a gravação em janelas de 30 a 60 segundos, cada uma um arquivo WebM completo
+ * (um MediaRecorder por janela), com alguns segundos de sobreposição entre janelas vizinhas.
+ * O corte acontece de preferência numa pausa da fala, para não partir palavras no fim da janela.
+ *
+ * As palavras transcritas duas vezes na sobreposição são removidas por TranscriptStitcher.
+ *
+ * Usado por WhisperTranscriptionService.
+ *
+ * @version 1.0.0
+ * @author MedicalScribeR Team
+ * @license MIT
+ */
+
+'use strict';
+
+const WHISPER_WINDOW_CONFIG = Object.freeze({
+    // A janela termina na primeira pausa depois de WINDOW_MS, ou em MAX_WINDOW_MS sem pausa
+    WINDOW_MS: 45000,
+    MAX_WINDOW_MS: 60000,
+    // A janela seguinte começa OVERLAP_MS antes do fim mais cedo possível da atual
+    OVERLAP_MS: 3000,
+    MIME_TYPE: 'audio/webm;codecs=opus',
+    // RMS abaixo do limite por SILENCE_MS conta como pausa
+    SILENCE_RMS: 0.01,
+    SILENCE_MS: 300,
+    TICK_MS: 100
+});
+
+const STITCH_CONFIG = Object.freeze({
+    // Folga para imprecisão dos tempos por palavra do Whisper
+    TOLERANCE_MS: 500,
+    // Palavras seguidas iguais que confirmam a sobreposição
+    MIN_MATCH_WORDS: 2,
+    // Palavras comparadas de cada lado quando não há tempos
+    MAX_COMPARED_WORDS: 40
+});
+
+/**
+ * Grava o stream em janelas sobrepostas; cada janela encerrada é entregue a onWindow
+ */
+class AudioWindowRecorder {
+    /**
+     * @param {Object} options
+     * @param {function({index: number, startMs: number, endMs: number, blob: Blob}): void} options.onWindow -
+     *        startMs/endMs em ms desde startedAt (início da sessão)
+     * @param {number} [options.windowMs]
+     * @param {number} [options.maxWindowMs]
+     * @param {number} [options.overlapMs]
+     * @param {string} [options.mimeType]
+     */
+    constructor(options) {
+        this._onWindow = options.onWindow;
+        this._windowMs = options.windowMs || WHISPER_WINDOW_CONFIG.WINDOW_MS;
+        this._maxWindowMs = Math.max(options.maxWindowMs || WHISPER_WINDOW_CONFIG.MAX_WINDOW_MS, this._windowMs);
+        this._overlapMs = Math.min(options.overlapMs ?? WHISPER_WINDOW_CONFIG.OVERLAP_MS, this._windowMs / 2);
+        this._mimeType = options.mimeType || WHISPER_WINDOW_CONFIG.MIME_TYPE;
+
+        this._stream = null;
+        this._startedAt = null;
+        this._nextIndex = 0;
+        this._current = null;
+        this._next = null;
+        this._timer = null;
+        this._pending = new Set();
+
+        this._levelContext = null;
+        this._analyser = null;
+        this._samples = null;
+        this._silentSince = null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isRecording() {
+        return this._current !== null;
+    }
+
+    /**
+     * @param {MediaStream} stream
+     * @param {number} [startedAt] - Início da sessão (Date.now()); origem de startMs/endMs das janelas
+     */
+    start(stream, startedAt = Date.now()) {
+        if (this.isRecording) {
+            throw new Error('Window recorder already started');
+        }
+
+        this._stream = stream;
+        this._startedAt = startedAt;
+        this._nextIndex = 0;
+        this._startLevelMeter(stream);
+
+        this._current = this._openWindow();
+        this._timer = setInterval(() => this._tick(), WHISPER_WINDOW_CONFIG.TICK_MS);
+    }
+
+    /**
+     * Encerra a janela atual e espera a entrega de todas as janelas
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.isRecording) return;
+
+        clearInterval(this._timer);
+        this._timer = null;
+
+        // A janela seguinte ainda está dentro da atual: seu áudio já foi gravado
+        if (this._next) {
+            this._next.discard = true;
+            this._next.recorder.stop();
+            this._next = null;
+        }
+
+        this._closeWindow(this._current);
+        this._current = null;
+        this._stopLevelMeter();
+
+        await Promise.all(this._pending);
+    }
+
+    _elapsedMs() {
+        return Date.now() - this._startedAt;
+    }
+
+    _openWindow() {
+        const recorder = new MediaRecorder(this._stream, { mimeType: this._mimeType });
+        const audioWindow = {
+            index: this._nextIndex++,
+            startMs: this._elapsedMs(),
+            endMs: null,
+            parts: [],
+            discard: false,
+            recorder
+        };
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) audioWindow.parts.push(event.data);
+        };
+
+        const finished = new Promise(resolve => {
+            recorder.onstop = () => {
+                this._pending.delete(finished);
+                resolve();
+
+                if (audioWindow.discard || audioWindow.parts.length === 0) return;
+
+                this._onWindow({
+                    index: audioWindow.index,
+                    startMs: audioWindow.startMs,
+                    endMs: audioWindow.endMs,
+                    blob: new Blob(audioWindow.parts, { type: this._mimeType })
+                });
+            };
+        });
+        this._pending.add(finished);
+
+        recorder.start();
+        return audioWindow;
+    }
+
+    _closeWindow(audioWindow) {
+        audioWindow.endMs = this._elapsedMs();
+        if (audioWindow.recorder.state !== 'inactive') {
+            audioWindow.recorder.stop();
+        }
+    }
+
+    _tick() {
+        const elapsed = this._elapsedMs();
+        const age = elapsed - this._current.startMs;
+        const silent = this._isSilent();
+
+        if (!this._next && age >= this._windowMs - this._overlapMs) {
+            this._next = this._openWindow();
+        }
+
+        if ((age >= this._windowMs && silent) || age >= this._maxWindowMs) {
+            this._closeWindow(this._current);
+            this._current = this._next;
+            this._next = null;
+        }
+    }
+
+    /**
+     * Pausa na fala agora; sem Web Audio toda verificação conta como pausa (corte em windowMs)
+     */
+    _isSilent() {
+        if (!this._analyser) return true;
+
+        this._analyser.getFloatTimeDomainData(this._samples);
+        let sum = 0;
+        for (let i = 0; i < this._samples.length; i++) {
+            sum += this._samples[i] * this._samples[i];
+        }
+        const rms = Math.sqrt(sum / this._samples.length);
+
+        if (rms >= WHISPER_WINDOW_CONFIG.SILENCE_RMS) {
+            this._silentSince = null;
+            return false;
+        }
+
+        this._silentSince = this._silentSince ?? Date.now();
+        return Date.now() - this._silentSince >= WHISPER_WINDOW_CONFIG.SILENCE_MS;
+    }
+
+    _startLevelMeter(stream) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        try {
+            this._levelContext = new AudioContextClass();
+            this._analyser = this._levelContext.createAnalyser();
+            this._analyser.fftSize = 2048;
+            this._samples = new Float32Array(this._analyser.fftSize);
+            this._levelContext.createMediaStreamSource(stream).connect(this._analyser);
+        } catch (error) {
+            console.warn('[AudioWindowRecorder] Silence detection unavailable, cutting windows by length:', error);
+            this._stopLevelMeter();
+        }
+    }
+
+    _stopLevelMeter() {
+        this._levelContext?.close().catch(() => {});
+        this._levelContext = null;
+        this._analyser = null;
+        this._samples = null;
+        this._silentSince = null;
+    }
+}
+
+/**
+ * Junta as transcrições de janelas sobrepostas: remove do início de cada janela o que a janela
+ * anterior já transcreveu. Compara primeiro o texto (a maior sequência de palavras iguais na
+ * sobreposição); sem coincidência, usa os tempos das palavras.
+ */
+class TranscriptStitcher {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Esquece a janela anterior (nova sessão)
+     */
+    reset() {
+        // { endMs, coveredUntilMs, tokens: [{norm, endMs}] } da última janela, em ms da gravação
+        this._tail = null;
+    }
+
+    /**
+     * @param {{startMs: number, endMs: number}} audioWindow - Janela como entregue por AudioWindowRecorder
+     * @param {Object} transcription - Resposta verbose_json do Whisper (tempos em s, relativos à janela)
+     * @returns {Object} A mesma resposta sem o trecho repetido; cada segmento traz suas palavras em words
+     */
+    stitch(audioWindow, transcription) {
+        const tokens = this._tokenize(transcription);
+        const drop = this._tail ? this._countDuplicates(audioWindow, tokens) : 0;
+        const kept = tokens.slice(drop);
+
+        const result = { ...transcription };
+        const dropUntil = drop > 0 ? tokens[drop - 1].end : null;
+
+        if (Array.isArray(transcription.segments)) {
+            result.segments = this._rebuildSegments(transcription.segments, kept, dropUntil, drop > 0);
+            result.text = result.segments.map(segment => segment.text).join(' ');
+        } else {
+            result.text = kept.map(token => token.text).join(' ');
+        }
+
+        if (Array.isArray(transcription.words)) {
+            result.words = kept.filter(token => token.isWord).map(token => token.source);
+        }
+
+        this._rememberTail(audioWindow, kept);
+        return result;
+    }
+
+    /**
+     * Palavras da resposta com tempos: por palavra quando há, senão o tempo do segmento
+     */
+    _tokenize(transcription) {
+        if (Array.isArray(transcription.words) && transcription.words.length > 0) {
+            return transcription.words.map(word => ({
+                text: word.word.trim(),
+                norm: this._normalize(word.word),
+                start: word.start,
+                end: word.end,
+                isWord: true,
+                source: word
+            }));
+        }
+
+        if (Array.isArray(transcription.segments)) {
+            return transcription.segments.flatMap((segment, segmentIndex) =>
+                segment.text.trim().split(/\s+/).filter(Boolean).map(text => ({
+                    text,
+                    norm: this._normalize(text),
+                    start: segment.start,
+                    end: segment.end,
+                    segmentIndex
+                })));
+        }
+
+        return (transcription.text || '').trim().split(/\s+/).filter(Boolean)
+            .map(text => ({ text, norm: this._normalize(text), start: null, end: null }));
+    }
+
+    /**
+     * Quantas palavras do início da janela repetem o fim da anterior
+     */
+    _countDuplicates(audioWindow, tokens) {
+        const overlapMs = this._tail.endMs - audioWindow.startMs;
+        if (overlapMs <= 0 || tokens.length === 0) return 0;
+
+        const timed = tokens[0].start !== null;
+        const head = timed
+            ? tokens.filter(token => token.start * 1000 < overlapMs + STITCH_CONFIG.TOLERANCE_MS)
+            : tokens.slice(0, STITCH_CONFIG.MAX_COMPARED_WORDS);
+        const tail = this._tail.tokens.filter(token =>
+            token.endMs === null || token.endMs >= audioWindow.startMs - STITCH_CONFIG.TOLERANCE_MS);
+
+        const match = this._longestCommonRun(tail.map(token => token.norm), head.map(token => token.norm));
+        const minMatch = Math.min(STITCH_CONFIG.MIN_MATCH_WORDS, tail.length);
+        if (match.length > 0 && match.length >= minMatch) {
+            return match.endInB + 1;
+        }
+
+        if (!timed || this._tail.coveredUntilMs === null) return 0;
+
+        // Sem coincidência de texto: o que terminou antes do fim já transcrito é repetição
+        let drop = 0;
+        while (drop < head.length &&
+               audioWindow.startMs + ((head[drop].start + head[drop].end) / 2) * 1000 < this._tail.coveredUntilMs) {
+            drop++;
+        }
+        return drop;
+    }
+
+    /**
+     * Maior sequência de palavras iguais entre a e b
+     * @returns {{length: number, endInB: number}}
+     */
+    _longestCommonRun(a, b) {
+        let best = { length: 0, endInB: -1 };
+        let previous = new Array(b.length + 1).fill(0);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = new Array(b.length + 1).fill(0);
+            for (let j = 1; j <= b.length; j++) {
+                if (a[i - 1] && a[i - 1] === b[j - 1]) {
+                    current[j] = previous[j - 1] + 1;
+                    // Empate: a coincidência mais adiante na janela nova remove mais repetição
+                    if (current[j] >= best.length) {
+                        best = { length: current[j], endInB: j - 1 };
+                    }
+                }
+            }
+            previous = current;
+        }
+
+        return best;
+    }
+
+    _rebuildSegments(segments, kept, dropUntil, dropped) {
+        if (!dropped) {
+            return segments.map((segment, index) => ({
+                ...segment,
+                words: kept.filter(token => token.isWord && this._tokenInSegment(token, segment, index, segments))
+                    .map(token => token.source)
+            }));
+        }
+
+        return segments
+            .map((segment, index) => {
+                const segmentTokens = kept.filter(token => token.segmentIndex !== undefined
+                    ? token.segmentIndex === index
+                    : this._tokenInSegment(token, segment, index, segments));
+
+                if (segmentTokens.length === 0) {
+                    // Segmento sem palavras do Whisper fica se estiver inteiro depois do corte
+                    return segment.start >= dropUntil ? { ...segment, words: [] } : null;
+                }
+
+                const words = segmentTokens.filter(token => token.isWord).map(token => token.source);
+                const trimmed = segment.start < dropUntil;
+
+                return {
+                    ...segment,
+                    start: trimmed ? segmentTokens[0].start : segment.start,
+                    text: trimmed ? segmentTokens.map(token => token.text).join(' ') : segment.text,
+                    words
+                };
+            })
+            .filter(Boolean);
+    }
+
+    _tokenInSegment(token, segment, index, segments) {
+        const isLast = index === segments.length - 1;
+        return token.start >= segment.start && (token.start < segment.end || (isLast && token.start <= segment.end));
+    }
+
+    _rememberTail(audioWindow, kept) {
+        if (kept.length === 0) {
+            // Janela toda repetida ou silenciosa: a referência continua sendo o texto anterior
+            if (this._tail) this._tail.endMs = Math.max(this._tail.endMs, audioWindow.endMs);
+            return;
+        }
+
+        const timed = kept[0].start !== null;
+        this._tail = {
+            endMs: audioWindow.endMs,
+            coveredUntilMs: timed ? audioWindow.startMs + kept[kept.length - 1].end * 1000 : null,
+            tokens: kept.slice(-STITCH_CONFIG.MAX_COMPARED_WORDS).map(token => ({
+                norm: token.norm,
+                endMs: timed ? audioWindow.startMs + token.end * 1000 : null
+            }))
+        };
+    }
+
+    /**
+     * Minúsculas, sem acentos nem pontuação: "Então," e "entao" são a mesma palavra
+     */
+    _normalize(text) {
+        return String(text)
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\p{L}\p{N}]/gu, '');
+    }
+}
+
+// Exportar para uso global
+window.AudioWindowRecorder = AudioWindowRecorder;
+window.TranscriptStitcher = TranscriptStitcher;